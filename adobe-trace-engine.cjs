@@ -720,7 +720,7 @@ async function adobeVectorize(maskBuffer, color, preset) {
     const potraceOptions = {
       threshold: preset.threshold || 128,
       turdSize: Math.max(1, Math.floor((preset.noise || 10) / 2)),
-      turnPolicy: preset.name.includes('Logo') ? 'majority' : 'minority',
+      turnPolicy: (ADOBE_PRESETS[preset.base]?.name || preset.name).includes('Logo') ? 'majority' : 'minority',
       alphaMax: preset.corners ? (100 - preset.corners) / 100 * 2 : 1.0,
       optCurve: true,
       optTolerance: preset.paths ? preset.paths / 100 * 0.5 : 0.2
@@ -804,15 +804,31 @@ function assembleAdobeSVG(vectorizedLayers, metadata, preset) {
   return svgContent;
 }
 
+/**
+ * Пресет по имени: встроенный, пользовательский (trace-presets.cjs) или SIX_COLORS
+ */
+async function resolvePreset(presetName) {
+  if (ADOBE_PRESETS[presetName]) return ADOBE_PRESETS[presetName];
+
+  // Ленивая загрузка: trace-presets.cjs сам зависит от ADOBE_PRESETS
+  const { getCustomPresetSettings } = require('./trace-presets.cjs');
+  const custom = await getCustomPresetSettings(presetName);
+  if (custom) return custom;
+
+  console.warn(`⚠️ Пресет ${presetName} не найден, используется SIX_COLORS`);
+  return ADOBE_PRESETS.SIX_COLORS;
+}
+
 /**
  * ГЛАВНАЯ ФУНКЦИЯ: Adobe Trace Engine
+ * presetName — ID встроенного (ADOBE_PRESETS) или пользовательского пресета
  */
 async function adobeTrace(imageBuffer, presetName = 'SIX_COLORS') {
   console.log(`🚀 Adobe Trace Engine: Запуск с пресетом ${presetName}...`);
   
   try {
     // Получаем пресет
-    const preset = ADOBE_PRESETS[presetName] || ADOBE_PRESETS.SIX_COLORS;
+    const preset = await resolvePreset(presetName);
     console.log(`⚙️ Используем пресет: ${preset.name}`);
     
     // ЭТАП 1: Анализ изображения
@@ -860,8 +876,13 @@ async function adobeTrace(imageBuffer, presetName = 'SIX_COLORS') {
       throw new Error('Не удалось создать ни одного векторного слоя');
     }
     
-    // ЭТАП 6: Сборка финального SVG
+    // ЭТАП 6: Сборка финального SVG (слои сортируются от светлого к темному)
     const finalSVG = assembleAdobeSVG(vectorizedLayers, metadata, preset);
+    const layers = vectorizedLayers.map((layer, index) => ({
+      id: `color-${index + 1}`,
+      hex: layer.color.hex,
+      pathCount: layer.paths.length
+    }));
     
     console.log(`🎉 Adobe Trace завершен успешно!`);
     console.log(`   📊 Обработано цветов: ${vectorizedLayers.length}`);
@@ -872,6 +893,10 @@ async function adobeTrace(imageBuffer, presetName = 'SIX_COLORS') {
       svgContent: finalSVG,
       preset: preset.name,
       colorsProcessed: vectorizedLayers.length,
+      palette: layers.map(layer => layer.hex),
+      layers,
+      width: metadata.width,
+      height: metadata.height,
       fileSize: finalSVG.length,
       analysis: analysis
     };
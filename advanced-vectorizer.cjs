@@ -5,8 +5,24 @@
 
 // Только необходимые зависимости
 const path = require('path');
+const os = require('os');
+const { isMainThread } = require('worker_threads');
 const fs = require('fs').promises;
 const crypto = require('crypto');
+const { createPDFFromSVG, createEPSFromSVG } = require('./vector-export.cjs');
+const { createZipArchive, createUniqueNamer } = require('./zip-writer.cjs');
+const { runBatchQueue } = require('./batch-queue.cjs');
+const { createJob } = require('./vectorizer-jobs.cjs');
+const { createSeparations } = require('./color-separations.cjs');
+const { rgbToLab } = require('./color-science.cjs');
+const { resolveSpotOptions, matchSpotColor } = require('./spot-colors.cjs');
+const { createHalftone, screenInk, normalizeHalftoneOptions, getHalftoneInks } = require('./halftone.cjs');
+const { createCenterline, createCenterlineSVG, normalizeCenterlineOptions } = require('./centerline.cjs');
+const { hashImage, cacheImages, readCachedImage, addResult, findCachedResult, getResult, resultFilePath } = require('./vectorizer-results.cjs');
+const { normalizePaletteEdits, parseLayerGroups, applyPaletteEdits, readLayerPaths, orderLayerGroups, renderLayerGroups } = require('./palette-edits.cjs');
+const { traceTileBoundaries, mergeTileChains, buildShapes } = require('./tile-merge.cjs');
+const { WorkerPool, normalizePoolSize, throwIfAborted } = require('./worker-pool.cjs');
+const { normalizeLayerMethodOptions, unionLayerPaths, abutLayers, overlapLayers } = require('./layer-methods.cjs');
 
 // Adobe Illustrator Image Trace - точная копия официального алгоритма CC 2024
 const ADOBE_SILKSCREEN_PRESET = {
@@ -56,12 +72,22 @@ const ADOBE_SILKSCREEN_PRESET = {
   }
 };
 
-// Только SVG формат для упрощения
+// Форматы вывода: PDF и EPS строятся из путей SVG (vector-export.cjs)
 const OUTPUT_FORMATS = {
   svg: {
     extension: '.svg',
     mimeType: 'image/svg+xml',
     description: 'Масштабируемая векторная графика'
+  },
+  pdf: {
+    extension: '.pdf',
+    mimeType: 'application/pdf',
+    description: 'Векторный PDF для печати'
+  },
+  eps: {
+    extension: '.eps',
+    mimeType: 'application/postscript',
+    description: 'Encapsulated PostScript для допечатной подготовки'
   }
 };
 
@@ -76,6 +102,11 @@ const CONTENT_TYPES = {
   }
 };
 
+// Белый фон при подборе спот-цветов: светлота Lab, насыщенность и допустимое ΔE до белого образца
+const SPOT_WHITE_LIGHTNESS = 97;
+const SPOT_WHITE_CHROMA = 3;
+const SPOT_WHITE_TOLERANCE = 3;
+
 // Директории для сохранения
 const outputDir = path.join(__dirname, 'output', 'vectorizer');
 
@@ -93,6 +124,73 @@ function generateId() {
   return crypto.randomBytes(8).toString('hex');
 }
 
+// Пул потоков для CPU-тяжелых этапов (K-means, маски, трассировка), чтобы крупное изображение
+// не останавливало Event Loop. Размер — VECTORIZER_WORKERS; 0 выполняет этапы в основном потоке
+const DEFAULT_WORKER_COUNT = Math.max(1, Math.min(4, os.cpus().length - 1));
+let workerPoolSize = normalizePoolSize(process.env.VECTORIZER_WORKERS, DEFAULT_WORKER_COUNT);
+let workerPool = null;
+
+/**
+ * Меняет размер пула потоков векторизации
+ *
+ * @param {{size: number}} options - число потоков; 0 отключает пул
+ * @returns {Object} состояние пула (getWorkerPoolStats)
+ */
+function configureWorkerPool({ size } = {}) {
+  workerPoolSize = normalizePoolSize(size, workerPoolSize);
+  if (workerPool && workerPoolSize === 0) {
+    workerPool.destroy();
+    workerPool = null;
+  } else if (workerPool) {
+    workerPool.resize(workerPoolSize);
+  }
+  console.log(`🧵 Пул потоков векторизации: ${workerPoolSize || 'отключен'}`);
+  return getWorkerPoolStats();
+}
+
+function getWorkerPoolStats() {
+  if (workerPoolSize === 0) {
+    return { enabled: false, size: 0, threads: 0, busy: 0, queued: 0 };
+  }
+  return {
+    enabled: true,
+    ...(workerPool ? workerPool.getStats() : { size: workerPoolSize, threads: 0, busy: 0, queued: 0 })
+  };
+}
+
+/**
+ * Выполняет этап из WORKER_STAGES в пуле потоков или, если пул отключен, в текущем потоке
+ * Отмененный сигнал останавливает обработку перед этапом, а в пуле — и во время него
+ *
+ * @param {string} stage - имя этапа
+ * @param {Array} args - аргументы функции этапа
+ * @param {AbortSignal} [signal] - отмена (клиент отключился)
+ */
+async function runStage(stage, args, signal) {
+  throwIfAborted(signal);
+  if (!isMainThread || workerPoolSize === 0) {
+    return WORKER_STAGES[stage](...args);
+  }
+  if (!workerPool) {
+    workerPool = new WorkerPool(path.join(__dirname, 'vectorizer-worker.cjs'), workerPoolSize);
+  }
+  return workerPool.run(stage, args, signal);
+}
+
+/**
+ * Детерминированный генератор (mulberry32) с зерном из содержимого данных:
+ * K-means дает одну палитру для одного изображения при любом запуске и в любом потоке
+ */
+function createSeededRandom(data) {
+  let seed = crypto.createHash('md5').update(data).digest().readUInt32LE(0);
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * ЭТАП 1: ПРЕДОБРАБОТКА - Adobe Illustrator алгоритм
  */
@@ -395,6 +493,7 @@ async function performKMeansSegmentation(imageBuffer, numColors) {
     
     // Ограничение для шелкографии
     numColors = Math.min(numColors, 5);
+    const random = createSeededRandom(data);
     
     // Adobe инициализация центроидов (улучшенный метод K-means++)
     const centroids = [];
@@ -416,7 +515,7 @@ async function performKMeansSegmentation(imageBuffer, numColors) {
     }
     
     // K-means++ инициализация для лучшего распределения центроидов
-    centroids.push(pixels[Math.floor(Math.random() * pixels.length)]);
+    centroids.push(pixels[Math.floor(random() * pixels.length)]);
     
     for (let c = 1; c < numColors; c++) {
       const distances = pixels.map(pixel => {
@@ -437,13 +536,13 @@ async function performKMeansSegmentation(imageBuffer, numColors) {
       // Защита от зацикливания при одинаковых пикселях
       if (totalDistance === 0) {
         // Добавляем случайный пиксель если все пиксели одинаковые
-        centroids.push({ ...pixels[Math.floor(Math.random() * pixels.length)] });
+        centroids.push({ ...pixels[Math.floor(random() * pixels.length)] });
       } else {
-        let random = Math.random() * totalDistance;
+        let target = random() * totalDistance;
         
         for (let i = 0; i < distances.length; i++) {
-          random -= distances[i];
-          if (random <= 0) {
+          target -= distances[i];
+          if (target <= 0) {
             centroids.push({ ...pixels[i] });
             break;
           }
@@ -516,7 +615,7 @@ async function performKMeansSegmentation(imageBuffer, numColors) {
           centroids[c].b = newB;
         } else {
           // Защита от пустых кластеров - переназначаем случайный пиксель
-          const randomPixel = pixels[Math.floor(Math.random() * pixels.length)];
+          const randomPixel = pixels[Math.floor(random() * pixels.length)];
           centroids[c].r = randomPixel.r;
           centroids[c].g = randomPixel.g;
           centroids[c].b = randomPixel.b;
@@ -1995,6 +2094,47 @@ function createLinearPath(points) {
  * Adobe Illustrator SVG generation pipeline
  */
 
+/**
+ * applySpotColors() - Подбор спот-цветов для групп контуров
+ * Каждой группе добавляется color.spot — ближайший цвет книги по CIEDE2000;
+ * при snap цвет группы заменяется цветом образца (исходный сохраняется в originalHex)
+ */
+function applySpotColors(contourGroups, spotLibrary) {
+  const report = [];
+
+  const groups = contourGroups.map(group => {
+    if (!group.color?.hex) return group;
+
+    const rgb = hexToRgb(group.color.hex);
+    const spot = matchSpotColor(rgb, spotLibrary.book, spotLibrary.swatches);
+
+    // Белый фон (бумага, ткань) не подбираем, если в книге нет близкого белого
+    const lab = rgbToLab(rgb);
+    if (lab.L >= SPOT_WHITE_LIGHTNESS && Math.hypot(lab.a, lab.b) < SPOT_WHITE_CHROMA && spot.deltaE > SPOT_WHITE_TOLERANCE) {
+      report.push({ hex: group.color.hex, spot: null, snapped: false, reason: 'white' });
+      return group;
+    }
+
+    const snapped = spotLibrary.snap;
+    report.push({ hex: group.color.hex, spot, snapped });
+
+    const color = snapped
+      ? { ...group.color, ...hexToRgb(spot.hex), hex: spot.hex.toLowerCase(), originalHex: group.color.hex, spot }
+      : { ...group.color, spot };
+    return { ...group, color };
+  });
+
+  console.log(`🎯 Спот-цвета (${spotLibrary.book.book}): ${report.map(item => item.spot ? `${item.hex}→${item.spot.name} ΔE ${item.spot.deltaE}` : `${item.hex} пропущен`).join(', ')}`);
+  return { groups, report };
+}
+
+/**
+ * Название спот-цвета в виде, допустимом для id слоя
+ */
+function spotLayerSlug(name) {
+  return name.replace(/[^\p{L}\p{N}_-]+/gu, '_').replace(/^_+|_+$/g, '');
+}
+
 /**
  * composeLayers() - Композиция слоев
  * Adobe Illustrator layer composition algorithm
@@ -2042,7 +2182,7 @@ async function composeLayers(vectorContours, colorPalette, imageInfo, settings =
         ...optimizedLayer,
         zIndex: layerIndex,
         color: contourGroup.color,
-        layerName: `Layer_${layerIndex + 1}_${contourGroup.color?.hex?.substring(1) || 'unknown'}`
+        layerName: `Layer_${layerIndex + 1}_${contourGroup.color?.spot ? spotLayerSlug(contourGroup.color.spot.name) : contourGroup.color?.hex?.substring(1) || 'unknown'}`
       });
     }
     
@@ -2227,11 +2367,10 @@ function simplifyPathForPrint(path, tolerance) {
 
 /**
  * removePathOverlaps() - Удаление перекрытий путей
+ * Пересекающиеся пути слоя объединяются булевой операцией (см. layer-methods.cjs)
  */
 function removePathOverlaps(paths) {
-  // Простая реализация - возвращаем исходные пути
-  // В полной версии здесь был бы алгоритм Boolean operations
-  return paths;
+  return unionLayerPaths(paths);
 }
 
 /**
@@ -2514,6 +2653,14 @@ function createLayerSVG(layer, options) {
   
   if (includeMetadata) {
     layerSVG += ` data-layer-index="${layer.layerIndex}" data-color="${layer.color?.hex}"`;
+
+    const spot = layer.color?.spot;
+    if (spot) {
+      layerSVG += ` data-spot-name="${escapeXmlAttribute(spot.name)}" data-spot-book="${escapeXmlAttribute(spot.book)}" data-spot-hex="${spot.hex}" data-spot-delta-e="${spot.deltaE}"`;
+      if (layer.color.originalHex) {
+        layerSVG += ` data-original-color="${layer.color.originalHex}"`;
+      }
+    }
   }
   
   layerSVG += '>\n';
@@ -2528,6 +2675,13 @@ function createLayerSVG(layer, options) {
   return layerSVG;
 }
 
+/**
+ * Экранирует значение атрибута XML
+ */
+function escapeXmlAttribute(value) {
+  return String(value).replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[char]);
+}
+
 /**
  * createPathSVG() - Создание SVG для пути
  */
@@ -2877,105 +3031,43 @@ function adaptiveQualitySettings(imageInfo, contentType = 'auto') {
 /**
  * methodSelection() - Выбор метода векторизации
  * Adobe Abutting/Overlapping method implementation
+ * Метод применяется ко всем слоям сразу: слои вырезаются друг из друга или перекрываются
  */
-function methodSelection(paths, method = 'abutting', settings = {}) {
-  console.log(`🔧 Adobe Method Selection: ${method} для ${paths.length} путей...`);
+function methodSelection(layers, method = 'abutting', settings = {}) {
+  console.log(`🔧 Adobe Method Selection: ${method} для ${layers.length} слоев...`);
   
   if (method === 'abutting') {
-    return processAbuttingMethod(paths, settings);
+    return processAbuttingMethod(layers, settings);
   } else if (method === 'overlapping') {
-    return processOverlappingMethod(paths, settings);
+    return processOverlappingMethod(layers, settings);
   }
   
-  return paths; // Fallback
+  return layers; // Fallback
 }
 
 /**
  * processAbuttingMethod() - Обработка методом Abutting
- * Пути касаются краями без перекрытий (Adobe стандарт для печати)
+ * Слои касаются краями без перекрытий: из нижних слоев вырезаны верхние (Adobe стандарт для печати)
  */
-function processAbuttingMethod(paths, settings = {}) {
-  const tolerance = settings.abuttingTolerance || 0.5;
-  const processedPaths = [];
-  
-  for (const path of paths) {
-    // Убираем микроперекрытия между соседними путями
-    const adjustedPath = adjustPathForAbutting(path, tolerance);
-    
-    if (adjustedPath) {
-      processedPaths.push({
-        ...adjustedPath,
-        method: 'abutting',
-        fillRule: 'evenodd'
-      });
-    }
-  }
+function processAbuttingMethod(layers, settings = {}) {
+  const processedLayers = abutLayers(layers);
   
-  console.log(`   🔧 Abutting: обработано ${processedPaths.length} путей`);
-  return processedPaths;
+  const pathCount = processedLayers.reduce((sum, layer) => sum + layer.paths.length, 0);
+  console.log(`   🔧 Abutting: ${pathCount} путей без перекрытия красок`);
+  return processedLayers;
 }
 
 /**
  * processOverlappingMethod() - Обработка методом Overlapping
- * Пути могут перекрываться для сложных форм
- */
-function processOverlappingMethod(paths, settings = {}) {
-  const overlapTolerance = settings.overlapTolerance || 1.0;
-  const processedPaths = [];
-  
-  for (const path of paths) {
-    // Разрешаем контролируемые перекрытия
-    const expandedPath = expandPathForOverlapping(path, overlapTolerance);
-    
-    if (expandedPath) {
-      processedPaths.push({
-        ...expandedPath,
-        method: 'overlapping',
-        fillRule: 'nonzero'
-      });
-    }
-  }
-  
-  console.log(`   🔧 Overlapping: обработано ${processedPaths.length} путей`);
-  return processedPaths;
-}
-
-/**
- * adjustPathForAbutting() - Корректировка пути для Abutting
- */
-function adjustPathForAbutting(path, tolerance) {
-  if (!path.d || path.d.length < 10) return path;
-  
-  // Простая корректировка - уменьшение на tolerance для избежания перекрытий
-  const adjustedD = path.d.replace(/(\d+\.?\d*)/g, (match) => {
-    const num = parseFloat(match);
-    return (num * (1 - tolerance * 0.001)).toFixed(3);
-  });
-  
-  return {
-    ...path,
-    d: adjustedD,
-    adjusted: true
-  };
-}
-
-/**
- * expandPathForOverlapping() - Расширение пути для Overlapping
+ * Полные фигуры стопкой, нижние слои заходят под верхние на ширину треппинга
  */
-function expandPathForOverlapping(path, tolerance) {
-  if (!path.d || path.d.length < 10) return path;
+function processOverlappingMethod(layers, settings = {}) {
+  const trapWidth = settings.trapWidth ?? 1;
+  const processedLayers = overlapLayers(layers, trapWidth);
   
-  // Простое расширение на tolerance для покрытия зазоров
-  const expandedD = path.d.replace(/(\d+\.?\d*)/g, (match) => {
-    const num = parseFloat(match);
-    return (num * (1 + tolerance * 0.001)).toFixed(3);
-  });
-  
-  return {
-    ...path,
-    d: expandedD,
-    expanded: true
-  };
+  const pathCount = processedLayers.reduce((sum, layer) => sum + layer.paths.length, 0);
+  console.log(`   🔧 Overlapping: ${pathCount} путей, треппинг ${trapWidth}px`);
+  return processedLayers;
 }
 
 /**
@@ -3025,6 +3117,19 @@ class TileProcessor {
     return this.tiles.find(tile => tile.id === id);
   }
   
+  /**
+   * Ядро tile — пиксели, которыми владеет только он (без перекрытия со следующими tiles)
+   */
+  getTileCore(tile) {
+    const step = this.tileSize - this.overlap;
+    return {
+      x0: tile.x,
+      y0: tile.y,
+      x1: Math.min(tile.x + step, this.width),
+      y1: Math.min(tile.y + step, this.height)
+    };
+  }
+  
   markTileProcessed(id, data) {
     this.processedTiles.set(id, data);
     const tile = this.getTile(id);
@@ -3459,8 +3564,9 @@ class AdvancedMemoryManager {
  * ProgressTracker - Отслеживание прогресса обработки
  */
 class ProgressTracker {
-  constructor(totalSteps = 5) {
+  constructor(totalSteps = 5, onUpdate = null) {
     this.totalSteps = totalSteps;
+    this.onUpdate = typeof onUpdate === 'function' ? onUpdate : null;
     this.currentStep = 0;
     this.stepNames = [
       'Предобработка',
@@ -3484,6 +3590,7 @@ class ProgressTracker {
     };
     
     console.log(`🚀 ЭТАП ${stepIndex + 1}: ${this.stepNames[stepIndex]}...`);
+    this.notify();
   }
   
   updateStepProgress(progress, details = '') {
@@ -3492,6 +3599,7 @@ class ProgressTracker {
       
       const elapsed = Date.now() - this.stepProgress[this.currentStep].started;
       console.log(`   📊 Прогресс: ${progress}% (${elapsed}ms) ${details}`);
+      this.notify(details);
     }
   }
   
@@ -3502,11 +3610,14 @@ class ProgressTracker {
       this.stepProgress[this.currentStep].completed = Date.now();
       
       console.log(`   ✅ ЭТАП ${this.currentStep + 1} завершен за ${elapsed}ms`);
+      this.notify();
     }
   }
   
   getOverallProgress() {
-    const completedSteps = Object.values(this.stepProgress).filter(s => s.progress === 100).length;
+    // Текущий этап учитывается только через currentProgress, иначе на 100% он считается дважды
+    const completedSteps = Object.entries(this.stepProgress)
+      .filter(([index, step]) => Number(index) !== this.currentStep && step.progress === 100).length;
     const currentProgress = this.stepProgress[this.currentStep]?.progress || 0;
     
     return {
@@ -3525,10 +3636,259 @@ class ProgressTracker {
     const totalEstimated = (progress.elapsedTime / progress.overallProgress) * 100;
     return Math.max(0, totalEstimated - progress.elapsedTime);
   }
+  
+  // Передает снимок прогресса подписчику (задания векторизации, SSE)
+  notify(details = '') {
+    if (!this.onUpdate) return;
+    
+    const remaining = this.getEstimatedTimeRemaining();
+    try {
+      this.onUpdate({
+        ...this.getOverallProgress(),
+        totalSteps: this.totalSteps,
+        details,
+        estimatedTimeRemaining: remaining === null ? null : Math.round(remaining)
+      });
+    } catch (error) {
+      console.error('Ошибка обработчика прогресса:', error.message);
+    }
+  }
+}
+
+// ================================================================
+// Этапы потоковой векторизации для пула потоков (см. runStage): без состояния
+// StreamVectorizer, поэтому результат в потоке и в основном потоке совпадает
+// ================================================================
+
+/**
+ * Каждый step-й пиксель по обеим осям — образцы для глобальной палитры
+ */
+function sampleStreamPixels(data, info, step = 4) {
+  const samplePixels = [];
+  
+  for (let y = 0; y < info.height; y += step) {
+    for (let x = 0; x < info.width; x += step) {
+      const idx = (y * info.width + x) * info.channels;
+      samplePixels.push({
+        r: data[idx],
+        g: data[idx + 1], 
+        b: data[idx + 2]
+      });
+    }
+  }
+  
+  console.log(`   🎨 Извлечено ${samplePixels.length} образцов пикселей`);
+  return samplePixels;
+}
+
+/**
+ * Глобальная палитра по raw-данным обработанного изображения; центроиды выбираются
+ * генератором с зерном из данных, поэтому палитра одного изображения всегда одинакова
+ */
+function buildStreamPalette(data, info, maxColors) {
+  return performStreamKMeans(sampleStreamPixels(data, info), maxColors, createSeededRandom(data));
+}
+
+/**
+ * K-means по образцам пикселей; random выбирает начальные центроиды
+ */
+function performStreamKMeans(samplePixels, maxColors, random = Math.random) {
+  console.log(`   🧮 K-means кластеризация на ${samplePixels.length} образцах для ${maxColors} цветов`);
+  
+  // Инициализация центроидов
+  const centroids = [];
+  for (let i = 0; i < maxColors; i++) {
+    const randomIndex = Math.floor(random() * samplePixels.length);
+    centroids.push({ ...samplePixels[randomIndex] });
+  }
+  
+  const maxIterations = 20;
+  let iteration = 0;
+  let converged = false;
+  
+  while (iteration < maxIterations && !converged) {
+    // Назначение пикселей к центроидам
+    const clusters = Array(maxColors).fill().map(() => []);
+    
+    for (const pixel of samplePixels) {
+      let minDistance = Infinity;
+      let closestCentroid = 0;
+      
+      for (let c = 0; c < centroids.length; c++) {
+        const distance = Math.sqrt(
+          Math.pow(pixel.r - centroids[c].r, 2) +
+          Math.pow(pixel.g - centroids[c].g, 2) +
+          Math.pow(pixel.b - centroids[c].b, 2)
+        );
+        
+        if (distance < minDistance) {
+          minDistance = distance;
+          closestCentroid = c;
+        }
+      }
+      
+      clusters[closestCentroid].push(pixel);
+    }
+    
+    // Обновление центроидов
+    let totalMovement = 0;
+    for (let c = 0; c < centroids.length; c++) {
+      if (clusters[c].length > 0) {
+        const oldCentroid = { ...centroids[c] };
+        
+        centroids[c].r = Math.round(clusters[c].reduce((sum, p) => sum + p.r, 0) / clusters[c].length);
+        centroids[c].g = Math.round(clusters[c].reduce((sum, p) => sum + p.g, 0) / clusters[c].length);
+        centroids[c].b = Math.round(clusters[c].reduce((sum, p) => sum + p.b, 0) / clusters[c].length);
+        
+        const movement = Math.sqrt(
+          Math.pow(centroids[c].r - oldCentroid.r, 2) +
+          Math.pow(centroids[c].g - oldCentroid.g, 2) +
+          Math.pow(centroids[c].b - oldCentroid.b, 2)
+        );
+        totalMovement += movement;
+      }
+    }
+    
+    console.log(`     📊 Итерация ${iteration + 1}: движение = ${totalMovement.toFixed(2)}`);
+    
+    if (totalMovement < 1.0) {
+      converged = true;
+      console.log(`     ✅ Конвергенция достигнута на итерации ${iteration + 1}`);
+    }
+    
+    iteration++;
+  }
+  
+  // Финальное назначение пикселей для подсчета
+  const finalClusters = Array(maxColors).fill().map(() => []);
+  for (const pixel of samplePixels) {
+    let minDistance = Infinity;
+    let closestCentroid = 0;
+    
+    for (let c = 0; c < centroids.length; c++) {
+      const distance = Math.sqrt(
+        Math.pow(pixel.r - centroids[c].r, 2) +
+        Math.pow(pixel.g - centroids[c].g, 2) +
+        Math.pow(pixel.b - centroids[c].b, 2)
+      );
+      
+      if (distance < minDistance) {
+        minDistance = distance;
+        closestCentroid = c;
+      }
+    }
+    
+    finalClusters[closestCentroid].push(pixel);
+  }
+  
+  // Конвертация в hex и подсчет
+  const colorPalette = centroids.map((centroid, index) => {
+    const hex = rgbToHex(centroid.r, centroid.g, centroid.b);
+    const count = finalClusters[index] ? finalClusters[index].length : 0;
+    
+    return {
+      hex,
+      r: centroid.r,
+      g: centroid.g,
+      b: centroid.b,
+      count
+    };
+  }).filter(color => color.count > 0);
+  
+  console.log(`   🎨 Финальная палитра из ${colorPalette.length} цветов:`);
+  colorPalette.forEach((color, i) => {
+    console.log(`      ${i + 1}. ${color.hex} (RGB: ${color.r}, ${color.g}, ${color.b}) - ${color.count} пикселей`);
+  });
+  
+  return colorPalette;
+}
+
+/**
+ * Маски цветов палитры для RGB-данных tile
+ *
+ * @returns {Object} hex -> {data, width, height, color, pixelCount}
+ */
+function createTileMasks(tileBuffer, width, height, colorPalette) {
+  const tileMasks = {};
+  const tolerance = 45; // Adobe стандарт
+  
+  // Создание маски для каждого цвета
+  for (let colorIndex = 0; colorIndex < colorPalette.length; colorIndex++) {
+    const color = colorPalette[colorIndex];
+    const maskData = new Uint8Array(width * height);
+    
+    // Заполнение маски
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pixelIndex = (y * width + x) * 3; // RGB
+        const maskIndex = y * width + x;
+        
+        if (pixelIndex + 2 < tileBuffer.length) {
+          const r = tileBuffer[pixelIndex];
+          const g = tileBuffer[pixelIndex + 1];
+          const b = tileBuffer[pixelIndex + 2];
+          
+          // Расчет расстояния до цвета палитры
+          const distance = Math.sqrt(
+            Math.pow(r - color.r, 2) +
+            Math.pow(g - color.g, 2) +
+            Math.pow(b - color.b, 2)
+          );
+          
+          maskData[maskIndex] = distance <= tolerance ? 255 : 0;
+        }
+      }
+    }
+    
+    tileMasks[color.hex] = {
+      data: maskData,
+      width,
+      height,
+      color: color,
+      pixelCount: maskData.filter(pixel => pixel === 255).length
+    };
+  }
+  
+  return tileMasks;
+}
+
+/**
+ * Границы масок в ядре tile (глобальные координаты): замкнутые контуры и цепочки до краев ядра
+ * Маски строятся по буферизованному tile, чтобы видеть соседние пиксели за краем ядра
+ *
+ * @param {Uint8Array} data - RGB буферизованного tile
+ * @param {{x, y, width, height}} bufferedTile - положение буферизованного tile в изображении
+ * @param {{x0, y0, x1, y1}} core - ядро tile (TileProcessor.getTileCore)
+ * @param {{width, height}} imageSize - размеры обработанного изображения
+ * @param {Array} colorPalette - глобальная палитра
+ * @param {string[]} colorHexes - цвета, пиксели которых есть в tile
+ * @returns {Object} hex -> {rings, chains}
+ */
+function traceTileContours(data, bufferedTile, core, imageSize, colorPalette, colorHexes) {
+  const tileContours = {};
+  const bufferedMasks = createTileMasks(data, bufferedTile.width, bufferedTile.height, colorPalette);
+  
+  for (const colorHex of colorHexes) {
+    const mask = bufferedMasks[colorHex].data;
+    const inside = (x, y) => {
+      const bx = x - bufferedTile.x;
+      const by = y - bufferedTile.y;
+      return bx >= 0 && by >= 0 && bx < bufferedTile.width && by < bufferedTile.height &&
+        mask[by * bufferedTile.width + bx] === 255;
+    };
+    
+    const traced = traceTileBoundaries(inside, core, imageSize);
+    if (traced.rings.length > 0 || traced.chains.length > 0) {
+      tileContours[colorHex] = traced;
+    }
+  }
+  
+  return tileContours;
 }
 
 /**
  * StreamVectorizer - Главный класс потоковой векторизации
+ * K-means, маски и контуры tiles считаются в пуле потоков; options.signal отменяет обработку
  */
 class StreamVectorizer {
   constructor(imageBuffer, options = {}) {
@@ -3538,11 +3898,12 @@ class StreamVectorizer {
       tileSize: 512,
       overlap: 32,
       maxMemoryMB: 150,
+      tolerance: 1.5,
       ...options
     };
     
     this.memoryManager = new AdvancedMemoryManager(this.options.maxMemoryMB);
-    this.progressTracker = new ProgressTracker(5);
+    this.progressTracker = new ProgressTracker(5, this.options.onProgress);
     this.globalColorPalette = null;
     this.tileProcessor = null;
   }
@@ -3693,26 +4054,10 @@ class StreamVectorizer {
       .raw()
       .toBuffer({ resolveWithObject: true });
     
-    const samplePixels = [];
-    const step = 4; // Каждый 4-й пиксель
-    
-    for (let y = 0; y < info.height; y += step) {
-      for (let x = 0; x < info.width; x += step) {
-        const idx = (y * info.width + x) * info.channels;
-        samplePixels.push({
-          r: data[idx],
-          g: data[idx + 1], 
-          b: data[idx + 2]
-        });
-      }
-    }
-    
-    console.log(`   🎨 Извлечено ${samplePixels.length} образцов пикселей`);
-    
     this.progressTracker.updateStepProgress(50, 'K-means кластеризация');
     
-    // K-means кластеризация на образцах
-    this.globalColorPalette = await this.performStreamKMeans(samplePixels, this.options.maxColors);
+    // Выборка и K-means кластеризация на образцах — в пуле потоков
+    this.globalColorPalette = await runStage('streamPalette', [data, info, this.options.maxColors], this.options.signal);
     
     this.progressTracker.updateStepProgress(100, `Палитра: ${this.globalColorPalette.length} цветов`);
     this.progressTracker.completeStep();
@@ -3722,15 +4067,11 @@ class StreamVectorizer {
     this.progressTracker.startStep(2, 'Создание масок по tiles');
     
     const sharp = require('sharp');
-    this.tileMasks = new Map();
+    const tiles = this.tileProcessor.tiles;
+    let completed = 0;
     
-    // Обработка каждого tile
-    for (let i = 0; i < this.tileProcessor.tiles.length; i++) {
-      const tile = this.tileProcessor.tiles[i];
-      const progress = Math.round(((i + 1) / this.tileProcessor.tiles.length) * 100);
-      
-      this.progressTracker.updateStepProgress(progress, `Tile ${i + 1}/${this.tileProcessor.tiles.length}`);
-      
+    // Маски tiles строятся параллельно в пуле потоков; порядок результатов совпадает с порядком tiles
+    const tileMasks = await Promise.all(tiles.map(async tile => {
       // Извлечение данных tile
       const tileBuffer = await sharp(this.processedBuffer)
         .extract({ 
@@ -3743,17 +4084,18 @@ class StreamVectorizer {
         .toBuffer();
       
       // Создание масок для каждого цвета в этом tile
-      const tileMasks = await this.createTileMasks(tileBuffer, tile, this.globalColorPalette);
-      this.tileMasks.set(tile.id, tileMasks);
+      const masks = await runStage('tileMasks', [tileBuffer, tile.width, tile.height, this.globalColorPalette], this.options.signal);
       
       // Очистка временных данных
       this.memoryManager.cleanup(tileBuffer);
       
-      // Принудительная очистка каждые 10 tiles
-      if ((i + 1) % 10 === 0) {
-        this.memoryManager.forceCleanup();
-      }
-    }
+      completed++;
+      this.progressTracker.updateStepProgress(Math.round((completed / tiles.length) * 100), `Tile ${completed}/${tiles.length}`);
+      return masks;
+    }));
+    
+    this.tileMasks = new Map(tiles.map((tile, i) => [tile.id, tileMasks[i]]));
+    this.memoryManager.forceCleanup();
     
     this.progressTracker.completeStep();
   }
@@ -3761,35 +4103,42 @@ class StreamVectorizer {
   async runVectorization() {
     this.progressTracker.startStep(3, 'Векторизация контуров по tiles');
     
-    this.tileContours = new Map();
     this.globalContours = [];
     
-    const totalTiles = this.tileProcessor.tiles.length;
+    const tiles = this.tileProcessor.tiles;
+    let completed = 0;
     
-    // Этап 1: Извлечение контуров по каждому tile
+    // Этап 1: Извлечение контуров по каждому tile (параллельно в пуле потоков)
     this.progressTracker.updateStepProgress(10, 'Подготовка буферизованных tiles');
     
-    for (let i = 0; i < totalTiles; i++) {
-      const tile = this.tileProcessor.tiles[i];
-      const progress = 10 + Math.round(((i + 1) / totalTiles) * 60); // 10-70%
-      
-      this.progressTracker.updateStepProgress(progress, `Контуры tile ${i + 1}/${totalTiles}`);
-      
+    const tileContours = await Promise.all(tiles.map(async tile => {
       // Создание буферизованного tile для правильного извлечения контуров на границах
       const bufferedTile = await this.createBufferedTile(tile);
       
-      // Извлечение контуров для каждого цвета в этом tile
-      const tileContours = await this.extractTileContours(bufferedTile, tile);
-      this.tileContours.set(tile.id, tileContours);
+      // Контуры только для цветов, которые есть в tile; без порога по площади — обрезки на краю нужны для сшивки
+      const colorHexes = Object.entries(this.tileMasks.get(tile.id) || {})
+        .filter(([, maskInfo]) => maskInfo.pixelCount > 0)
+        .map(([colorHex]) => colorHex);
+      const { x, y, width, height } = bufferedTile;
+      const contours = colorHexes.length === 0 ? {} : await runStage('tileContours', [
+        bufferedTile.data,
+        { x, y, width, height },
+        this.tileProcessor.getTileCore(tile),
+        this.finalImageInfo,
+        this.globalColorPalette,
+        colorHexes
+      ], this.options.signal);
       
       // Очистка временных данных
       this.memoryManager.cleanup(bufferedTile);
       
-      // Принудительная очистка каждые 15 tiles
-      if ((i + 1) % 15 === 0) {
-        this.memoryManager.forceCleanup();
-      }
-    }
+      completed++;
+      this.progressTracker.updateStepProgress(10 + Math.round((completed / tiles.length) * 60), `Контуры tile ${completed}/${tiles.length}`); // 10-70%
+      return contours;
+    }));
+    
+    this.tileContours = new Map(tiles.map((tile, i) => [tile.id, tileContours[i]]));
+    this.memoryManager.forceCleanup();
     
     // Этап 2: Сшивка контуров между tiles
     this.progressTracker.updateStepProgress(75, 'Сшивка контуров между tiles');
@@ -3843,198 +4192,33 @@ class StreamVectorizer {
     };
   }
   
-  // Вспомогательные методы для потоковой обработки
+  // Методы для ЭТАПА 3: Векторизация контуров
   
-  async performStreamKMeans(samplePixels, maxColors) {
-    console.log(`   🧮 K-means кластеризация на ${samplePixels.length} образцах для ${maxColors} цветов`);
+  async createBufferedTile(tile) {
+    const sharp = require('sharp');
+    const bufferSize = this.options.overlap || 32;
     
-    // Инициализация центроидов
-    const centroids = [];
-    for (let i = 0; i < maxColors; i++) {
-      const randomIndex = Math.floor(Math.random() * samplePixels.length);
-      centroids.push({ ...samplePixels[randomIndex] });
-    }
+    // Расширенные границы с учетом буфера
+    const bufferedX = Math.max(0, tile.x - bufferSize);
+    const bufferedY = Math.max(0, tile.y - bufferSize);
+    const bufferedWidth = Math.min(
+      tile.width + 2 * bufferSize,
+      this.finalImageInfo.width - bufferedX
+    );
+    const bufferedHeight = Math.min(
+      tile.height + 2 * bufferSize,
+      this.finalImageInfo.height - bufferedY
+    );
     
-    const maxIterations = 20;
-    let iteration = 0;
-    let converged = false;
-    
-    while (iteration < maxIterations && !converged) {
-      // Назначение пикселей к центроидам
-      const clusters = Array(maxColors).fill().map(() => []);
-      
-      for (const pixel of samplePixels) {
-        let minDistance = Infinity;
-        let closestCentroid = 0;
-        
-        for (let c = 0; c < centroids.length; c++) {
-          const distance = Math.sqrt(
-            Math.pow(pixel.r - centroids[c].r, 2) +
-            Math.pow(pixel.g - centroids[c].g, 2) +
-            Math.pow(pixel.b - centroids[c].b, 2)
-          );
-          
-          if (distance < minDistance) {
-            minDistance = distance;
-            closestCentroid = c;
-          }
-        }
-        
-        clusters[closestCentroid].push(pixel);
-      }
-      
-      // Обновление центроидов
-      let totalMovement = 0;
-      for (let c = 0; c < centroids.length; c++) {
-        if (clusters[c].length > 0) {
-          const oldCentroid = { ...centroids[c] };
-          
-          centroids[c].r = Math.round(clusters[c].reduce((sum, p) => sum + p.r, 0) / clusters[c].length);
-          centroids[c].g = Math.round(clusters[c].reduce((sum, p) => sum + p.g, 0) / clusters[c].length);
-          centroids[c].b = Math.round(clusters[c].reduce((sum, p) => sum + p.b, 0) / clusters[c].length);
-          
-          const movement = Math.sqrt(
-            Math.pow(centroids[c].r - oldCentroid.r, 2) +
-            Math.pow(centroids[c].g - oldCentroid.g, 2) +
-            Math.pow(centroids[c].b - oldCentroid.b, 2)
-          );
-          totalMovement += movement;
-        }
-      }
-      
-      console.log(`     📊 Итерация ${iteration + 1}: движение = ${totalMovement.toFixed(2)}`);
-      
-      if (totalMovement < 1.0) {
-        converged = true;
-        console.log(`     ✅ Конвергенция достигнута на итерации ${iteration + 1}`);
-      }
-      
-      iteration++;
-    }
-    
-    // Финальное назначение пикселей для подсчета
-    const finalClusters = Array(maxColors).fill().map(() => []);
-    for (const pixel of samplePixels) {
-      let minDistance = Infinity;
-      let closestCentroid = 0;
-      
-      for (let c = 0; c < centroids.length; c++) {
-        const distance = Math.sqrt(
-          Math.pow(pixel.r - centroids[c].r, 2) +
-          Math.pow(pixel.g - centroids[c].g, 2) +
-          Math.pow(pixel.b - centroids[c].b, 2)
-        );
-        
-        if (distance < minDistance) {
-          minDistance = distance;
-          closestCentroid = c;
-        }
-      }
-      
-      finalClusters[closestCentroid].push(pixel);
-    }
-    
-    // Конвертация в hex и подсчет
-    const colorPalette = centroids.map((centroid, index) => {
-      const hex = this.rgbToHex(centroid.r, centroid.g, centroid.b);
-      const count = finalClusters[index] ? finalClusters[index].length : 0;
-      
-      return {
-        hex,
-        r: centroid.r,
-        g: centroid.g,
-        b: centroid.b,
-        count
-      };
-    }).filter(color => color.count > 0);
-    
-    console.log(`   🎨 Финальная палитра из ${colorPalette.length} цветов:`);
-    colorPalette.forEach((color, i) => {
-      console.log(`      ${i + 1}. ${color.hex} (RGB: ${color.r}, ${color.g}, ${color.b}) - ${color.count} пикселей`);
-    });
-    
-    return colorPalette;
-  }
-  
-  async createTileMasks(tileBuffer, tile, colorPalette) {
-    const tileMasks = {};
-    const tolerance = 45; // Adobe стандарт
-    
-    // Создание маски для каждого цвета
-    for (let colorIndex = 0; colorIndex < colorPalette.length; colorIndex++) {
-      const color = colorPalette[colorIndex];
-      const maskData = this.memoryManager.allocateArray(tile.width * tile.height, 'Uint8Array');
-      
-      // Заполнение маски
-      for (let y = 0; y < tile.height; y++) {
-        for (let x = 0; x < tile.width; x++) {
-          const pixelIndex = (y * tile.width + x) * 3; // RGB
-          const maskIndex = y * tile.width + x;
-          
-          if (pixelIndex + 2 < tileBuffer.length) {
-            const r = tileBuffer[pixelIndex];
-            const g = tileBuffer[pixelIndex + 1];
-            const b = tileBuffer[pixelIndex + 2];
-            
-            // Расчет расстояния до цвета палитры
-            const distance = Math.sqrt(
-              Math.pow(r - color.r, 2) +
-              Math.pow(g - color.g, 2) +
-              Math.pow(b - color.b, 2)
-            );
-            
-            maskData[maskIndex] = distance <= tolerance ? 255 : 0;
-          }
-        }
-      }
-      
-      tileMasks[color.hex] = {
-        data: maskData,
-        width: tile.width,
-        height: tile.height,
-        color: color,
-        pixelCount: maskData.filter(pixel => pixel === 255).length
-      };
-    }
-    
-    return tileMasks;
-  }
-  
-  rgbToHex(r, g, b) {
-    const toHex = (c) => {
-      const hex = Math.max(0, Math.min(255, Math.round(c))).toString(16);
-      return hex.length === 1 ? '0' + hex : hex;
-    };
-    return '#' + toHex(r) + toHex(g) + toHex(b);
-  }
-  
-  // Методы для ЭТАПА 3: Векторизация контуров
-  
-  async createBufferedTile(tile) {
-    const sharp = require('sharp');
-    const bufferSize = this.options.overlap || 32;
-    
-    // Расширенные границы с учетом буфера
-    const bufferedX = Math.max(0, tile.x - bufferSize);
-    const bufferedY = Math.max(0, tile.y - bufferSize);
-    const bufferedWidth = Math.min(
-      tile.width + 2 * bufferSize,
-      this.finalImageInfo.width - bufferedX
-    );
-    const bufferedHeight = Math.min(
-      tile.height + 2 * bufferSize,
-      this.finalImageInfo.height - bufferedY
-    );
-    
-    const bufferedData = await sharp(this.processedBuffer)
-      .extract({
-        left: bufferedX,
-        top: bufferedY,
-        width: bufferedWidth,
-        height: bufferedHeight
-      })
-      .raw()
-      .toBuffer();
+    const bufferedData = await sharp(this.processedBuffer)
+      .extract({
+        left: bufferedX,
+        top: bufferedY,
+        width: bufferedWidth,
+        height: bufferedHeight
+      })
+      .raw()
+      .toBuffer();
     
     return {
       data: bufferedData,
@@ -4047,170 +4231,6 @@ class StreamVectorizer {
     };
   }
   
-  async extractTileContours(bufferedTile, originalTile) {
-    const tileContours = {};
-    
-    // Получение масок для этого tile
-    const tileMasks = this.tileMasks.get(originalTile.id);
-    if (!tileMasks) return tileContours;
-    
-    // Извлечение контуров для каждого цвета
-    for (const [colorHex, maskInfo] of Object.entries(tileMasks)) {
-      if (maskInfo.pixelCount > 10) { // Минимальный порог
-        const contours = await this.findContoursInMask(maskInfo, bufferedTile, colorHex);
-        if (contours.length > 0) {
-          tileContours[colorHex] = contours;
-        }
-      }
-    }
-    
-    return tileContours;
-  }
-  
-  async findContoursInMask(maskInfo, bufferedTile, colorHex) {
-    const contours = [];
-    const mask = maskInfo.data;
-    const width = maskInfo.width;
-    const height = maskInfo.height;
-    
-    // Создание копии маски для модификации
-    const processedMask = this.memoryManager.allocateArray(mask.length, 'Uint8Array');
-    processedMask.set(mask);
-    
-    // Marching Squares алгоритм для извлечения контуров
-    const visited = this.memoryManager.allocateArray(width * height, 'Uint8Array');
-    
-    for (let y = 0; y < height - 1; y++) {
-      for (let x = 0; x < width - 1; x++) {
-        const idx = y * width + x;
-        
-        if (processedMask[idx] === 255 && !visited[idx]) {
-          const contour = this.traceContourMarchingSquares(
-            processedMask, visited, x, y, width, height
-          );
-          
-          if (contour.length >= 6) { // Минимум 3 точки (x,y пары)
-            // Применение оптимизации контура
-            const optimizedContour = this.optimizeContour(contour);
-            
-            contours.push({
-              points: optimizedContour,
-              color: colorHex,
-              area: this.calculateContourArea(optimizedContour),
-              bounds: this.calculateContourBounds(optimizedContour)
-            });
-          }
-        }
-      }
-    }
-    
-    this.memoryManager.cleanup(processedMask);
-    this.memoryManager.cleanup(visited);
-    
-    return contours;
-  }
-  
-  traceContourMarchingSquares(mask, visited, startX, startY, width, height) {
-    const contour = [];
-    let x = startX;
-    let y = startY;
-    let direction = 0; // 0=right, 1=down, 2=left, 3=up
-    
-    const dx = [1, 0, -1, 0];
-    const dy = [0, 1, 0, -1];
-    
-    do {
-      const idx = y * width + x;
-      visited[idx] = 1;
-      contour.push(x, y);
-      
-      // Поиск следующего пикселя по контуру
-      let found = false;
-      for (let i = 0; i < 4; i++) {
-        const newDirection = (direction + i) % 4;
-        const newX = x + dx[newDirection];
-        const newY = y + dy[newDirection];
-        
-        if (newX >= 0 && newX < width && newY >= 0 && newY < height) {
-          const newIdx = newY * width + newX;
-          if (mask[newIdx] === 255 && !visited[newIdx]) {
-            x = newX;
-            y = newY;
-            direction = newDirection;
-            found = true;
-            break;
-          }
-        }
-      }
-      
-      if (!found) break;
-      
-      // Защита от бесконечного цикла
-      if (contour.length > width * height * 2) break;
-      
-    } while (!(x === startX && y === startY) && contour.length < 10000);
-    
-    return contour;
-  }
-  
-  optimizeContour(contour) {
-    if (contour.length < 6) return contour;
-    
-    const optimized = [];
-    const tolerance = 1.5; // Douglas-Peucker tolerance
-    
-    // Применение Douglas-Peucker упрощения
-    const points = [];
-    for (let i = 0; i < contour.length; i += 2) {
-      points.push({ x: contour[i], y: contour[i + 1] });
-    }
-    
-    const simplified = this.douglasPeucker(points, tolerance);
-    
-    // Конвертация обратно в плоский массив
-    for (const point of simplified) {
-      optimized.push(point.x, point.y);
-    }
-    
-    return optimized;
-  }
-  
-  douglasPeucker(points, tolerance) {
-    if (points.length <= 2) return points;
-    
-    // Найти точку с максимальным расстоянием от линии
-    let maxDistance = 0;
-    let maxIndex = 0;
-    const start = points[0];
-    const end = points[points.length - 1];
-    
-    for (let i = 1; i < points.length - 1; i++) {
-      const distance = this.pointToLineDistance(points[i], start, end);
-      if (distance > maxDistance) {
-        maxDistance = distance;
-        maxIndex = i;
-      }
-    }
-    
-    // Если максимальное расстояние больше tolerance, рекурсивно упростить
-    if (maxDistance > tolerance) {
-      const leftPart = this.douglasPeucker(points.slice(0, maxIndex + 1), tolerance);
-      const rightPart = this.douglasPeucker(points.slice(maxIndex), tolerance);
-      
-      return leftPart.slice(0, -1).concat(rightPart);
-    } else {
-      return [start, end];
-    }
-  }
-  
-  pointToLineDistance(point, lineStart, lineEnd) {
-    const A = lineEnd.y - lineStart.y;
-    const B = lineStart.x - lineEnd.x;
-    const C = lineEnd.x * lineStart.y - lineStart.x * lineEnd.y;
-    
-    return Math.abs(A * point.x + B * point.y + C) / Math.sqrt(A * A + B * B);
-  }
-  
   calculateContourArea(contour) {
     let area = 0;
     for (let i = 0; i < contour.length; i += 2) {
@@ -4239,143 +4259,43 @@ class StreamVectorizer {
   
   // Методы сшивки контуров между tiles
   
+  /**
+   * Объединение полигонов одного цвета из всех tiles: цепочки сшиваются по общим вершинам на швах,
+   * дыры относятся к своим фигурам, контуры упрощаются уже после сборки — швов и дублей на стыках нет
+   */
   async stitchTileContours() {
     console.log('   🧵 Начало сшивки контуров между tiles');
     
-    // Группировка контуров по цветам
+    // Группировка контуров и цепочек по цветам
     const colorGroups = {};
     
-    for (const [tileId, tileContours] of this.tileContours) {
-      for (const [colorHex, contours] of Object.entries(tileContours)) {
+    for (const tileContours of this.tileContours.values()) {
+      for (const [colorHex, traced] of Object.entries(tileContours)) {
         if (!colorGroups[colorHex]) {
-          colorGroups[colorHex] = [];
+          colorGroups[colorHex] = { rings: [], chains: [] };
         }
         
-        for (const contour of contours) {
-          contour.tileId = tileId;
-          colorGroups[colorHex].push(contour);
-        }
+        colorGroups[colorHex].rings.push(...traced.rings);
+        colorGroups[colorHex].chains.push(...traced.chains);
       }
     }
     
     // Сшивка контуров для каждого цвета
-    for (const [colorHex, contours] of Object.entries(colorGroups)) {
-      const stitchedContours = await this.stitchContoursForColor(contours, colorHex);
+    for (const [colorHex, group] of Object.entries(colorGroups)) {
+      const rings = group.rings.concat(mergeTileChains(group.chains));
       
-      for (const contour of stitchedContours) {
+      for (const shape of buildShapes(rings, this.options.tolerance)) {
         this.globalContours.push({
-          ...contour,
+          ...shape,
           color: colorHex
         });
       }
     }
     
+    this.tileContours.clear();
     console.log(`   🧵 Сшивка завершена: ${this.globalContours.length} глобальных контуров`);
   }
   
-  async stitchContoursForColor(contours, colorHex) {
-    if (contours.length === 0) return [];
-    
-    const stitched = [];
-    const processed = new Set();
-    const connectionThreshold = 5.0; // Максимальное расстояние для соединения
-    
-    for (let i = 0; i < contours.length; i++) {
-      if (processed.has(i)) continue;
-      
-      let currentContour = { ...contours[i] };
-      processed.add(i);
-      
-      // Поиск соседних контуров для соединения
-      let foundConnection = true;
-      while (foundConnection) {
-        foundConnection = false;
-        
-        for (let j = 0; j < contours.length; j++) {
-          if (processed.has(j)) continue;
-          
-          const candidate = contours[j];
-          const connection = this.findContourConnection(currentContour, candidate, connectionThreshold);
-          
-          if (connection) {
-            currentContour = this.mergeContours(currentContour, candidate, connection);
-            processed.add(j);
-            foundConnection = true;
-            break;
-          }
-        }
-      }
-      
-      // Оптимизация объединенного контура
-      currentContour.points = this.optimizeContour(currentContour.points);
-      currentContour.area = this.calculateContourArea(currentContour.points);
-      currentContour.bounds = this.calculateContourBounds(currentContour.points);
-      
-      stitched.push(currentContour);
-    }
-    
-    return stitched;
-  }
-  
-  findContourConnection(contour1, contour2, threshold) {
-    const points1 = contour1.points;
-    const points2 = contour2.points;
-    
-    // Проверка всех возможных соединений концов контуров
-    const connections = [
-      { type: 'start-start', dist: this.pointDistance(points1[0], points1[1], points2[0], points2[1]) },
-      { type: 'start-end', dist: this.pointDistance(points1[0], points1[1], points2[points2.length-2], points2[points2.length-1]) },
-      { type: 'end-start', dist: this.pointDistance(points1[points1.length-2], points1[points1.length-1], points2[0], points2[1]) },
-      { type: 'end-end', dist: this.pointDistance(points1[points1.length-2], points1[points1.length-1], points2[points2.length-2], points2[points2.length-1]) }
-    ];
-    
-    // Найти ближайшее соединение
-    const closest = connections.reduce((min, current) => 
-      current.dist < min.dist ? current : min
-    );
-    
-    return closest.dist <= threshold ? closest : null;
-  }
-  
-  mergeContours(contour1, contour2, connection) {
-    const points1 = [...contour1.points];
-    const points2 = [...contour2.points];
-    let mergedPoints = [];
-    
-    switch (connection.type) {
-      case 'start-start':
-        // Развернуть первый контур и соединить с началом второго
-        mergedPoints = points1.reverse().concat(points2);
-        break;
-        
-      case 'start-end':
-        // Соединить конец второго с началом первого
-        mergedPoints = points2.concat(points1);
-        break;
-        
-      case 'end-start':
-        // Обычное соединение: конец первого к началу второго
-        mergedPoints = points1.concat(points2);
-        break;
-        
-      case 'end-end':
-        // Соединить конец первого с развернутым вторым
-        mergedPoints = points1.concat(points2.reverse());
-        break;
-    }
-    
-    return {
-      points: mergedPoints,
-      color: contour1.color,
-      area: 0, // Будет пересчитано
-      bounds: null // Будет пересчитано
-    };
-  }
-  
-  pointDistance(x1, y1, x2, y2) {
-    return Math.sqrt((x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1));
-  }
-  
   // Методы оптимизации векторных путей
   
   async optimizeVectorPaths() {
@@ -4383,24 +4303,15 @@ class StreamVectorizer {
     
     const optimizedContours = [];
     
+    // Контуры уже упрощены при сшивке; сглаживание по отдельным tiles снова дало бы швы
     for (const contour of this.globalContours) {
       // Пропустить слишком маленькие контуры
       if (contour.area < 25) continue;
       
-      // Применение Безье-аппроксимации
-      const bezierPath = this.approximateWithBezier(contour.points);
-      
-      // Сглаживание острых углов
-      const smoothedPath = this.smoothSharpCorners(bezierPath);
-      
-      // Оптимизация количества точек
-      const optimizedPath = this.optimizePathPoints(smoothedPath);
-      
       optimizedContours.push({
         ...contour,
-        bezierPath: optimizedPath,
-        pathLength: this.calculatePathLength(optimizedPath),
-        complexity: this.calculatePathComplexity(optimizedPath)
+        pathLength: this.calculatePathLength(contour.points),
+        complexity: this.calculatePathComplexity(contour.points)
       });
     }
     
@@ -4409,115 +4320,6 @@ class StreamVectorizer {
     console.log(`   ⚡ Оптимизация завершена: ${this.globalContours.length} оптимизированных путей`);
   }
   
-  approximateWithBezier(points) {
-    if (points.length < 6) return points;
-    
-    const bezierPath = [];
-    const segmentSize = 8; // Точек на сегмент
-    
-    for (let i = 0; i < points.length - segmentSize; i += segmentSize) {
-      const segment = points.slice(i, i + segmentSize + 2);
-      const bezierSegment = this.fitBezierToSegment(segment);
-      bezierPath.push(...bezierSegment);
-    }
-    
-    return bezierPath;
-  }
-  
-  fitBezierToSegment(segment) {
-    if (segment.length < 6) return segment;
-    
-    // Простая Безье-аппроксимация для сегмента
-    const startX = segment[0];
-    const startY = segment[1];
-    const endX = segment[segment.length - 2];
-    const endY = segment[segment.length - 1];
-    
-    // Вычисление контрольных точек
-    const midIndex = Math.floor(segment.length / 4) * 2;
-    const cp1X = segment[midIndex];
-    const cp1Y = segment[midIndex + 1];
-    const cp2X = segment[segment.length - midIndex - 2];
-    const cp2Y = segment[segment.length - midIndex - 1];
-    
-    return [startX, startY, cp1X, cp1Y, cp2X, cp2Y, endX, endY];
-  }
-  
-  smoothSharpCorners(path) {
-    if (path.length < 12) return path;
-    
-    const smoothed = [...path];
-    const smoothingRadius = 2.0;
-    
-    // Обнаружение и сглаживание острых углов
-    for (let i = 4; i < path.length - 4; i += 2) {
-      const prevX = path[i - 2];
-      const prevY = path[i - 1];
-      const currX = path[i];
-      const currY = path[i + 1];
-      const nextX = path[i + 2];
-      const nextY = path[i + 3];
-      
-      const angle = this.calculateAngle(prevX, prevY, currX, currY, nextX, nextY);
-      
-      if (angle < Math.PI / 3) { // Острый угол < 60 градусов
-        // Применить сглаживание
-        smoothed[i] = currX + (prevX + nextX - 2 * currX) * 0.3;
-        smoothed[i + 1] = currY + (prevY + nextY - 2 * currY) * 0.3;
-      }
-    }
-    
-    return smoothed;
-  }
-  
-  calculateAngle(x1, y1, x2, y2, x3, y3) {
-    const v1x = x1 - x2;
-    const v1y = y1 - y2;
-    const v2x = x3 - x2;
-    const v2y = y3 - y2;
-    
-    const dot = v1x * v2x + v1y * v2y;
-    const mag1 = Math.sqrt(v1x * v1x + v1y * v1y);
-    const mag2 = Math.sqrt(v2x * v2x + v2y * v2y);
-    
-    if (mag1 === 0 || mag2 === 0) return Math.PI;
-    
-    const cosAngle = dot / (mag1 * mag2);
-    return Math.acos(Math.max(-1, Math.min(1, cosAngle)));
-  }
-  
-  optimizePathPoints(path) {
-    // Удаление избыточных точек при сохранении формы
-    const optimized = [];
-    const tolerance = 1.0;
-    
-    for (let i = 0; i < path.length; i += 2) {
-      if (i === 0 || i === path.length - 2) {
-        // Всегда сохранять первую и последнюю точки
-        optimized.push(path[i], path[i + 1]);
-      } else if (i < path.length - 4) {
-        const prevX = optimized[optimized.length - 2];
-        const prevY = optimized[optimized.length - 1];
-        const currX = path[i];
-        const currY = path[i + 1];
-        const nextX = path[i + 2];
-        const nextY = path[i + 3];
-        
-        const distance = this.pointToLineDistance(
-          { x: currX, y: currY },
-          { x: prevX, y: prevY },
-          { x: nextX, y: nextY }
-        );
-        
-        if (distance > tolerance) {
-          optimized.push(currX, currY);
-        }
-      }
-    }
-    
-    return optimized;
-  }
-  
   calculatePathLength(path) {
     let length = 0;
     for (let i = 2; i < path.length; i += 2) {
@@ -4606,27 +4408,17 @@ class StreamVectorizer {
   }
   
   contourToSVGPath(contour) {
-    const points = contour.bezierPath || contour.points;
-    if (!points || points.length < 6) return null;
+    if (!contour.points || contour.points.length < 6) return null;
     
-    let pathData = `M ${points[0].toFixed(2)} ${points[1].toFixed(2)}`;
-    
-    // Использование кубических Безье кривых если доступны
-    if (contour.bezierPath && points.length >= 8) {
-      for (let i = 2; i < points.length - 6; i += 8) {
-        pathData += ` C ${points[i].toFixed(2)} ${points[i+1].toFixed(2)},`;
-        pathData += `${points[i+2].toFixed(2)} ${points[i+3].toFixed(2)},`;
-        pathData += `${points[i+6].toFixed(2)} ${points[i+7].toFixed(2)}`;
-      }
-    } else {
-      // Простые линии для обычных контуров
+    // Внешний контур и дыры — подпути одного пути (слой рисуется с fill-rule="evenodd")
+    const rings = [contour.points, ...(contour.holes || [])];
+    return rings.map(points => {
+      let pathData = `M ${points[0]} ${points[1]}`;
       for (let i = 2; i < points.length; i += 2) {
-        pathData += ` L ${points[i].toFixed(2)} ${points[i+1].toFixed(2)}`;
+        pathData += ` L ${points[i]} ${points[i + 1]}`;
       }
-    }
-    
-    pathData += ' Z';
-    return pathData;
+      return pathData + ' Z';
+    }).join(' ');
   }
   
   async mergeAdjacentPaths() {
@@ -4958,36 +4750,121 @@ function optimizeColorsForSilkscreen(colors, settings) {
   return optimizedColors;
 }
 
+// Параметры вывода SVG шелкографии (generateSVG и пересборка палитры)
+const SILKSCREEN_SVG_SETTINGS = {
+  includeLayerMetadata: true,
+  removeComments: false,
+  minimizeWhitespace: true,
+  roundNumbers: true
+};
+
+/**
+ * ЭТАП 4.1–4.3: маски цветов → контуры → оптимизированные пути → кривые Безье
+ */
+async function traceSilkscreenMasks(refinedMasks) {
+  // 4.1 Трассировка контуров
+  const contours = await traceContours(refinedMasks, {
+    turnPolicy: 'minority',
+    turdSize: 2,
+    alphaMax: 1.0
+  });
+  
+  // 4.2 Оптимизация путей
+  const optimizedContours = await optimizePaths(contours, {
+    simplifyTolerance: 1.5,
+    mergeThreshold: 2.0,
+    smoothingFactor: 0.5
+  });
+  
+  // 4.3 Аппроксимация кривыми Безье
+  return fitCurves(optimizedContours, {
+    errorThreshold: 2.0,
+    maxIterations: 4,
+    cornerThreshold: Math.PI / 3
+  });
+}
+
+/**
+ * ЭТАП 5.1–5.4: композиция слоев, объединение путей и выбор метода (Abutting/Overlapping)
+ * layerOptions: layerMethod (auto — по типу изображения) и trapWidth, см. layer-methods.cjs
+ */
+async function assembleSilkscreenLayers(layerContours, colorPalette, processedInfo, layerOptions = {}) {
+  // 5.1 Композиция слоев
+  const composedLayers = await composeLayers(layerContours, colorPalette, processedInfo, {
+    layerOrder: 'darkToLight',
+    blendMode: 'normal',
+    opacity: 1.0,
+    maxPathsPerLayer: 1000
+  });
+  
+  // 5.2 Объединение путей
+  const mergedLayers = await mergePaths(composedLayers, {
+    mergeStrategy: 'byColor',
+    mergeTolerance: 1.0,
+    preserveDetails: true,
+    minPathLength: 3,
+    maxComplexity: 500
+  });
+  
+  // 5.3 Применение адаптивных настроек качества
+  const qualitySettings = adaptiveQualitySettings(processedInfo, 'auto');
+  
+  // 5.4 Выбор метода векторизации (Abutting/Overlapping)
+  const { layerMethod, trapWidth } = normalizeLayerMethodOptions(layerOptions);
+  const method = layerMethod === 'auto' ? qualitySettings.method : layerMethod;
+  const layers = methodSelection(mergedLayers.layers, method, { trapWidth });
+  return {
+    ...mergedLayers,
+    method,
+    layers,
+    totalPaths: layers.reduce((sum, layer) => sum + layer.paths.length, 0)
+  };
+}
+
 /**
  * Adobe Illustrator-совместимая векторизация для шелкографии
+ * options.signal отменяет обработку (например, при отключении клиента)
  */
 async function silkscreenVectorize(imageBuffer, options = {}) {
-  const { outputFormat = 'svg', maxFileSize = 20 * 1024 * 1024 } = options;
+  const { outputFormat = 'svg', maxFileSize = 20 * 1024 * 1024, signal } = options;
   
   try {
     console.log(`🎨 Adobe Illustrator Image Trace режим (ограниченные цвета)`);
     
     const settings = { ...ADOBE_SILKSCREEN_PRESET.settings };
+
+    // Библиотека спот-цветов и метод наложения слоев разбираются до обработки, чтобы ошибки параметров всплыли сразу
+    const spotLibrary = resolveSpotOptions(options);
+    const layerOptions = normalizeLayerMethodOptions(options);
+    const tracker = new ProgressTracker(5, options.onProgress);
     
-    // ЭТАП 1: Предобработка изображения
-    const processedBuffer = await preprocessImageForAdobe(imageBuffer, settings);
-    
-    // ЭТАП 2: Цветовая сегментация
-    console.log(`🎨 ЭТАП 2: Выполнение цветовой сегментации...`);
-    const colorPalette = await performKMeansSegmentation(processedBuffer, settings.maxColors);
+    // ЭТАП 1: Предобработка изображения (vectorizeImage передает готовую из кэша каталога)
+    tracker.startStep(0);
+    const processedBuffer = options.preprocessedImage || await preprocessImageForAdobe(imageBuffer, settings);
+    const sharp = require('sharp');
+    const processedInfo = await sharp(processedBuffer).metadata();
+    tracker.completeStep();
+
+    // ЭТАП 2: Цветовая сегментация (этапы 2–4 выполняются в пуле потоков, см. runStage)
+    tracker.startStep(1);
+    const colorPalette = await runStage('kmeansSegmentation', [processedBuffer, settings.maxColors], signal);
     console.log(`🎯 Получена палитра из ${colorPalette.length} цветов`);
+    tracker.completeStep();
     
     // ЭТАП 3: Создание масок
-    console.log(`🎭 ЭТАП 3: Создание цветовых масок...`);
-    const colorMasks = await createColorMasks(processedBuffer, colorPalette, settings);
+    tracker.startStep(2);
+    const colorMasks = await runStage('colorMasks', [processedBuffer, colorPalette, settings], signal);
     
     // Дополнительное создание бинарных масок для контраста
-    const binaryMasks = await createBinaryMasks(processedBuffer, settings.threshold || 128, settings);
+    tracker.updateStepProgress(40, `${colorMasks.length} цветовых масок`);
+    const binaryMasks = await runStage('binaryMasks', [processedBuffer, settings.threshold || 128, settings], signal);
     
     // Рафинирование всех масок
-    const refinedColorMasks = await refineMasks(colorMasks, { kernelSize: 3, iterations: 1 });
+    tracker.updateStepProgress(70, 'Рафинирование масок');
+    const refinedColorMasks = await runStage('refineMasks', [colorMasks, { kernelSize: 3, iterations: 1 }], signal);
     
     console.log(`✅ ЭТАП 3 завершен: создано ${refinedColorMasks.length} цветовых масок`);
+    tracker.completeStep();
     
     // Автоматическое определение порога
     const optimalThreshold = await calculateAdobeThreshold(processedBuffer);
@@ -4995,75 +4872,28 @@ async function silkscreenVectorize(imageBuffer, options = {}) {
     console.log(`🎯 Adobe автоматический порог: ${optimalThreshold}`);
     
     // ЭТАП 4: Векторизация
-    console.log(`🔍 ЭТАП 4: Векторизация контуров...`);
-    
-    // 4.1 Трассировка контуров
-    const contours = await traceContours(refinedColorMasks, {
-      turnPolicy: 'minority',
-      turdSize: 2,
-      alphaMax: 1.0
-    });
-    
-    // 4.2 Оптимизация путей
-    const optimizedContours = await optimizePaths(contours, {
-      simplifyTolerance: 1.5,
-      mergeThreshold: 2.0,
-      smoothingFactor: 0.5
-    });
-    
-    // 4.3 Аппроксимация кривыми Безье
-    const bezierContours = await fitCurves(optimizedContours, {
-      errorThreshold: 2.0,
-      maxIterations: 4,
-      cornerThreshold: Math.PI / 3
-    });
-    
+    tracker.startStep(3);
+    const bezierContours = await runStage('traceMasks', [refinedColorMasks], signal);
     console.log(`✅ ЭТАП 4 завершен: ${bezierContours.length} групп векторных контуров`);
+    tracker.completeStep();
+
+    // 4.4 Подбор спот-цветов (по запросу)
+    const spotMatching = spotLibrary ? applySpotColors(bezierContours, spotLibrary) : null;
+    const layerContours = spotMatching ? spotMatching.groups : bezierContours;
+    const spotColors = spotMatching
+      ? { book: spotLibrary.book.book, snapped: spotLibrary.snap, layers: spotMatching.report }
+      : null;
     
-    // ЭТАП 5: СБОРКА SVG
-    console.log(`📄 ЭТАП 5: Сборка финального SVG...`);
-    
-    // 5.1 Композиция слоев
-    const composedLayers = await composeLayers(bezierContours, colorPalette, processedInfo, {
-      layerOrder: 'darkToLight',
-      blendMode: 'normal',
-      opacity: 1.0,
-      maxPathsPerLayer: 1000
-    });
-    
-    // 5.2 Объединение путей
-    const mergedLayers = await mergePaths(composedLayers, {
-      mergeStrategy: 'byColor',
-      mergeTolerance: 1.0,
-      preserveDetails: true,
-      minPathLength: 3,
-      maxComplexity: 500
-    });
-    
-    // 5.3 Применение адаптивных настроек качества
-    const qualitySettings = adaptiveQualitySettings(processedInfo, 'auto');
-    
-    // 5.4 Выбор метода векторизации (Abutting/Overlapping)
-    const processedMergedLayers = {
-      ...mergedLayers,
-      layers: mergedLayers.layers.map(layer => ({
-        ...layer,
-        paths: methodSelection(layer.paths, qualitySettings.method, {
-          abuttingTolerance: 0.5,
-          overlapTolerance: 1.0
-        })
-      }))
-    };
+    // ЭТАП 5: СБОРКА SVG
+    tracker.startStep(4);
+    const processedMergedLayers = await runStage('assembleLayers', [layerContours, colorPalette, processedInfo, layerOptions], signal);
     
     // 5.5 Создание финального SVG
-    const svgResult = await generateSVG(processedMergedLayers, {
-      includeLayerMetadata: true,
-      removeComments: false,
-      minimizeWhitespace: true,
-      roundNumbers: true
-    });
+    tracker.updateStepProgress(80, 'Создание финального SVG');
+    const svgResult = await generateSVG(processedMergedLayers, SILKSCREEN_SVG_SETTINGS);
     
     console.log(`✅ ЭТАП 5 завершен: SVG создан (${svgResult.metadata.size} символов)`);
+    tracker.completeStep();
     
     const svgContent = svgResult.svg;
     
@@ -5082,7 +4912,8 @@ async function silkscreenVectorize(imageBuffer, options = {}) {
         quality: ADOBE_SILKSCREEN_PRESET.name,
         fileSize: Buffer.byteLength(optimizedSVG, 'utf8'),
         optimized: true,
-        silkscreenMode: true
+        silkscreenMode: true,
+        spotColors
       };
     }
     
@@ -5093,7 +4924,8 @@ async function silkscreenVectorize(imageBuffer, options = {}) {
       quality: ADOBE_SILKSCREEN_PRESET.name,
       fileSize: svgSize,
       optimized: false,
-      silkscreenMode: true
+      silkscreenMode: true,
+      spotColors
     };
     
   } catch (error) {
@@ -5102,6 +4934,137 @@ async function silkscreenVectorize(imageBuffer, options = {}) {
   }
 }
 
+/**
+ * Векторизация градиентов растром: вместо постеризации в плоские полосы
+ * каждая краска превращается в слой векторных точек (см. halftone.cjs)
+ * Каждая краска растрируется отдельным этапом пула, signal отменяет растрирование
+ */
+async function halftoneVectorize(imageBuffer, options = {}) {
+  try {
+    const tracker = new ProgressTracker(1, options.onProgress);
+    const inkCount = getHalftoneInks(normalizeHalftoneOptions(options)).length;
+    let screened = 0;
+
+    tracker.startStep(0, 'Растрирование красок');
+    const halftone = await createHalftone(imageBuffer, options, async (...args) => {
+      const ink = await runStage('halftoneInk', args, options.signal);
+      screened++;
+      tracker.updateStepProgress(Math.round((screened / inkCount) * 100), `Краска ${screened}/${inkCount}`);
+      return ink;
+    });
+    tracker.completeStep();
+
+    return {
+      success: true,
+      svgContent: halftone.svg,
+      quality: `Halftone ${halftone.settings.lpi} LPI`,
+      fileSize: Buffer.byteLength(halftone.svg, 'utf8'),
+      optimized: false,
+      halftoneMode: true,
+      halftone: {
+        settings: halftone.settings,
+        inks: halftone.inks,
+        widthMm: Math.round(halftone.widthMm * 100) / 100,
+        heightMm: Math.round(halftone.heightMm * 100) / 100,
+        cellSize: halftone.cellSize
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Ошибка растрирования:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Векторизация по центральной линии: штрихи становятся обводками с оцененной толщиной
+ * Одноцветный режим — порог яркости; при colors > 1 палитра строится K-means,
+ * самый большой по площади кластер считается фоном и не трассируется
+ *
+ * @param {Buffer} imageBuffer - исходное изображение
+ * @param {Object} options - настройки centerline (colors, threshold, minLength, tolerance, strokeWidth, inkColor)
+ *   и preprocessedImage — готовая предобработка из кэша каталога, signal — отмена обработки
+ */
+async function centerlineVectorize(imageBuffer, options = {}) {
+  try {
+    const settings = normalizeCenterlineOptions(options);
+    const tracker = new ProgressTracker(2, options.onProgress);
+
+    tracker.startStep(0, 'Предобработка');
+    const processedBuffer = options.preprocessedImage
+      || await preprocessImageForAdobe(imageBuffer, ADOBE_SILKSCREEN_PRESET.settings);
+    tracker.completeStep();
+
+    tracker.startStep(1, 'Трассировка по центральной линии');
+    let centerline;
+    if (settings.colors === 1) {
+      centerline = await runStage('centerline', [processedBuffer, settings], options.signal);
+    } else {
+      const colorPalette = await runStage('kmeansSegmentation', [processedBuffer, settings.colors + 1], options.signal);
+      tracker.updateStepProgress(30, `Палитра: ${colorPalette.length} цветов`);
+      const masks = await runStage('colorMasks', [processedBuffer, colorPalette], options.signal);
+      if (masks.length === 0) {
+        throw new Error('Не удалось построить маски цветов');
+      }
+      tracker.updateStepProgress(50, `${masks.length} цветовых масок`);
+
+      const background = masks.reduce((largest, mask) => mask.pixelCount > largest.pixelCount ? mask : largest);
+      const { width, height } = masks[0];
+      const traced = await runStage('centerlineSVG', [
+        masks
+          .filter(mask => mask !== background)
+          .map(mask => ({ hex: mask.color.hex.toUpperCase(), mask: mask.maskData })),
+        width,
+        height,
+        settings
+      ], options.signal);
+      centerline = { ...traced, width, height, threshold: null, settings };
+    }
+    tracker.completeStep();
+
+    if (centerline.layers.length === 0) {
+      throw new Error('Не найдено штрихов для трассировки по центральной линии');
+    }
+
+    return {
+      success: true,
+      svgContent: centerline.svg,
+      quality: 'Centerline',
+      fileSize: Buffer.byteLength(centerline.svg, 'utf8'),
+      optimized: false,
+      centerlineMode: true,
+      centerline: {
+        settings: centerline.settings,
+        threshold: centerline.threshold,
+        layers: centerline.layers
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Ошибка трассировки по центральной линии:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Выбирает режим трассировки: silkscreen (плоские цвета), halftone (растр) или centerline (обводки)
+ * В режиме auto растр выбирается для фото, где постеризация дает полосы; centerline только по явному запросу
+ */
+async function selectTraceMode(imageBuffer, mode = 'silkscreen') {
+  if (mode !== 'auto') return mode;
+
+  const analysis = await analyzeImageType(imageBuffer);
+  const traceMode = ['PHOTO', 'COMPLEX_PHOTO'].includes(analysis.imageType) ? 'halftone' : 'silkscreen';
+  console.log(`🔀 Автовыбор режима: ${analysis.imageType} → ${traceMode}`);
+  return traceMode;
+}
+
 /**
  * Предобработка изображения для шелкографии
  */
@@ -6055,27 +6018,12 @@ async function extractAdobeColors(imageBuffer, maxColors) {
       .raw()
       .toBuffer({ resolveWithObject: true });
     
-    const pixels = [];
-    for (let i = 0; i < data.length; i += info.channels) {
-      // Пропускаем прозрачные пиксели
-      if (info.channels === 4 && data[i + 3] < 128) continue;
-      
-      pixels.push({
-        r: data[i],
-        g: data[i + 1], 
-        b: data[i + 2]
-      });
-    }
-    
-    console.log(`📊 Извлечено ${pixels.length} пикселей из ${data.length / info.channels} (каналов: ${info.channels})`);
-    
-    if (pixels.length === 0) {
+    // K-means кластеризация цветов (в пуле потоков)
+    const clusters = await runStage('adobeKMeans', [data, info.channels, maxColors]);
+    if (clusters.length === 0) {
       console.log('❌ Нет пикселей для анализа');
       return [];
     }
-    
-    // K-means кластеризация цветов
-    const clusters = performKMeans(pixels, maxColors);
     console.log(`🔬 K-means результат: ${clusters ? clusters.length : 0} кластеров`);
     
     // Конвертируем в формат Adobe
@@ -6096,6 +6044,26 @@ async function extractAdobeColors(imageBuffer, maxColors) {
   }
 }
 
+/**
+ * Непрозрачные пиксели raw-данных и их K-means кластеризация (этап пула потоков)
+ */
+function clusterAdobeColors(data, channels, k) {
+  const pixels = [];
+  for (let i = 0; i < data.length; i += channels) {
+    // Пропускаем прозрачные пиксели
+    if (channels === 4 && data[i + 3] < 128) continue;
+    
+    pixels.push({
+      r: data[i],
+      g: data[i + 1], 
+      b: data[i + 2]
+    });
+  }
+  
+  console.log(`📊 Извлечено ${pixels.length} пикселей из ${data.length / channels} (каналов: ${channels})`);
+  return performKMeans(pixels, k);
+}
+
 /**
  * Простая K-means кластеризация для цветов
  */
@@ -7110,68 +7078,354 @@ function createFallbackSVG(width, height, settings) {
 }
 
 /**
- * Упрощенная пакетная обработка - только один файл за раз
+ * Пакетная векторизация: все файлы через ограниченный пул,
+ * результат — ZIP со всеми SVG и manifest.json
+ *
+ * @param {Array<{buffer: Buffer, originalName: string}>} imageBuffers - файлы пакета
+ * @param {Object} options - настройки векторизации, concurrency, onProgress(snapshot), signal (отмена)
  */
 async function batchVectorize(imageBuffers, options = {}) {
-  // Обрабатываем только первый файл для упрощения
-  if (imageBuffers.length === 0) return [];
-  
-  const { buffer, name } = imageBuffers[0];
-  console.log(`Упрощенная обработка: ${name}`);
-  
+  const { concurrency, onProgress, ...vectorizeOptions } = options;
+  const startTime = Date.now();
+  const batchId = generateId();
+
+  if (imageBuffers.length === 0) {
+    return { success: false, error: 'Пакет пуст', batchId };
+  }
+
+  await ensureDirectories();
+
+  const items = imageBuffers.map((image, index) => ({
+    buffer: image.buffer,
+    name: image.originalName || image.name || `image-${index + 1}`
+  }));
+
+  // Пакет всегда собирается из SVG, отдельные форматы — через /multi-format
+  // Прогресс файла — общий прогресс этапов его трассировки (ProgressTracker)
+  const { results, progress } = await runBatchQueue(items, async (item, index, reportProgress) => {
+    const result = await vectorizeImage(item.buffer, item.name, {
+      ...vectorizeOptions,
+      outputFormat: 'svg',
+      onProgress: snapshot => reportProgress(snapshot.overallProgress)
+    });
+    if (!result.success) {
+      throw new Error(result.error || 'Ошибка векторизации');
+    }
+    return result;
+  }, { concurrency, onProgress });
+
+  const uniqueName = createUniqueNamer();
+  const entries = [];
+  const successful = [];
+  const failed = [];
+  const manifestFiles = [];
+
+  results.forEach((entry, index) => {
+    const item = items[index];
+    const file = progress.files[index];
+
+    if (entry.success) {
+      const baseName = path.basename(item.name).replace(/\.[^.]+$/, '') || `image-${index + 1}`;
+      const archiveName = uniqueName(`${baseName.replace(/[\\/:*?"<>|]/g, '_')}.svg`);
+      const { svgContent, ...result } = entry.result;
+
+      entries.push({ name: archiveName, data: svgContent });
+      successful.push({ ...result, originalName: item.name, archiveName, processingTime: file.processingTime });
+      manifestFiles.push({
+        index: index + 1,
+        originalName: item.name,
+        status: 'completed',
+        file: archiveName,
+        detectedType: result.detectedType,
+        quality: result.quality,
+        processingTime: file.processingTime
+      });
+    } else {
+      failed.push({ filename: item.name, error: entry.error });
+      manifestFiles.push({
+        index: index + 1,
+        originalName: item.name,
+        status: 'failed',
+        error: entry.error,
+        processingTime: file.processingTime
+      });
+    }
+  });
+
+  const summary = {
+    total: items.length,
+    successful: successful.length,
+    failed: failed.length,
+    totalTime: Date.now() - startTime
+  };
+  const manifest = {
+    batchId,
+    createdAt: new Date().toISOString(),
+    quality: vectorizeOptions.quality || 'standard',
+    summary,
+    files: manifestFiles
+  };
+
+  let archive = null;
+  if (successful.length > 0) {
+    entries.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+    const zipBuffer = createZipArchive(entries);
+    const archiveFilename = `batch_${batchId}.zip`;
+    const archivePath = path.join(outputDir, archiveFilename);
+    await fs.writeFile(archivePath, zipBuffer);
+
+    archive = {
+      filename: archiveFilename,
+      filepath: archivePath,
+      url: `/output/vectorizer/${archiveFilename}`,
+      size: zipBuffer.length
+    };
+  }
+
+  console.log(`📦 Пакет ${batchId}: ${summary.successful}/${summary.total} успешно за ${summary.totalTime}ms`);
+
+  return {
+    success: successful.length > 0,
+    batchId,
+    result: { successful, failed, summary },
+    progress,
+    archive,
+    manifest,
+    ...(successful.length === 0 && { error: 'Ни один файл пакета не векторизован' })
+  };
+}
+
+/**
+ * Асинхронная векторизация: сразу возвращает задание, трассировка идет в фоне
+ * через StreamVectorizer, прогресс ProgressTracker доступен подписчикам задания
+ *
+ * @param {Buffer} imageBuffer - исходное изображение
+ * @param {string} originalName - имя файла
+ * @param {Object} options - maxColors, tileSize для StreamVectorizer
+ * @returns {Object} задание (id, status, ...)
+ */
+function startVectorizationJob(imageBuffer, originalName = 'image', options = {}) {
+  const streamOptions = {};
+  if (options.maxColors) streamOptions.maxColors = options.maxColors;
+  if (options.tileSize) streamOptions.tileSize = options.tileSize;
+
+  return createJob('vectorize', async reportProgress => {
+    await ensureDirectories();
+
+    const vectorizer = new StreamVectorizer(imageBuffer, { ...streamOptions, onProgress: reportProgress });
+    const result = await vectorizer.process();
+
+    const filename = `vectorized_${generateId()}.svg`;
+    const filepath = path.join(outputDir, filename);
+    await fs.writeFile(filepath, result.svgContent, 'utf8');
+
+    return {
+      result: {
+        filename,
+        url: `/output/vectorizer/${filename}`,
+        fileSize: result.fileSize,
+        colorCount: result.colorCount,
+        contourCount: result.contourCount,
+        processingTime: result.processingTime
+      },
+      files: [{ filename, filepath, mimeType: OUTPUT_FORMATS.svg.mimeType }]
+    };
+  }, { originalName, options: streamOptions });
+}
+
+/**
+ * Асинхронная пакетная векторизация: сразу возвращает задание, прогресс пакета
+ * (по каждому файлу) доступен подписчикам задания, результат — ZIP-архив
+ *
+ * @param {Array<{buffer: Buffer, originalName?: string}>} imageBuffers - изображения пакета
+ * @param {Object} options - параметры batchVectorize
+ * @returns {Object} задание (id, status, ...)
+ */
+function startBatchJob(imageBuffers, options = {}) {
+  const { onProgress, ...batchOptions } = options;
+
+  return createJob('batch', async reportProgress => {
+    const batch = await batchVectorize(imageBuffers, { ...batchOptions, onProgress: reportProgress });
+    if (!batch.success) {
+      throw new Error(batch.error);
+    }
+
+    const { filepath, ...archive } = batch.archive;
+    return {
+      result: {
+        batchId: batch.batchId,
+        result: batch.result,
+        manifest: batch.manifest,
+        archive
+      },
+      files: [{ filename: archive.filename, filepath, mimeType: 'application/zip' }]
+    };
+  }, {
+    files: imageBuffers.map(image => image.originalName || image.name || null),
+    options: { quality: batchOptions.quality || 'standard', concurrency: batchOptions.concurrency || null }
+  });
+}
+
+/**
+ * Загружает SVG ранее сохраненного результата по ID (или имени vectorized_<id>.svg) через каталог результатов
+ *
+ * @returns {Promise<string|null>} SVG; null — такого результата (или его SVG) в каталоге нет
+ */
+async function loadVectorizedSVG(resultId) {
+  const match = String(resultId || '').match(/^(?:vectorized_)?([a-f0-9]{16})(?:\.svg)?$/i);
+  if (!match) return null;
+
+  const record = await getResult(match[1].toLowerCase());
+  const svgFile = record && record.files.find(file => file.format === 'svg');
+  if (!svgFile) return null;
+  return fs.readFile(resultFilePath(svgFile), 'utf8');
+}
+
+// Имена файлов служебных пленок цветоделения (пленки красок называются по цвету)
+const PLATE_FILE_SUFFIXES = {
+  underbase: 'underbase',
+  highlight: 'highlight_white'
+};
+
+/**
+ * Цветоделение для шелкографии: ZIP с пленками (SVG и PDF на каждую краску) и summary.json
+ *
+ * @param {string} svgContent - композитный SVG
+ * @param {Object} options - margin, marks, trap (мм), trapMode, garmentColor, name
+ */
+async function exportSeparations(svgContent, options = {}) {
   try {
-    const result = await vectorizeImage(buffer, name, options);
-    return [{ ...result, originalName: name }];
+    await ensureDirectories();
+
+    const { name = 'design', ...separationOptions } = options;
+    const separations = createSeparations(svgContent, separationOptions);
+    const exportId = generateId();
+
+    const entries = [];
+    const inks = separations.plates.map(plate => {
+      const suffix = plate.kind === 'ink' ? `ink_${plate.hex.slice(1)}` : PLATE_FILE_SUFFIXES[plate.kind];
+      const baseName = `${String(plate.index).padStart(2, '0')}_${suffix}`;
+      entries.push({ name: `${baseName}.svg`, data: plate.svg });
+      entries.push({ name: `${baseName}.pdf`, data: plate.pdf });
+      return {
+        index: plate.index,
+        kind: plate.kind,
+        name: plate.name,
+        hex: plate.hex,
+        shapeCount: plate.shapeCount,
+        trapped: plate.trapped,
+        choked: plate.choked,
+        files: { svg: `${baseName}.svg`, pdf: `${baseName}.pdf` }
+      };
+    });
+
+    const summary = {
+      exportId,
+      name,
+      createdAt: new Date().toISOString(),
+      inkCount: inks.length,
+      artwork: separations.artwork,
+      page: separations.page,
+      settings: separations.settings,
+      inks,
+      skippedInks: separations.skippedInks
+    };
+    entries.push({ name: 'summary.json', data: JSON.stringify(summary, null, 2) });
+    entries.push({ name: 'composite.svg', data: svgContent });
+
+    const zipBuffer = createZipArchive(entries);
+    const filename = `separations_${exportId}.zip`;
+    const filepath = path.join(outputDir, filename);
+    await fs.writeFile(filepath, zipBuffer);
+
+    console.log(`🎞️ Цветоделение ${exportId}: ${inks.length} пленок`);
+
+    return {
+      success: true,
+      filename,
+      filepath,
+      url: `/output/vectorizer/${filename}`,
+      size: zipBuffer.length,
+      summary
+    };
+
   } catch (error) {
-    return [{
+    console.error('❌ Ошибка цветоделения:', error.message);
+    return {
       success: false,
-      error: error.message,
-      originalName: name
-    }];
+      error: error.message
+    };
   }
 }
 
 /**
  * Основная функция векторизации с улучшенной архитектурой
+ * options.signal отменяет обработку: тяжелые этапы прерываются, результат в каталог не попадает
  */
 async function vectorizeImage(imageBuffer, originalName = 'image', options = {}) {
   try {
     await ensureDirectories();
     
-    const imageId = generateId();
-    const { outputFormat = 'svg', quality = 'standard' } = options;
-    const formatInfo = OUTPUT_FORMATS[outputFormat] || OUTPUT_FORMATS.svg;
-    const filename = `vectorized_${imageId}${formatInfo.extension}`;
-    const outputPath = path.join(outputDir, filename);
+    const { quality = 'standard' } = options;
+    const outputFormat = OUTPUT_FORMATS[options.outputFormat] ? options.outputFormat : 'svg';
+    const settings = pickResultSettings({ ...options, outputFormat });
+    const sourceHash = hashImage(imageBuffer);
     
     console.log(`🎨 Продвинутая векторизация: ${originalName}`);
     console.log(`📊 Качество: ${quality}, Формат: ${outputFormat}`);
     
-    // Используем прямой вызов для избежания рекурсии
-    const vectorResult = await silkscreenVectorize(imageBuffer, options);
+    // Тот же исходник с теми же настройками уже векторизован — отдаем из каталога
+    const cached = await findCachedResult(sourceHash, settings);
+    if (cached) {
+      const svgFile = cached.files.find(file => file.format === 'svg');
+      const svgContent = await fs.readFile(resultFilePath(svgFile), 'utf8');
+      console.log(`♻️ Результат из каталога: ${cached.id}`);
+      return buildVectorizeResponse(cached, svgContent, { fromCache: true });
+    }
+    
+    const traceMode = await selectTraceMode(imageBuffer, settings.mode);
+    let vectorResult;
+    let preprocessed = null;
+    
+    if (traceMode === 'halftone') {
+      vectorResult = await halftoneVectorize(imageBuffer, options);
+    } else {
+      // Предобработка зависит только от исходника, поэтому переиспользуется между настройками
+      preprocessed = await readCachedImage('preprocessed', sourceHash)
+        || await preprocessImageForAdobe(imageBuffer, ADOBE_SILKSCREEN_PRESET.settings);
+      vectorResult = traceMode === 'centerline'
+        ? await centerlineVectorize(imageBuffer, { ...options, preprocessedImage: preprocessed })
+        : await silkscreenVectorize(imageBuffer, { ...options, preprocessedImage: preprocessed });
+    }
     
     if (!vectorResult.success) {
-      throw new Error('Ошибка векторизации');
+      throw new Error(vectorResult.error || 'Ошибка векторизации');
     }
     
-    // Сохраняем результат
-    await fs.writeFile(outputPath, vectorResult.svgContent, 'utf8');
+    await cacheImages(sourceHash, { source: imageBuffer, preprocessed });
     
-    console.log(`✅ Векторизация завершена: ${filename}`);
-    console.log(`🎯 Тип контента: ${vectorResult.detectedType}`);
-    console.log(`⚡ Качество: ${vectorResult.quality}`);
+    const { imageId, files } = await saveResultFiles(vectorResult.svgContent, outputFormat);
     
-    return {
-      success: true,
-      filename,
-      filepath: outputPath,
-      svgContent: vectorResult.svgContent,
-      detectedType: vectorResult.detectedType,
+    const record = await addResult({
+      id: imageId,
+      parentId: options.parentId || null,
+      sourceHash,
+      originalName,
+      mode: traceMode,
       quality: vectorResult.quality,
-      settings: vectorResult.settings,
-      outputFormat,
-      message: `Векторизация завершена (${vectorResult.quality}, ${vectorResult.detectedType})`
-    };
+      settings,
+      palette: extractLayerPalette(vectorResult.svgContent),
+      spotColors: vectorResult.spotColors || null,
+      halftone: vectorResult.halftone || null,
+      centerline: vectorResult.centerline || null,
+      files
+    });
+    
+    console.log(`✅ Векторизация завершена: ${record.id}`);
+    console.log(`🎯 Тип контента: ${traceMode}`);
+    console.log(`⚡ Качество: ${vectorResult.quality}`);
+    
+    return buildVectorizeResponse(record, vectorResult.svgContent, { fromCache: false });
     
   } catch (error) {
     console.error('❌ Ошибка векторизации:', error);
@@ -7182,6 +7436,290 @@ async function vectorizeImage(imageBuffer, originalName = 'image', options = {})
   }
 }
 
+/**
+ * Сохраняет файлы результата: SVG всегда (из него строятся превью, цветоделение и переэкспорт),
+ * плюс запрошенный формат
+ */
+async function saveResultFiles(svgContent, outputFormat) {
+  const imageId = generateId();
+  const formats = outputFormat === 'svg' ? ['svg'] : ['svg', outputFormat];
+  const files = [];
+  for (const format of formats) {
+    const converted = await convertToFormat(svgContent, format, `vectorized_${imageId}${OUTPUT_FORMATS[format].extension}`);
+    if (!converted.success) {
+      throw new Error(converted.error);
+    }
+    const stat = await fs.stat(converted.filepath);
+    files.push({
+      format,
+      filename: converted.filename,
+      url: `/output/vectorizer/${converted.filename}`,
+      size: stat.size
+    });
+  }
+  return { imageId, files };
+}
+
+// Параметры, от которых зависит результат: по ним ищется готовый результат в каталоге
+const SILKSCREEN_RESULT_SETTINGS = ['spotBook', 'swatchBook', 'spotColors', 'snapToSpot', 'layerMethod', 'trapWidth'];
+const HALFTONE_RESULT_SETTINGS = ['channels', 'lpi', 'dpi', 'dotShape', 'minDot', 'maxDot', 'angles', 'inkColor'];
+const CENTERLINE_RESULT_SETTINGS = ['colors', 'threshold', 'minLength', 'tolerance', 'strokeWidth', 'inkColor'];
+
+/**
+ * Настройки результата для каталога: режим, формат и параметры выбранного режима
+ */
+function pickResultSettings(options) {
+  const mode = options.mode || 'silkscreen';
+  const settings = { mode, outputFormat: options.outputFormat };
+
+  const keys = mode === 'halftone' ? HALFTONE_RESULT_SETTINGS
+    : mode === 'centerline' ? CENTERLINE_RESULT_SETTINGS
+    : mode === 'auto' ? [...SILKSCREEN_RESULT_SETTINGS, ...HALFTONE_RESULT_SETTINGS]
+    : SILKSCREEN_RESULT_SETTINGS;
+  for (const key of keys) {
+    if (options[key] !== undefined) settings[key] = options[key];
+  }
+  return settings;
+}
+
+/**
+ * Палитра результата: цвета слоев SVG (data-color) в порядке следования
+ */
+function extractLayerPalette(svgContent) {
+  const palette = [];
+  for (const match of svgContent.matchAll(/<g\b[^>]*\bdata-color="(#[0-9a-fA-F]{6})"/g)) {
+    const hex = match[1].toUpperCase();
+    if (!palette.includes(hex)) palette.push(hex);
+  }
+  return palette;
+}
+
+/**
+ * Ответ vectorizeImage по записи каталога
+ */
+function buildVectorizeResponse(record, svgContent, { fromCache }) {
+  const file = record.files.find(f => f.format === record.settings.outputFormat) || record.files[0];
+
+  return {
+    success: true,
+    resultId: record.id,
+    filename: file.filename,
+    filepath: path.join(outputDir, file.filename),
+    url: file.url,
+    svgContent,
+    detectedType: record.mode,
+    quality: record.quality,
+    settings: record.settings,
+    outputFormat: file.format,
+    palette: record.palette,
+    spotColors: record.spotColors,
+    halftone: record.halftone,
+    centerline: record.centerline || null,
+    fromCache,
+    message: fromCache
+      ? `Результат взят из каталога (${record.id})`
+      : `Векторизация завершена (${record.quality}, ${record.mode})`
+  };
+}
+
+/**
+ * Переэкспорт результата каталога с другими настройками
+ * Исходник и его предобработка берутся из кэша — повторно загружать изображение не нужно.
+ * Правки палитры (retracePalette) не переносятся: трассировка выполняется заново
+ *
+ * @param {string} resultId - ID результата в каталоге
+ * @param {Object} overrides - измененные настройки (формат, режим, спот-цвета, растр)
+ * @param {{signal?: AbortSignal}} options - отмена обработки
+ * @returns {Promise<Object>} ответ vectorizeImage с parentId исходного результата
+ */
+async function reexportResult(resultId, overrides = {}, options = {}) {
+  const record = await getResult(resultId);
+  if (!record) {
+    return { success: false, error: `Результат ${resultId} не найден` };
+  }
+
+  const source = await readCachedImage('source', record.sourceHash);
+  if (!source) {
+    return { success: false, error: 'Исходное изображение результата больше не хранится в кэше' };
+  }
+
+  console.log(`🔁 Переэкспорт результата ${resultId}`);
+  return vectorizeImage(source, record.originalName, {
+    ...record.settings,
+    ...overrides,
+    parentId: record.id,
+    signal: options.signal
+  });
+}
+
+/**
+ * Трассирует слой заново по объединенной маске его исходных цветов
+ * Маски строятся той же createColorMasks, что и при векторизации, по кэшированной предобработке,
+ * слой собирается с методом наложения результата (layerOptions — layerMethod, trapWidth)
+ */
+async function retraceMergedLayer(processedBuffer, processedInfo, layer, layerOptions, signal) {
+  const settings = { ...ADOBE_SILKSCREEN_PRESET.settings };
+  const sourceColors = layer.sourceColors.map(hex => ({ hex, ...hexToRgb(hex) }));
+  const masks = await runStage('colorMasks', [processedBuffer, sourceColors, settings], signal);
+  if (masks.length === 0) {
+    throw new Error(`Не удалось построить маски для слоя ${layer.color}`);
+  }
+
+  const { width, height } = masks[0];
+  const union = new Uint8Array(width * height);
+  let pixelCount = 0;
+  for (let i = 0; i < union.length; i++) {
+    if (masks.some(mask => mask.maskData[i] > 0)) {
+      union[i] = 255;
+      pixelCount++;
+    }
+  }
+
+  const color = { hex: layer.color, ...hexToRgb(layer.color) };
+  const refinedMasks = await runStage('refineMasks', [[{
+    colorIndex: 0,
+    color,
+    maskData: union,
+    pixelCount,
+    coverage: (pixelCount / union.length) * 100,
+    width,
+    height
+  }], { kernelSize: 3, iterations: 1 }], signal);
+
+  const contours = await runStage('traceMasks', [refinedMasks], signal);
+  const assembled = await runStage('assembleLayers', [contours, [color], processedInfo, layerOptions], signal);
+  return (assembled.layers[0]?.paths || []).map(layerPath => createPathSVG(layerPath, true)).join('');
+}
+
+/**
+ * Применяет метод наложения ко всей стопке слоев результата (разметка групп в порядке отрисовки)
+ * Нужен после трассировки слитых слоев: слитый слой вырезается из нижних или получает треппинг под верхними.
+ * Перенесенные слои уже расширены, в overlapping они повторно не расширяются (trapped)
+ *
+ * @param {Array<{body: string, trapped: boolean}>} groups - слои снизу вверх
+ * @param {string} method - abutting или overlapping
+ * @param {number} trapWidth - ширина треппинга, px
+ * @returns {string[]} новая разметка путей слоев
+ */
+function applyLayerMethodToGroups(groups, method, trapWidth) {
+  const layers = methodSelection(
+    groups.map(group => ({ paths: readLayerPaths(group.body), trapped: group.trapped })),
+    method,
+    { trapWidth }
+  );
+  return layers.map(layer => layer.paths.map(layerPath => createPathSVG(layerPath, true)).join(''));
+}
+
+/**
+ * Правка палитры результата: слить, удалить или перекрасить цвета без повторной векторизации
+ * Нетронутые слои переносятся как есть, перекрашенные меняют только цвет,
+ * заново трассируются только слитые слои. Результат сохраняется в каталог с parentId
+ *
+ * @param {string} resultId - ID результата silkscreen в каталоге
+ * @param {Array|string} edits - правки палитры (см. palette-edits.cjs)
+ * @param {{signal?: AbortSignal}} options - отмена трассировки слитых слоев
+ * @returns {Promise<Object>} ответ как у vectorizeImage плюс paletteEdits
+ */
+async function retracePalette(resultId, edits, options = {}) {
+  try {
+    const record = await getResult(resultId);
+    if (!record) {
+      throw new Error(`Результат ${resultId} не найден`);
+    }
+    if (record.mode !== 'silkscreen') {
+      throw new Error('Палитру можно править только у результатов в режиме silkscreen');
+    }
+
+    const paletteEdits = normalizePaletteEdits(edits, record.palette);
+    const svgFile = record.files.find(file => file.format === 'svg');
+    const svgContent = await fs.readFile(resultFilePath(svgFile), 'utf8');
+
+    const document = parseLayerGroups(svgContent);
+    const { layers, retrace } = applyPaletteEdits(document.layers, paletteEdits);
+    console.log(`🎨 Правка палитры ${resultId}: ${paletteEdits.length} правок, ${retrace.length} слоев к трассировке`);
+
+    if (retrace.length > 0) {
+      let processedBuffer = await readCachedImage('preprocessed', record.sourceHash);
+      if (!processedBuffer) {
+        const source = await readCachedImage('source', record.sourceHash);
+        if (!source) {
+          throw new Error('Исходное изображение результата больше не хранится в кэше');
+        }
+        processedBuffer = await preprocessImageForAdobe(source, ADOBE_SILKSCREEN_PRESET.settings);
+      }
+
+      const sharp = require('sharp');
+      const processedInfo = await sharp(processedBuffer).metadata();
+      const layerOptions = normalizeLayerMethodOptions(record.settings);
+      for (const layer of retrace) {
+        layer.body = await retraceMergedLayer(processedBuffer, processedInfo, layer, layerOptions, options.signal);
+      }
+
+      // Метод наложения заново для всей стопки: слитый слой занял место исходных слоев
+      const method = layerOptions.layerMethod === 'auto'
+        ? adaptiveQualitySettings(processedInfo, 'auto').method
+        : layerOptions.layerMethod;
+      const ordered = orderLayerGroups(layers, calculateColorBrightness);
+      const bodies = await runStage('layerStack', [
+        ordered.map(layer => ({ body: layer.body, trapped: !layer.retrace })),
+        method,
+        layerOptions.trapWidth
+      ], options.signal);
+      ordered.forEach((layer, index) => {
+        layer.body = bodies[index];
+      });
+    }
+
+    const editedSVG = optimizeSVGForOutput(
+      renderLayerGroups(document, layers, calculateColorBrightness),
+      SILKSCREEN_SVG_SETTINGS
+    );
+
+    const outputFormat = record.settings.outputFormat || 'svg';
+    const { imageId, files } = await saveResultFiles(editedSVG, outputFormat);
+    const palette = extractLayerPalette(editedSVG);
+
+    // Отчет о спот-цветах остается только для слоев, цвет которых не изменился
+    const spotColors = record.spotColors && {
+      ...record.spotColors,
+      layers: record.spotColors.layers.filter(layer =>
+        palette.includes((layer.snapped ? layer.spot.hex : layer.hex).toUpperCase()))
+    };
+
+    const edited = await addResult({
+      id: imageId,
+      parentId: record.id,
+      sourceHash: record.sourceHash,
+      originalName: record.originalName,
+      mode: record.mode,
+      quality: record.quality,
+      settings: {
+        ...record.settings,
+        paletteEdits: [...(record.settings.paletteEdits || []), ...paletteEdits]
+      },
+      palette,
+      spotColors,
+      halftone: null,
+      files
+    });
+
+    console.log(`✅ Палитра изменена: ${edited.id}`);
+    return {
+      ...buildVectorizeResponse(edited, editedSVG, { fromCache: false }),
+      parentId: record.id,
+      paletteEdits,
+      retracedLayers: retrace.map(layer => layer.color)
+    };
+
+  } catch (error) {
+    console.error('❌ Ошибка правки палитры:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Генерация предварительного просмотра с разными настройками
  */
@@ -7234,68 +7772,11 @@ async function convertToFormat(svgContent, targetFormat, filename) {
         break;
         
       case 'eps':
-        // Конвертируем SVG в EPS через оборачивание
-        const epsContent = `%!PS-Adobe-3.0 EPSF-3.0
-%%BoundingBox: 0 0 800 600
-%%Creator: Advanced Vectorizer
-%%Title: ${filename}
-%%EndComments
-/svgdict 100 dict def
-svgdict begin
-${svgContent}
-end
-%%EOF`;
-        await fs.writeFile(outputPath, epsContent, 'utf8');
+        await fs.writeFile(outputPath, createEPSFromSVG(svgContent, { title: filename }), 'utf8');
         break;
         
       case 'pdf':
-        // Упрощенная PDF обертка для SVG
-        const pdfContent = `%PDF-1.4
-1 0 obj
-<<
-/Type /Catalog
-/Pages 2 0 R
->>
-endobj
-2 0 obj
-<<
-/Type /Pages
-/Kids [3 0 R]
-/Count 1
->>
-endobj
-3 0 obj
-<<
-/Type /Page
-/Parent 2 0 R
-/MediaBox [0 0 612 792]
-/Contents 4 0 R
->>
-endobj
-4 0 obj
-<<
-/Length ${svgContent.length}
->>
-stream
-${svgContent}
-endstream
-endobj
-xref
-0 5
-0000000000 65535 f 
-0000000009 00000 n 
-0000000058 00000 n 
-0000000115 00000 n 
-0000000206 00000 n 
-trailer
-<<
-/Size 5
-/Root 1 0 R
->>
-startxref
-${250 + svgContent.length}
-%%EOF`;
-        await fs.writeFile(outputPath, pdfContent, 'utf8');
+        await fs.writeFile(outputPath, createPDFFromSVG(svgContent, { title: filename }));
         break;
         
       default:
@@ -7587,11 +8068,36 @@ async function vectorizeFromUrl(imageUrl, options = {}) {
 }
 
 // Экспорт функций для шелкографии
+// Этапы, которые runStage выполняет в пуле потоков (vectorizer-worker.cjs вызывает эти же функции)
+const WORKER_STAGES = {
+  kmeansSegmentation: performKMeansSegmentation,
+  colorMasks: createColorMasks,
+  binaryMasks: createBinaryMasks,
+  refineMasks,
+  traceMasks: traceSilkscreenMasks,
+  assembleLayers: assembleSilkscreenLayers,
+  layerStack: applyLayerMethodToGroups,
+  halftoneInk: screenInk,
+  centerline: createCenterline,
+  centerlineSVG: createCenterlineSVG,
+  adobeKMeans: clusterAdobeColors,
+  streamPalette: buildStreamPalette,
+  tileMasks: createTileMasks,
+  tileContours: traceTileContours
+};
+
 module.exports = {
   vectorizeImage,
   vectorizeFromUrl,
   batchVectorize,
+  startVectorizationJob,
+  startBatchJob,
+  loadVectorizedSVG,
+  exportSeparations,
   silkscreenVectorize,
+  halftoneVectorize,
+  centerlineVectorize,
+  selectTraceMode,
   advancedVectorize,
   preprocessImageForSilkscreen,
   quantizeColorsAI,
@@ -7607,6 +8113,8 @@ module.exports = {
   generatePreviews,
   convertToFormat,
   multiFormatVectorize,
+  reexportResult,
+  retracePalette,
   optimizeForUsage,
   professionalVectorize,
   vectorizeFromUrl,
@@ -7617,5 +8125,8 @@ module.exports = {
   StreamVectorizer,
   TileProcessor,
   MemoryManager,
-  ProgressTracker
+  ProgressTracker,
+  configureWorkerPool,
+  getWorkerPoolStats,
+  WORKER_STAGES
 };
\ No newline at end of file
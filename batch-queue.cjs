@@ -0,0 +1,115 @@
+/**
+ * Очередь пакетной обработки: ограниченный пул исполнителей
+ * с прогрессом по каждому файлу и по пакету в целом
+ * Ошибка одного файла не останавливает остальные
+ */
+
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 8;
+
+/**
+ * Приводит число параллельных задач к допустимому диапазону
+ */
+function normalizeConcurrency(value, total) {
+  const parsed = parseInt(value, 10);
+  const concurrency = Number.isFinite(parsed) && parsed > 0 ? Math.min(parsed, MAX_CONCURRENCY) : DEFAULT_CONCURRENCY;
+  return Math.max(1, Math.min(concurrency, total));
+}
+
+/**
+ * Снимок прогресса пакета
+ */
+function createProgressSnapshot(files, startTime) {
+  const completed = files.filter(file => file.status === 'completed').length;
+  const failed = files.filter(file => file.status === 'failed').length;
+  const processing = files.filter(file => file.status === 'processing').length;
+  const total = files.length;
+  // Файлы в работе учитываются по своему прогрессу, а не только по завершении
+  const progressSum = files.reduce((sum, file) => sum + file.progress, 0);
+
+  return {
+    total,
+    completed,
+    failed,
+    processing,
+    queued: total - completed - failed - processing,
+    percent: total > 0 ? Math.round(progressSum / total) : 100,
+    elapsedTime: Date.now() - startTime,
+    files: files.map(file => ({ ...file }))
+  };
+}
+
+/**
+ * Обрабатывает элементы пакета не более чем concurrency задачами одновременно
+ *
+ * @param {Array<{name: string}>} items - элементы пакета
+ * @param {Function} worker - async (item, index, reportProgress) => результат; reportProgress(0–100) — прогресс файла,
+ *   исключение помечает файл как failed
+ * @param {{concurrency?: number, onProgress?: Function}} options
+ * @returns {Promise<{results: Array, progress: Object}>} results[i] — {success, result?|error?}
+ */
+async function runBatchQueue(items, worker, options = {}) {
+  const startTime = Date.now();
+  const concurrency = normalizeConcurrency(options.concurrency, items.length);
+  const files = items.map((item, index) => ({
+    index,
+    name: item.name,
+    status: 'queued',
+    progress: 0,
+    processingTime: null,
+    error: null
+  }));
+  const results = new Array(items.length);
+
+  const notify = () => {
+    if (typeof options.onProgress === 'function') {
+      try {
+        options.onProgress(createProgressSnapshot(files, startTime));
+      } catch (error) {
+        console.error('Ошибка обработчика прогресса пакета:', error.message);
+      }
+    }
+  };
+
+  let next = 0;
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const file = files[index];
+      const fileStart = Date.now();
+
+      file.status = 'processing';
+      file.progress = 0;
+      notify();
+
+      try {
+        const result = await worker(items[index], index, progress => {
+          file.progress = Math.max(0, Math.min(99, Math.round(progress)));
+          notify();
+        });
+        results[index] = { success: true, result };
+        file.status = 'completed';
+      } catch (error) {
+        results[index] = { success: false, error: error.message || String(error) };
+        file.status = 'failed';
+        file.error = results[index].error;
+      }
+
+      file.progress = 100;
+      file.processingTime = Date.now() - fileStart;
+      notify();
+    }
+  };
+
+  console.log(`📦 Пакет: ${items.length} файлов, параллельно ${concurrency}`);
+  await Promise.all(Array.from({ length: concurrency }, runWorker));
+
+  return { results, progress: createProgressSnapshot(files, startTime) };
+}
+
+module.exports = {
+  runBatchQueue,
+  normalizeConcurrency,
+  DEFAULT_CONCURRENCY,
+  MAX_CONCURRENCY
+};
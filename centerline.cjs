@@ -0,0 +1,645 @@
+/**
+ * Трассировка по центральной линии (centerline) для штриховой графики и рукописного текста
+ * Бинарная маска скелетизируется (Zhang-Suen), скелет разбирается на ветви между концами и развилками,
+ * ветви аппроксимируются кривыми Безье (Schneider). Результат — обводки вместо двойного контура вокруг штриха;
+ * толщина обводки оценивается по карте расстояний до фона
+ */
+
+const sharp = require('sharp');
+const { parseColor } = require('./vector-export.cjs');
+
+const DEFAULT_CENTERLINE_OPTIONS = {
+  colors: 1,            // 1 — штрих одного цвета по порогу яркости, 2–6 — обводки по цветам палитры
+  threshold: 'auto',    // порог яркости для colors = 1: auto (Otsu) или 1–254
+  minLength: 8,         // px, более короткие штрихи и отростки скелета отбрасываются
+  tolerance: 1,         // px, допустимое отклонение кривых Безье от скелета
+  strokeWidth: 'auto',  // auto — толщина каждого штриха по изображению, число — одна толщина в px
+  inkColor: '#000000'   // цвет обводки для colors = 1
+};
+
+const MAX_FIT_ITERATIONS = 4;
+const SMOOTHING_PASSES = 2;
+
+// Соседи пикселя: сначала 4-связные, затем диагональные — так обход скелета не срезает углы
+const NEIGHBOUR_STEPS = [[0, -1], [1, 0], [0, 1], [-1, 0], [1, -1], [1, 1], [-1, 1], [-1, -1]];
+
+function formatCoord(value) {
+  const rounded = Math.round(value * 100) / 100;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+function parseNumberOption(value, name, min, max) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`Параметр ${name} должен быть числом от ${min} до ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Проверяет параметры centerline и приводит строки из формы к числам
+ *
+ * @param {Object} options - см. DEFAULT_CENTERLINE_OPTIONS
+ * @returns {Object} настройки трассировки
+ */
+function normalizeCenterlineOptions(options = {}) {
+  const merged = { ...DEFAULT_CENTERLINE_OPTIONS };
+  for (const [key, value] of Object.entries(options)) {
+    if (key in DEFAULT_CENTERLINE_OPTIONS && value !== undefined && value !== '') merged[key] = value;
+  }
+
+  const inkColor = parseColor(String(merged.inkColor));
+  if (!inkColor) {
+    throw new Error(`Некорректный цвет обводки: ${merged.inkColor}`);
+  }
+
+  return {
+    colors: Math.round(parseNumberOption(merged.colors, 'colors', 1, 6)),
+    threshold: merged.threshold === 'auto' ? 'auto' : Math.round(parseNumberOption(merged.threshold, 'threshold', 1, 254)),
+    minLength: parseNumberOption(merged.minLength, 'minLength', 0, 1000),
+    tolerance: parseNumberOption(merged.tolerance, 'tolerance', 0.1, 10),
+    strokeWidth: merged.strokeWidth === 'auto' ? 'auto' : parseNumberOption(merged.strokeWidth, 'strokeWidth', 0.1, 100),
+    inkColor: `#${[inkColor.r, inkColor.g, inkColor.b].map(v => v.toString(16).padStart(2, '0')).join('')}`
+  };
+}
+
+/**
+ * Порог Otsu по гистограмме яркости
+ */
+function otsuThreshold(histogram, total) {
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = 128;
+  let bestVariance = -1;
+  for (let i = 0; i < 256; i++) {
+    weightBackground += histogram[i];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += i * histogram[i];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      best = i;
+    }
+  }
+  return best;
+}
+
+/**
+ * Маска штриха по яркости: пиксели темнее порога; прозрачные — фон
+ *
+ * @returns {{mask: Uint8Array, threshold: number}}
+ */
+function thresholdMask(data, info, threshold = 'auto') {
+  const { width, height, channels } = info;
+  const luminance = new Uint8Array(width * height);
+  const histogram = new Array(256).fill(0);
+
+  for (let i = 0; i < luminance.length; i++) {
+    const offset = i * channels;
+    const alpha = channels === 4 ? data[offset + 3] / 255 : 1;
+    // Прозрачность смешивается с белым фоном
+    const value = (0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]) * alpha + 255 * (1 - alpha);
+    luminance[i] = Math.round(value);
+    histogram[luminance[i]]++;
+  }
+
+  const level = threshold === 'auto' ? otsuThreshold(histogram, luminance.length) : threshold;
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < mask.length; i++) {
+    if (luminance[i] <= level) mask[i] = 1;
+  }
+  return { mask, threshold: level };
+}
+
+/**
+ * Копия маски с рамкой в 1 пиксель: обход соседей без проверки границ
+ */
+function padMask(mask, width, height) {
+  const stride = width + 2;
+  const padded = new Uint8Array(stride * (height + 2));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x]) padded[(y + 1) * stride + x + 1] = 1;
+    }
+  }
+  return padded;
+}
+
+/**
+ * Карта расстояний до фона (фаска 3-4, в пикселях)
+ */
+function distanceTransform(padded, stride, rows) {
+  const distance = new Float32Array(padded.length);
+  const inf = 1e9;
+  for (let i = 0; i < padded.length; i++) distance[i] = padded[i] ? inf : 0;
+
+  for (let y = 1; y < rows - 1; y++) {
+    for (let x = 1; x < stride - 1; x++) {
+      const i = y * stride + x;
+      if (!padded[i]) continue;
+      distance[i] = Math.min(distance[i],
+        distance[i - 1] + 3, distance[i - stride] + 3,
+        distance[i - stride - 1] + 4, distance[i - stride + 1] + 4);
+    }
+  }
+  for (let y = rows - 2; y >= 1; y--) {
+    for (let x = stride - 2; x >= 1; x--) {
+      const i = y * stride + x;
+      if (!padded[i]) continue;
+      distance[i] = Math.min(distance[i],
+        distance[i + 1] + 3, distance[i + stride] + 3,
+        distance[i + stride + 1] + 4, distance[i + stride - 1] + 4);
+    }
+  }
+
+  for (let i = 0; i < distance.length; i++) distance[i] /= 3;
+  return distance;
+}
+
+/**
+ * Скелетизация Zhang-Suen: штрих истончается до линии в 1 пиксель (на месте)
+ */
+function thinZhangSuen(skeleton, stride, rows) {
+  const toRemove = [];
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    for (let pass = 0; pass < 2; pass++) {
+      toRemove.length = 0;
+      for (let y = 1; y < rows - 1; y++) {
+        for (let x = 1; x < stride - 1; x++) {
+          const i = y * stride + x;
+          if (!skeleton[i]) continue;
+
+          // Соседи по часовой стрелке начиная с верхнего: P2..P9
+          const p2 = skeleton[i - stride];
+          const p3 = skeleton[i - stride + 1];
+          const p4 = skeleton[i + 1];
+          const p5 = skeleton[i + stride + 1];
+          const p6 = skeleton[i + stride];
+          const p7 = skeleton[i + stride - 1];
+          const p8 = skeleton[i - 1];
+          const p9 = skeleton[i - stride - 1];
+
+          const count = p2 + p3 + p4 + p5 + p6 + p7 + p8 + p9;
+          if (count < 2 || count > 6) continue;
+
+          const transitions = (!p2 && p3) + (!p3 && p4) + (!p4 && p5) + (!p5 && p6) +
+            (!p6 && p7) + (!p7 && p8) + (!p8 && p9) + (!p9 && p2);
+          if (transitions !== 1) continue;
+
+          if (pass === 0 ? (p2 && p4 && p6) || (p4 && p6 && p8) : (p2 && p4 && p8) || (p2 && p6 && p8)) continue;
+          toRemove.push(i);
+        }
+      }
+
+      for (const i of toRemove) skeleton[i] = 0;
+      if (toRemove.length > 0) changed = true;
+    }
+  }
+}
+
+/**
+ * Число переходов 0→1 вокруг пикселя скелета: 1 — конец, 2 — линия, 3 и больше — развилка
+ */
+function crossingNumber(skeleton, i, offsets) {
+  const ring = [offsets[0], offsets[4], offsets[1], offsets[5], offsets[2], offsets[6], offsets[3], offsets[7]];
+  let transitions = 0;
+  for (let k = 0; k < 8; k++) {
+    if (!skeleton[i + ring[k]] && skeleton[i + ring[(k + 1) % 8]]) transitions++;
+  }
+  return transitions;
+}
+
+/**
+ * Разбирает скелет на ветви: от конца или развилки до следующего конца или развилки, плюс замкнутые петли
+ *
+ * @returns {{branches: Array<{pixels: number[], closed: boolean}>, nodeType: Uint8Array}} nodeType: 1 — конец, 3 — развилка
+ */
+function extractBranches(skeleton, stride) {
+  const offsets = NEIGHBOUR_STEPS.map(([dx, dy]) => dy * stride + dx);
+  const nodeType = new Uint8Array(skeleton.length);
+  const nodes = [];
+
+  for (let i = 0; i < skeleton.length; i++) {
+    if (!skeleton[i]) continue;
+    const crossings = crossingNumber(skeleton, i, offsets);
+    if (crossings === 1 || crossings >= 3) {
+      nodeType[i] = crossings === 1 ? 1 : 3;
+      nodes.push(i);
+    }
+  }
+
+  const visited = new Uint8Array(skeleton.length);
+  const branches = [];
+
+  const walk = (start, first) => {
+    const pixels = [start, first];
+    visited[first] = 1;
+    let prev = start;
+    let current = first;
+
+    while (!nodeType[current]) {
+      let next = -1;
+      // Развилка или конец рядом — ветвь заканчивается на нем
+      for (const offset of offsets) {
+        const candidate = current + offset;
+        if (nodeType[candidate] && candidate !== prev && !(candidate === start && pixels.length < 3)) {
+          next = candidate;
+          break;
+        }
+      }
+      if (next < 0) {
+        for (const offset of offsets) {
+          const candidate = current + offset;
+          if (skeleton[candidate] && !nodeType[candidate] && !visited[candidate]) {
+            next = candidate;
+            break;
+          }
+        }
+      }
+      if (next < 0) break;
+
+      pixels.push(next);
+      if (!nodeType[next]) visited[next] = 1;
+      prev = current;
+      current = next;
+    }
+    return pixels;
+  };
+
+  for (const node of nodes) {
+    for (const offset of offsets) {
+      const neighbour = node + offset;
+      if (skeleton[neighbour] && !nodeType[neighbour] && !visited[neighbour]) {
+        const pixels = walk(node, neighbour);
+        branches.push({ pixels, closed: pixels[pixels.length - 1] === node && pixels.length > 3 });
+      }
+    }
+  }
+
+  // Оставшиеся пиксели — петли без концов и развилок (буква O)
+  for (let i = 0; i < skeleton.length; i++) {
+    if (!skeleton[i] || nodeType[i] || visited[i]) continue;
+    visited[i] = 1;
+    const pixels = [i];
+    let current = i;
+    for (;;) {
+      let next = -1;
+      for (const offset of offsets) {
+        const candidate = current + offset;
+        if (skeleton[candidate] && !visited[candidate]) {
+          next = candidate;
+          break;
+        }
+      }
+      if (next < 0) break;
+      visited[next] = 1;
+      pixels.push(next);
+      current = next;
+    }
+    if (pixels.length > 2) {
+      const closed = offsets.some(offset => pixels[pixels.length - 1] + offset === i);
+      if (closed) pixels.push(i);
+      branches.push({ pixels, closed });
+    }
+  }
+
+  return { branches, nodeType };
+}
+
+/**
+ * Удаляет отростки скелета (короткие ветви от развилки к концу) и короткие штрихи,
+ * затем сращивает ветви, которые после этого встречаются в развилке попарно
+ */
+function pruneBranches(branches, nodeType, distance, minLength) {
+  const kept = branches.filter(branch => {
+    const { pixels } = branch;
+    const startType = nodeType[pixels[0]];
+    const endType = nodeType[pixels[pixels.length - 1]];
+    if (branch.closed) return pixels.length >= minLength;
+
+    // Отросток короче толщины штриха в развилке — артефакт скелетизации
+    const junction = startType === 3 ? pixels[0] : endType === 3 ? pixels[pixels.length - 1] : -1;
+    const isSpur = junction >= 0 && (startType === 1 || endType === 1);
+    if (isSpur) return pixels.length > Math.max(minLength, distance[junction] * 2);
+    return pixels.length >= minLength || (startType === 3 && endType === 3);
+  });
+
+  // Развилки, где осталось ровно две ветви, превращаются в обычную точку линии
+  let merged = true;
+  while (merged) {
+    merged = false;
+    const incident = new Map();
+    kept.forEach((branch, index) => {
+      if (branch.closed) return;
+      for (const end of [branch.pixels[0], branch.pixels[branch.pixels.length - 1]]) {
+        if (nodeType[end] !== 3) continue;
+        if (!incident.has(end)) incident.set(end, []);
+        incident.get(end).push(index);
+      }
+    });
+
+    for (const [node, indices] of incident) {
+      if (indices.length !== 2 || indices[0] === indices[1]) continue;
+      const [a, b] = indices.map(index => kept[index]);
+      const first = a.pixels[a.pixels.length - 1] === node ? a.pixels : [...a.pixels].reverse();
+      const second = b.pixels[0] === node ? b.pixels : [...b.pixels].reverse();
+      const joined = [...first, ...second.slice(1)];
+
+      kept.splice(Math.max(...indices), 1);
+      kept.splice(Math.min(...indices), 1);
+      kept.push({ pixels: joined, closed: joined[0] === joined[joined.length - 1] && joined.length > 3 });
+      nodeType[node] = 0;
+      merged = true;
+      break;
+    }
+  }
+
+  return kept;
+}
+
+/**
+ * Сглаживание ступенек пиксельной линии (концы незамкнутой линии неподвижны)
+ */
+function smoothPoints(points, closed) {
+  let current = points;
+  for (let pass = 0; pass < SMOOTHING_PASSES; pass++) {
+    current = current.map((point, index) => {
+      if (!closed && (index === 0 || index === current.length - 1)) return point;
+      const prev = current[(index - 1 + current.length) % current.length];
+      const next = current[(index + 1) % current.length];
+      return { x: (prev.x + 2 * point.x + next.x) / 4, y: (prev.y + 2 * point.y + next.y) / 4 };
+    });
+  }
+  return current;
+}
+
+// ==================== АППРОКСИМАЦИЯ БЕЗЬЕ (Schneider, Graphics Gems) ====================
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y });
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y });
+const scale = (a, s) => ({ x: a.x * s, y: a.y * s });
+const dot = (a, b) => a.x * b.x + a.y * b.y;
+const length = a => Math.hypot(a.x, a.y);
+const normalize = (a) => {
+  const len = length(a);
+  return len > 0 ? { x: a.x / len, y: a.y / len } : { x: 0, y: 0 };
+};
+
+function bezierPoint(bezier, t) {
+  const mt = 1 - t;
+  const b0 = mt * mt * mt;
+  const b1 = 3 * mt * mt * t;
+  const b2 = 3 * mt * t * t;
+  const b3 = t * t * t;
+  return {
+    x: bezier[0].x * b0 + bezier[1].x * b1 + bezier[2].x * b2 + bezier[3].x * b3,
+    y: bezier[0].y * b0 + bezier[1].y * b1 + bezier[2].y * b2 + bezier[3].y * b3
+  };
+}
+
+function chordLengthParameterize(points, first, last) {
+  const u = [0];
+  for (let i = first + 1; i <= last; i++) {
+    u.push(u[u.length - 1] + length(sub(points[i], points[i - 1])));
+  }
+  const total = u[u.length - 1] || 1;
+  return u.map(value => value / total);
+}
+
+function generateBezier(points, first, last, u, tangent1, tangent2) {
+  const p0 = points[first];
+  const p3 = points[last];
+  let c00 = 0, c01 = 0, c11 = 0, x0 = 0, x1 = 0;
+
+  for (let i = 0; i < u.length; i++) {
+    const t = u[i];
+    const mt = 1 - t;
+    const a0 = scale(tangent1, 3 * mt * mt * t);
+    const a1 = scale(tangent2, 3 * mt * t * t);
+    c00 += dot(a0, a0);
+    c01 += dot(a0, a1);
+    c11 += dot(a1, a1);
+    const base = add(scale(p0, mt * mt * mt + 3 * mt * mt * t), scale(p3, 3 * mt * t * t + t * t * t));
+    const diff = sub(points[first + i], base);
+    x0 += dot(a0, diff);
+    x1 += dot(a1, diff);
+  }
+
+  const det = c00 * c11 - c01 * c01;
+  let alpha1 = det === 0 ? 0 : (x0 * c11 - x1 * c01) / det;
+  let alpha2 = det === 0 ? 0 : (c00 * x1 - c01 * x0) / det;
+
+  // Вырожденная система — эвристика: управляющие точки на трети хорды
+  const segmentLength = length(sub(p3, p0));
+  if (alpha1 < segmentLength * 1e-6 || alpha2 < segmentLength * 1e-6) {
+    alpha1 = alpha2 = segmentLength / 3;
+  }
+
+  return [p0, add(p0, scale(tangent1, alpha1)), add(p3, scale(tangent2, alpha2)), p3];
+}
+
+function computeMaxError(points, first, last, bezier, u) {
+  let maxError = 0;
+  let splitPoint = Math.floor((first + last) / 2);
+  for (let i = first + 1; i < last; i++) {
+    const error = length(sub(bezierPoint(bezier, u[i - first]), points[i])) ** 2;
+    if (error >= maxError) {
+      maxError = error;
+      splitPoint = i;
+    }
+  }
+  return { maxError, splitPoint };
+}
+
+// Уточнение параметров точек методом Ньютона
+function reparameterize(points, first, bezier, u) {
+  const d1 = [0, 1, 2].map(k => scale(sub(bezier[k + 1], bezier[k]), 3));
+  const d2 = [0, 1].map(k => scale(sub(d1[k + 1], d1[k]), 2));
+
+  return u.map((t, index) => {
+    const mt = 1 - t;
+    const q = bezierPoint(bezier, t);
+    const q1 = add(add(scale(d1[0], mt * mt), scale(d1[1], 2 * mt * t)), scale(d1[2], t * t));
+    const q2 = add(scale(d2[0], mt), scale(d2[1], t));
+    const diff = sub(q, points[first + index]);
+    const denominator = dot(q1, q1) + dot(diff, q2);
+    if (denominator === 0) return t;
+    return Math.min(1, Math.max(0, t - dot(diff, q1) / denominator));
+  });
+}
+
+function fitCubic(points, first, last, tangent1, tangent2, errorLimit, curves) {
+  if (last - first === 1) {
+    const dist = length(sub(points[last], points[first])) / 3;
+    curves.push([points[first], add(points[first], scale(tangent1, dist)), add(points[last], scale(tangent2, dist)), points[last]]);
+    return;
+  }
+
+  let u = chordLengthParameterize(points, first, last);
+  let bezier = generateBezier(points, first, last, u, tangent1, tangent2);
+  let { maxError, splitPoint } = computeMaxError(points, first, last, bezier, u);
+  if (maxError < errorLimit) {
+    curves.push(bezier);
+    return;
+  }
+
+  if (maxError < errorLimit * 4) {
+    for (let iteration = 0; iteration < MAX_FIT_ITERATIONS; iteration++) {
+      u = reparameterize(points, first, bezier, u);
+      bezier = generateBezier(points, first, last, u, tangent1, tangent2);
+      ({ maxError, splitPoint } = computeMaxError(points, first, last, bezier, u));
+      if (maxError < errorLimit) {
+        curves.push(bezier);
+        return;
+      }
+    }
+  }
+
+  splitPoint = Math.min(Math.max(splitPoint, first + 1), last - 1);
+  const centerTangent = normalize(sub(points[splitPoint - 1], points[splitPoint + 1]));
+  fitCubic(points, first, splitPoint, tangent1, centerTangent, errorLimit, curves);
+  fitCubic(points, splitPoint, last, scale(centerTangent, -1), tangent2, errorLimit, curves);
+}
+
+/**
+ * Кривые Безье вдоль ломаной
+ *
+ * @returns {Array<Array<{x: number, y: number}>>} кубические сегменты [p0, c1, c2, p3]
+ */
+function fitBezierCurves(points, tolerance) {
+  if (points.length < 2) return [];
+  const last = points.length - 1;
+  const reach = Math.min(3, last);
+  const tangent1 = normalize(sub(points[reach], points[0]));
+  const tangent2 = normalize(sub(points[last - reach], points[last]));
+  const curves = [];
+  fitCubic(points, 0, last, tangent1, tangent2, tolerance * tolerance, curves);
+  return curves;
+}
+
+// ==================== СБОРКА ====================
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length === 0 ? 0 : sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Центральные линии бинарной маски
+ *
+ * @param {Uint8Array} mask - маска (ненулевые пиксели — штрих)
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} settings - из normalizeCenterlineOptions
+ * @returns {Array<{d: string, strokeWidth: number, length: number}>}
+ */
+function traceCenterlines(mask, width, height, settings) {
+  const stride = width + 2;
+  const rows = height + 2;
+  const skeleton = padMask(mask, width, height);
+  const distance = distanceTransform(skeleton, stride, rows);
+  thinZhangSuen(skeleton, stride, rows);
+
+  const { branches, nodeType } = extractBranches(skeleton, stride);
+  const kept = pruneBranches(branches, nodeType, distance, settings.minLength);
+
+  return kept.map(({ pixels, closed }) => {
+    // Толщина штриха: расстояние от оси до фона с обеих сторон (медиана по ветви)
+    const strokeWidth = settings.strokeWidth === 'auto'
+      ? Math.max(1, Math.round((2 * median(pixels.map(i => distance[i])) - 1) * 10) / 10)
+      : settings.strokeWidth;
+
+    const raw = pixels.map(i => ({ x: (i % stride) - 1 + 0.5, y: Math.floor(i / stride) - 1 + 0.5 }));
+    const points = smoothPoints(closed ? raw.slice(0, -1) : raw, closed);
+    if (closed) points.push(points[0]);
+
+    const curves = fitBezierCurves(points, settings.tolerance);
+    const d = [`M${formatCoord(points[0].x)} ${formatCoord(points[0].y)}`]
+      .concat(curves.map(([, c1, c2, p]) =>
+        `C${formatCoord(c1.x)} ${formatCoord(c1.y)} ${formatCoord(c2.x)} ${formatCoord(c2.y)} ${formatCoord(p.x)} ${formatCoord(p.y)}`))
+      .join('') + (closed ? 'Z' : '');
+
+    return { d, strokeWidth, length: pixels.length };
+  }).filter(path => path.length > 1);
+}
+
+/**
+ * SVG из обводок по слоям цветов
+ *
+ * @param {Array<{hex: string, mask: Uint8Array}>} layers - маски по цветам
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} settings - из normalizeCenterlineOptions
+ * @returns {{svg: string, layers: Array<{hex: string, pathCount: number, strokeWidth: number}>}}
+ */
+function createCenterlineSVG(layers, width, height, settings) {
+  const traced = layers.map(layer => {
+    const paths = traceCenterlines(layer.mask, width, height, settings);
+    return { hex: layer.hex, paths, strokeWidth: median(paths.map(path => path.strokeWidth)) };
+  }).filter(layer => layer.paths.length > 0);
+
+  if (traced.length === 0) {
+    throw new Error('На изображении не найдено штрихов для трассировки по центральной линии');
+  }
+
+  const groups = traced.map((layer, index) => [
+    `  <g id="Centerline_${index + 1}_${layer.hex.substring(1)}" data-color="${layer.hex}" data-stroke-width="${layer.strokeWidth}" fill="none" stroke="${layer.hex}" stroke-linecap="round" stroke-linejoin="round">`,
+    ...layer.paths.map(path => `    <path d="${path.d}" stroke-width="${path.strokeWidth}"/>`),
+    '  </g>'
+  ].join('\n'));
+
+  const pathCount = traced.reduce((sum, layer) => sum + layer.paths.length, 0);
+  const svg = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" data-centerline="true">`,
+    `  <!-- Centerline: ${pathCount} strokes, tolerance ${settings.tolerance}px -->`,
+    ...groups,
+    '</svg>'
+  ].join('\n');
+
+  return {
+    svg,
+    layers: traced.map(layer => ({ hex: layer.hex, pathCount: layer.paths.length, strokeWidth: layer.strokeWidth }))
+  };
+}
+
+/**
+ * Трассировка штриха одного цвета по порогу яркости
+ *
+ * @param {Buffer} imageBuffer - изображение (штрих темнее фона)
+ * @param {Object} options - см. DEFAULT_CENTERLINE_OPTIONS
+ * @returns {Promise<{svg: string, width: number, height: number, threshold: number, layers: Array, settings: Object}>}
+ */
+async function createCenterline(imageBuffer, options = {}) {
+  const settings = normalizeCenterlineOptions(options);
+  const { data, info } = await sharp(imageBuffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { mask, threshold } = thresholdMask(data, info, settings.threshold);
+  const { svg, layers } = createCenterlineSVG([{ hex: settings.inkColor, mask }], info.width, info.height, settings);
+
+  console.log(`✒️ Centerline: порог ${threshold}, ${layers[0].pathCount} штрихов, толщина ~${layers[0].strokeWidth}px`);
+
+  return { svg, width: info.width, height: info.height, threshold, layers, settings };
+}
+
+module.exports = {
+  createCenterline,
+  createCenterlineSVG,
+  traceCenterlines,
+  normalizeCenterlineOptions,
+  DEFAULT_CENTERLINE_OPTIONS
+};
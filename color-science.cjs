@@ -0,0 +1,107 @@
+/**
+ * Цветовые расчеты: sRGB -> CIE Lab (D65) и цветовое отличие CIEDE2000
+ * Общие для каталогов ниток вышивки и библиотек спот-цветов векторизатора
+ */
+
+/**
+ * Переводит HEX в RGB
+ */
+function hexToRgb(hex) {
+  return {
+    r: parseInt(hex.slice(1, 3), 16),
+    g: parseInt(hex.slice(3, 5), 16),
+    b: parseInt(hex.slice(5, 7), 16)
+  };
+}
+
+/**
+ * Переводит sRGB в CIE Lab (D65)
+ */
+function rgbToLab({ r, g, b }) {
+  const linear = value => {
+    const c = value / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+  const lr = linear(r), lg = linear(g), lb = linear(b);
+
+  const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+  const y = (lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750) / 1.0;
+  const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (t * 24389 / 27 + 16) / 116);
+  const fx = f(x), fy = f(y), fz = f(z);
+
+  return {
+    L: 116 * fy - 16,
+    a: 500 * (fx - fy),
+    b: 200 * (fy - fz)
+  };
+}
+
+/**
+ * Цветовое отличие CIEDE2000 между двумя цветами Lab
+ */
+function ciede2000(lab1, lab2) {
+  const rad = deg => (deg * Math.PI) / 180;
+  const deg = r => (r * 180) / Math.PI;
+
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const cMean = (c1 + c2) / 2;
+  const g = 0.5 * (1 - Math.sqrt(Math.pow(cMean, 7) / (Math.pow(cMean, 7) + Math.pow(25, 7))));
+
+  const a1 = lab1.a * (1 + g);
+  const a2 = lab2.a * (1 + g);
+  const c1p = Math.hypot(a1, lab1.b);
+  const c2p = Math.hypot(a2, lab2.b);
+  const hue = (bValue, aValue) => {
+    if (bValue === 0 && aValue === 0) return 0;
+    const h = deg(Math.atan2(bValue, aValue));
+    return h >= 0 ? h : h + 360;
+  };
+  const h1p = hue(lab1.b, a1);
+  const h2p = hue(lab2.b, a2);
+
+  const dL = lab2.L - lab1.L;
+  const dC = c2p - c1p;
+  let dh = 0;
+  if (c1p * c2p !== 0) {
+    dh = h2p - h1p;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(c1p * c2p) * Math.sin(rad(dh / 2));
+
+  const lMean = (lab1.L + lab2.L) / 2;
+  const cMeanP = (c1p + c2p) / 2;
+  let hMean = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hMean /= 2;
+    else hMean = h1p + h2p < 360 ? (hMean + 360) / 2 : (hMean - 360) / 2;
+  }
+
+  const t = 1 -
+    0.17 * Math.cos(rad(hMean - 30)) +
+    0.24 * Math.cos(rad(2 * hMean)) +
+    0.32 * Math.cos(rad(3 * hMean + 6)) -
+    0.20 * Math.cos(rad(4 * hMean - 63));
+  const dTheta = 30 * Math.exp(-Math.pow((hMean - 275) / 25, 2));
+  const rc = 2 * Math.sqrt(Math.pow(cMeanP, 7) / (Math.pow(cMeanP, 7) + Math.pow(25, 7)));
+  const sl = 1 + (0.015 * Math.pow(lMean - 50, 2)) / Math.sqrt(20 + Math.pow(lMean - 50, 2));
+  const sc = 1 + 0.045 * cMeanP;
+  const sh = 1 + 0.015 * cMeanP * t;
+  const rt = -Math.sin(rad(2 * dTheta)) * rc;
+
+  return Math.sqrt(
+    Math.pow(dL / sl, 2) +
+    Math.pow(dC / sc, 2) +
+    Math.pow(dH / sh, 2) +
+    rt * (dC / sc) * (dH / sh)
+  );
+}
+
+module.exports = {
+  hexToRgb,
+  rgbToLab,
+  ciede2000
+};
@@ -0,0 +1,398 @@
+/**
+ * Цветоделение для шелкографии: по одной пленке на каждую краску
+ * Пленка — черное на прозрачном, с метками совмещения, метками обреза и подписью краски;
+ * верхние слои композиции выбиваются из нижних, между соседними красками — треппинг;
+ * растр (data-overprint) печатается наложением без выбивки;
+ * для темной ткани — белая подложка под цветными красками и белая плашка поверх них
+ */
+
+const {
+  parseSVGShapes,
+  parseColor,
+  ellipseOps,
+  opsToPathData,
+  createPDFDocument
+} = require('./vector-export.cjs');
+const { flattenPathData, normalizeRings, union, difference, offsetRings } = require('./path-boolean.cjs');
+
+const MM_TO_PT = 72 / 25.4;
+
+const DEFAULT_SEPARATION_OPTIONS = {
+  margin: 15,              // поле вокруг рисунка под метки, мм
+  labelHeight: 8,          // полоса подписи снизу, мм
+  marks: true,             // метки совмещения и обреза
+  trap: 0,                 // ширина треппинга, мм (0 — без треппинга)
+  trapMode: 'spread',      // spread — светлая краска заходит под темную, choke — темная на светлую
+  garmentColor: '#ffffff', // цвет ткани: краски этого цвета не печатаются
+  overprint: null,         // краски печатаются друг на друга без выбивки (растр); null — по data-overprint в SVG
+  underbase: false,        // белая подложка под цветными слоями (темная ткань)
+  underbaseChoke: 0.3,     // поджим подложки от краев, где видна ткань, мм
+  highlightWhite: false    // белые слои отдельной пленкой поверх цветных (с подложкой; иначе белое — фон макета)
+};
+
+const GARMENT_COLOR_TOLERANCE = 12; // расстояние RGB, при котором краска считается цветом ткани
+const WHITE_INK_TOLERANCE = 12;     // расстояние RGB до белого, при котором слой считается белым
+
+const BLACK = { r: 0, g: 0, b: 0 };
+const WHITE = { r: 255, g: 255, b: 255 };
+const MARK_LINE_WIDTH = 0.5; // пт
+
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(v => v.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function colorDistance(a, b) {
+  return Math.hypot(a.r - b.r, a.g - b.g, a.b - b.b);
+}
+
+function luminance({ r, g, b }) {
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[char]);
+}
+
+function translateOps(ops, dx, dy) {
+  return ops.map(op => {
+    if (op.op === 'Z') return op;
+    if (op.op === 'C') {
+      return { op: 'C', x1: op.x1 + dx, y1: op.y1 + dy, x2: op.x2 + dx, y2: op.y2 + dy, x: op.x + dx, y: op.y + dy };
+    }
+    return { op: op.op, x: op.x + dx, y: op.y + dy };
+  });
+}
+
+function lineOps(x1, y1, x2, y2) {
+  return [{ op: 'M', x: x1, y: y1 }, { op: 'L', x: x2, y: y2 }];
+}
+
+/**
+ * Разбирает композитный SVG на краски в порядке их первого появления
+ */
+function extractInks(shapes, garmentColor) {
+  const inks = new Map();
+
+  shapes.forEach((shape, order) => {
+    const hex = toHex(shape.color);
+    if (!inks.has(hex)) {
+      inks.set(hex, {
+        hex,
+        rgb: shape.color,
+        name: shape.inkName || null,
+        firstOrder: order,
+        shapeCount: 0,
+        printed: !garmentColor || colorDistance(shape.color, garmentColor) > GARMENT_COLOR_TOLERANCE,
+        white: colorDistance(shape.color, WHITE) <= WHITE_INK_TOLERANCE
+      });
+    }
+    inks.get(hex).shapeCount++;
+  });
+
+  return [...inks.values()];
+}
+
+/**
+ * Метки совмещения (крест в круге посередине каждой стороны) и метки обреза в углах рисунка
+ */
+function createMarks(artwork, margin) {
+  const items = [];
+  const radius = 3 * MM_TO_PT;
+  const cross = 5 * MM_TO_PT;
+  const left = artwork.x, top = artwork.y;
+  const right = artwork.x + artwork.width, bottom = artwork.y + artwork.height;
+  const stroke = ops => items.push({ type: 'stroke', color: BLACK, width: MARK_LINE_WIDTH, ops });
+
+  const centerX = (left + right) / 2, centerY = (top + bottom) / 2;
+  const registrations = [
+    { x: centerX, y: top - margin / 2 },
+    { x: centerX, y: bottom + margin / 2 },
+    { x: left - margin / 2, y: centerY },
+    { x: right + margin / 2, y: centerY }
+  ];
+  for (const point of registrations) {
+    stroke(ellipseOps(point.x, point.y, radius, radius));
+    stroke([...lineOps(point.x - cross, point.y, point.x + cross, point.y), ...lineOps(point.x, point.y - cross, point.x, point.y + cross)]);
+  }
+
+  // Метки обреза: продолжения краев рисунка с отступом от угла
+  const offset = 2 * MM_TO_PT;
+  const length = 5 * MM_TO_PT;
+  for (const [x, y, sx, sy] of [[left, top, -1, -1], [right, top, 1, -1], [right, bottom, 1, 1], [left, bottom, -1, 1]]) {
+    stroke(lineOps(x + sx * offset, y, x + sx * (offset + length), y));
+    stroke(lineOps(x, y + sy * offset, x, y + sy * (offset + length)));
+  }
+
+  return items;
+}
+
+/**
+ * Собирает элементы пленки одной краски
+ * Порядок рисования как в композиции: своя краска — черным, краски выше — выбивкой (белым)
+ */
+function buildPlateItems(ink, placedShapes, inks, settings) {
+  const knockoutSequence = [];
+  placedShapes.forEach((shape, order) => {
+    if (order < ink.firstOrder) return;
+    // При наложении чужие краски не выбиваются: на пленке только свои фигуры
+    if (settings.overprint && shape.hex !== ink.hex) return;
+    knockoutSequence.push({ own: shape.hex === ink.hex, shape });
+  });
+
+  // Треппинг: обводка краски, обрезанная по областям соседних красок (при наложении не нужен)
+  let trap = null;
+  if (settings.trap > 0 && !settings.overprint) {
+    const inkLuminance = luminance(ink.rgb);
+    const neighbours = new Set(inks
+      .filter(other => other.printed && other.hex !== ink.hex)
+      .filter(other => (settings.trapMode === 'choke'
+        ? luminance(other.rgb) > inkLuminance
+        : luminance(other.rgb) < inkLuminance))
+      .map(other => other.hex));
+
+    const clip = placedShapes.filter(shape => neighbours.has(shape.hex)).map(shape => ({ ops: shape.ops, evenOdd: shape.evenOdd }));
+    if (clip.length > 0) {
+      trap = {
+        type: 'stroke',
+        color: BLACK,
+        width: settings.trap * MM_TO_PT * 2, // обводка по центру края: наружу уходит половина
+        ops: placedShapes.filter(shape => shape.hex === ink.hex).flatMap(shape => shape.ops),
+        clip
+      };
+    }
+  }
+
+  return { knockoutSequence, trap };
+}
+
+/**
+ * Кольца фигуры пленки (path-boolean) → операции пути
+ */
+function ringsToOps(rings) {
+  return rings.flatMap(ring => [
+    { op: 'M', x: ring[0][0], y: ring[0][1] },
+    ...ring.slice(1).map(([x, y]) => ({ op: 'L', x, y })),
+    { op: 'Z' }
+  ]);
+}
+
+/**
+ * Собирает элементы пленки белой подложки
+ * Подложка — цветные слои в порядке композиции, слои цвета ткани и белые над ними выбиваются.
+ * Вся область подложки затем сжимается на underbaseChoke: подложка отступает от внешнего контура рисунка
+ * и от краев выбивок, где видна ткань
+ */
+function buildUnderbaseItems(underbaseHexes, placedShapes, settings) {
+  const firstOrder = placedShapes.findIndex(shape => underbaseHexes.has(shape.hex));
+  let region = [];
+  // Подряд идущие фигуры одного вида добавляются или выбиваются одной операцией
+  let run = { own: true, rings: [] };
+  const flush = () => {
+    if (run.rings.length > 0) {
+      region = run.own ? union(region, run.rings) : difference(region, run.rings);
+    }
+  };
+  for (const shape of placedShapes.slice(firstOrder)) {
+    const own = underbaseHexes.has(shape.hex);
+    if (own !== run.own) {
+      flush();
+      run = { own, rings: [] };
+    }
+    run.rings.push(...normalizeRings(flattenPathData(opsToPathData(shape.ops)), shape.evenOdd ? 'evenodd' : 'nonzero'));
+  }
+  flush();
+
+  const choked = settings.underbaseChoke > 0;
+  if (choked) {
+    region = offsetRings(region, -settings.underbaseChoke * MM_TO_PT);
+  }
+
+  return {
+    knockoutSequence: [{ own: true, shape: { ops: ringsToOps(region), evenOdd: false } }],
+    trap: null,
+    choked
+  };
+}
+
+/**
+ * Пленка в SVG: прозрачный фон, выбивка через маску
+ */
+function renderPlateSVG(plate, page, title) {
+  const widthMm = (page.width / MM_TO_PT).toFixed(2);
+  const heightMm = (page.height / MM_TO_PT).toFixed(2);
+  const fillRule = shape => (shape.evenOdd ? 'evenodd' : 'nonzero');
+  const parts = [];
+
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${widthMm}mm" height="${heightMm}mm" viewBox="0 0 ${page.width.toFixed(3)} ${page.height.toFixed(3)}">`);
+  parts.push(`<title>${escapeXml(title)}</title>`);
+  parts.push('<defs>');
+  parts.push(`<mask id="plate-mask" maskUnits="userSpaceOnUse" x="0" y="0" width="${page.width.toFixed(3)}" height="${page.height.toFixed(3)}">`);
+  for (const { own, shape } of plate.knockoutSequence) {
+    parts.push(`<path d="${opsToPathData(shape.ops)}" fill="${own ? '#fff' : '#000'}" fill-rule="${fillRule(shape)}"/>`);
+  }
+  parts.push('</mask>');
+  if (plate.trap) {
+    parts.push('<clipPath id="trap-area">');
+    for (const clip of plate.trap.clip) {
+      parts.push(`<path d="${opsToPathData(clip.ops)}" clip-rule="${fillRule(clip)}"/>`);
+    }
+    parts.push('</clipPath>');
+  }
+  parts.push('</defs>');
+
+  parts.push(`<rect id="ink" width="${page.width.toFixed(3)}" height="${page.height.toFixed(3)}" fill="#000" mask="url(#plate-mask)"/>`);
+  if (plate.trap) {
+    parts.push(`<path id="trap" d="${opsToPathData(plate.trap.ops)}" fill="none" stroke="#000" stroke-width="${plate.trap.width.toFixed(3)}" stroke-linejoin="round" clip-path="url(#trap-area)"/>`);
+  }
+  if (plate.marks.length > 0) {
+    parts.push(`<g id="marks" fill="none" stroke="#000" stroke-width="${MARK_LINE_WIDTH}">`);
+    for (const mark of plate.marks) {
+      parts.push(`<path d="${opsToPathData(mark.ops)}"/>`);
+    }
+    parts.push('</g>');
+  }
+  if (plate.label) {
+    parts.push(`<text id="label" x="${plate.label.x.toFixed(2)}" y="${plate.label.y.toFixed(2)}" font-family="Helvetica, Arial, sans-serif" font-size="${plate.label.size}" fill="#000">${escapeXml(plate.label.text)}</text>`);
+  }
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Пленка в PDF: выбивка рисуется белым (на пленке — прозрачно)
+ */
+function renderPlatePDF(plate, page, title) {
+  const items = plate.knockoutSequence.map(({ own, shape }) => ({
+    color: own ? BLACK : WHITE,
+    evenOdd: shape.evenOdd,
+    ops: shape.ops
+  }));
+  if (plate.trap) items.push(plate.trap);
+  items.push(...plate.marks);
+  if (plate.label) items.push({ type: 'text', color: BLACK, ...plate.label });
+
+  return createPDFDocument({ width: page.width, height: page.height, items }, { title });
+}
+
+/**
+ * Цветоделение композитного SVG
+ *
+ * @param {string} svgContent - SVG векторизатора
+ * @param {Object} options - см. DEFAULT_SEPARATION_OPTIONS
+ * @returns {{page: Object, artwork: Object, plates: Array, skippedInks: Array, settings: Object}}
+ */
+function createSeparations(svgContent, options = {}) {
+  const settings = { ...DEFAULT_SEPARATION_OPTIONS, ...options };
+  settings.trap = Math.max(0, parseFloat(settings.trap) || 0);
+  settings.underbaseChoke = Math.max(0, parseFloat(settings.underbaseChoke) || 0);
+  if (settings.highlightWhite && !settings.underbase) {
+    throw new Error('Белая плашка (highlightWhite) печатается только вместе с подложкой (underbase)');
+  }
+  if (!['spread', 'choke'].includes(settings.trapMode)) {
+    throw new Error(`Неизвестный режим треппинга: ${settings.trapMode}. Доступны: spread, choke`);
+  }
+  if (settings.overprint === null || settings.overprint === undefined) {
+    settings.overprint = /<svg\b[^>]*\sdata-overprint="true"/.test(svgContent);
+  }
+  const garmentColor = settings.garmentColor ? parseColor(settings.garmentColor) : null;
+  if (settings.garmentColor && !garmentColor) {
+    throw new Error(`Некорректный цвет ткани: ${settings.garmentColor}`);
+  }
+
+  // Пленки строятся из заливок; обводки (centerline) на пленки не переносятся
+  const parsed = parseSVGShapes(svgContent);
+  const fillShapes = parsed.shapes.filter(shape => shape.type !== 'stroke');
+  if (fillShapes.length === 0) {
+    throw new Error(parsed.shapes.length > 0
+      ? 'В SVG только обводки: цветоделение строится по залитым фигурам'
+      : 'В SVG нет залитых фигур для цветоделения');
+  }
+
+  const margin = settings.marks ? settings.margin * MM_TO_PT : 0;
+  const labelHeight = settings.marks ? settings.labelHeight * MM_TO_PT : 0;
+  const artwork = { x: margin, y: margin, width: parsed.width, height: parsed.height };
+  const page = { width: parsed.width + margin * 2, height: parsed.height + margin * 2 + labelHeight };
+
+  const placedShapes = fillShapes.map(shape => ({
+    hex: toHex(shape.color),
+    evenOdd: shape.evenOdd,
+    ops: translateOps(shape.ops, margin, margin)
+  }));
+
+  const inks = extractInks(fillShapes, garmentColor);
+  const printedInks = inks.filter(ink => ink.printed);
+  if (printedInks.length === 0) {
+    throw new Error('Все цвета рисунка совпадают с цветом ткани — печатать нечего');
+  }
+
+  // С подложкой белые слои — фон макета: печатаются только белой плашкой поверх цветных
+  const colorInks = settings.underbase ? printedInks.filter(ink => !ink.white) : printedInks;
+  const whiteInks = settings.underbase ? printedInks.filter(ink => ink.white) : [];
+  if (settings.underbase && colorInks.length === 0) {
+    throw new Error('В рисунке нет цветных слоев для подложки');
+  }
+
+  const sequence = [
+    ...(settings.underbase ? [{ kind: 'underbase' }] : []),
+    ...colorInks.map(ink => ({ kind: 'ink', ink })),
+    ...(settings.highlightWhite ? whiteInks.map(ink => ({ kind: 'highlight', ink })) : [])
+  ];
+
+  const marks = settings.marks ? createMarks(artwork, margin) : [];
+  const underbaseHexes = new Set(colorInks.map(ink => ink.hex));
+
+  const plates = sequence.map(({ kind, ink }, index) => {
+    const hex = kind === 'underbase' ? toHex(WHITE) : ink.hex;
+    const name = kind === 'underbase' ? 'Underbase' : kind === 'highlight' ? 'Highlight White' : ink.name || ink.hex.toUpperCase();
+    const title = `${index + 1}/${sequence.length} ${name}`;
+    const plate = {
+      ...(kind === 'underbase'
+        ? buildUnderbaseItems(underbaseHexes, placedShapes, settings)
+        : buildPlateItems(ink, placedShapes, inks, settings)),
+      marks,
+      label: settings.marks
+        ? { x: margin, y: margin * 2 + parsed.height + labelHeight / 2, size: 8, text: kind !== 'ink' || name === hex.toUpperCase() ? title : `${title}  ${hex.toUpperCase()}` }
+        : null
+    };
+
+    return {
+      index: index + 1,
+      kind,
+      hex,
+      rgb: kind === 'underbase' ? WHITE : ink.rgb,
+      name,
+      shapeCount: kind === 'underbase'
+        ? colorInks.reduce((sum, colorInk) => sum + colorInk.shapeCount, 0)
+        : ink.shapeCount,
+      trapped: Boolean(plate.trap),
+      choked: Boolean(plate.choked),
+      svg: renderPlateSVG(plate, page, title),
+      pdf: renderPlatePDF(plate, page, title)
+    };
+  });
+
+  return {
+    page: { widthMm: page.width / MM_TO_PT, heightMm: page.height / MM_TO_PT },
+    artwork: { widthMm: parsed.width / MM_TO_PT, heightMm: parsed.height / MM_TO_PT },
+    plates,
+    skippedInks: inks
+      .filter(ink => !ink.printed || (settings.underbase && ink.white && !settings.highlightWhite))
+      .map(ink => ink.hex),
+    settings: {
+      marks: settings.marks,
+      trap: settings.trap,
+      trapMode: settings.trapMode,
+      overprint: settings.overprint,
+      underbase: Boolean(settings.underbase),
+      underbaseChoke: settings.underbase ? settings.underbaseChoke : 0,
+      highlightWhite: Boolean(settings.highlightWhite),
+      garmentColor: garmentColor ? toHex(garmentColor) : null
+    }
+  };
+}
+
+module.exports = {
+  createSeparations,
+  DEFAULT_SEPARATION_OPTIONS
+};
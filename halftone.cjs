@@ -0,0 +1,360 @@
+/**
+ * Растрирование градиентов для шелкографии: каждый канал краски превращается в векторные точки или линии
+ * Точки стоят в повернутой сетке растра (линиатура и угол по краске), площадь точки — плотность краски в ячейке
+ * Размер SVG задается в миллиметрах, поэтому пленки из него сохраняют линиатуру
+ */
+
+const sharp = require('sharp');
+const { parseColor } = require('./vector-export.cjs');
+const { throwIfAborted } = require('./worker-pool.cjs');
+
+const DEFAULT_HALFTONE_OPTIONS = {
+  channels: 'cmyk',     // cmyk — четыре триадные краски, mono — одна краска по яркости
+  lpi: 45,              // линиатура, линий на дюйм
+  dpi: 300,             // разрешение исходника: переводит LPI в пиксели и задает размер пленки
+  dotShape: 'round',    // round | ellipse | square | line
+  minDot: 5,            // %, точки меньше не держатся на сетке и выпадают
+  maxDot: 95,           // %, точки крупнее ограничиваются, чтобы не забивались
+  angles: {},           // угол растра по краске: {cyan: 15, magenta: 75, yellow: 0, black: 45} или {mono: 45}
+  inkColor: '#000000'   // цвет краски в режиме mono
+};
+
+// Стандартные углы триады разнесены на 30°, желтый — на наименее заметные 0°
+const CMYK_INKS = [
+  { id: 'cyan', name: 'Cyan', hex: '#00aeef', angle: 15 },
+  { id: 'magenta', name: 'Magenta', hex: '#ec008c', angle: 75 },
+  { id: 'yellow', name: 'Yellow', hex: '#fff200', angle: 0 },
+  { id: 'black', name: 'Black', hex: '#231f20', angle: 45 }
+];
+const MONO_ANGLE = 45;
+
+const DOT_SHAPES = ['round', 'ellipse', 'square', 'line'];
+const ELLIPSE_RATIO = 0.7;        // малая ось эллиптической точки относительно большой
+const CELL_SAMPLES = 3;           // плотность ячейки усредняется по сетке CELL_SAMPLES × CELL_SAMPLES
+const MAX_CELLS_PER_INK = 250000;
+const MM_PER_INCH = 25.4;
+
+function formatCoord(value) {
+  const rounded = Math.round(value * 100) / 100;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+function parseNumberOption(value, name, min, max) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`Параметр ${name} должен быть числом от ${min} до ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Проверяет параметры растра и приводит строки из формы к числам
+ *
+ * @param {Object} options - см. DEFAULT_HALFTONE_OPTIONS
+ * @returns {Object} настройки растра
+ */
+function normalizeHalftoneOptions(options = {}) {
+  const merged = { ...DEFAULT_HALFTONE_OPTIONS };
+  for (const [key, value] of Object.entries(options)) {
+    if (key in DEFAULT_HALFTONE_OPTIONS && value !== undefined && value !== '') merged[key] = value;
+  }
+
+  if (!['cmyk', 'mono'].includes(merged.channels)) {
+    throw new Error(`Неизвестный набор красок растра: ${merged.channels}. Доступны: cmyk, mono`);
+  }
+  if (!DOT_SHAPES.includes(merged.dotShape)) {
+    throw new Error(`Неизвестная форма точки: ${merged.dotShape}. Доступны: ${DOT_SHAPES.join(', ')}`);
+  }
+
+  let angles = merged.angles;
+  if (typeof angles === 'string') {
+    try {
+      angles = JSON.parse(angles);
+    } catch (error) {
+      throw new Error(`Углы растра должны быть JSON-объектом: ${error.message}`);
+    }
+  }
+  if (!angles || typeof angles !== 'object' || Array.isArray(angles)) {
+    throw new Error('Углы растра должны быть объектом {краска: угол}');
+  }
+
+  const inkColor = parseColor(String(merged.inkColor));
+  if (!inkColor) {
+    throw new Error(`Некорректный цвет краски: ${merged.inkColor}`);
+  }
+
+  const settings = {
+    channels: merged.channels,
+    lpi: parseNumberOption(merged.lpi, 'lpi', 5, 150),
+    dpi: parseNumberOption(merged.dpi, 'dpi', 72, 2400),
+    dotShape: merged.dotShape,
+    minDot: parseNumberOption(merged.minDot, 'minDot', 0, 50),
+    maxDot: parseNumberOption(merged.maxDot, 'maxDot', 50, 100),
+    angles: {},
+    inkColor: `#${[inkColor.r, inkColor.g, inkColor.b].map(v => v.toString(16).padStart(2, '0')).join('')}`
+  };
+
+  const inkIds = settings.channels === 'cmyk' ? CMYK_INKS.map(ink => ink.id) : ['mono'];
+  for (const [inkId, angle] of Object.entries(angles)) {
+    if (!inkIds.includes(inkId)) {
+      throw new Error(`Неизвестная краска в углах растра: ${inkId}. Доступны: ${inkIds.join(', ')}`);
+    }
+    settings.angles[inkId] = parseNumberOption(angle, `angles.${inkId}`, -180, 180);
+  }
+
+  return settings;
+}
+
+/**
+ * Краски растра с итоговыми углами
+ */
+function getHalftoneInks(settings) {
+  const inks = settings.channels === 'cmyk'
+    ? CMYK_INKS
+    : [{ id: 'mono', name: 'Mono', hex: settings.inkColor, angle: MONO_ANGLE }];
+
+  return inks.map(ink => ({ ...ink, angle: settings.angles[ink.id] ?? ink.angle }));
+}
+
+/**
+ * Плотность каждой краски по пикселям (0..1); прозрачные области не запечатываются
+ */
+function extractInkChannels(data, info, channels) {
+  const pixelCount = info.width * info.height;
+  const planes = channels === 'cmyk'
+    ? [0, 1, 2, 3].map(() => new Float32Array(pixelCount))
+    : [new Float32Array(pixelCount)];
+
+  for (let p = 0; p < pixelCount; p++) {
+    const offset = p * info.channels;
+    const alpha = data[offset + 3] / 255;
+    // Наложение на белый: полупрозрачное дает светлый тон, а не плотную краску
+    const r = 1 - alpha + alpha * data[offset] / 255;
+    const g = 1 - alpha + alpha * data[offset + 1] / 255;
+    const b = 1 - alpha + alpha * data[offset + 2] / 255;
+
+    if (channels === 'cmyk') {
+      const k = 1 - Math.max(r, g, b);
+      const rest = 1 - k;
+      planes[0][p] = rest > 0 ? (1 - r - k) / rest : 0;
+      planes[1][p] = rest > 0 ? (1 - g - k) / rest : 0;
+      planes[2][p] = rest > 0 ? (1 - b - k) / rest : 0;
+      planes[3][p] = k;
+    } else {
+      planes[0][p] = 1 - (0.2126 * r + 0.7152 * g + 0.0722 * b);
+    }
+  }
+
+  return planes;
+}
+
+/**
+ * Средняя плотность краски в ячейке растра (подвыборка в повернутой ячейке)
+ */
+function sampleCell(plane, width, height, cx, cy, cellSize, cos, sin) {
+  let sum = 0;
+  let count = 0;
+
+  for (let a = 0; a < CELL_SAMPLES; a++) {
+    const du = ((a + 0.5) / CELL_SAMPLES - 0.5) * cellSize;
+    for (let b = 0; b < CELL_SAMPLES; b++) {
+      const dv = ((b + 0.5) / CELL_SAMPLES - 0.5) * cellSize;
+      const x = Math.floor(cx + du * cos - dv * sin);
+      const y = Math.floor(cy + du * sin + dv * cos);
+      if (x < 0 || y < 0 || x >= width || y >= height) continue;
+      sum += plane[y * width + x];
+      count++;
+    }
+  }
+
+  return count > 0 ? sum / count : 0;
+}
+
+/**
+ * Плотность -> доля площади точки с учетом минимальной и максимальной точки
+ */
+function dotCoverage(density, settings) {
+  if (density * 100 < settings.minDot || density <= 0) return 0;
+  return Math.min(density, settings.maxDot / 100);
+}
+
+/**
+ * Контур одной точки площадью coverage·cellSize² с центром (x, y)
+ */
+function dotPath(shape, x, y, cellSize, coverage, angle, cos, sin) {
+  const f = formatCoord;
+
+  if (shape === 'round') {
+    const r = cellSize * Math.sqrt(coverage / Math.PI);
+    return `M${f(x - r)} ${f(y)}a${f(r)} ${f(r)} 0 1 0 ${f(2 * r)} 0a${f(r)} ${f(r)} 0 1 0 ${f(-2 * r)} 0Z`;
+  }
+
+  if (shape === 'ellipse') {
+    // Большая ось вдоль угла растра: точки смыкаются в цепочки плавнее, чем круглые
+    const rx = cellSize * Math.sqrt(coverage / (Math.PI * ELLIPSE_RATIO));
+    const ry = rx * ELLIPSE_RATIO;
+    const dx = rx * cos, dy = rx * sin;
+    return `M${f(x - dx)} ${f(y - dy)}a${f(rx)} ${f(ry)} ${f(angle)} 1 0 ${f(2 * dx)} ${f(2 * dy)}a${f(rx)} ${f(ry)} ${f(angle)} 1 0 ${f(-2 * dx)} ${f(-2 * dy)}Z`;
+  }
+
+  // square: квадрат, повернутый на угол растра
+  const half = cellSize * Math.sqrt(coverage) / 2;
+  const startX = x - half * cos + half * sin;
+  const startY = y - half * sin - half * cos;
+  const ux = 2 * half * cos, uy = 2 * half * sin;
+  return `M${f(startX)} ${f(startY)}l${f(ux)} ${f(uy)}l${f(-uy)} ${f(ux)}l${f(-ux)} ${f(-uy)}Z`;
+}
+
+/**
+ * Контур участка линии растра переменной толщины
+ * run — подряд идущие ячейки строки {u, thickness}, toImage переводит координаты растра в пиксели
+ */
+function lineRunPath(run, v, cellSize, toImage) {
+  const first = run[0], last = run[run.length - 1];
+  const top = [
+    toImage(first.u - cellSize / 2, v - first.thickness / 2),
+    ...run.map(cell => toImage(cell.u, v - cell.thickness / 2)),
+    toImage(last.u + cellSize / 2, v - last.thickness / 2)
+  ];
+  const bottom = [
+    toImage(last.u + cellSize / 2, v + last.thickness / 2),
+    ...run.slice().reverse().map(cell => toImage(cell.u, v + cell.thickness / 2)),
+    toImage(first.u - cellSize / 2, v + first.thickness / 2)
+  ];
+
+  return [...top, ...bottom]
+    .map((point, index) => `${index === 0 ? 'M' : 'L'}${formatCoord(point.x)} ${formatCoord(point.y)}`)
+    .join('') + 'Z';
+}
+
+/**
+ * Растрирует один канал краски
+ *
+ * @returns {{d: string, shapeCount: number}} контур всех точек (или линий) канала
+ */
+function screenInk(plane, width, height, angle, settings, cellSize) {
+  const rad = angle * Math.PI / 180;
+  const cos = Math.cos(rad), sin = Math.sin(rad);
+  // u — вдоль угла растра, v — поперек
+  const toImage = (u, v) => ({ x: u * cos - v * sin, y: u * sin + v * cos });
+
+  const corners = [[0, 0], [width, 0], [0, height], [width, height]]
+    .map(([x, y]) => ({ u: x * cos + y * sin, v: -x * sin + y * cos }));
+  const iStart = Math.floor(Math.min(...corners.map(c => c.u)) / cellSize);
+  const iEnd = Math.ceil(Math.max(...corners.map(c => c.u)) / cellSize);
+  const jStart = Math.floor(Math.min(...corners.map(c => c.v)) / cellSize);
+  const jEnd = Math.ceil(Math.max(...corners.map(c => c.v)) / cellSize);
+
+  if ((iEnd - iStart) * (jEnd - jStart) > MAX_CELLS_PER_INK) {
+    throw new Error('Слишком мелкий растр для такого изображения: уменьшите lpi или укажите больший dpi');
+  }
+
+  const parts = [];
+  let shapeCount = 0;
+
+  for (let j = jStart; j < jEnd; j++) {
+    const v = (j + 0.5) * cellSize;
+    let run = [];
+    const flushRun = () => {
+      if (run.length > 0) {
+        parts.push(lineRunPath(run, v, cellSize, toImage));
+        shapeCount++;
+        run = [];
+      }
+    };
+
+    for (let i = iStart; i < iEnd; i++) {
+      const u = (i + 0.5) * cellSize;
+      const { x, y } = toImage(u, v);
+      const inside = x >= 0 && y >= 0 && x < width && y < height;
+      const coverage = inside ? dotCoverage(sampleCell(plane, width, height, x, y, cellSize, cos, sin), settings) : 0;
+
+      if (settings.dotShape === 'line') {
+        if (coverage > 0) {
+          run.push({ u, thickness: coverage * cellSize });
+        } else {
+          flushRun();
+        }
+      } else if (coverage > 0) {
+        parts.push(dotPath(settings.dotShape, x, y, cellSize, coverage, angle, cos, sin));
+        shapeCount++;
+      }
+    }
+    flushRun();
+  }
+
+  return { d: parts.join(''), shapeCount };
+}
+
+/**
+ * Строит векторный растр изображения: слой точек на каждую краску
+ *
+ * @param {Buffer} imageBuffer - исходное изображение
+ * @param {Object} options - см. DEFAULT_HALFTONE_OPTIONS; signal — отмена, проверяется перед каждой краской
+ * @param {Function} [screen] - растрирование канала с аргументами screenInk (advanced-vectorizer выполняет его в пуле потоков)
+ * @returns {Promise<{svg: string, width: number, height: number, widthMm: number, heightMm: number, cellSize: number, inks: Array, settings: Object}>}
+ */
+async function createHalftone(imageBuffer, options = {}, screen = screenInk) {
+  const settings = normalizeHalftoneOptions(options);
+  const { data, info } = await sharp(imageBuffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height } = info;
+  const cellSize = settings.dpi / settings.lpi;
+  const widthMm = width / settings.dpi * MM_PER_INCH;
+  const heightMm = height / settings.dpi * MM_PER_INCH;
+
+  const planes = extractInkChannels(data, info, settings.channels);
+  const inks = [];
+  for (const [index, ink] of getHalftoneInks(settings).entries()) {
+    // Между красками цикл событий успевает заметить отключение клиента
+    await new Promise(resolve => setImmediate(resolve));
+    throwIfAborted(options.signal);
+    const { d, shapeCount } = await screen(planes[index], width, height, ink.angle, settings, cellSize);
+    inks.push({ ...ink, shapeCount, d });
+  }
+
+  const layers = inks
+    .filter(ink => ink.shapeCount > 0)
+    .map(ink => [
+      `  <g id="Halftone_${ink.id}" data-ink-name="${ink.name}" data-color="${ink.hex}" data-angle="${ink.angle}" data-lpi="${settings.lpi}" data-dot-shape="${settings.dotShape}" style="mix-blend-mode:multiply">`,
+      `    <path d="${ink.d}" fill="${ink.hex}"/>`,
+      '  </g>'
+    ].join('\n'));
+
+  if (layers.length === 0) {
+    throw new Error('Изображение слишком светлое: ни одна точка растра не превышает минимальную');
+  }
+
+  const svg = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${widthMm.toFixed(2)}mm" height="${heightMm.toFixed(2)}mm" viewBox="0 0 ${width} ${height}" data-halftone="true" data-overprint="true">`,
+    `  <!-- Halftone: ${settings.channels}, ${settings.lpi} LPI, ${settings.dotShape} -->`,
+    ...layers,
+    '</svg>'
+  ].join('\n');
+
+  console.log(`🔘 Растр ${settings.lpi} LPI (${settings.dotShape}): ${inks.map(ink => `${ink.name} ${ink.angle}° — ${ink.shapeCount}`).join(', ')}`);
+
+  return {
+    svg,
+    width,
+    height,
+    widthMm,
+    heightMm,
+    cellSize,
+    inks: inks.map(({ d, ...ink }) => ink),
+    settings
+  };
+}
+
+module.exports = {
+  createHalftone,
+  screenInk,
+  normalizeHalftoneOptions,
+  getHalftoneInks,
+  DEFAULT_HALFTONE_OPTIONS,
+  CMYK_INKS
+};
@@ -0,0 +1,146 @@
+/**
+ * Методы наложения слоев шелкографии, как в Illustrator Image Trace
+ * abutting — слои стыкуются: из каждого нижнего слоя вырезаны все слои над ним, краски не ложатся друг на друга;
+ * overlapping — слои целые и стопкой: нижний слой заходит под верхние на ширину треппинга (trapWidth),
+ * чтобы при несовмещении рамок между красками не появлялись просветы
+ * Порядок слоев — порядок отрисовки: последний слой верхний
+ */
+
+const {
+  flattenPathData,
+  ringsToPathData,
+  union,
+  intersection,
+  difference,
+  normalizeRings,
+  offsetRings,
+  groupShapes
+} = require('./path-boolean.cjs');
+
+const LAYER_METHODS = ['auto', 'abutting', 'overlapping'];
+
+const DEFAULT_LAYER_METHOD_OPTIONS = {
+  layerMethod: 'auto', // auto — метод по типу изображения (adaptiveQualitySettings)
+  trapWidth: 1         // px, заход нижнего слоя под верхние в методе overlapping; 0 — без треппинга
+};
+
+const MAX_TRAP_WIDTH = 20;
+
+/**
+ * Проверяет метод наложения и ширину треппинга, приводит строки из формы к числам
+ *
+ * @param {Object} options - см. DEFAULT_LAYER_METHOD_OPTIONS
+ * @returns {{layerMethod: string, trapWidth: number}}
+ */
+function normalizeLayerMethodOptions(options = {}) {
+  const merged = { ...DEFAULT_LAYER_METHOD_OPTIONS };
+  for (const key of Object.keys(DEFAULT_LAYER_METHOD_OPTIONS)) {
+    if (options[key] !== undefined && options[key] !== '') merged[key] = options[key];
+  }
+
+  if (!LAYER_METHODS.includes(merged.layerMethod)) {
+    throw new Error(`Неизвестный метод наложения слоев: ${merged.layerMethod}. Доступны: ${LAYER_METHODS.join(', ')}`);
+  }
+  const trapWidth = parseFloat(merged.trapWidth);
+  if (!Number.isFinite(trapWidth) || trapWidth < 0 || trapWidth > MAX_TRAP_WIDTH) {
+    throw new Error(`Параметр trapWidth должен быть числом от 0 до ${MAX_TRAP_WIDTH}`);
+  }
+
+  return { layerMethod: merged.layerMethod, trapWidth };
+}
+
+/**
+ * Область, которую закрашивают пути слоя: каждый путь приводится к кольцам по своему правилу заливки,
+ * затем пути объединяются (перекрытия путей одного слоя не должны давать дыр)
+ */
+function layerRegion(paths) {
+  const rings = [];
+  for (const layerPath of paths) {
+    rings.push(...normalizeRings(flattenPathData(layerPath.d), layerPath.fillRule || 'nonzero'));
+  }
+  return union(rings);
+}
+
+/**
+ * Область → пути слоя: по пути на фигуру (внешний контур и его дыры)
+ * Оформление (цвет, прозрачность, режим наложения) берется из исходного пути слоя
+ */
+function regionToPaths(region, template, extra = {}) {
+  if (!template) return [];
+  const { d, ...style } = template;
+  return groupShapes(region).map(shape => ({
+    ...style,
+    ...extra,
+    d: ringsToPathData([shape.outer, ...shape.holes])
+  }));
+}
+
+/**
+ * Объединяет пересекающиеся пути слоя в непересекающиеся фигуры
+ */
+function unionLayerPaths(paths) {
+  if (paths.length === 0) return paths;
+  return regionToPaths(layerRegion(paths), paths[0]);
+}
+
+/**
+ * Abutting: из каждого слоя вычитается объединение слоев над ним
+ *
+ * @param {Array<{paths: Array}>} layers - слои в порядке отрисовки
+ * @returns {Array} слои с путями без перекрытий между слоями
+ */
+function abutLayers(layers) {
+  const result = new Array(layers.length);
+  let above = [];
+
+  for (let i = layers.length - 1; i >= 0; i--) {
+    const layer = layers[i];
+    const region = layerRegion(layer.paths);
+    const visible = above.length > 0 ? difference(region, above) : region;
+    result[i] = {
+      ...layer,
+      paths: regionToPaths(visible, layer.paths[0], { method: 'abutting', fillRule: 'evenodd' })
+    };
+    above = union(above, region);
+  }
+  return result;
+}
+
+/**
+ * Overlapping: слои остаются целыми, каждый нижний слой расширяется на trapWidth,
+ * но только там, где его перекрывают слои выше, — внешний край рисунка не растет
+ * Слой с trapped: true уже расширен (перенесен из готового результата) и повторно не расширяется
+ *
+ * @param {Array<{paths: Array, trapped?: boolean}>} layers - слои в порядке отрисовки
+ * @param {number} trapWidth - ширина треппинга, px
+ * @returns {Array} слои с полными фигурами и треппингом
+ */
+function overlapLayers(layers, trapWidth) {
+  const regions = layers.map(layer => layerRegion(layer.paths));
+  const result = new Array(layers.length);
+  let above = [];
+
+  for (let i = layers.length - 1; i >= 0; i--) {
+    let region = regions[i];
+    if (trapWidth > 0 && !layers[i].trapped && above.length > 0 && region.length > 0) {
+      const spread = intersection(offsetRings(region, trapWidth), above);
+      region = union(region, spread);
+    }
+    result[i] = {
+      ...layers[i],
+      paths: regionToPaths(region, layers[i].paths[0], { method: 'overlapping', fillRule: 'nonzero' })
+    };
+    above = union(above, regions[i]);
+  }
+  return result;
+}
+
+module.exports = {
+  normalizeLayerMethodOptions,
+  unionLayerPaths,
+  abutLayers,
+  overlapLayers,
+  LAYER_METHODS,
+  DEFAULT_LAYER_METHOD_OPTIONS,
+  MAX_TRAP_WIDTH
+};
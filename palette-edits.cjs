@@ -0,0 +1,267 @@
+/**
+ * Правка палитры готового результата шелкографии: слить, удалить или перекрасить цвета
+ * Работает со слоями SVG (<g id="Layer_..." data-color>): нетронутые слои переносятся как есть,
+ * перекрашенные меняют только цвет, слитые помечаются для повторной трассировки объединенной маски
+ */
+
+const MAX_PALETTE_EDITS = 50;
+const PALETTE_EDIT_OPS = ['merge', 'remove', 'replace'];
+const LAYER_GROUP_PATTERN = /<g id="Layer_[^"]*"[^>]*>[\s\S]*?<\/g>/g;
+
+/**
+ * Приводит цвет к виду #RRGGBB
+ */
+function normalizeHex(value, field) {
+  const hex = typeof value === 'string' ? value.trim() : '';
+  if (!/^#?[0-9a-f]{6}$/i.test(hex)) {
+    throw new Error(`Неверный цвет в поле ${field}: ${value}`);
+  }
+  return `#${hex.replace('#', '').toUpperCase()}`;
+}
+
+/**
+ * Проверяет правки палитры и приводит цвета к #RRGGBB
+ * Правки применяются по порядку: после replace новый цвет доступен следующим правкам
+ *
+ * @param {Array|string} edits - [{op: 'merge', colors, into?}, {op: 'remove', color}, {op: 'replace', color, with}] или их JSON
+ * @param {Array<string>} palette - текущая палитра результата: если указана, проверяется, что цвета в ней есть
+ * @returns {Array} нормализованные правки
+ */
+function normalizePaletteEdits(edits, palette = null) {
+  let list = edits;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (error) {
+      throw new Error(`Правки палитры не являются корректным JSON: ${error.message}`);
+    }
+  }
+
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('Правки палитры должны быть непустым массивом');
+  }
+  if (list.length > MAX_PALETTE_EDITS) {
+    throw new Error(`Слишком много правок палитры (максимум ${MAX_PALETTE_EDITS})`);
+  }
+
+  const current = palette ? palette.map(color => normalizeHex(color, 'palette')) : null;
+  const requireColor = (color) => {
+    if (current && !current.includes(color)) {
+      throw new Error(`Цвета ${color} нет в палитре результата`);
+    }
+  };
+
+  return list.map((edit, index) => {
+    const op = edit?.op;
+    if (!PALETTE_EDIT_OPS.includes(op)) {
+      throw new Error(`Неизвестная правка палитры №${index + 1}: ${op}. Доступны: ${PALETTE_EDIT_OPS.join(', ')}`);
+    }
+
+    if (op === 'remove') {
+      const color = normalizeHex(edit.color, 'color');
+      requireColor(color);
+      if (current) current.splice(current.indexOf(color), 1);
+      return { op, color };
+    }
+
+    if (op === 'replace') {
+      const color = normalizeHex(edit.color, 'color');
+      const replacement = normalizeHex(edit.with, 'with');
+      requireColor(color);
+      if (current && color !== replacement && current.includes(replacement)) {
+        throw new Error(`Цвет ${replacement} уже есть в палитре — чтобы объединить слои, используйте merge`);
+      }
+      if (current) current[current.indexOf(color)] = replacement;
+      return { op, color, with: replacement };
+    }
+
+    if (!Array.isArray(edit.colors)) {
+      throw new Error(`Правка merge №${index + 1} должна содержать массив colors`);
+    }
+    const colors = [...new Set(edit.colors.map(color => normalizeHex(color, 'colors')))];
+    if (colors.length < 2) {
+      throw new Error(`Для merge нужно минимум два разных цвета (правка №${index + 1})`);
+    }
+    const into = edit.into ? normalizeHex(edit.into, 'into') : colors[0];
+    colors.forEach(requireColor);
+    if (current) {
+      if (!colors.includes(into) && current.includes(into)) {
+        throw new Error(`Цвет ${into} уже есть в палитре — добавьте его в colors`);
+      }
+      const rest = current.filter(color => !colors.includes(color));
+      current.splice(0, current.length, ...rest, into);
+    }
+    return { op, colors, into };
+  });
+}
+
+/**
+ * Значение атрибута из открывающего тега
+ */
+function readAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Разбирает SVG шелкографии на слои
+ * Цвета масок слоя (sourceColors) — исходные цвета палитры: после подбора спот-цвета
+ * это data-original-color, после слияния — data-source-colors
+ *
+ * @returns {{prefix: string, suffix: string, layers: Array}}
+ */
+function parseLayerGroups(svgContent) {
+  const matches = [...svgContent.matchAll(LAYER_GROUP_PATTERN)];
+  if (matches.length === 0) {
+    throw new Error('В SVG нет слоев цветов для правки палитры');
+  }
+
+  const layers = matches.map(match => {
+    const markup = match[0];
+    const openTag = markup.slice(0, markup.indexOf('>') + 1);
+    const color = normalizeHex(readAttribute(openTag, 'data-color'), 'data-color');
+    const sources = readAttribute(openTag, 'data-source-colors') || readAttribute(openTag, 'data-original-color');
+
+    return {
+      id: readAttribute(openTag, 'id'),
+      openTag,
+      body: markup.slice(openTag.length, -'</g>'.length),
+      color,
+      sourceColors: sources ? sources.split(',').map(hex => normalizeHex(hex, 'data-source-colors')) : [color],
+      keepSpot: true,
+      edited: false,
+      retrace: false
+    };
+  });
+
+  const last = matches[matches.length - 1];
+  return {
+    prefix: svgContent.slice(0, matches[0].index),
+    suffix: svgContent.slice(last.index + last[0].length),
+    layers
+  };
+}
+
+/**
+ * Перекрашивает слой: спот-цвет слоя больше не соответствует, его атрибуты снимаются
+ */
+function recolorLayer(layer, hex) {
+  layer.color = hex;
+  layer.body = layer.body.replace(/fill="#[0-9a-fA-F]{6}"/g, `fill="${hex}"`);
+  layer.edited = true;
+  layer.keepSpot = false;
+}
+
+/**
+ * Применяет правки к слоям
+ *
+ * @param {Array} layers - слои из parseLayerGroups
+ * @param {Array} edits - правки из normalizePaletteEdits
+ * @returns {{layers: Array, retrace: Array}} новые слои и слои, которые нужно трассировать заново
+ */
+function applyPaletteEdits(layers, edits) {
+  let result = [...layers];
+  const findLayer = (color) => {
+    const layer = result.find(candidate => candidate.color === color);
+    if (!layer) {
+      throw new Error(`Цвета ${color} нет в палитре результата`);
+    }
+    return layer;
+  };
+
+  for (const edit of edits) {
+    if (edit.op === 'remove') {
+      const layer = findLayer(edit.color);
+      result = result.filter(candidate => candidate !== layer);
+    } else if (edit.op === 'replace') {
+      recolorLayer(findLayer(edit.color), edit.with);
+    } else {
+      const sources = edit.colors.map(findLayer);
+      const target = sources.find(layer => layer.color === edit.into) || sources[0];
+
+      // Объединенная маска трассируется заново, пути исходных слоев не переносятся
+      target.sourceColors = [...new Set(sources.flatMap(layer => layer.sourceColors))];
+      target.retrace = true;
+      target.edited = true;
+      if (target.color !== edit.into) {
+        recolorLayer(target, edit.into);
+      }
+      result = result.filter(layer => layer === target || !sources.includes(layer));
+    }
+  }
+
+  return { layers: result, retrace: result.filter(layer => layer.retrace) };
+}
+
+/**
+ * Пути слоя из разметки группы: данные пути и оформление в полях, как у путей composeLayers
+ */
+function readLayerPaths(body) {
+  return [...body.matchAll(/<path\b[^>]*>/g)].map(([tag]) => {
+    const opacity = readAttribute(tag, 'opacity');
+    const blendMode = (readAttribute(tag, 'style') || '').match(/mix-blend-mode:\s*([\w-]+)/);
+    return {
+      d: readAttribute(tag, 'd') || '',
+      fill: readAttribute(tag, 'fill') || undefined,
+      fillRule: readAttribute(tag, 'fill-rule') || 'nonzero',
+      opacity: opacity === null ? 1 : parseFloat(opacity),
+      blendMode: blendMode ? blendMode[1] : undefined
+    };
+  });
+}
+
+/**
+ * Порядок наложения слоев: от темных к светлым, как в composeLayers (последний слой верхний)
+ *
+ * @param {Array} layers - слои после applyPaletteEdits
+ * @param {Function} brightness - яркость цвета (0–1)
+ */
+function orderLayerGroups(layers, brightness) {
+  return layers
+    .map((layer, index) => ({ layer, index, brightness: brightness(layer.color) }))
+    .sort((a, b) => a.brightness - b.brightness || a.index - b.index)
+    .map(entry => entry.layer);
+}
+
+/**
+ * Собирает SVG из слоев в порядке orderLayerGroups, ID слоев перенумеровываются
+ *
+ * @param {{prefix: string, suffix: string}} document - результат parseLayerGroups
+ * @param {Array} layers - слои после applyPaletteEdits
+ * @param {Function} brightness - яркость цвета (0–1)
+ */
+function renderLayerGroups(document, layers, brightness) {
+  const ordered = orderLayerGroups(layers, brightness);
+
+  const groups = ordered.map((layer, index) => {
+    let openTag;
+    if (layer.edited) {
+      const extra = !layer.keepSpot
+        ? ''
+        : (layer.openTag.match(/\sdata-spot-[\w-]+="[^"]*"|\sdata-original-color="[^"]*"/g) || []).join('');
+      const sources = layer.sourceColors.length === 1 && layer.sourceColors[0] === layer.color
+        ? ''
+        : ` data-source-colors="${layer.sourceColors.join(',')}"`;
+      openTag = `<g id="Layer_${index + 1}_${layer.color.substring(1).toLowerCase()}" data-layer-index="${index}" data-color="${layer.color}"${extra}${sources}>`;
+    } else {
+      const slug = layer.id.replace(/^Layer_\d+_/, '');
+      openTag = layer.openTag
+        .replace(/\sid="[^"]*"/, ` id="Layer_${index + 1}_${slug}"`)
+        .replace(/\sdata-layer-index="[^"]*"/, ` data-layer-index="${index}"`);
+    }
+    return `${openTag}${layer.body}</g>`;
+  });
+
+  const prefix = document.prefix.replace(/<!-- Layers: \d+,/, `<!-- Layers: ${ordered.length},`);
+  return prefix + groups.join('') + document.suffix;
+}
+
+module.exports = {
+  normalizePaletteEdits,
+  parseLayerGroups,
+  applyPaletteEdits,
+  readLayerPaths,
+  orderLayerGroups,
+  renderLayerGroups,
+  PALETTE_EDIT_OPS
+};
@@ -0,0 +1,670 @@
+/**
+ * Булевы операции над контурами SVG: объединение, вычитание и пересечение
+ * Пути спрямляются (кривые Безье → ломаные), ребра обоих операндов разрезаются в точках пересечения,
+ * для каждого ребра считается число оборотов операндов по обе стороны. Ребро остается в результате,
+ * если по одну его сторону точка входит в результат, а по другую — нет; такие ребра сшиваются в кольца
+ *
+ * Кольцо — массив точек [x, y] без повтора первой точки. Результат ориентирован: внешние контуры
+ * с положительной площадью, дыры — с отрицательной, поэтому он одинаково заливается по nonzero и evenodd.
+ * Внутри координаты целые в сетке 1/GRID_SCALE пикселя: совпадающие вершины и ребра склеиваются точно
+ */
+
+const GRID_SCALE = 1000;
+const DEFAULT_FLATTEN_TOLERANCE = 0.25;
+const MAX_CURVE_SEGMENTS = 64;
+const MAX_SPLIT_PASSES = 8;
+
+const OPERATIONS = {
+  union: (a, b) => a || b,
+  intersection: (a, b) => a && b,
+  difference: (a, b) => a && !b,
+  xor: (a, b) => a !== b
+};
+
+// ==================== РАЗБОР И СПРЯМЛЕНИЕ ПУТЕЙ ====================
+
+/**
+ * Кубическая кривая → ломаная; число отрезков по оценке отклонения от хорды
+ * (отклонение равномерного разбиения не больше 3/4·max|P0−2P1+P2| / n²)
+ */
+function flattenCubic(ring, x0, y0, x1, y1, x2, y2, x3, y3, tolerance) {
+  const ddx = Math.max(Math.abs(x0 - 2 * x1 + x2), Math.abs(x1 - 2 * x2 + x3));
+  const ddy = Math.max(Math.abs(y0 - 2 * y1 + y2), Math.abs(y1 - 2 * y2 + y3));
+  const segments = Math.min(MAX_CURVE_SEGMENTS, Math.max(1, Math.ceil(Math.sqrt(0.75 * Math.hypot(ddx, ddy) / tolerance))));
+
+  for (let i = 1; i <= segments; i++) {
+    const t = i / segments;
+    const mt = 1 - t;
+    ring.push([
+      mt * mt * mt * x0 + 3 * mt * mt * t * x1 + 3 * mt * t * t * x2 + t * t * t * x3,
+      mt * mt * mt * y0 + 3 * mt * mt * t * y1 + 3 * mt * t * t * y2 + t * t * t * y3
+    ]);
+  }
+}
+
+/**
+ * Данные пути SVG (атрибут d) → кольца
+ * Поддерживаются M, L, H, V, C, S, Q, T, Z в абсолютной и относительной форме;
+ * дуги A заменяются хордой (векторизатор их не создает)
+ *
+ * @param {string} d - данные пути
+ * @param {number} tolerance - допустимое отклонение ломаной от кривой, px
+ * @returns {Array<Array<[number, number]>>} кольца
+ */
+function flattenPathData(d, tolerance = DEFAULT_FLATTEN_TOLERANCE) {
+  const tokens = String(d || '').match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+  const rings = [];
+  let ring = null;
+  let x = 0, y = 0, startX = 0, startY = 0;
+  // Последняя управляющая точка для S (после C/S) и T (после Q/T)
+  let cubicControl = null, quadControl = null;
+  let command = null;
+  let index = 0;
+
+  const closeRing = () => {
+    if (ring) {
+      const first = ring[0], last = ring[ring.length - 1];
+      if (ring.length > 1 && first[0] === last[0] && first[1] === last[1]) ring.pop();
+      if (ring.length >= 3) rings.push(ring);
+    }
+    ring = null;
+  };
+  const current = () => {
+    if (!ring) ring = [[x, y]];
+    return ring;
+  };
+  const quadTo = (qx, qy, ex, ey) => {
+    flattenCubic(current(), x, y,
+      x + 2 / 3 * (qx - x), y + 2 / 3 * (qy - y),
+      ex + 2 / 3 * (qx - ex), ey + 2 / 3 * (qy - ey),
+      ex, ey, tolerance);
+  };
+
+  while (index < tokens.length) {
+    if (/^[A-Za-z]$/.test(tokens[index])) {
+      command = tokens[index++];
+    } else if (!command) {
+      index++;
+      continue;
+    }
+
+    const type = command.toUpperCase();
+    const relative = command !== type;
+    const ox = relative ? x : 0, oy = relative ? y : 0;
+
+    if (type === 'Z') {
+      closeRing();
+      x = startX;
+      y = startY;
+      cubicControl = quadControl = null;
+      command = null;
+      continue;
+    }
+
+    const arity = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7 }[type];
+    const values = tokens.slice(index, index + arity).map(Number);
+    if (values.length < arity || values.some(value => !Number.isFinite(value))) break;
+    index += arity;
+
+    let nextCubic = null, nextQuad = null;
+    switch (type) {
+      case 'M':
+        closeRing();
+        x = startX = ox + values[0];
+        y = startY = oy + values[1];
+        ring = [[x, y]];
+        // Следующие пары координат после M — это L
+        command = relative ? 'l' : 'L';
+        break;
+      case 'L':
+        x = ox + values[0];
+        y = oy + values[1];
+        current().push([x, y]);
+        break;
+      case 'H':
+        x = ox + values[0];
+        current().push([x, y]);
+        break;
+      case 'V':
+        y = oy + values[0];
+        current().push([x, y]);
+        break;
+      case 'C':
+      case 'S': {
+        const [c1x, c1y] = type === 'C'
+          ? [ox + values[0], oy + values[1]]
+          : cubicControl ? [2 * x - cubicControl[0], 2 * y - cubicControl[1]] : [x, y];
+        const rest = type === 'C' ? values.slice(2) : values;
+        const c2x = ox + rest[0], c2y = oy + rest[1];
+        const ex = ox + rest[2], ey = oy + rest[3];
+        flattenCubic(current(), x, y, c1x, c1y, c2x, c2y, ex, ey, tolerance);
+        nextCubic = [c2x, c2y];
+        x = ex;
+        y = ey;
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        const [qx, qy] = type === 'Q'
+          ? [ox + values[0], oy + values[1]]
+          : quadControl ? [2 * x - quadControl[0], 2 * y - quadControl[1]] : [x, y];
+        const ex = ox + values[arity - 2], ey = oy + values[arity - 1];
+        quadTo(qx, qy, ex, ey);
+        nextQuad = [qx, qy];
+        x = ex;
+        y = ey;
+        break;
+      }
+      case 'A':
+        x = ox + values[5];
+        y = oy + values[6];
+        current().push([x, y]);
+        break;
+    }
+    cubicControl = nextCubic;
+    quadControl = nextQuad;
+  }
+  closeRing();
+  return rings;
+}
+
+/**
+ * Кольца → данные пути SVG (M x,y L … Z на каждое кольцо)
+ *
+ * @param {Array<Array<[number, number]>>} rings
+ * @param {number} precision - знаков после запятой
+ */
+function ringsToPathData(rings, precision = 2) {
+  const format = value => String(Number(value.toFixed(precision)));
+  return rings
+    .filter(ring => ring.length >= 3)
+    .map(ring => ring.map(([px, py], i) => `${i === 0 ? 'M' : 'L'} ${format(px)},${format(py)}`).join(' ') + ' Z')
+    .join(' ');
+}
+
+// ==================== ГЕОМЕТРИЯ КОЛЕЦ ====================
+
+/**
+ * Ориентированная площадь кольца (формула шнурков): > 0 — внешний контур результата, < 0 — дыра
+ */
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return area / 2;
+}
+
+/**
+ * Точка внутри кольца (четно-нечетное правило)
+ */
+function pointInRing(px, py, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Делит ориентированные кольца результата на фигуры: внешний контур и его дыры
+ * Дыра относится к наименьшему внешнему контуру, который ее содержит
+ *
+ * @returns {Array<{outer: Array, holes: Array[]}>}
+ */
+function groupShapes(rings) {
+  const shapes = rings
+    .filter(ring => ringArea(ring) > 0)
+    .map(outer => ({ outer, holes: [], area: ringArea(outer) }))
+    .sort((a, b) => a.area - b.area);
+
+  for (const hole of rings.filter(ring => ringArea(ring) < 0)) {
+    // Середина самого длинного ребра дыры: лежит внутри внешнего контура, даже если дыра касается его вершиной
+    let probe = null, longest = -1;
+    for (let i = 0; i < hole.length; i++) {
+      const a = hole[i], b = hole[(i + 1) % hole.length];
+      const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+      if (length > longest) {
+        longest = length;
+        probe = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+      }
+    }
+    const owner = shapes.find(shape => pointInRing(probe[0], probe[1], shape.outer));
+    if (owner) owner.holes.push(hole);
+  }
+
+  return shapes
+    .sort((a, b) => b.area - a.area)
+    .map(({ outer, holes }) => ({ outer, holes }));
+}
+
+// ==================== ЯДРО БУЛЕВЫХ ОПЕРАЦИЙ ====================
+
+const pointKey = (x, y) => `${x},${y}`;
+
+/**
+ * Ребра колец операнда в целочисленной сетке; вырожденные ребра отбрасываются
+ */
+function collectEdges(rings, operand, edges) {
+  for (const ring of rings) {
+    const points = ring.map(([px, py]) => [Math.round(px * GRID_SCALE), Math.round(py * GRID_SCALE)]);
+    for (let i = 0; i < points.length; i++) {
+      const [ax, ay] = points[i];
+      const [bx, by] = points[(i + 1) % points.length];
+      if (ax !== bx || ay !== by) {
+        edges.push({ ax, ay, bx, by, operand });
+      }
+    }
+  }
+}
+
+/**
+ * Точка лежит на ребре (не в его концах) с точностью до половины шага сетки
+ */
+function pointOnEdge(px, py, edge) {
+  if ((px === edge.ax && py === edge.ay) || (px === edge.bx && py === edge.by)) return false;
+  const dx = edge.bx - edge.ax, dy = edge.by - edge.ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = ((px - edge.ax) * dx + (py - edge.ay) * dy) / lengthSq;
+  if (t <= 0 || t >= 1) return false;
+  const cross = (px - edge.ax) * dy - (py - edge.ay) * dx;
+  return cross * cross <= 0.25 * lengthSq;
+}
+
+/**
+ * Точки разреза пары ребер: собственное пересечение и концы одного ребра на другом
+ * (Т-стыки и наложение коллинеарных ребер)
+ */
+function intersectEdges(e1, e2, cuts1, cuts2) {
+  if (pointOnEdge(e2.ax, e2.ay, e1)) cuts1.push([e2.ax, e2.ay]);
+  if (pointOnEdge(e2.bx, e2.by, e1)) cuts1.push([e2.bx, e2.by]);
+  if (pointOnEdge(e1.ax, e1.ay, e2)) cuts2.push([e1.ax, e1.ay]);
+  if (pointOnEdge(e1.bx, e1.by, e2)) cuts2.push([e1.bx, e1.by]);
+
+  const d1x = e1.bx - e1.ax, d1y = e1.by - e1.ay;
+  const d2x = e2.bx - e2.ax, d2y = e2.by - e2.ay;
+  const denominator = d1x * d2y - d1y * d2x;
+  if (denominator === 0) return;
+
+  const ox = e2.ax - e1.ax, oy = e2.ay - e1.ay;
+  const t = (ox * d2y - oy * d2x) / denominator;
+  const u = (ox * d1y - oy * d1x) / denominator;
+  if (t <= 0 || t >= 1 || u <= 0 || u >= 1) return;
+
+  const px = Math.round(e1.ax + t * d1x);
+  const py = Math.round(e1.ay + t * d1y);
+  if (!(px === e1.ax && py === e1.ay) && !(px === e1.bx && py === e1.by)) cuts1.push([px, py]);
+  if (!(px === e2.ax && py === e2.ay) && !(px === e2.bx && py === e2.by)) cuts2.push([px, py]);
+}
+
+/**
+ * Один проход разрезания: заметание по X, пары ребер с пересекающимися рамками
+ *
+ * @returns {Array|null} новые ребра или null, если разрезать было нечего
+ */
+function splitPass(edges) {
+  const boxes = edges.map(edge => ({
+    edge,
+    minX: Math.min(edge.ax, edge.bx),
+    maxX: Math.max(edge.ax, edge.bx),
+    minY: Math.min(edge.ay, edge.by),
+    maxY: Math.max(edge.ay, edge.by),
+    cuts: []
+  }));
+  const order = boxes.slice().sort((a, b) => a.minX - b.minX);
+
+  let active = [];
+  let hasCuts = false;
+  for (const box of order) {
+    active = active.filter(other => other.maxX >= box.minX - 1);
+    for (const other of active) {
+      if (other.minY > box.maxY + 1 || other.maxY < box.minY - 1) continue;
+      const before = box.cuts.length + other.cuts.length;
+      intersectEdges(box.edge, other.edge, box.cuts, other.cuts);
+      if (box.cuts.length + other.cuts.length !== before) hasCuts = true;
+    }
+    active.push(box);
+  }
+  if (!hasCuts) return null;
+
+  const result = [];
+  for (const { edge, cuts } of boxes) {
+    if (cuts.length === 0) {
+      result.push(edge);
+      continue;
+    }
+    const dx = edge.bx - edge.ax, dy = edge.by - edge.ay;
+    const points = [[edge.ax, edge.ay], ...cuts, [edge.bx, edge.by]]
+      .map(point => ({ point, t: (point[0] - edge.ax) * dx + (point[1] - edge.ay) * dy }))
+      .sort((a, b) => a.t - b.t);
+    for (let i = 1; i < points.length; i++) {
+      const [ax, ay] = points[i - 1].point;
+      const [bx, by] = points[i].point;
+      if (ax !== bx || ay !== by) {
+        result.push({ ax, ay, bx, by, operand: edge.operand });
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Разрезает ребра, пока они пересекаются только концами
+ * Округление точек пересечения до сетки может дать новые касания — поэтому несколько проходов
+ */
+function splitEdges(edges) {
+  for (let pass = 0; pass < MAX_SPLIT_PASSES; pass++) {
+    const split = splitPass(edges);
+    if (!split) break;
+    edges = split;
+  }
+  return edges;
+}
+
+/**
+ * Склеивает совпадающие ребра: ребро хранится от меньшей вершины к большей,
+ * counts[operand] — сумма направлений (+1 по хранимому направлению, −1 против)
+ */
+function groupEdges(edges) {
+  const groups = new Map();
+  for (const edge of edges) {
+    const forward = edge.ax < edge.bx || (edge.ax === edge.bx && edge.ay < edge.by);
+    const [ax, ay, bx, by] = forward ? [edge.ax, edge.ay, edge.bx, edge.by] : [edge.bx, edge.by, edge.ax, edge.ay];
+    const key = `${ax},${ay},${bx},${by}`;
+    let group = groups.get(key);
+    if (!group) {
+      group = { ax, ay, bx, by, counts: [0, 0] };
+      groups.set(key, group);
+    }
+    group.counts[edge.operand] += forward ? 1 : -1;
+  }
+  return [...groups.values()].filter(group => group.counts[0] !== 0 || group.counts[1] !== 0);
+}
+
+/**
+ * Индекс ребер полосами по одной оси: ребра, пересекающие прямую coord = const, ищутся только в ее полосе
+ */
+function buildStripIndex(groups, axis) {
+  const lo = axis === 'y' ? 'ay' : 'ax';
+  const hi = axis === 'y' ? 'by' : 'bx';
+  const candidates = groups.filter(group => group[lo] !== group[hi]);
+  if (candidates.length === 0) return { strips: [], min: 0, size: 1 };
+
+  let min = Infinity, max = -Infinity;
+  for (const group of candidates) {
+    min = Math.min(min, group[lo], group[hi]);
+    max = Math.max(max, group[lo], group[hi]);
+  }
+  const count = Math.max(1, Math.ceil(Math.sqrt(candidates.length)));
+  const size = Math.max(1, (max - min + 1) / count);
+  const strips = Array.from({ length: count }, () => []);
+  for (const group of candidates) {
+    const first = Math.floor((Math.min(group[lo], group[hi]) - min) / size);
+    const last = Math.min(count - 1, Math.floor((Math.max(group[lo], group[hi]) - min) / size));
+    for (let i = first; i <= last; i++) strips[i].push(group);
+  }
+  return { strips, min, size };
+}
+
+function stripAt(index, value) {
+  const i = Math.floor((value - index.min) / index.size);
+  return i >= 0 && i < index.strips.length ? index.strips[i] : [];
+}
+
+/**
+ * Числа оборотов обоих операндов по обе стороны ребра
+ * Луч выпускается из середины ребра: вдоль +X для наклонных ребер, вдоль +Y для горизонтальных.
+ * Вклад пересеченного ребра — знак векторного произведения направления луча и ребра
+ *
+ * @returns {{ray: number[], other: number[], rayOnLeft: boolean}} ray — обороты со стороны луча,
+ *   other — с противоположной; rayOnLeft — сторона луча слева по хранимому направлению ребра
+ */
+function windingAround(group, byY, byX) {
+  const mx = (group.ax + group.bx) / 2;
+  const my = (group.ay + group.by) / 2;
+  const dx = group.bx - group.ax, dy = group.by - group.ay;
+  const ray = [0, 0];
+
+  if (dy !== 0) {
+    for (const other of stripAt(byY, my)) {
+      if (other === group || (other.ay <= my) === (other.by <= my)) continue;
+      const x = other.ax + (my - other.ay) * (other.bx - other.ax) / (other.by - other.ay);
+      if (x <= mx) continue;
+      const sign = other.by > other.ay ? 1 : -1;
+      ray[0] += sign * other.counts[0];
+      ray[1] += sign * other.counts[1];
+    }
+    const sign = dy > 0 ? 1 : -1;
+    return {
+      ray,
+      other: [ray[0] + sign * group.counts[0], ray[1] + sign * group.counts[1]],
+      rayOnLeft: dy < 0
+    };
+  }
+
+  for (const other of stripAt(byX, mx)) {
+    if (other === group || (other.ax <= mx) === (other.bx <= mx)) continue;
+    const y = other.ay + (mx - other.ax) * (other.by - other.ay) / (other.bx - other.ax);
+    if (y <= my) continue;
+    const sign = other.bx > other.ax ? -1 : 1;
+    ray[0] += sign * other.counts[0];
+    ray[1] += sign * other.counts[1];
+  }
+  const sign = dx > 0 ? -1 : 1;
+  return {
+    ray,
+    other: [ray[0] + sign * group.counts[0], ray[1] + sign * group.counts[1]],
+    rayOnLeft: dx > 0
+  };
+}
+
+/**
+ * Сшивает направленные ребра границы в кольца
+ * В вершине с несколькими продолжениями берется самый левый поворот — касающиеся вершиной фигуры
+ * остаются отдельными кольцами
+ */
+function linkRings(edges) {
+  const outgoing = new Map();
+  edges.forEach((edge, index) => {
+    const key = pointKey(edge.ax, edge.ay);
+    if (!outgoing.has(key)) outgoing.set(key, []);
+    outgoing.get(key).push(index);
+  });
+
+  const used = new Uint8Array(edges.length);
+  const rings = [];
+  for (let start = 0; start < edges.length; start++) {
+    if (used[start]) continue;
+    const ring = [];
+    let index = start;
+    while (index !== -1 && !used[index]) {
+      used[index] = 1;
+      const edge = edges[index];
+      ring.push([edge.ax, edge.ay]);
+
+      const inX = edge.bx - edge.ax, inY = edge.by - edge.ay;
+      let next = -1, bestTurn = -Infinity;
+      for (const candidate of outgoing.get(pointKey(edge.bx, edge.by)) || []) {
+        if (used[candidate]) continue;
+        const outX = edges[candidate].bx - edges[candidate].ax;
+        const outY = edges[candidate].by - edges[candidate].ay;
+        const turn = Math.atan2(inX * outY - inY * outX, inX * outX + inY * outY);
+        if (turn > bestTurn) {
+          bestTurn = turn;
+          next = candidate;
+        }
+      }
+      index = next;
+    }
+    const cleaned = removeCollinear(ring);
+    if (cleaned.length >= 3) rings.push(cleaned);
+  }
+  return rings;
+}
+
+/**
+ * Убирает вершины на прямой и возвраты (шипы нулевой ширины)
+ */
+function removeCollinear(ring) {
+  let points = ring;
+  let changed = true;
+  while (changed && points.length >= 3) {
+    changed = false;
+    const kept = [];
+    for (let i = 0; i < points.length; i++) {
+      const prev = kept.length > 0 ? kept[kept.length - 1] : points[points.length - 1];
+      const point = points[i];
+      const next = points[(i + 1) % points.length];
+      const cross = (point[0] - prev[0]) * (next[1] - point[1]) - (point[1] - prev[1]) * (next[0] - point[0]);
+      if (cross === 0) {
+        changed = true;
+        continue;
+      }
+      kept.push(point);
+    }
+    points = kept;
+  }
+  return points;
+}
+
+/**
+ * Булева операция над двумя множествами колец
+ *
+ * @param {'union'|'intersection'|'difference'|'xor'} operation
+ * @param {Array} subject - кольца первого операнда
+ * @param {Array} [clip] - кольца второго операнда
+ * @param {Object} [options]
+ * @param {'nonzero'|'evenodd'} [options.subjectFillRule='nonzero'] - правило заливки первого операнда
+ * @param {'nonzero'|'evenodd'} [options.clipFillRule='nonzero'] - правило заливки второго операнда
+ * @returns {Array<Array<[number, number]>>} ориентированные кольца результата
+ */
+function booleanOperation(operation, subject, clip = [], options = {}) {
+  const combine = OPERATIONS[operation];
+  if (!combine) {
+    throw new Error(`Неизвестная булева операция: ${operation}. Доступны: ${Object.keys(OPERATIONS).join(', ')}`);
+  }
+  const rules = [options.subjectFillRule, options.clipFillRule]
+    .map(rule => rule === 'evenodd' ? count => count % 2 !== 0 : count => count !== 0);
+
+  const edges = [];
+  collectEdges(subject, 0, edges);
+  collectEdges(clip, 1, edges);
+  if (edges.length === 0) return [];
+
+  const groups = groupEdges(splitEdges(edges));
+  const byY = buildStripIndex(groups, 'y');
+  const byX = buildStripIndex(groups, 'x');
+
+  const boundary = [];
+  for (const group of groups) {
+    const { ray, other, rayOnLeft } = windingAround(group, byY, byX);
+    const insideRay = combine(rules[0](ray[0]), rules[1](ray[1]));
+    const insideOther = combine(rules[0](other[0]), rules[1](other[1]));
+    if (insideRay === insideOther) continue;
+
+    // Результат всегда слева по направлению ребра
+    const keep = insideRay === rayOnLeft;
+    boundary.push(keep
+      ? { ax: group.ax, ay: group.ay, bx: group.bx, by: group.by }
+      : { ax: group.bx, ay: group.by, bx: group.ax, by: group.ay });
+  }
+
+  return linkRings(boundary).map(ring => ring.map(([px, py]) => [px / GRID_SCALE, py / GRID_SCALE]));
+}
+
+const union = (subject, clip, options) => booleanOperation('union', subject, clip, options);
+const intersection = (subject, clip, options) => booleanOperation('intersection', subject, clip, options);
+const difference = (subject, clip, options) => booleanOperation('difference', subject, clip, options);
+
+/**
+ * Приводит кольца с заданным правилом заливки к ориентированной форме без самопересечений
+ */
+function normalizeRings(rings, fillRule = 'nonzero') {
+  return booleanOperation('union', rings, [], { subjectFillRule: fillRule });
+}
+
+// ==================== РАСШИРЕНИЕ (ОФСЕТ) ====================
+
+/**
+ * Полоса шириной distance вдоль границы области с одной стороны: прямоугольники вдоль ребер
+ * и скругляющие секторы в вершинах, где нормали соседних ребер с этой стороны расходятся
+ * side = 1 — снаружи (справа по обходу), −1 — внутри области
+ */
+function offsetBand(region, distance, side, tolerance) {
+  const maxStep = 2 * Math.acos(Math.max(-1, 1 - Math.min(tolerance, distance) / distance));
+  const pieces = [];
+
+  for (const ring of region) {
+    for (let i = 0; i < ring.length; i++) {
+      const prev = ring[(i + ring.length - 1) % ring.length];
+      const point = ring[i];
+      const next = ring[(i + 1) % ring.length];
+
+      // Внешняя нормаль — справа по направлению обхода (область слева)
+      const length = Math.hypot(next[0] - point[0], next[1] - point[1]);
+      const nx = (next[1] - point[1]) / length * distance * side;
+      const ny = -(next[0] - point[0]) / length * distance * side;
+      pieces.push([point, [point[0] + nx, point[1] + ny], [next[0] + nx, next[1] + ny], next]);
+
+      // Снаружи сектор нужен в выпуклой вершине (поворот влево), внутри — в вогнутой
+      const inX = point[0] - prev[0], inY = point[1] - prev[1];
+      const outX = next[0] - point[0], outY = next[1] - point[1];
+      const cross = inX * outY - inY * outX;
+      if (cross * side <= 0) continue;
+      const from = Math.atan2(-inX, inY) + (side > 0 ? 0 : Math.PI);
+      const sweep = Math.atan2(cross, inX * outX + inY * outY);
+      const steps = Math.max(1, Math.ceil(Math.abs(sweep) / maxStep));
+      const wedge = [point];
+      for (let step = 0; step <= steps; step++) {
+        const angle = from + sweep * step / steps;
+        wedge.push([point[0] + Math.cos(angle) * distance, point[1] + Math.sin(angle) * distance]);
+      }
+      pieces.push(wedge);
+    }
+  }
+
+  return pieces.map(piece => ringArea(piece) < 0 ? piece.slice().reverse() : piece);
+}
+
+/**
+ * Смещает границу области на distance со скругленными углами
+ * distance > 0 — расширение: объединение области и полосы вдоль границы снаружи;
+ * distance < 0 — сжатие: из области вычитается полоса вдоль границы внутри
+ *
+ * @param {Array} rings - кольца области
+ * @param {number} distance - смещение границы, px (отрицательное — внутрь)
+ * @param {Object} [options]
+ * @param {'nonzero'|'evenodd'} [options.fillRule='nonzero'] - правило заливки исходных колец
+ * @param {number} [options.tolerance] - допустимое отклонение скругления от дуги, px
+ * @returns {Array} ориентированные кольца смещенной области
+ */
+function offsetRings(rings, distance, options = {}) {
+  const region = normalizeRings(rings, options.fillRule);
+  if (!Number.isFinite(distance) || distance === 0 || region.length === 0) return region;
+
+  const tolerance = options.tolerance || DEFAULT_FLATTEN_TOLERANCE;
+  if (distance > 0) {
+    return normalizeRings([...region, ...offsetBand(region, distance, 1, tolerance)]);
+  }
+  return difference(region, normalizeRings(offsetBand(region, -distance, -1, tolerance)));
+}
+
+module.exports = {
+  flattenPathData,
+  flattenCubic,
+  ringsToPathData,
+  booleanOperation,
+  union,
+  intersection,
+  difference,
+  normalizeRings,
+  offsetRings,
+  groupShapes,
+  ringArea,
+  pointInRing,
+  GRID_SCALE
+};
@@ -36,6 +36,21 @@ try {
   process.exit(1);
 }
 
+const vectorizerJobs = require('../vectorizer-jobs.cjs');
+const vectorizerResults = require('../vectorizer-results.cjs');
+const spotColorLibrary = require('../spot-colors.cjs');
+const { normalizeHalftoneOptions } = require('../halftone.cjs');
+const { normalizeCenterlineOptions } = require('../centerline.cjs');
+const { normalizeLayerMethodOptions } = require('../layer-methods.cjs');
+const { normalizePaletteEdits } = require('../palette-edits.cjs');
+const tracePresets = require('../trace-presets.cjs');
+const { adobeTrace } = require('../adobe-trace-engine.cjs');
+
+const TRACE_MODES = ['silkscreen', 'halftone', 'centerline', 'auto'];
+const MAX_COMPARE_PRESETS = 6;
+
+const SSE_HEARTBEAT_MS = 15000;
+
 // Middleware для логирования запросов векторизатора
 const logVectorizerRequest = (req, res, next) => {
   const timestamp = new Date().toISOString();
@@ -135,6 +150,95 @@ router.post('/analyze', upload.single('image'), async (req, res) => {
   }
 });
 
+/**
+ * Параметры спот-цветов из тела запроса (spotBook, swatchBook, spotColors, snapToSpot)
+ * Проверяет их заранее: неизвестная книга или цвет — ошибка клиента, а не векторизации
+ */
+function getSpotOptions(body) {
+  const spotOptions = {
+    spotBook: body.spotBook,
+    swatchBook: body.swatchBook,
+    spotColors: body.spotColors,
+    snapToSpot: body.snapToSpot
+  };
+  spotColorLibrary.resolveSpotOptions(spotOptions);
+  return spotOptions;
+}
+
+/**
+ * Режим трассировки и параметры растра из тела запроса
+ * mode: silkscreen — плоские цвета, halftone — растр, centerline — обводки по центру штриха, auto — растр для фото
+ */
+function getHalftoneOptions(body) {
+  const mode = body.mode || 'silkscreen';
+  if (!TRACE_MODES.includes(mode)) {
+    throw new Error(`Неизвестный режим трассировки: ${mode}. Доступны: ${TRACE_MODES.join(', ')}`);
+  }
+
+  const halftoneOptions = {
+    channels: body.channels,
+    lpi: body.lpi,
+    dpi: body.dpi,
+    dotShape: body.dotShape,
+    minDot: body.minDot,
+    maxDot: body.maxDot,
+    angles: body.angles,
+    inkColor: body.inkColor
+  };
+  if (mode === 'halftone' || mode === 'auto') {
+    normalizeHalftoneOptions(halftoneOptions);
+  }
+  return { mode, halftoneOptions };
+}
+
+/**
+ * Параметры трассировки по центральной линии из тела запроса
+ * Проверяются только в режиме centerline
+ */
+function getCenterlineOptions(body, mode) {
+  const centerlineOptions = {
+    colors: body.colors,
+    threshold: body.threshold,
+    minLength: body.minLength,
+    tolerance: body.tolerance,
+    strokeWidth: body.strokeWidth,
+    inkColor: body.inkColor
+  };
+  if (mode === 'centerline') {
+    normalizeCenterlineOptions(centerlineOptions);
+  }
+  return centerlineOptions;
+}
+
+/**
+ * Метод наложения слоев шелкографии из тела запроса: layerMethod (auto, abutting, overlapping)
+ * и trapWidth — заход нижних слоев под верхние в px. Проверяются, если запрос дойдет до silkscreen
+ */
+function getLayerMethodOptions(body, mode) {
+  const layerMethodOptions = {
+    layerMethod: body.layerMethod,
+    trapWidth: body.trapWidth
+  };
+  if (mode === 'silkscreen' || mode === 'auto') {
+    normalizeLayerMethodOptions(layerMethodOptions);
+  }
+  return layerMethodOptions;
+}
+
+/**
+ * Сигнал отмены для обработки запроса: срабатывает, если клиент отключился, не дождавшись ответа
+ * Этапы в пуле потоков при этом останавливаются, результат не сохраняется
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
 /**
  * POST /api/vectorizer/convert
  * Основная конвертация изображения в векторный формат
@@ -148,11 +252,29 @@ router.post('/convert', upload.single('image'), async (req, res) => {
       });
     }
 
+    let spotOptions, mode, halftoneOptions, centerlineOptions, layerMethodOptions;
+    try {
+      spotOptions = getSpotOptions(req.body);
+      ({ mode, halftoneOptions } = getHalftoneOptions(req.body));
+      centerlineOptions = getCenterlineOptions(req.body, mode);
+      layerMethodOptions = getLayerMethodOptions(req.body, mode);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     const options = {
       quality: req.body.quality || 'standard',
       outputFormat: req.body.format || 'svg',
       optimizeFor: req.body.optimizeFor || 'web',
-      autoDetectType: req.body.autoDetectType !== 'false'
+      autoDetectType: req.body.autoDetectType !== 'false',
+      mode,
+      ...spotOptions,
+      ...halftoneOptions,
+      ...centerlineOptions,
+      ...layerMethodOptions
     };
 
     console.log(`🎯 Векторизация через API:`, {
@@ -161,28 +283,27 @@ router.post('/convert', upload.single('image'), async (req, res) => {
       options
     });
 
-    // Используем исправленный Adobe алгоритм цветовой сегментации
-    console.log('🎨 Применяем исправленный Adobe Illustrator алгоритм');
-    const result = await advancedVectorizer.silkscreenVectorize(
-      req.file.buffer,
-      { maxColors: 6, ...options }
-    );
-    
-    // Адаптируем результат под ожидаемый формат API
-    if (result.success) {
-      result.detectedType = 'silkscreen';
-      result.filename = `vectorized_${Date.now().toString(36)}.svg`;
-    }
+    // vectorizeImage сохраняет результат в каталог; повторная загрузка того же файла отдается из него
+    const result = await advancedVectorizer.vectorizeImage(req.file.buffer, req.file.originalname, {
+      ...options,
+      signal: abortOnDisconnect(res)
+    });
 
     if (result.success) {
       res.json({
         success: true,
         result: {
+          resultId: result.resultId,
+          url: result.url,
+          fromCache: result.fromCache,
           svgContent: result.svgContent,
           detectedType: result.detectedType,
           quality: result.quality,
           filename: result.filename,
-          optimizationStats: result.optimization
+          palette: result.palette,
+          spotColors: result.spotColors,
+          halftone: result.halftone,
+          centerline: result.centerline
         }
       });
     } else {
@@ -321,6 +442,7 @@ router.post('/professional', upload.single('image'), async (req, res) => {
 /**
  * POST /api/vectorizer/batch
  * Пакетная обработка нескольких изображений
+ * async=true — сразу возвращает задание, прогресс по файлам через /jobs/:jobId/events
  */
 router.post('/batch', upload.array('images', 10), async (req, res) => {
   try {
@@ -333,7 +455,7 @@ router.post('/batch', upload.array('images', 10), async (req, res) => {
 
     const options = {
       quality: req.body.quality || 'standard',
-      outputFormat: req.body.format || 'svg'
+      concurrency: req.body.concurrency
     };
 
     console.log(`📦 Пакетная векторизация: ${req.files.length} файлов`);
@@ -343,6 +465,20 @@ router.post('/batch', upload.array('images', 10), async (req, res) => {
       originalName: file.originalname
     }));
 
+    // Задание продолжается после отключения клиента, поэтому без abortOnDisconnect
+    if (req.body.async === 'true') {
+      const job = advancedVectorizer.startBatchJob(imageBuffers, options);
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        job,
+        statusUrl: `/api/vectorizer/jobs/${job.id}`,
+        eventsUrl: `/api/vectorizer/jobs/${job.id}/events`,
+        resultUrl: `/api/vectorizer/jobs/${job.id}/result`
+      });
+    }
+
+    options.signal = abortOnDisconnect(res);
     const result = await advancedVectorizer.batchVectorize(imageBuffers, options);
 
     res.json(result);
@@ -414,7 +550,7 @@ router.post('/multi-format', upload.single('image'), async (req, res) => {
     const result = await advancedVectorizer.multiFormatVectorize(
       req.file.buffer,
       req.file.originalname,
-      options
+      { ...options, signal: abortOnDisconnect(res) }
     );
 
     res.json(result);
@@ -428,6 +564,472 @@ router.post('/multi-format', upload.single('image'), async (req, res) => {
   }
 });
 
+/**
+ * POST /api/vectorizer/separations
+ * Цветоделение для шелкографии: ZIP с пленкой на каждую краску
+ * Источник — загруженное изображение или resultId ранее векторизованного SVG
+ * Для темной ткани: underbase=true добавляет белую подложку (underbaseChoke — поджим, мм),
+ * highlightWhite=true — белую плашку поверх цветных
+ */
+router.post('/separations', upload.single('image'), async (req, res) => {
+  try {
+    let svgContent;
+    let name = 'design';
+
+    if (req.file) {
+      let spotOptions, mode, halftoneOptions, layerMethodOptions;
+      try {
+        spotOptions = getSpotOptions(req.body);
+        ({ mode, halftoneOptions } = getHalftoneOptions(req.body));
+        if (mode === 'centerline') {
+          throw new Error('Цветоделение строится по залитым фигурам: режим centerline не поддерживается');
+        }
+        layerMethodOptions = getLayerMethodOptions(req.body, mode);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const traceMode = await advancedVectorizer.selectTraceMode(req.file.buffer, mode);
+      const vectorResult = traceMode === 'halftone'
+        ? await advancedVectorizer.halftoneVectorize(req.file.buffer, {
+          ...halftoneOptions,
+          signal: abortOnDisconnect(res)
+        })
+        : await advancedVectorizer.silkscreenVectorize(req.file.buffer, {
+          quality: req.body.quality || 'premium',
+          ...spotOptions,
+          ...layerMethodOptions,
+          signal: abortOnDisconnect(res)
+        });
+      if (!vectorResult.success) {
+        throw new Error(vectorResult.error || 'Ошибка векторизации');
+      }
+      svgContent = vectorResult.svgContent;
+      name = path.parse(req.file.originalname).name;
+    } else if (req.body.resultId) {
+      svgContent = await advancedVectorizer.loadVectorizedSVG(req.body.resultId);
+      if (svgContent === null) {
+        return res.status(404).json({
+          success: false,
+          error: `Результат векторизации не найден: ${req.body.resultId}`
+        });
+      }
+      name = req.body.resultId;
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Нужно изображение или resultId векторизованного SVG'
+      });
+    }
+
+    const result = await advancedVectorizer.exportSeparations(svgContent, {
+      name,
+      trap: req.body.trap,
+      trapMode: req.body.trapMode || 'spread',
+      garmentColor: req.body.garmentColor || '#ffffff',
+      marks: req.body.marks !== 'false',
+      overprint: req.body.overprint === undefined ? null : req.body.overprint === 'true',
+      underbase: req.body.underbase === 'true',
+      underbaseChoke: req.body.underbaseChoke,
+      highlightWhite: req.body.highlightWhite === 'true'
+    });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Ошибка цветоделения:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/vectorizer/jobs
+ * Асинхронная векторизация: сразу возвращает ID задания
+ */
+router.post('/jobs', upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Изображение не предоставлено'
+      });
+    }
+
+    const maxColors = parseInt(req.body.maxColors, 10);
+    const tileSize = parseInt(req.body.tileSize, 10);
+    const options = {
+      maxColors: Number.isFinite(maxColors) ? Math.min(Math.max(maxColors, 2), 30) : undefined,
+      tileSize: Number.isFinite(tileSize) ? Math.min(Math.max(tileSize, 128), 2048) : undefined
+    };
+
+    const job = advancedVectorizer.startVectorizationJob(req.file.buffer, req.file.originalname, options);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job,
+      statusUrl: `/api/vectorizer/jobs/${job.id}`,
+      eventsUrl: `/api/vectorizer/jobs/${job.id}/events`,
+      resultUrl: `/api/vectorizer/jobs/${job.id}/result`
+    });
+
+  } catch (error) {
+    console.error('Ошибка создания задания векторизации:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/vectorizer/jobs/:jobId
+ * Статус задания
+ */
+router.get('/jobs/:jobId', (req, res) => {
+  const job = vectorizerJobs.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Задание не найдено или срок хранения результата истек'
+    });
+  }
+
+  res.json({ success: true, job });
+});
+
+/**
+ * GET /api/vectorizer/jobs/:jobId/events
+ * SSE поток прогресса задания (события status, progress, completed, failed)
+ */
+router.get('/jobs/:jobId/events', (req, res) => {
+  const job = vectorizerJobs.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Задание не найдено или срок хранения результата истек'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Текущее состояние сразу после подключения
+  send(job.status === 'completed' || job.status === 'failed' ? job.status : 'status', job);
+  if (vectorizerJobs.isJobFinished(job)) {
+    return res.end();
+  }
+
+  // Комментарии SSE не дают прокси закрыть долгое соединение
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  let unsubscribe = null;
+  const close = () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  };
+
+  unsubscribe = vectorizerJobs.subscribeToJob(job.id, ({ type, job: update }) => {
+    send(type, update);
+    if (vectorizerJobs.isJobFinished(update)) {
+      close();
+      res.end();
+    }
+  });
+  req.on('close', close);
+});
+
+/**
+ * GET /api/vectorizer/jobs/:jobId/result
+ * Скачивание результата завершенного задания
+ */
+router.get('/jobs/:jobId/result', (req, res) => {
+  const job = vectorizerJobs.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Задание не найдено или срок хранения результата истек'
+    });
+  }
+
+  const file = vectorizerJobs.getJobFile(job.id);
+  if (!file) {
+    return res.status(409).json({
+      success: false,
+      error: job.status === 'failed' ? `Задание завершилось с ошибкой: ${job.error}` : 'Задание еще выполняется',
+      status: job.status
+    });
+  }
+
+  res.setHeader('Content-Type', file.mimeType);
+  res.download(file.filepath, file.filename);
+});
+
+/**
+ * GET /api/vectorizer/results
+ * История результатов векторизации (новые первыми): ?limit=&offset=&sourceHash=
+ */
+router.get('/results', async (req, res) => {
+  try {
+    const { total, results } = await vectorizerResults.listResults({
+      limit: req.query.limit,
+      offset: req.query.offset,
+      sourceHash: req.query.sourceHash
+    });
+    res.json({ success: true, total, results });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/vectorizer/results/:resultId
+ * Запись каталога: хэш исходника, настройки, палитра, файлы
+ */
+router.get('/results/:resultId', async (req, res) => {
+  try {
+    const result = await vectorizerResults.getResult(req.params.resultId);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Результат не найден'
+      });
+    }
+    res.json({ success: true, result });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/vectorizer/results/:resultId/download
+ * Скачивание файла результата: ?format=svg|pdf|eps (по умолчанию — формат, запрошенный при векторизации)
+ */
+router.get('/results/:resultId/download', async (req, res) => {
+  try {
+    const result = await vectorizerResults.getResult(req.params.resultId);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Результат не найден'
+      });
+    }
+
+    const format = req.query.format || result.settings.outputFormat;
+    const file = result.files.find(f => f.format === format);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: `Результат не сохранен в формате ${format}. Доступны: ${result.files.map(f => f.format).join(', ')}`
+      });
+    }
+
+    res.setHeader('Content-Type', advancedVectorizer.OUTPUT_FORMATS[format].mimeType);
+    res.download(vectorizerResults.resultFilePath(file), file.filename, (error) => {
+      if (!error) return;
+      console.error(`Ошибка отправки результата ${result.id}:`, error.message);
+      // Файл пропал с диска до начала отправки — запись каталога есть, файла нет
+      if (!res.headersSent) {
+        res.removeHeader('Content-Type');
+        res.status(error.code === 'ENOENT' ? 404 : 500).json({
+          success: false,
+          error: error.code === 'ENOENT' ? `Файл результата ${file.filename} не найден` : error.message
+        });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/vectorizer/results/:resultId
+ * Удаление результата и его файлов
+ */
+router.delete('/results/:resultId', async (req, res) => {
+  try {
+    const deleted = await vectorizerResults.deleteResult(req.params.resultId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Результат не найден'
+      });
+    }
+    res.json({ success: true, resultId: req.params.resultId });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/vectorizer/results/:resultId/reexport
+ * Переэкспорт результата с другими настройками без повторной загрузки:
+ * исходник и его предобработка берутся из кэша. Неуказанные настройки наследуются
+ */
+router.post('/results/:resultId/reexport', upload.none(), async (req, res) => {
+  try {
+    const record = await vectorizerResults.getResult(req.params.resultId);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Результат не найден'
+      });
+    }
+
+    const body = req.body || {};
+    const overrides = {};
+    for (const key of ['mode', 'spotBook', 'swatchBook', 'spotColors', 'snapToSpot',
+      'channels', 'lpi', 'dpi', 'dotShape', 'minDot', 'maxDot', 'angles', 'inkColor',
+      'colors', 'threshold', 'minLength', 'tolerance', 'strokeWidth', 'layerMethod', 'trapWidth']) {
+      if (body[key] !== undefined) overrides[key] = body[key];
+    }
+    if (body.format !== undefined) {
+      if (!advancedVectorizer.OUTPUT_FORMATS[body.format]) {
+        return res.status(400).json({
+          success: false,
+          error: `Неподдерживаемый формат: ${body.format}`
+        });
+      }
+      overrides.outputFormat = body.format;
+    }
+
+    try {
+      const merged = { ...record.settings, ...overrides };
+      const { mode } = getHalftoneOptions(merged);
+      getSpotOptions(merged);
+      getCenterlineOptions(merged, mode);
+      getLayerMethodOptions(merged, mode);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const result = await advancedVectorizer.reexportResult(record.id, overrides, { signal: abortOnDisconnect(res) });
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      parentId: record.id,
+      result: {
+        resultId: result.resultId,
+        url: result.url,
+        fromCache: result.fromCache,
+        detectedType: result.detectedType,
+        quality: result.quality,
+        filename: result.filename,
+        settings: result.settings,
+        palette: result.palette,
+        spotColors: result.spotColors,
+        halftone: result.halftone,
+        centerline: result.centerline
+      }
+    });
+
+  } catch (error) {
+    console.error('Ошибка переэкспорта:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/vectorizer/results/:resultId/palette
+ * Правка палитры результата silkscreen: {edits: [{op: 'merge', colors, into?}, {op: 'remove', color}, {op: 'replace', color, with}]}
+ * Заново трассируются только слитые слои; новый SVG сохраняется в каталог с parentId
+ */
+router.post('/results/:resultId/palette', upload.none(), async (req, res) => {
+  try {
+    const record = await vectorizerResults.getResult(req.params.resultId);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Результат не найден'
+      });
+    }
+
+    try {
+      if (record.mode !== 'silkscreen') {
+        throw new Error('Палитру можно править только у результатов в режиме silkscreen');
+      }
+      normalizePaletteEdits(req.body?.edits, record.palette);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const result = await advancedVectorizer.retracePalette(record.id, req.body.edits, { signal: abortOnDisconnect(res) });
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      parentId: record.id,
+      result: {
+        resultId: result.resultId,
+        url: result.url,
+        svgContent: result.svgContent,
+        filename: result.filename,
+        palette: result.palette,
+        paletteEdits: result.paletteEdits,
+        retracedLayers: result.retracedLayers,
+        spotColors: result.spotColors
+      }
+    });
+
+  } catch (error) {
+    console.error('Ошибка правки палитры:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/vectorizer/formats
  * Получение списка доступных форматов и настроек
@@ -441,6 +1043,310 @@ router.get('/formats', (req, res) => {
   });
 });
 
+/**
+ * GET /api/vectorizer/spot-colors
+ * Список библиотек спот-цветов
+ */
+router.get('/spot-colors', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      defaultBook: spotColorLibrary.DEFAULT_SPOT_BOOK,
+      books: spotColorLibrary.listSpotBooks()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/vectorizer/spot-colors/:bookId
+ * Цвета книги образцов
+ */
+router.get('/spot-colors/:bookId', (req, res) => {
+  if (!spotColorLibrary.getSpotBooks().includes(req.params.bookId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Неизвестная библиотека спот-цветов: ${req.params.bookId}`
+    });
+  }
+
+  const book = spotColorLibrary.loadSwatchBook(req.params.bookId);
+  res.json({
+    success: true,
+    id: book.id,
+    book: book.book,
+    description: book.description,
+    colors: book.colors.map(({ name, hex }) => ({ name, hex }))
+  });
+});
+
+/**
+ * Пресет трассировки из запроса: неизвестный пресет — ошибка клиента,
+ * а не молчаливая подмена на SIX_COLORS, как в adobeTrace
+ */
+async function requireTracePreset(presetId) {
+  const preset = await tracePresets.getPreset(presetId || 'SIX_COLORS');
+  if (!preset) {
+    throw new Error(`Неизвестный пресет трассировки: ${presetId}`);
+  }
+  return preset;
+}
+
+/**
+ * Трассировка adobe-trace-engine с описанием слоев
+ */
+async function traceWithPreset(imageBuffer, preset) {
+  const startTime = Date.now();
+  const result = await adobeTrace(imageBuffer, preset.id);
+  if (!result.success) {
+    return { presetId: preset.id, name: preset.name, success: false, error: result.error };
+  }
+
+  return {
+    presetId: preset.id,
+    name: preset.name,
+    success: true,
+    builtIn: preset.builtIn,
+    settings: preset.settings,
+    svgContent: result.svgContent,
+    palette: result.palette,
+    layers: result.layers,
+    colorsProcessed: result.colorsProcessed,
+    width: result.width,
+    height: result.height,
+    fileSize: result.fileSize,
+    processingTime: Date.now() - startTime
+  };
+}
+
+/**
+ * POST /api/vectorizer/trace
+ * Трассировка в стиле Illustrator Image Trace выбранным пресетом (встроенным или пользовательским)
+ */
+router.post('/trace', upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Изображение не предоставлено'
+      });
+    }
+
+    let preset;
+    try {
+      preset = await requireTracePreset(req.body.preset);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.log(`🎯 Трассировка через API: ${req.file.originalname}, пресет ${preset.id}`);
+
+    const result = await traceWithPreset(req.file.buffer, preset);
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({ success: true, result });
+
+  } catch (error) {
+    console.error('Ошибка трассировки:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/vectorizer/trace/compare
+ * Сравнение пресетов на одном изображении: presets — JSON-массив или список через запятую.
+ * Пресеты выполняются по очереди; ошибка одного не прерывает остальные
+ */
+router.post('/trace/compare', upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Изображение не предоставлено'
+      });
+    }
+
+    let presets;
+    try {
+      let ids = req.body.presets;
+      if (typeof ids === 'string') {
+        ids = ids.trim().startsWith('[') ? JSON.parse(ids) : ids.split(',');
+      }
+      if (!Array.isArray(ids)) {
+        throw new Error('presets должен быть списком пресетов');
+      }
+      ids = [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+      if (ids.length < 2 || ids.length > MAX_COMPARE_PRESETS) {
+        throw new Error(`Для сравнения нужно от 2 до ${MAX_COMPARE_PRESETS} пресетов`);
+      }
+      presets = [];
+      for (const id of ids) {
+        presets.push(await requireTracePreset(id));
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.log(`⚖️ Сравнение пресетов: ${presets.map(preset => preset.id).join(', ')}`);
+
+    const comparison = [];
+    for (const preset of presets) {
+      comparison.push(await traceWithPreset(req.file.buffer, preset));
+    }
+
+    if (!comparison.some(result => result.success)) {
+      return res.status(500).json({
+        success: false,
+        error: 'Ни один пресет не дал результата',
+        comparison
+      });
+    }
+
+    res.json({ success: true, comparison });
+
+  } catch (error) {
+    console.error('Ошибка сравнения пресетов:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/vectorizer/presets
+ * Пресеты трассировки adobe-trace: встроенные и пользовательские с итоговыми настройками
+ */
+router.get('/presets', async (req, res) => {
+  try {
+    const presets = await tracePresets.listPresets();
+    res.json({ success: true, total: presets.length, presets });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/vectorizer/presets/:presetId
+ * Пресет с итоговыми настройками
+ */
+router.get('/presets/:presetId', async (req, res) => {
+  const preset = await tracePresets.getPreset(req.params.presetId);
+  if (!preset) {
+    return res.status(404).json({
+      success: false,
+      error: 'Пресет не найден'
+    });
+  }
+  res.json({ success: true, preset });
+});
+
+/**
+ * POST /api/vectorizer/presets
+ * Новый пользовательский пресет: {id, name?, base, colors?, noise?, corners?, paths?, threshold?}
+ */
+router.post('/presets', upload.none(), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const presetId = tracePresets.normalizePresetId(body.id);
+    if (await tracePresets.getPreset(presetId)) {
+      return res.status(409).json({
+        success: false,
+        error: `Пресет ${presetId} уже существует`
+      });
+    }
+
+    const preset = await tracePresets.createPreset(body);
+    res.status(201).json({ success: true, preset });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/vectorizer/presets/:presetId
+ * Изменение пользовательского пресета: неуказанные поля сохраняются, пустое значение снимает переопределение
+ */
+router.put('/presets/:presetId', upload.none(), async (req, res) => {
+  const existing = await tracePresets.getPreset(req.params.presetId);
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: 'Пресет не найден'
+    });
+  }
+  if (existing.builtIn) {
+    return res.status(400).json({
+      success: false,
+      error: 'Встроенные пресеты не изменяются — создайте пользовательский на их основе'
+    });
+  }
+
+  try {
+    const preset = await tracePresets.updatePreset(existing.id, req.body || {});
+    res.json({ success: true, preset });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/vectorizer/presets/:presetId
+ * Удаление пользовательского пресета
+ */
+router.delete('/presets/:presetId', async (req, res) => {
+  try {
+    const existing = await tracePresets.getPreset(req.params.presetId);
+    if (existing?.builtIn) {
+      return res.status(400).json({
+        success: false,
+        error: 'Встроенные пресеты не удаляются'
+      });
+    }
+
+    const deleted = await tracePresets.deletePreset(req.params.presetId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Пресет не найден'
+      });
+    }
+    res.json({ success: true, presetId: existing.id });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/vectorizer/health
  * Проверка состояния модуля векторизации
@@ -463,11 +1369,22 @@ router.get('/health', async (req, res) => {
         output: outputDir,
         temp: tempDir
       },
+      workers: advancedVectorizer.getWorkerPoolStats(),
       capabilities: [
         'auto-detection',
         'multi-format',
         'quality-levels',
         'batch-processing',
+        'async-jobs',
+        'worker-threads',
+        'result-history',
+        'palette-edit',
+        'trace-presets',
+        'adobe-trace',
+        'separations',
+        'spot-colors',
+        'halftone',
+        'centerline',
         'optimization',
         'previews'
       ]
@@ -90,8 +90,12 @@ class PriceCalculator {
 
   /**
    * Расчет стоимости вышивки
+   * stitches — количество стежков или отчет оцифровки (createStitchReport)
    */
   calculateEmbroidery(stitches, quantity, needsDigitizing = true) {
+    const report = typeof stitches === 'object' && stitches !== null ? stitches : null;
+    if (report) stitches = report.stitchCount;
+    
     const digitizingCost = needsDigitizing ? this.baseRates.embroidery.setup : 0;
     const stitchCost = Math.ceil(stitches / 1000) * this.baseRates.embroidery.per_1000_stitches;
     
@@ -107,6 +111,8 @@ class PriceCalculator {
     return {
       method: 'Машинная вышивка',
       stitches,
+      stitchesEstimated: false,
+      ...(report && { sewTimeMinutes: report.sewTime.minutes, colorChanges: report.colorChanges }),
       digitizingCost,
       pricePerUnit: Math.round(pricePerUnit),
       quantity,
@@ -116,8 +122,9 @@ class PriceCalculator {
 
   /**
    * Комплексный расчет с рекомендациями
+   * stitchCount — реальное количество стежков после оцифровки (иначе оценка по площади)
    */
-  getRecommendation(width, height, colors, quantity, hasDetails = false) {
+  getRecommendation(width, height, colors, quantity, hasDetails = false, stitchCount = null) {
     const results = [];
 
     // DTF всегда доступен
@@ -130,8 +137,12 @@ class PriceCalculator {
 
     // Вышивка для простых дизайнов
     if (!hasDetails && colors <= 8) {
-      const estimatedStitches = (width * height) * 100; // примерная оценка
-      results.push(this.calculateEmbroidery(estimatedStitches, quantity));
+      if (stitchCount) {
+        results.push(this.calculateEmbroidery(stitchCount, quantity));
+      } else {
+        const estimatedStitches = (width * height) * 100; // примерная оценка
+        results.push({ ...this.calculateEmbroidery(estimatedStitches, quantity), stitchesEstimated: true });
+      }
     }
 
     // Сортируем по стоимости за единицу
@@ -182,7 +193,8 @@ class ProposalGenerator {
         design.height,
         design.colors,
         quantity,
-        design.hasDetails
+        design.hasDetails,
+        design.stitchCount
       );
       
       calculations.push({
@@ -528,7 +540,7 @@ class BOOOMERANGSAutomation {
     switch (type) {
       case 'price_calculation':
         return this.priceCalculator.getRecommendation(
-          data.width, data.height, data.colors, data.quantity, data.hasDetails
+          data.width, data.height, data.colors, data.quantity, data.hasDetails, data.stitchCount
         );
 
       case 'generate_proposal':
@@ -38,15 +38,45 @@ function extractTargetFormat(message) {
   return 'dst';
 }
 
+/**
+ * Определяет бренд ниток из сообщения
+ */
+function extractThreadBrand(message) {
+  const brandKeywords = {
+    madeira: ['madeira', 'мадейра', 'мадера'],
+    isacord: ['isacord', 'изакорд', 'исакорд'],
+    gunold: ['gunold', 'гунольд', 'гунолд']
+  };
+  
+  const lowerMessage = message.toLowerCase();
+  const found = Object.entries(brandKeywords)
+    .find(([, keywords]) => keywords.some(keyword => lowerMessage.includes(keyword)));
+  
+  return found ? found[0] : null;
+}
+
 /**
  * Извлекает параметры конвертации из сообщения
  */
 function extractConversionOptions(message) {
   const options = {};
   
-  // Поиск размеров
-  const sizeMatch = message.match(/(\d+)\s*[x×]\s*(\d+)/);
-  if (sizeMatch) {
+  // Пяльцы: "пяльцы 130x180", "hoop 200x300"
+  const hoopMatch = message.match(/(?:пяльц[а-я]*|hoop)\s*(\d+)\s*[x×х]\s*(\d+)/i);
+  if (hoopMatch) {
+    options.hoop = `${hoopMatch[1]}x${hoopMatch[2]}`;
+    if (/разб[а-я]*|несколько запялив|split/i.test(message)) {
+      options.split = true;
+    }
+  }
+  
+  // Поиск размеров (в мм — физический размер дизайна)
+  const messageWithoutHoop = hoopMatch ? message.replace(hoopMatch[0], '') : message;
+  const sizeMatch = messageWithoutHoop.match(/(\d+)\s*[x×]\s*(\d+)(\s*мм|\s*mm)?/i);
+  if (sizeMatch && sizeMatch[3]) {
+    options.designWidth = parseInt(sizeMatch[1]);
+    options.designHeight = parseInt(sizeMatch[2]);
+  } else if (sizeMatch) {
     options.width = parseInt(sizeMatch[1]);
     options.height = parseInt(sizeMatch[2]);
   }
@@ -57,6 +87,12 @@ function extractConversionOptions(message) {
     options.colors = parseInt(colorsMatch[1]);
   }
   
+  // Поиск бренда ниток
+  const brand = extractThreadBrand(message);
+  if (brand) {
+    options.brand = brand;
+  }
+  
   return options;
 }
 
@@ -102,13 +138,18 @@ async function handleEmbroideryRequest(message, imageData = null) {
         format: result.format,
         analysis: result.analysis,
         colorPalette: result.colorPalette,
+        report: result.report,
+        hooping: result.hooping,
         files: result.files,
+        stitchPreviewUrl: result.files.find(file => file.type === 'preview')?.url,
         instructions: result.instructions,
         message: `Изображение успешно конвертировано в формат ${result.format.name}`,
         details: {
           colors: result.colorPalette.length,
           size: `${result.analysis.width}x${result.analysis.height}мм`,
-          threadsNeeded: result.colorPalette.map(c => c.threadColor.name).join(', ')
+          threadsNeeded: result.colorPalette
+            .map(c => c.threadColor.code ? `${c.threadColor.code} ${c.threadColor.name}` : c.threadColor.name)
+            .join(', ')
         }
       };
     } else {
@@ -182,6 +223,8 @@ function getEmbroideryHelp() {
       'формат JEF - для машин Janome',
       'создать EXP - для машин Melco',
       'размер 200x150 - указать нужный размер',
+      'размер 250x180 мм пяльцы 130x180 разбить - физический размер и разбиение на запяливания',
+      'нитки Madeira / Isacord / Gunold - подобрать номера ниток по каталогу',
       '10 цветов - ограничить количество цветов'
     ],
     tips: [
@@ -209,7 +252,7 @@ async function getFileSize(filePath) {
 /**
  * Автоматическая конвертация изображения по URL в файлы вышивки
  */
-async function processEmbroideryGeneration(imageUrl, originalPrompt = '') {
+async function processEmbroideryGeneration(imageUrl, originalPrompt = '', options = {}) {
   try {
     const fetch = require('node-fetch');
     const response = await fetch(imageUrl);
@@ -224,17 +267,20 @@ async function processEmbroideryGeneration(imageUrl, originalPrompt = '') {
     // Конвертируем в несколько популярных форматов
     const formats = ['dst', 'pes', 'jef'];
     const results = [];
+    let stitchPreviewUrl = null;
     
     for (const format of formats) {
       try {
         const result = await convertToEmbroidery(imageBuffer, filename, format, {
           maxColors: 8,
-          stitchDensity: 'medium'
+          stitchDensity: 'medium',
+          brand: options.brand || extractThreadBrand(originalPrompt)
         });
         
         if (result.success && result.files) {
           // Новый формат данных - files уже массив с URL
           results.push(...result.files);
+          stitchPreviewUrl = stitchPreviewUrl || result.files.find(file => file.type === 'preview')?.url;
         }
       } catch (formatError) {
         console.error(`Ошибка конвертации в формат ${format}:`, formatError);
@@ -296,6 +342,7 @@ async function processEmbroideryGeneration(imageUrl, originalPrompt = '') {
         success: true,
         files: results,
         previewUrl: embroideryPreviewUrl,
+        stitchPreviewUrl: stitchPreviewUrl,
         recommendations: 'Файлы оптимизированы для вышивки с ограниченной палитрой цветов.'
       };
     } else {
@@ -321,5 +368,6 @@ module.exports = {
   getEmbroideryHelp,
   extractTargetFormat,
   extractConversionOptions,
+  extractThreadBrand,
   processEmbroideryGeneration
 };
\ No newline at end of file
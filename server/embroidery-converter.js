@@ -6,6 +6,14 @@
 const sharp = require('sharp');
 const fs = require('fs').promises;
 const path = require('path');
+const { digitizeImage, digitizeShapes, getStitchBounds, STITCH_COMMANDS, DEFAULT_DIGITIZE_OPTIONS } = require('./embroidery-digitizer');
+const { matchThreadColor, getThreadBrands } = require('./thread-catalogs');
+const { createStitchReport } = require('./embroidery-report');
+const { renderStitchPreviewSVG, renderStitchPreviewPNG } = require('./embroidery-preview');
+const { getHoopPreset, getHoopPresets, checkHoopFit, splitStitchPlanForHoop } = require('./embroidery-hoops');
+const vectorizerResults = require('../vectorizer-results.cjs');
+const { parseSVGShapes } = require('../vector-export.cjs');
+const { flattenCubic, normalizeRings, difference, ringArea } = require('../path-boolean.cjs');
 
 /**
  * Форматы вышивки и их характеристики
@@ -93,6 +101,21 @@ function determineRecommendedFormat(width, height, colorCount) {
   // - VP3 для машин Husqvarna
 }
 
+/**
+ * Физический размер дизайна в мм; без него, но с пяльцами — по размеру пяльцев
+ */
+function resolveDesignSize(options) {
+  let designWidth = parseFloat(options.designWidth) || null;
+  let designHeight = parseFloat(options.designHeight) || null;
+  const hoop = getHoopPreset(options.hoop);
+  if (!designWidth && !designHeight && hoop && !options.width && !options.height) {
+    // Запас 5% на закрепки по краям
+    designWidth = hoop.width * 0.95;
+    designHeight = hoop.height * 0.95;
+  }
+  return { designWidth, designHeight };
+}
+
 /**
  * Подготавливает изображение для вышивки
  */
@@ -106,19 +129,32 @@ async function prepareImageForEmbroidery(imageBuffer, targetFormat, options = {}
   const maxHeight = options.height || formatInfo.maxSize.height;
   const maxColors = options.colors || formatInfo.maxColors;
   
+  const { designWidth, designHeight } = resolveDesignSize(options);
+  
   let image = sharp(imageBuffer);
   
-  // Изменение размера с сохранением пропорций
-  image = image.resize(maxWidth, maxHeight, {
-    fit: 'inside',
-    withoutEnlargement: true
-  });
+  if (designWidth || designHeight) {
+    // Один пиксель подготовленного изображения = pixelSize мм при оцифровке
+    const pixelSize = parseFloat(options.pixelSize) || DEFAULT_DIGITIZE_OPTIONS.pixelSize;
+    image = image.resize(
+      designWidth ? Math.round(designWidth / pixelSize) : null,
+      designHeight ? Math.round(designHeight / pixelSize) : null,
+      { fit: 'inside' }
+    );
+  } else {
+    // Изменение размера с сохранением пропорций
+    image = image.resize(maxWidth, maxHeight, {
+      fit: 'inside',
+      withoutEnlargement: true
+    });
+  }
   
   // Квантизация цветов для уменьшения количества
+  // (без дизеринга: для оцифровки нужны сплошные цветовые области)
   image = image.png({
     palette: true,
     colors: Math.min(maxColors, 256),
-    dither: 1.0
+    dither: 0
   });
   
   // Увеличение контрастности для четких линий
@@ -130,10 +166,203 @@ async function prepareImageForEmbroidery(imageBuffer, targetFormat, options = {}
   return await image.toBuffer();
 }
 
+const SVG_PT_TO_PX = 4 / 3;          // parseSVGShapes возвращает пункты, 1px SVG = 0.75pt
+const SVG_FLATTEN_TOLERANCE = 0.05;  // мм, отклонение ломаной от кривой пути
+const SVG_BACKGROUND_COVERAGE = 0.99; // заливка на весь холст (по рамке) — фон, то есть ткань
+
+/**
+ * Проверяет, что на вход пришел SVG, а не растровое изображение
+ */
+function isSVGBuffer(buffer) {
+  const head = buffer.slice(0, 1024).toString('utf8').trimStart();
+  return /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE[^>]*>\s*)?<svg[\s>]/i.test(head);
+}
+
+/**
+ * Загружает SVG результата векторизатора по ID (или имени vectorized_<id>.svg)
+ * Файл берется из каталога результатов, а не из рабочего каталога процесса
+ *
+ * @returns {Promise<{filename: string, buffer: Buffer}|null>} null — такого результата (или его SVG) в каталоге нет
+ */
+async function loadVectorizerSVG(resultId) {
+  const match = String(resultId).match(/^(?:vectorized_)?([a-f0-9]{16})(?:\.svg)?$/i);
+  if (!match) return null;
+
+  const result = await vectorizerResults.getResult(match[1].toLowerCase());
+  const file = result && result.files.find(f => f.format === 'svg');
+  if (!file) return null;
+  return {
+    filename: file.filename,
+    buffer: await fs.readFile(vectorizerResults.resultFilePath(file))
+  };
+}
+
+/**
+ * Операции фигуры (M, L, C, Z) → подпути-ломаные в мм: { points, closed }
+ */
+function flattenShapeOps(ops, scale) {
+  const paths = [];
+  let current = null;
+
+  for (const op of ops) {
+    if (op.op === 'M') {
+      current = { points: [[op.x * scale, op.y * scale]], closed: false };
+      paths.push(current);
+    } else if (op.op === 'Z') {
+      if (current) current.closed = true;
+      current = null;
+    } else if (current) {
+      const [x0, y0] = current.points[current.points.length - 1];
+      if (op.op === 'C') {
+        flattenCubic(current.points, x0, y0, op.x1 * scale, op.y1 * scale, op.x2 * scale, op.y2 * scale,
+          op.x * scale, op.y * scale, SVG_FLATTEN_TOLERANCE);
+      } else {
+        current.points.push([op.x * scale, op.y * scale]);
+      }
+    }
+  }
+
+  // Замыкающая точка совпадает с первой — в кольцах она не повторяется
+  for (const { points, closed } of paths) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (closed && points.length > 1 && first[0] === last[0] && first[1] === last[1]) points.pop();
+  }
+  return paths;
+}
+
+function ringsBounds(rings) {
+  const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  for (const ring of rings) {
+    for (const [x, y] of ring) {
+      bounds.minX = Math.min(bounds.minX, x);
+      bounds.minY = Math.min(bounds.minY, y);
+      bounds.maxX = Math.max(bounds.maxX, x);
+      bounds.maxY = Math.max(bounds.maxY, y);
+    }
+  }
+  return bounds;
+}
+
+function polylineLength(points, closed) {
+  let length = 0;
+  for (let i = 1; i <= points.length; i++) {
+    if (i === points.length && !closed) break;
+    const [x0, y0] = points[i - 1];
+    const [x1, y1] = points[i % points.length];
+    length += Math.hypot(x1 - x0, y1 - y0);
+  }
+  return length;
+}
+
+const boundsOverlap = (a, b) => a.minX < b.maxX && b.minX < a.maxX && a.minY < b.maxY && b.minY < a.maxY;
+
+/**
+ * Готовит SVG к оцифровке без растеризации: фигуры переводятся в мм (без заданного размера
+ * единица SVG считается миллиметром), кривые спрямляются с точностью SVG_FLATTEN_TOLERANCE
+ * От заливки остается видимая часть — вышележащие заливки вычитаются, так как нитки шьются
+ * не в порядке отрисовки SVG. Обводки не вычитаются: гладь по контуру ложится поверх заливки
+ *
+ * @returns {{width: number, height: number, shapes: Array, colorPalette: Array}} дизайн для digitizeShapes
+ */
+function prepareSVGForEmbroidery(svgBuffer, targetFormat, options = {}, brand = null) {
+  const formatInfo = EMBROIDERY_FORMATS[targetFormat];
+  const parsed = parseSVGShapes(svgBuffer.toString('utf8'));
+  const svgWidth = parsed.width * SVG_PT_TO_PX;
+  const svgHeight = parsed.height * SVG_PT_TO_PX;
+  if (!svgWidth || !svgHeight) {
+    throw new Error('Не удалось определить размер SVG');
+  }
+  
+  const { designWidth, designHeight } = resolveDesignSize(options);
+  let scale;
+  if (designWidth || designHeight) {
+    scale = Math.min(
+      designWidth ? designWidth / svgWidth : Infinity,
+      designHeight ? designHeight / svgHeight : Infinity
+    );
+  } else {
+    const maxWidth = options.width || formatInfo.maxSize.width;
+    const maxHeight = options.height || formatInfo.maxSize.height;
+    scale = Math.min(1, maxWidth / svgWidth, maxHeight / svgHeight);
+  }
+  const ptToMm = scale * SVG_PT_TO_PX;
+  const width = svgWidth * scale;
+  const height = svgHeight * scale;
+  
+  const shapes = [];
+  for (const shape of parsed.shapes) {
+    const paths = flattenShapeOps(shape.ops, ptToMm);
+    if (shape.type === 'stroke') {
+      for (const { points, closed } of paths) {
+        shapes.push({ type: 'stroke', color: shape.color, points, closed, width: shape.width * ptToMm });
+      }
+    } else {
+      const rings = normalizeRings(
+        paths.filter(({ points }) => points.length >= 3).map(({ points }) => points),
+        shape.evenOdd ? 'evenodd' : 'nonzero'
+      );
+      if (rings.length > 0) {
+        shapes.push({ type: 'fill', color: shape.color, rings, bounds: ringsBounds(rings) });
+      }
+    }
+  }
+  
+  // Фон — нижняя заливка на весь холст
+  const fills = shapes.filter(shape => shape.type === 'fill');
+  const bottom = fills[0];
+  if (bottom &&
+      bottom.bounds.maxX - Math.max(bottom.bounds.minX, 0) >= width * SVG_BACKGROUND_COVERAGE &&
+      bottom.bounds.maxY - Math.max(bottom.bounds.minY, 0) >= height * SVG_BACKGROUND_COVERAGE) {
+    bottom.background = true;
+  }
+  
+  // Видимые части заливок: вычитаются пересекающиеся по рамке заливки выше
+  fills.forEach((fill, index) => {
+    const above = fills.slice(index + 1).filter(other => boundsOverlap(fill.bounds, other.bounds));
+    if (above.length > 0) {
+      fill.rings = difference(fill.rings, above.flatMap(other => other.rings));
+    }
+  });
+  
+  // Палитра — цвета фигур по площади вышивки; лишние для формата цвета — ближайшей ниткой палитры
+  const usage = new Map();
+  for (const shape of shapes) {
+    const hex = `#${[shape.color.r, shape.color.g, shape.color.b].map(v => v.toString(16).padStart(2, '0')).join('')}`;
+    const area = shape.type === 'fill'
+      ? shape.rings.reduce((sum, ring) => sum + ringArea(ring), 0)
+      : polylineLength(shape.points, shape.closed) * shape.width;
+    shape.hex = hex;
+    if (area <= 0) continue;
+    if (!usage.has(hex)) usage.set(hex, { rgb: { ...shape.color }, hex, usage: 0 });
+    usage.get(hex).usage += area;
+  }
+  const colors = [...usage.values()].sort((a, b) => b.usage - a.usage);
+  const colorPalette = colors.slice(0, formatInfo.maxColors).map(color => ({
+    ...color,
+    usage: Math.round(color.usage),
+    threadColor: suggestThreadColor(color.rgb.r, color.rgb.g, color.rgb.b, brand)
+  }));
+  const colorIndex = new Map(colorPalette.map((color, index) => [color.hex, index]));
+  for (const color of colors.slice(formatInfo.maxColors)) {
+    colorIndex.set(color.hex, findNearestThread(color.rgb, colorPalette).index);
+  }
+  
+  return {
+    width,
+    height,
+    shapes: shapes
+      .filter(shape => colorIndex.has(shape.hex))
+      .map(({ color, hex, bounds, ...shape }) => ({ ...shape, colorIndex: colorIndex.get(hex) })),
+    colorPalette
+  };
+}
+
 /**
  * Извлекает цветовую палитру из изображения
+ * При указании бренда нитки подбираются по его каталогу
  */
-async function extractColorPalette(imageBuffer, maxColors = 15) {
+async function extractColorPalette(imageBuffer, maxColors = 15, brand = null) {
   const image = sharp(imageBuffer);
   const { data, info } = await image
     .png({ palette: true, colors: maxColors })
@@ -163,7 +392,7 @@ async function extractColorPalette(imageBuffer, maxColors = 15) {
         rgb: { r, g, b },
         hex: `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`,
         usage: count,
-        threadColor: suggestThreadColor(r, g, b)
+        threadColor: suggestThreadColor(r, g, b, brand)
       };
     });
   
@@ -171,193 +400,1008 @@ async function extractColorPalette(imageBuffer, maxColors = 15) {
 }
 
 /**
- * Предлагает ближайший цвет нити для вышивки
+ * Стандартные цвета ниток для вышивки
  */
-function suggestThreadColor(r, g, b) {
-  // Стандартные цвета ниток для вышивки
-  const threadColors = {
-    '#FFFFFF': 'Белый',
-    '#000000': 'Черный',
-    '#FF0000': 'Красный',
-    '#00FF00': 'Зеленый',
-    '#0000FF': 'Синий',
-    '#FFFF00': 'Желтый',
-    '#FF00FF': 'Пурпурный',
-    '#00FFFF': 'Голубой',
-    '#800000': 'Темно-красный',
-    '#008000': 'Темно-зеленый',
-    '#000080': 'Темно-синий',
-    '#808000': 'Оливковый',
-    '#800080': 'Фиолетовый',
-    '#008080': 'Бирюзовый',
-    '#C0C0C0': 'Серебристый',
-    '#808080': 'Серый'
-  };
-  
-  let closestColor = '#000000';
+const BASIC_THREADS = [
+  { hex: '#FFFFFF', name: 'Белый' },
+  { hex: '#000000', name: 'Черный' },
+  { hex: '#FF0000', name: 'Красный' },
+  { hex: '#00FF00', name: 'Зеленый' },
+  { hex: '#0000FF', name: 'Синий' },
+  { hex: '#FFFF00', name: 'Желтый' },
+  { hex: '#FF00FF', name: 'Пурпурный' },
+  { hex: '#00FFFF', name: 'Голубой' },
+  { hex: '#800000', name: 'Темно-красный' },
+  { hex: '#008000', name: 'Темно-зеленый' },
+  { hex: '#000080', name: 'Темно-синий' },
+  { hex: '#808000', name: 'Оливковый' },
+  { hex: '#800080', name: 'Фиолетовый' },
+  { hex: '#008080', name: 'Бирюзовый' },
+  { hex: '#C0C0C0', name: 'Серебристый' },
+  { hex: '#808080', name: 'Серый' }
+];
+
+/**
+ * Находит ближайший цвет нити в таблице (начиная с firstIndex) и расстояние до него (RGB)
+ */
+function findNearestThread(rgb, threads, firstIndex = 0) {
+  let bestIndex = firstIndex;
   let minDistance = Infinity;
-  
-  for (const [hex, name] of Object.entries(threadColors)) {
-    const tr = parseInt(hex.slice(1, 3), 16);
-    const tg = parseInt(hex.slice(3, 5), 16);
-    const tb = parseInt(hex.slice(5, 7), 16);
-    
-    const distance = Math.sqrt(
-      Math.pow(r - tr, 2) + Math.pow(g - tg, 2) + Math.pow(b - tb, 2)
-    );
-    
+
+  for (let i = firstIndex; i < threads.length; i++) {
+    const hex = threads[i].hex;
+    const distance = Math.pow(rgb.r - parseInt(hex.slice(1, 3), 16), 2) +
+      Math.pow(rgb.g - parseInt(hex.slice(3, 5), 16), 2) +
+      Math.pow(rgb.b - parseInt(hex.slice(5, 7), 16), 2);
+
     if (distance < minDistance) {
       minDistance = distance;
-      closestColor = hex;
+      bestIndex = i;
     }
   }
+
+  return { index: bestIndex, distance: Math.sqrt(minDistance) };
+}
+
+/**
+ * Предлагает ближайший цвет нити для вышивки
+ * Без бренда — из стандартных цветов по RGB, с брендом — номер каталога по CIEDE2000
+ */
+function suggestThreadColor(r, g, b, brand = null) {
+  if (brand) {
+    return matchThreadColor({ r, g, b }, brand);
+  }
+  
+  const { index, distance } = findNearestThread({ r, g, b }, BASIC_THREADS);
   
   return {
-    hex: closestColor,
-    name: threadColors[closestColor],
-    distance: Math.round(minDistance)
+    hex: BASIC_THREADS[index].hex,
+    name: BASIC_THREADS[index].name,
+    distance: Math.round(distance)
   };
 }
 
 /**
- * Создает DST файл с реальными данными стежков
+ * Кодирует одно смещение DST в троичную 3-байтовую запись (|dx|, |dy| <= 121)
+ */
+function encodeDSTRecord(dx, dy, isJump = false) {
+  let x = dx;
+  let y = -dy; // В DST ось Y направлена вверх
+  let b0 = 0, b1 = 0, b2 = 0x03;
+
+  if (isJump) b2 |= 0x80;
+
+  if (x > 40) { b2 |= 0x04; x -= 81; }
+  if (x < -40) { b2 |= 0x08; x += 81; }
+  if (x > 13) { b1 |= 0x04; x -= 27; }
+  if (x < -13) { b1 |= 0x08; x += 27; }
+  if (x > 4) { b0 |= 0x04; x -= 9; }
+  if (x < -4) { b0 |= 0x08; x += 9; }
+  if (x > 1) { b1 |= 0x01; x -= 3; }
+  if (x < -1) { b1 |= 0x02; x += 3; }
+  if (x > 0) { b0 |= 0x01; x -= 1; }
+  if (x < 0) { b0 |= 0x02; x += 1; }
+
+  if (y > 40) { b2 |= 0x20; y -= 81; }
+  if (y < -40) { b2 |= 0x10; y += 81; }
+  if (y > 13) { b1 |= 0x20; y -= 27; }
+  if (y < -13) { b1 |= 0x10; y += 27; }
+  if (y > 4) { b0 |= 0x20; y -= 9; }
+  if (y < -4) { b0 |= 0x10; y += 9; }
+  if (y > 1) { b1 |= 0x80; y -= 3; }
+  if (y < -1) { b1 |= 0x40; y += 3; }
+  if (y > 0) { b0 |= 0x80; y -= 1; }
+  if (y < 0) { b0 |= 0x40; y += 1; }
+
+  return [b0, b1, b2];
+}
+
+/**
+ * Делит смещение на шаги, не превышающие maxStep по каждой оси
+ */
+function splitMove(dx, dy, maxStep) {
+  const parts = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)) / maxStep));
+  const steps = [];
+  let doneX = 0, doneY = 0;
+
+  for (let i = 1; i <= parts; i++) {
+    const x = Math.round((dx * i) / parts);
+    const y = Math.round((dy * i) / parts);
+    steps.push([x - doneX, y - doneY]);
+    doneX = x;
+    doneY = y;
+  }
+
+  return steps;
+}
+
+/**
+ * Кодирует план стежков в записи DST
+ */
+function encodeDSTStitches(stitches) {
+  const records = [];
+  let lastX = 0, lastY = 0;
+
+  for (const stitch of stitches) {
+    switch (stitch.command) {
+      case STITCH_COMMANDS.STITCH:
+      case STITCH_COMMANDS.JUMP: {
+        const isJump = stitch.command === STITCH_COMMANDS.JUMP;
+        for (const [dx, dy] of splitMove(stitch.x - lastX, stitch.y - lastY, 121)) {
+          records.push(...encodeDSTRecord(dx, dy, isJump));
+        }
+        lastX = stitch.x;
+        lastY = stitch.y;
+        break;
+      }
+      case STITCH_COMMANDS.TRIM:
+        // Обрезка в DST — серия прыжков с нулевым итоговым смещением
+        records.push(...encodeDSTRecord(2, 2, true));
+        records.push(...encodeDSTRecord(-4, -4, true));
+        records.push(...encodeDSTRecord(2, 2, true));
+        break;
+      case STITCH_COMMANDS.COLOR_CHANGE:
+        records.push(0x00, 0x00, 0xC3);
+        break;
+      case STITCH_COMMANDS.END:
+        records.push(0x00, 0x00, 0xF3);
+        break;
+    }
+  }
+
+  if (records.length < 3 || records[records.length - 1] !== 0xF3) {
+    records.push(0x00, 0x00, 0xF3);
+  }
+
+  return Buffer.from(records);
+}
+
+/**
+ * Форматирует поле заголовка DST со знаком: «+  123»
+ */
+function formatDSTSigned(value) {
+  return `${value < 0 ? '-' : '+'}${String(Math.abs(value)).padStart(5)}`;
+}
+
+/**
+ * Создает DST файл: ASCII-заголовок Tajima (512 байт) и троичные записи стежков
  */
-function createDSTFile(colorPalette, imageWidth, imageHeight) {
-  // DST заголовок (512 байт)
+function createDSTFile(stitchPlan, designName = 'DESIGN') {
+  const records = encodeDSTStitches(stitchPlan.stitches);
+  const { minX, minY, maxX, maxY } = stitchPlan.bounds;
+  const colorChanges = stitchPlan.stitches.filter(s => s.command === STITCH_COMMANDS.COLOR_CHANGE).length;
+  const last = stitchPlan.stitches[stitchPlan.stitches.length - 1] || { x: 0, y: 0 };
+  
+  // Поля заголовка; ось Y в DST направлена вверх, поэтому +Y — это верхний край
+  const label = designName.replace(/[^\x20-\x7E]/g, '_').slice(0, 16).padEnd(16);
+  const fields = [
+    `LA:${label}`,
+    `ST:${String(records.length / 3).padStart(7)}`,
+    `CO:${String(colorChanges).padStart(3)}`,
+    `+X:${String(Math.max(maxX, 0)).padStart(5)}`,
+    `-X:${String(Math.max(-minX, 0)).padStart(5)}`,
+    `+Y:${String(Math.max(-minY, 0)).padStart(5)}`,
+    `-Y:${String(Math.max(maxY, 0)).padStart(5)}`,
+    `AX:${formatDSTSigned(last.x)}`,
+    `AY:${formatDSTSigned(-last.y)}`,
+    'MX:+    0',
+    'MY:+    0',
+    'PD:******'
+  ];
+  
   const header = Buffer.alloc(512, 0x20); // Заполняем пробелами
+  const text = fields.join('\r') + '\r\x1a';
+  header.write(text, 0, 'ascii');
+  
+  return Buffer.concat([header, records]);
+}
+
+/**
+ * Разбирает ASCII-заголовок DST
+ */
+function parseDSTHeader(headerBuffer) {
+  const text = headerBuffer.toString('latin1');
+  const header = {};
   
-  // Генерируем базовый паттерн стежков для вышивки
-  const stitches = generateStitchPattern(imageWidth, imageHeight, colorPalette.length);
+  for (const field of text.split(/[\r\n\x1a]/)) {
+    const match = field.match(/^([A-Z+-]{2}):(.*)$/);
+    if (!match) continue;
+    const value = match[2].trim();
+    header[match[1]] = match[1] === 'LA' || match[1] === 'PD'
+      ? value
+      : parseInt(value.replace(/\s+/g, ''), 10);
+  }
   
-  // Записываем основную информацию в заголовок
-  header.write('LA', 0); // Метка формата
-  header.writeInt16LE(stitches.length / 3, 2); // Количество стежков
-  header.writeInt16LE(colorPalette.length, 4); // Количество цветов
-  header.writeInt16LE(Math.min(imageWidth * 10, 4000), 6); // Ширина в десятых долях мм (макс 400мм)
-  header.writeInt16LE(Math.min(imageHeight * 10, 4000), 8); // Высота в десятых долях мм (макс 400мм)
+  return {
+    label: header.LA || '',
+    stitchCount: header.ST,
+    colorChanges: header.CO,
+    extents: {
+      plusX: header['+X'],
+      minusX: header['-X'],
+      plusY: header['+Y'],
+      minusY: header['-Y']
+    },
+    endPoint: { x: header.AX, y: header.AY }
+  };
+}
+
+/**
+ * Декодирует смещения из 3-байтовой записи DST (ось Y — вниз, как в плане)
+ */
+function decodeDSTRecord(b0, b1, b2) {
+  const bit = (value, n) => (value >> n) & 1;
   
-  // Записываем дату создания
-  const now = new Date();
-  header.write(now.toISOString().slice(0, 10).replace(/-/g, ''), 16);
+  const dx = bit(b2, 2) * 81 - bit(b2, 3) * 81 +
+    bit(b1, 2) * 27 - bit(b1, 3) * 27 +
+    bit(b0, 2) * 9 - bit(b0, 3) * 9 +
+    bit(b1, 0) * 3 - bit(b1, 1) * 3 +
+    bit(b0, 0) - bit(b0, 1);
+  
+  const dy = bit(b2, 5) * 81 - bit(b2, 4) * 81 +
+    bit(b1, 5) * 27 - bit(b1, 4) * 27 +
+    bit(b0, 5) * 9 - bit(b0, 4) * 9 +
+    bit(b1, 7) * 3 - bit(b1, 6) * 3 +
+    bit(b0, 7) - bit(b0, 6);
   
-  return Buffer.concat([header, stitches]);
+  return { dx, dy: -dy };
 }
 
 /**
- * Генерирует базовый паттерн стежков для вышивки
+ * Читает DST файл в план стежков
+ * Серия прыжков сворачивается в один прыжок; серия (+2,+2)(-4,-4)(+2,+2) — обрезка нити
  */
-function generateStitchPattern(width, height, colorCount) {
+function readDSTFile(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 512) {
+    throw new Error('Файл слишком короткий для формата DST');
+  }
+  
+  const header = parseDSTHeader(buffer.subarray(0, 512));
   const stitches = [];
+  let x = 0, y = 0;
+  let jumpRun = [];
+  let jumpRecords = 0;
+  let ended = false;
+  
+  const flushJumps = () => {
+    if (jumpRun.length === 0) return;
+    let start = 0;
+    const isTrim = jumpRun.length >= 3 &&
+      jumpRun[0].dx === 2 && jumpRun[0].dy === 2 &&
+      jumpRun[1].dx === -4 && jumpRun[1].dy === -4 &&
+      jumpRun[2].dx === 2 && jumpRun[2].dy === 2;
+    if (isTrim) {
+      stitches.push({ x, y, command: STITCH_COMMANDS.TRIM });
+      start = 3;
+    }
+    if (start < jumpRun.length) {
+      for (let i = start; i < jumpRun.length; i++) {
+        x += jumpRun[i].dx;
+        y += jumpRun[i].dy;
+      }
+      stitches.push({ x, y, command: STITCH_COMMANDS.JUMP });
+    }
+    jumpRun = [];
+  };
   
-  // Масштабируем размер под стандарт вышивки (максимум 400x400мм)
-  const maxSize = 400;
-  const scale = Math.min(maxSize / width, maxSize / height);
-  const scaledWidth = Math.floor(width * scale);
-  const scaledHeight = Math.floor(height * scale);
+  for (let offset = 512; offset + 3 <= buffer.length; offset += 3) {
+    const b0 = buffer[offset];
+    const b1 = buffer[offset + 1];
+    const b2 = buffer[offset + 2];
+    
+    if ((b2 & 0xF3) === 0xF3) {
+      flushJumps();
+      stitches.push({ x, y, command: STITCH_COMMANDS.END });
+      ended = true;
+      break;
+    }
+    
+    if ((b2 & 0xC3) === 0xC3) {
+      flushJumps();
+      stitches.push({ x, y, command: STITCH_COMMANDS.COLOR_CHANGE });
+      continue;
+    }
+    
+    const { dx, dy } = decodeDSTRecord(b0, b1, b2);
+    
+    if ((b2 & 0x83) === 0x83) {
+      jumpRun.push({ dx, dy });
+      jumpRecords++;
+      continue;
+    }
+    
+    flushJumps();
+    x += dx;
+    y += dy;
+    stitches.push({ x, y, command: STITCH_COMMANDS.STITCH });
+  }
   
-  // Центрируем дизайн
-  const centerX = scaledWidth / 2;
-  const centerY = scaledHeight / 2;
+  if (!ended) {
+    flushJumps();
+    stitches.push({ x, y, command: STITCH_COMMANDS.END });
+  }
   
-  // Перемещение к начальной точке
-  stitches.push(0x00, 0x00, 0x00); // MOVE to center
+  const count = command => stitches.filter(s => s.command === command).length;
+  const bounds = getStitchBounds(stitches);
   
-  // Создаем базовый контур для каждого цвета
-  for (let color = 0; color < Math.min(colorCount, 15); color++) {
-    // Смена цвета
-    if (color > 0) {
-      stitches.push(0x00, 0x00, 0xC3); // COLOR CHANGE
+  return {
+    header,
+    stitches,
+    bounds,
+    stitchCount: count(STITCH_COMMANDS.STITCH),
+    colorChanges: count(STITCH_COMMANDS.COLOR_CHANGE),
+    colorCount: count(STITCH_COMMANDS.COLOR_CHANGE) + 1,
+    trims: count(STITCH_COMMANDS.TRIM),
+    jumps: jumpRecords,
+    width: bounds.maxX - bounds.minX,
+    height: bounds.maxY - bounds.minY
+  };
+}
+
+/**
+ * Палитра ниток Brother (индексы цветов в PEC, 0 — не используется)
+ */
+const BROTHER_THREADS = [
+  { hex: '#000000', name: 'Unknown', code: '0' },
+  { hex: '#0E1F7C', name: 'Prussian Blue', code: '1' },
+  { hex: '#0A55A3', name: 'Blue', code: '2' },
+  { hex: '#008777', name: 'Teal Green', code: '3' },
+  { hex: '#4B6BAF', name: 'Cornflower Blue', code: '4' },
+  { hex: '#ED171F', name: 'Red', code: '5' },
+  { hex: '#D15C00', name: 'Reddish Brown', code: '6' },
+  { hex: '#913697', name: 'Magenta', code: '7' },
+  { hex: '#E49ACB', name: 'Light Lilac', code: '8' },
+  { hex: '#915FAC', name: 'Lilac', code: '9' },
+  { hex: '#9ED67D', name: 'Mint Green', code: '10' },
+  { hex: '#E8A900', name: 'Deep Gold', code: '11' },
+  { hex: '#FEBA35', name: 'Orange', code: '12' },
+  { hex: '#FFFF00', name: 'Yellow', code: '13' },
+  { hex: '#70BC1F', name: 'Lime Green', code: '14' },
+  { hex: '#BA9800', name: 'Brass', code: '15' },
+  { hex: '#A8A8A8', name: 'Silver', code: '16' },
+  { hex: '#7D6F00', name: 'Russet Brown', code: '17' },
+  { hex: '#FFFFB3', name: 'Cream Brown', code: '18' },
+  { hex: '#4F5556', name: 'Pewter', code: '19' },
+  { hex: '#000000', name: 'Black', code: '20' },
+  { hex: '#0B3D91', name: 'Ultramarine', code: '21' },
+  { hex: '#770176', name: 'Royal Purple', code: '22' },
+  { hex: '#293133', name: 'Dark Gray', code: '23' },
+  { hex: '#2A1301', name: 'Dark Brown', code: '24' },
+  { hex: '#F64A8A', name: 'Deep Rose', code: '25' },
+  { hex: '#B27624', name: 'Light Brown', code: '26' },
+  { hex: '#FCBBC5', name: 'Salmon Pink', code: '27' },
+  { hex: '#FE370F', name: 'Vermilion', code: '28' },
+  { hex: '#F0F0F0', name: 'White', code: '29' },
+  { hex: '#6A1C8A', name: 'Violet', code: '30' },
+  { hex: '#A8DDC4', name: 'Seacrest', code: '31' },
+  { hex: '#2584BB', name: 'Sky Blue', code: '32' },
+  { hex: '#FEB343', name: 'Pumpkin', code: '33' },
+  { hex: '#FFF36B', name: 'Cream Yellow', code: '34' },
+  { hex: '#D0A660', name: 'Khaki', code: '35' },
+  { hex: '#D15400', name: 'Clay Brown', code: '36' },
+  { hex: '#66BA49', name: 'Leaf Green', code: '37' },
+  { hex: '#134A46', name: 'Peacock Blue', code: '38' },
+  { hex: '#878787', name: 'Gray', code: '39' },
+  { hex: '#D8CCC6', name: 'Warm Gray', code: '40' },
+  { hex: '#435607', name: 'Dark Olive', code: '41' },
+  { hex: '#FDD9DE', name: 'Flesh Pink', code: '42' },
+  { hex: '#F993BC', name: 'Pink', code: '43' },
+  { hex: '#003822', name: 'Deep Green', code: '44' },
+  { hex: '#B2AFD4', name: 'Lavender', code: '45' },
+  { hex: '#686AB0', name: 'Wisteria Violet', code: '46' },
+  { hex: '#EFE3B9', name: 'Beige', code: '47' },
+  { hex: '#F73866', name: 'Carmine', code: '48' },
+  { hex: '#B54B64', name: 'Amber Red', code: '49' },
+  { hex: '#132B1A', name: 'Olive Green', code: '50' },
+  { hex: '#C70156', name: 'Dark Fuchsia', code: '51' },
+  { hex: '#FE9E32', name: 'Tangerine', code: '52' },
+  { hex: '#A8DEEB', name: 'Light Blue', code: '53' },
+  { hex: '#00673E', name: 'Emerald Green', code: '54' },
+  { hex: '#4E2990', name: 'Purple', code: '55' },
+  { hex: '#2F7E20', name: 'Moss Green', code: '56' },
+  { hex: '#FFCCCC', name: 'Flesh Pink', code: '57' },
+  { hex: '#FFD911', name: 'Harvest Gold', code: '58' },
+  { hex: '#095BA6', name: 'Electric Blue', code: '59' },
+  { hex: '#F0F970', name: 'Lemon Yellow', code: '60' },
+  { hex: '#E3F35B', name: 'Fresh Green', code: '61' },
+  { hex: '#FF9900', name: 'Orange', code: '62' },
+  { hex: '#FFF08D', name: 'Cream Yellow', code: '63' },
+  { hex: '#FFC8C8', name: 'Applique', code: '64' }
+];
+
+const PEC_ICON_WIDTH = 48;
+const PEC_ICON_HEIGHT = 38;
+
+/**
+ * Длинная форма смещения PEC: 12 бит и флаг 0x8000 (0x10 — прыжок, 0x20 — обрезка)
+ */
+function encodePECLong(value, flags = 0) {
+  return (value & 0x0FFF) | 0x8000 | (flags << 8);
+}
+
+/**
+ * Кодирует план стежков в формат PEC
+ * Короткие стежки — по 7 бит на ось, длинные и прыжки — по 12 бит, ось Y направлена вниз
+ */
+function encodePECStitches(stitches) {
+  const bytes = [];
+  let lastX = 0, lastY = 0;
+  let jumping = true;
+  let trimmed = false;
+  let colorToggle = true;
+  
+  const pushLong = (dx, dy, flags) => {
+    const x = encodePECLong(dx, flags);
+    const y = encodePECLong(dy, flags);
+    bytes.push((x >> 8) & 0xFF, x & 0xFF, (y >> 8) & 0xFF, y & 0xFF);
+  };
+  
+  for (const stitch of stitches) {
+    const dx = stitch.x - lastX;
+    const dy = stitch.y - lastY;
+    
+    switch (stitch.command) {
+      case STITCH_COMMANDS.STITCH:
+        if (jumping && dx !== 0 && dy !== 0) {
+          bytes.push(0x00, 0x00);
+        }
+        jumping = false;
+        if (dx > -64 && dx < 63 && dy > -64 && dy < 63) {
+          bytes.push(dx & 0x7F, dy & 0x7F);
+        } else {
+          pushLong(dx, dy, 0);
+        }
+        break;
+      case STITCH_COMMANDS.JUMP:
+        jumping = true;
+        for (const [stepX, stepY] of splitMove(dx, dy, 2047)) {
+          pushLong(stepX, stepY, trimmed ? 0x20 : 0x10);
+        }
+        trimmed = false;
+        break;
+      case STITCH_COMMANDS.TRIM:
+        trimmed = true;
+        break;
+      case STITCH_COMMANDS.COLOR_CHANGE:
+        if (jumping) {
+          bytes.push(0x00, 0x00);
+          jumping = false;
+        }
+        bytes.push(0xFE, 0xB0, colorToggle ? 0x02 : 0x01);
+        colorToggle = !colorToggle;
+        break;
     }
     
-    // Создаем простой геометрический паттерн
-    const radius = (color + 1) * 15; // Увеличиваем радиус для каждого цвета
-    const steps = 16; // Количество точек в окружности
+    if (stitch.command === STITCH_COMMANDS.STITCH || stitch.command === STITCH_COMMANDS.JUMP) {
+      lastX = stitch.x;
+      lastY = stitch.y;
+    }
+  }
+  
+  bytes.push(0xFF);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Рисует монохромную иконку PEC 48x38 (1 бит на пиксель, младший бит — левый пиксель)
+ */
+function createPECThumbnail(stitches, bounds) {
+  const stride = PEC_ICON_WIDTH / 8;
+  const icon = Buffer.alloc(stride * PEC_ICON_HEIGHT, 0);
+  
+  const setPixel = (x, y) => {
+    if (x < 0 || y < 0 || x >= PEC_ICON_WIDTH || y >= PEC_ICON_HEIGHT) return;
+    icon[y * stride + (x >> 3)] |= 1 << (x & 7);
+  };
+  
+  // Рамка иконки
+  for (let x = 4; x < PEC_ICON_WIDTH - 4; x++) {
+    setPixel(x, 1);
+    setPixel(x, PEC_ICON_HEIGHT - 2);
+  }
+  for (let y = 2; y < PEC_ICON_HEIGHT - 2; y++) {
+    setPixel(3, y);
+    setPixel(PEC_ICON_WIDTH - 4, y);
+  }
+  
+  // Стежки масштабируются в поле внутри рамки
+  const margin = 6;
+  const width = Math.max(bounds.maxX - bounds.minX, 1);
+  const height = Math.max(bounds.maxY - bounds.minY, 1);
+  const scale = Math.min((PEC_ICON_WIDTH - margin * 2) / width, (PEC_ICON_HEIGHT - margin * 2) / height);
+  const offsetX = (PEC_ICON_WIDTH - width * scale) / 2;
+  const offsetY = (PEC_ICON_HEIGHT - height * scale) / 2;
+  
+  let previous = null;
+  for (const stitch of stitches) {
+    if (stitch.command !== STITCH_COMMANDS.STITCH) {
+      if (stitch.command !== STITCH_COMMANDS.TRIM) previous = null;
+      continue;
+    }
+    const x = Math.floor((stitch.x - bounds.minX) * scale + offsetX);
+    const y = Math.floor((stitch.y - bounds.minY) * scale + offsetY);
     
-    for (let i = 0; i <= steps; i++) {
-      const angle = (i * 2 * Math.PI) / steps;
-      const x = Math.floor(centerX + radius * Math.cos(angle));
-      const y = Math.floor(centerY + radius * Math.sin(angle));
-      
-      // Кодируем координаты в формате DST
-      const deltaX = Math.max(-127, Math.min(127, x - centerX));
-      const deltaY = Math.max(-127, Math.min(127, y - centerY));
-      
-      stitches.push(
-        deltaX & 0xFF,
-        deltaY & 0xFF,
-        0x00 // STITCH
-      );
+    if (previous) {
+      const steps = Math.max(Math.abs(x - previous.x), Math.abs(y - previous.y), 1);
+      for (let i = 0; i <= steps; i++) {
+        setPixel(Math.round(previous.x + ((x - previous.x) * i) / steps),
+          Math.round(previous.y + ((y - previous.y) * i) / steps));
+      }
+    } else {
+      setPixel(x, y);
     }
+    previous = { x, y };
   }
   
-  // Завершение вышивки
-  stitches.push(0x00, 0x00, 0xF3); // END
+  return icon;
+}
+
+/**
+ * Создает секцию PEC: заголовок (512 байт), блок стежков и иконки
+ */
+function createPECSection(stitchPlan, designName) {
+  const colorIndices = stitchPlan.colors.map(color => findNearestThread(color.rgb, BROTHER_THREADS, 1).index);
+  
+  const header = Buffer.alloc(512, 0x20);
+  header.write(`LA:${designName.replace(/[^\x20-\x7E]/g, '_').slice(0, 8).padEnd(16)}\r`, 0, 'ascii');
+  header[32] = 0xFF;
+  header[33] = 0x00;
+  header[34] = PEC_ICON_WIDTH / 8;
+  header[35] = PEC_ICON_HEIGHT;
+  Buffer.from([0x20, 0x20, 0x20, 0x20, 0x64, 0x20, 0x00, 0x20, 0x00, 0x20, 0x20, 0x20]).copy(header, 36);
+  header[48] = Math.max(colorIndices.length - 1, 0);
+  Buffer.from(colorIndices).copy(header, 49);
   
-  return Buffer.from(stitches);
+  const { minX, minY, maxX, maxY } = stitchPlan.bounds;
+  const stitchData = encodePECStitches(stitchPlan.stitches);
+  const blockHeader = Buffer.alloc(16, 0);
+  const blockLength = blockHeader.length + stitchData.length;
+  blockHeader.writeUIntLE(blockLength, 2, 3);
+  Buffer.from([0x31, 0xFF, 0xF0]).copy(blockHeader, 5);
+  blockHeader.writeInt16LE(maxX - minX, 8);
+  blockHeader.writeInt16LE(maxY - minY, 10);
+  blockHeader.writeInt16LE(0x1E0, 12);
+  blockHeader.writeInt16LE(0x1B0, 14);
+  
+  // Иконки: общая и по одной на каждый цвет
+  const icons = [createPECThumbnail(stitchPlan.stitches, stitchPlan.bounds)];
+  splitIntoColorBlocks(stitchPlan.stitches).forEach(block => {
+    icons.push(createPECThumbnail(block, stitchPlan.bounds));
+  });
+  
+  return { section: Buffer.concat([header, blockHeader, stitchData, ...icons]), colorIndices };
 }
 
 /**
- * Создает PES файл с базовой структурой
+ * Создает PES файл версии 1: заголовок PES без объектов дизайна и секция PEC
+ * Машины Brother шьют по секции PEC, заголовок PES указывает на ее смещение
  */
-function createPESFile(colorPalette, imageWidth, imageHeight) {
-  const header = Buffer.alloc(48, 0x00);
+function createPESFile(stitchPlan, designName = 'DESIGN') {
+  const header = Buffer.alloc(22, 0x00);
+  const { minX, minY, maxX, maxY } = stitchPlan.bounds;
+  const fitsSmallHoop = maxX - minX <= 1000 && maxY - minY <= 1000;
   
-  // PES заголовок
-  header.write('#PES0001', 0); // Сигнатура PES
-  header.writeInt32LE(colorPalette.length, 8); // Количество цветов
-  header.writeInt32LE(Math.min(imageWidth * 10, 4000), 12); // Ширина
-  header.writeInt32LE(Math.min(imageHeight * 10, 4000), 16); // Высота
+  header.write('#PES0001', 0, 'ascii'); // Сигнатура PES
+  header.writeInt32LE(header.length, 8); // Смещение секции PEC
+  header.writeInt16LE(1, 12); // Масштабировать по пяльцам
+  header.writeInt16LE(fitsSmallHoop ? 0 : 1, 14); // Пяльцы: 0 — 100x100, 1 — 130x180
+  header.writeInt16LE(0, 16); // Количество объектов дизайна
   
-  // Простые данные стежков
-  const stitchData = generateStitchPattern(imageWidth, imageHeight, colorPalette.length);
+  const { section } = createPECSection(stitchPlan, designName);
   
-  return Buffer.concat([header, stitchData]);
+  return Buffer.concat([header, section]);
+}
+
+/**
+ * Палитра ниток Janome (индексы цветов в JEF)
+ */
+const JANOME_THREADS = [
+  { hex: '#000000', name: 'Placeholder', code: '000' },
+  { hex: '#000000', name: 'Black', code: '002' },
+  { hex: '#FFFFFF', name: 'White', code: '001' },
+  { hex: '#FFFF17', name: 'Yellow', code: '204' },
+  { hex: '#FF6600', name: 'Orange', code: '203' },
+  { hex: '#2F5933', name: 'Olive Green', code: '219' },
+  { hex: '#237336', name: 'Green', code: '226' },
+  { hex: '#65C2C8', name: 'Sky', code: '217' },
+  { hex: '#AB5A96', name: 'Purple', code: '208' },
+  { hex: '#F669A0', name: 'Pink', code: '201' },
+  { hex: '#FF0000', name: 'Red', code: '225' },
+  { hex: '#B1704E', name: 'Brown', code: '214' },
+  { hex: '#0B2F84', name: 'Blue', code: '207' },
+  { hex: '#E4C35D', name: 'Gold', code: '003' },
+  { hex: '#481A05', name: 'Dark Brown', code: '205' },
+  { hex: '#AC9CC7', name: 'Pale Violet', code: '209' },
+  { hex: '#FCF294', name: 'Pale Yellow', code: '210' },
+  { hex: '#F999B7', name: 'Pale Pink', code: '211' },
+  { hex: '#FAB381', name: 'Peach', code: '212' },
+  { hex: '#C9A480', name: 'Beige', code: '213' },
+  { hex: '#970533', name: 'Wine Red', code: '215' },
+  { hex: '#A0B8CC', name: 'Pale Sky', code: '216' },
+  { hex: '#7FC21C', name: 'Yellow Green', code: '218' },
+  { hex: '#E5E5E5', name: 'Silver Gray', code: '220' },
+  { hex: '#889B9B', name: 'Gray', code: '221' },
+  { hex: '#98D6BD', name: 'Pale Aqua', code: '227' },
+  { hex: '#B2E1E3', name: 'Baby Blue', code: '228' },
+  { hex: '#368BA0', name: 'Powder Blue', code: '229' },
+  { hex: '#4F83AB', name: 'Bright Blue', code: '230' },
+  { hex: '#386A91', name: 'Slate Blue', code: '231' },
+  { hex: '#071650', name: 'Navy Blue', code: '232' },
+  { hex: '#F999A2', name: 'Salmon Pink', code: '233' },
+  { hex: '#F9676B', name: 'Coral', code: '234' },
+  { hex: '#E3311F', name: 'Burnt Orange', code: '235' },
+  { hex: '#E2A188', name: 'Cinnamon', code: '236' },
+  { hex: '#B59474', name: 'Umber', code: '237' },
+  { hex: '#E4CF99', name: 'Blond', code: '238' },
+  { hex: '#FFCB00', name: 'Sunflower', code: '239' },
+  { hex: '#E1ADD4', name: 'Orchid Pink', code: '240' },
+  { hex: '#C3007E', name: 'Peony Purple', code: '241' },
+  { hex: '#80004B', name: 'Burgundy', code: '242' },
+  { hex: '#540571', name: 'Royal Purple', code: '243' },
+  { hex: '#B10525', name: 'Cardinal Red', code: '244' },
+  { hex: '#CAE0C0', name: 'Opal Green', code: '245' },
+  { hex: '#899856', name: 'Moss Green', code: '246' },
+  { hex: '#5C941A', name: 'Meadow Green', code: '247' },
+  { hex: '#003114', name: 'Dark Green', code: '248' },
+  { hex: '#5DAE94', name: 'Aquamarine', code: '249' },
+  { hex: '#4CBF8F', name: 'Emerald Green', code: '250' },
+  { hex: '#007772', name: 'Peacock Green', code: '251' },
+  { hex: '#595B61', name: 'Dark Gray', code: '252' },
+  { hex: '#FFFFF2', name: 'Ivory White', code: '253' },
+  { hex: '#B15818', name: 'Hazel', code: '254' },
+  { hex: '#CB8A07', name: 'Toast', code: '255' },
+  { hex: '#986C80', name: 'Salmon', code: '256' },
+  { hex: '#98692D', name: 'Cocoa Brown', code: '257' },
+  { hex: '#4D3419', name: 'Sienna', code: '258' },
+  { hex: '#4C330B', name: 'Sepia', code: '259' },
+  { hex: '#33200A', name: 'Dark Sepia', code: '260' },
+  { hex: '#523A97', name: 'Violet Blue', code: '261' },
+  { hex: '#0D217E', name: 'Blue Ink', code: '262' },
+  { hex: '#1E77AC', name: 'Sola Blue', code: '263' },
+  { hex: '#B2DD53', name: 'Green Dust', code: '264' },
+  { hex: '#F33689', name: 'Crimson', code: '265' },
+  { hex: '#DE649E', name: 'Floral Pink', code: '266' },
+  { hex: '#984161', name: 'Wine', code: '267' },
+  { hex: '#4C5612', name: 'Olive Drab', code: '268' },
+  { hex: '#4C881F', name: 'Meadow', code: '269' },
+  { hex: '#E4DE79', name: 'Mustard', code: '270' },
+  { hex: '#CB8A1A', name: 'Yellow Ocher', code: '271' },
+  { hex: '#CBA21C', name: 'Old Gold', code: '272' },
+  { hex: '#FF9805', name: 'Honeydew', code: '273' },
+  { hex: '#FCB257', name: 'Tangerine', code: '274' },
+  { hex: '#FFE505', name: 'Canary Yellow', code: '275' },
+  { hex: '#F0331F', name: 'Vermilion', code: '202' },
+  { hex: '#1A842D', name: 'Bright Green', code: '206' },
+  { hex: '#386CAE', name: 'Ocean Blue', code: '222' },
+  { hex: '#E3C4B4', name: 'Beige Gray', code: '223' },
+  { hex: '#E3AC81', name: 'Bamboo', code: '224' }
+];
+
+/**
+ * Кодирует план стежков в формат JEF (2 байта на стежок, команды с префиксом 0x80)
+ */
+function encodeJEFStitches(stitches) {
+  const bytes = [];
+  const toByte = value => value & 0xFF;
+  let lastX = 0, lastY = 0;
+
+  for (const stitch of stitches) {
+    switch (stitch.command) {
+      case STITCH_COMMANDS.STITCH:
+      case STITCH_COMMANDS.JUMP: {
+        const isJump = stitch.command === STITCH_COMMANDS.JUMP;
+        for (const [dx, dy] of splitMove(stitch.x - lastX, stitch.y - lastY, 127)) {
+          if (isJump) bytes.push(0x80, 0x02);
+          bytes.push(toByte(dx), toByte(-dy));
+        }
+        lastX = stitch.x;
+        lastY = stitch.y;
+        break;
+      }
+      case STITCH_COMMANDS.TRIM:
+        bytes.push(0x80, 0x02, 0x00, 0x00);
+        break;
+      case STITCH_COMMANDS.COLOR_CHANGE:
+        bytes.push(0x80, 0x01, 0x00, 0x00);
+        break;
+    }
+  }
+
+  bytes.push(0x80, 0x10);
+  return Buffer.from(bytes);
 }
 
 /**
- * Создает JEF файл с базовой структурой  
+ * Код пяльцев JEF по размеру дизайна (в десятых долях мм)
  */
-function createJEFFile(colorPalette, imageWidth, imageHeight) {
-  const header = Buffer.alloc(116, 0x00);
+function getJEFHoopCode(width, height) {
+  if (width < 500 && height < 500) return 1;    // 50x50
+  if (width < 1260 && height < 1100) return 3;  // 126x110
+  if (width < 1400 && height < 2000) return 2;  // 140x200
+  if (width < 2000 && height < 2000) return 4;  // 200x200
+  return 0;                                     // 110x110
+}
+
+/**
+ * Создает JEF файл: заголовок, таблица цветов Janome и стежки
+ */
+function createJEFFile(stitchPlan) {
+  const colorCount = stitchPlan.colors.length;
+  const stitchData = encodeJEFStitches(stitchPlan.stitches);
+  const header = Buffer.alloc(116 + colorCount * 8, 0x00);
+  
+  const { minX, minY, maxX, maxY } = stitchPlan.bounds;
+  const designWidth = maxX - minX;
+  const designHeight = maxY - minY;
+  const halfWidth = Math.round(designWidth / 2);
+  const halfHeight = Math.round(designHeight / 2);
   
   // JEF заголовок
-  header.writeInt32LE(colorPalette.length, 0); // Количество цветов
-  header.writeInt32LE(Math.min(imageWidth * 10, 2800), 4); // Ширина (макс 280мм для JEF)
-  header.writeInt32LE(Math.min(imageHeight * 10, 2000), 8); // Высота (макс 200мм для JEF)
-  
-  // Цветовая таблица JEF
-  for (let i = 0; i < Math.min(colorPalette.length, 32); i++) {
-    const offset = 12 + (i * 4);
-    const color = colorPalette[i];
-    if (color && color.rgb) {
-      header.writeUInt8(color.rgb.r, offset);
-      header.writeUInt8(color.rgb.g, offset + 1);
-      header.writeUInt8(color.rgb.b, offset + 2);
-      header.writeUInt8(0x00, offset + 3); // Флаги
+  header.writeInt32LE(header.length, 0); // Смещение до стежков
+  header.writeInt32LE(0x14, 4); // Флаги
+  const now = new Date();
+  const pad = value => String(value).padStart(2, '0');
+  header.write(`${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}` +
+    `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`, 8, 'ascii');
+  header.writeInt32LE(colorCount, 24); // Количество цветов
+  header.writeInt32LE(stitchData.length / 2, 28); // Количество точек
+  header.writeInt32LE(getJEFHoopCode(designWidth, designHeight), 32);
+  
+  // Расстояния от центра до краев дизайна
+  header.writeInt32LE(halfWidth, 36);
+  header.writeInt32LE(halfHeight, 40);
+  header.writeInt32LE(halfWidth, 44);
+  header.writeInt32LE(halfHeight, 48);
+  
+  // Расстояния до краев стандартных пяльцев: 110x110, 50x50, 140x200 (дважды)
+  const hoops = [[550, 550], [250, 250], [700, 1000], [700, 1000]];
+  hoops.forEach(([hoopX, hoopY], i) => {
+    const edgeX = hoopX - halfWidth;
+    const edgeY = hoopY - halfHeight;
+    const fits = edgeX >= 0 && edgeY >= 0;
+    const offset = 52 + i * 16;
+    header.writeInt32LE(fits ? edgeX : -1, offset);
+    header.writeInt32LE(fits ? edgeY : -1, offset + 4);
+    header.writeInt32LE(fits ? edgeX : -1, offset + 8);
+    header.writeInt32LE(fits ? edgeY : -1, offset + 12);
+  });
+  
+  // Цветовая таблица JEF: индексы ниток Janome и тип нити
+  stitchPlan.colors.forEach((color, i) => {
+    header.writeInt32LE(findNearestThread(color.rgb, JANOME_THREADS, 1).index, 116 + i * 4);
+    header.writeInt32LE(0x0D, 116 + colorCount * 4 + i * 4);
+  });
+  
+  return Buffer.concat([header, stitchData]);
+}
+
+/**
+ * Создает EXP файл Melco: 2 байта на стежок, команды с префиксом 0x80, без заголовка
+ */
+function createEXPFile(stitchPlan) {
+  const bytes = [];
+  const toByte = value => value & 0xFF;
+  let lastX = 0, lastY = 0;
+  
+  for (const stitch of stitchPlan.stitches) {
+    switch (stitch.command) {
+      case STITCH_COMMANDS.STITCH:
+      case STITCH_COMMANDS.JUMP: {
+        const isJump = stitch.command === STITCH_COMMANDS.JUMP;
+        for (const [dx, dy] of splitMove(stitch.x - lastX, stitch.y - lastY, 127)) {
+          if (isJump) bytes.push(0x80, 0x04);
+          bytes.push(toByte(dx), toByte(-dy));
+        }
+        lastX = stitch.x;
+        lastY = stitch.y;
+        break;
+      }
+      case STITCH_COMMANDS.TRIM:
+        bytes.push(0x80, 0x80, 0x07, 0x00);
+        break;
+      case STITCH_COMMANDS.COLOR_CHANGE:
+        bytes.push(0x80, 0x01, 0x00, 0x00);
+        break;
     }
   }
   
-  const stitchData = generateStitchPattern(imageWidth, imageHeight, colorPalette.length);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Вспомогательные функции записи VP3 (big-endian)
+ */
+function vp3Int8(value) {
+  return Buffer.from([value & 0xFF]);
+}
+
+function vp3Int16(value) {
+  const buffer = Buffer.alloc(2);
+  buffer.writeInt16BE(value);
+  return buffer;
+}
+
+function vp3Int32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32BE(Math.round(value));
+  return buffer;
+}
+
+function vp3String8(text) {
+  const bytes = Buffer.from(text || '', 'utf8');
+  return Buffer.concat([vp3Int16(bytes.length), bytes]);
+}
+
+function vp3String16(text) {
+  const bytes = Buffer.from(text || '', 'utf16le').swap16(); // UTF-16BE
+  return Buffer.concat([vp3Int16(bytes.length), bytes]);
+}
+
+/**
+ * Блок VP3: 3 байта тега и длина содержимого (int32)
+ */
+function vp3Block(tag, parts) {
+  const content = Buffer.concat(parts);
+  return Buffer.concat([Buffer.from(tag), vp3Int32(content.length), content]);
+}
+
+/**
+ * Делит план стежков на блоки по цветам (команда смены цвета — граница блока)
+ */
+function splitIntoColorBlocks(stitches) {
+  const blocks = [[]];
   
-  return Buffer.concat([header, stitchData]);
+  for (const stitch of stitches) {
+    if (stitch.command === STITCH_COMMANDS.COLOR_CHANGE) {
+      blocks.push([]);
+    } else if (stitch.command !== STITCH_COMMANDS.END) {
+      blocks[blocks.length - 1].push(stitch);
+    }
+  }
+  
+  return blocks.filter(block => block.some(s => s.command === STITCH_COMMANDS.STITCH));
+}
+
+/**
+ * Кодирует стежки цветового блока VP3; прыжки сливаются со следующим стежком
+ */
+function encodeVP3Stitches(stitches, startX, startY) {
+  const bytes = [0x0A, 0xF6, 0x00];
+  let lastX = startX, lastY = startY;
+  
+  for (const stitch of stitches) {
+    if (stitch.command === STITCH_COMMANDS.TRIM) {
+      bytes.push(0x80, 0x03);
+      continue;
+    }
+    if (stitch.command !== STITCH_COMMANDS.STITCH) continue;
+    
+    const dx = stitch.x - lastX;
+    const dy = stitch.y - lastY;
+    lastX = stitch.x;
+    lastY = stitch.y;
+    
+    if (Math.abs(dx) <= 127 && Math.abs(dy) <= 127) {
+      bytes.push(dx & 0xFF, dy & 0xFF);
+    } else {
+      // Длинное перемещение: 0x80 0x01, dx и dy по 16 бит, 0x80 0x02
+      bytes.push(0x80, 0x01, (dx >> 8) & 0xFF, dx & 0xFF, (dy >> 8) & 0xFF, dy & 0xFF, 0x80, 0x02);
+    }
+  }
+  
+  return Buffer.from(bytes);
+}
+
+/**
+ * Создает VP3 файл Husqvarna Viking: вложенные блоки файла, дизайна и цветов
+ * Координаты VP3 — в микрометрах (единицы плана × 100), ось Y заголовка — вверх
+ */
+function createVP3File(stitchPlan) {
+  const { minX, minY, maxX, maxY } = stitchPlan.bounds;
+  const blocks = splitIntoColorBlocks(stitchPlan.stitches);
+  const width = maxX - minX;
+  const height = maxY - minY;
+  const centerX = Math.round(maxX - width / 2);
+  const centerY = Math.round(maxY - height / 2);
+  
+  const colorBlocks = blocks.map((stitches, index) => {
+    const color = stitchPlan.colors[index] || stitchPlan.colors[stitchPlan.colors.length - 1];
+    const firstX = index === 0 ? 0 : stitches[0].x;
+    const firstY = index === 0 ? 0 : stitches[0].y;
+    const last = stitches[stitches.length - 1];
+    const rgb = color.rgb;
+    
+    const thread = Buffer.concat([
+      vp3Int8(1), // Количество цветов в нити
+      vp3Int8(0), // Переход
+      Buffer.from([rgb.r, rgb.g, rgb.b]),
+      vp3Int8(0), // Части
+      vp3Int8(0), // Длина частей
+      vp3Int8(5), // Тип нити
+      vp3Int8(40), // Толщина нити
+      vp3String8(color.hex.toUpperCase()),
+      vp3String8(color.threadColor ? color.threadColor.name : ''),
+      vp3String8('')
+    ]);
+    
+    return vp3Block([0x00, 0x05, 0x00], [
+      vp3Int32((firstX - centerX) * 100),
+      vp3Int32(-(firstY - centerY) * 100),
+      thread,
+      vp3Int32((last.x - firstX) * 100),
+      vp3Int32(-(last.y - firstY) * 100),
+      vp3Block([0x00, 0x01, 0x00], [encodeVP3Stitches(stitches, firstX, firstY)]),
+      vp3Int8(0)
+    ]);
+  });
+  
+  const halfWidth = Math.round(width / 2);
+  const halfHeight = Math.round(height / 2);
+  
+  const designBlock = vp3Block([0x00, 0x03, 0x00], [
+    vp3Int32(centerX * 100),
+    vp3Int32(-centerY * 100),
+    Buffer.from([0, 0, 0]),
+    vp3Int32(-halfWidth * 100),
+    vp3Int32(halfWidth * 100),
+    vp3Int32(-halfHeight * 100),
+    vp3Int32(halfHeight * 100),
+    vp3Int32(width * 100),
+    vp3Int32(height * 100),
+    vp3String16(''), // Заметки дизайна
+    vp3Int8(100),
+    vp3Int8(100),
+    vp3Int32(4096),
+    vp3Int32(0),
+    vp3Int32(0),
+    vp3Int32(4096),
+    Buffer.from('xxPP\x01\x00', 'latin1'),
+    vp3String16(''),
+    vp3Int16(colorBlocks.length),
+    ...colorBlocks
+  ]);
+  
+  const fileBlock = vp3Block([0x00, 0x02, 0x00], [
+    vp3String16(''), // Общие заметки и настройки
+    vp3Int32(maxX * 100),
+    vp3Int32(-minY * 100),
+    vp3Int32(minX * 100),
+    vp3Int32(-maxY * 100),
+    vp3Int32(stitchPlan.stitches.length),
+    vp3Int16(colorBlocks.length),
+    vp3Int8(12),
+    vp3Int8(0),
+    vp3Int8(1),
+    designBlock
+  ]);
+  
+  return Buffer.concat([
+    Buffer.from('%vsm%\x00', 'latin1'),
+    vp3String16('Produced by BOOOMERANGS'),
+    fileBlock
+  ]);
 }
 
 /**
  * Создает файл цветовой схемы
  */
-function createColorScheme(colorPalette, format) {
+function createColorScheme(colorPalette, format, brand = null) {
   const scheme = {
     format: format,
+    brand: brand,
     totalColors: colorPalette.length,
     colors: colorPalette.map((color, index) => ({
       index: index + 1,
       hex: color.hex,
       rgb: color.rgb,
       threadColor: color.threadColor,
+      threadCode: color.threadColor.code || null,
       usage: color.usage
     })),
     instructions: [
-      '1. Подготовьте нити указанных цветов',
+      brand
+        ? '1. Подготовьте нити по номерам каталога (threadCode)'
+        : '1. Подготовьте нити указанных цветов',
       '2. Загрузите файл в вышивальную машину',
       '3. Следуйте порядку цветов',
       '4. Меняйте нить при появлении сигнала'
@@ -367,74 +1411,168 @@ function createColorScheme(colorPalette, format) {
   return JSON.stringify(scheme, null, 2);
 }
 
+/**
+ * Записывает план стежков в двоичный формат вышивки
+ */
+function createEmbroideryBuffer(stitchPlan, targetFormat, designName) {
+  switch (targetFormat) {
+    case 'dst':
+      return createDSTFile(stitchPlan, designName);
+    case 'pes':
+      return createPESFile(stitchPlan, designName);
+    case 'jef':
+      return createJEFFile(stitchPlan);
+    case 'exp':
+      return createEXPFile(stitchPlan);
+    case 'vp3':
+      return createVP3File(stitchPlan);
+    default:
+      throw new Error(`Нет записи для формата: ${targetFormat}`);
+  }
+}
+
 /**
  * Основная функция конвертации
  */
 async function convertToEmbroidery(imageBuffer, filename, targetFormat = 'dst', options = {}) {
   try {
-    const outputDir = await ensureOutputDir();
-    const analysis = await analyzeImageForEmbroidery(imageBuffer);
+    if (!EMBROIDERY_FORMATS[targetFormat]) {
+      throw new Error(`Неподдерживаемый формат: ${targetFormat}`);
+    }
     
-    console.log('Анализ изображения:', analysis);
+    const brand = options.brand ? String(options.brand).toLowerCase() : null;
+    if (brand && !getThreadBrands().includes(brand)) {
+      throw new Error(`Неизвестный бренд ниток: ${options.brand}`);
+    }
     
-    // Подготавливаем изображение
-    const preparedImage = await prepareImageForEmbroidery(imageBuffer, targetFormat, options);
+    const hoop = getHoopPreset(options.hoop);
+    if (options.hoop && !hoop) {
+      throw new Error(`Неизвестные пяльцы: ${options.hoop}. Доступны: ${getHoopPresets().map(h => h.key).join(', ')}`);
+    }
     
-    // Извлекаем цветовую палитру
-    const colorPalette = await extractColorPalette(preparedImage, EMBROIDERY_FORMATS[targetFormat].maxColors);
+    const outputDir = await ensureOutputDir();
+    const analysis = await analyzeImageForEmbroidery(imageBuffer);
     
-    console.log(`Найдено цветов: ${colorPalette.length}`);
+    console.log('Анализ изображения:', analysis);
     
+    const svgInput = isSVGBuffer(imageBuffer);
     const baseName = path.parse(filename).name;
     const formatInfo = EMBROIDERY_FORMATS[targetFormat];
     
+    // SVG (в т.ч. из векторизатора) оцифровывается по контурам путей, растр — по цветовым областям
+    let colorPalette;
+    let stitchPlan;
+    let prepared;
+    if (svgInput) {
+      const design = prepareSVGForEmbroidery(imageBuffer, targetFormat, options, brand);
+      colorPalette = design.colorPalette;
+      console.log(`Найдено цветов: ${colorPalette.length}, фигур: ${design.shapes.length}`);
+      stitchPlan = digitizeShapes(design, colorPalette, options);
+      prepared = { filename: `${baseName}_prepared.svg`, buffer: imageBuffer, format: 'SVG Image' };
+    } else {
+      const preparedImage = await prepareImageForEmbroidery(imageBuffer, targetFormat, options);
+      colorPalette = await extractColorPalette(preparedImage, formatInfo.maxColors, brand);
+      console.log(`Найдено цветов: ${colorPalette.length}`);
+      // Оцифровываем цветовые области в реальные стежки
+      stitchPlan = await digitizeImage(preparedImage, colorPalette, options);
+      prepared = { filename: `${baseName}_prepared.png`, buffer: preparedImage, format: 'PNG Image' };
+    }
+    
     // Сохраняем подготовленное изображение
-    const imageOutputPath = path.join(outputDir, `${baseName}_prepared.png`);
-    await fs.writeFile(imageOutputPath, preparedImage);
+    const imageOutputPath = path.join(outputDir, prepared.filename);
+    await fs.writeFile(imageOutputPath, prepared.buffer);
     
-    // Создаем файл вышивки с реальными данными стежков
-    let embroideryBuffer;
-    switch (targetFormat) {
-      case 'dst':
-        embroideryBuffer = createDSTFile(colorPalette, analysis.width, analysis.height);
-        break;
-      case 'pes':
-        embroideryBuffer = createPESFile(colorPalette, analysis.width, analysis.height);
-        break;
-      case 'jef':
-        embroideryBuffer = createJEFFile(colorPalette, analysis.width, analysis.height);
-        break;
-      default:
-        embroideryBuffer = createDSTFile(colorPalette, analysis.width, analysis.height);
-        break;
+    if (stitchPlan.stitches.length === 0) {
+      throw new Error('Не найдено областей для вышивки');
     }
     
-    const embroideryOutputPath = path.join(outputDir, `${baseName}${formatInfo.extension}`);
-    await fs.writeFile(embroideryOutputPath, embroideryBuffer);
+    console.log(`Построено стежков: ${stitchPlan.stitches.length}, цветов: ${stitchPlan.colors.length}`);
+    
+    const report = createStitchReport(stitchPlan, options);
+    
+    // Проверяем размер по пяльцам; большой дизайн делим на несколько запяливаний
+    let hooping = null;
+    let embroideryParts = [{ name: baseName, stitchPlan }];
+    if (hoop) {
+      const fit = checkHoopFit(stitchPlan, hoop);
+      const splitAllowed = options.split === true || options.split === 'true';
+      
+      if (!fit.fits && !splitAllowed) {
+        throw new Error(
+          `Дизайн ${fit.designWidth}x${fit.designHeight} мм не помещается в пяльцы ${hoop.key} мм` +
+          (fit.fitsRotated ? ' (поместится при повороте на 90°)' : '') +
+          '. Уменьшите размер или включите разбиение на несколько запяливаний'
+        );
+      }
+      
+      hooping = { hoop, designWidth: fit.designWidth, designHeight: fit.designHeight, fits: fit.fits, split: false };
+      
+      if (!fit.fits) {
+        const { columns, rows, parts } = splitStitchPlanForHoop(stitchPlan, hoop);
+        embroideryParts = parts.map(part => ({
+          name: `${baseName}_hoop${part.index}`,
+          stitchPlan: part.stitchPlan,
+          hooping: part
+        }));
+        hooping = { ...hooping, split: true, columns, rows, parts: [] };
+      }
+    }
+    
+    // Создаем файлы вышивки с реальными данными стежков (по одному на запяливание)
+    const embroideryFiles = [];
+    for (const part of embroideryParts) {
+      const embroideryFilename = `${part.name}${formatInfo.extension}`;
+      const embroideryOutputPath = path.join(outputDir, embroideryFilename);
+      await fs.writeFile(embroideryOutputPath, createEmbroideryBuffer(part.stitchPlan, targetFormat, part.name));
+      const embroideryStats = await fs.stat(embroideryOutputPath);
+      
+      embroideryFiles.push({
+        filename: embroideryFilename,
+        url: `/output/embroidery/${embroideryFilename}`,
+        format: formatInfo.name,
+        size: embroideryStats.size,
+        type: 'embroidery'
+      });
+      
+      if (part.hooping) {
+        const { index, column, row, stitchPlan: partPlan } = part.hooping;
+        hooping.parts.push({
+          index,
+          column,
+          row,
+          offset: partPlan.offset,
+          size: { width: partPlan.width / 10, height: partPlan.height / 10 },
+          stitchCount: partPlan.stitches.filter(stitch => stitch.command === STITCH_COMMANDS.STITCH).length,
+          filename: embroideryFilename
+        });
+      }
+    }
     
     // Создаем файл цветовой схемы
-    const colorScheme = createColorScheme(colorPalette, targetFormat);
+    const colorScheme = createColorScheme(stitchPlan.colors, targetFormat, brand);
     const schemeOutputPath = path.join(outputDir, `${baseName}_colors.json`);
     await fs.writeFile(schemeOutputPath, colorScheme);
     
+    // Превью того, что будет вышито: сами стежки, а не исходное изображение
+    const previewOptions = options.fabric !== undefined ? { fabric: options.fabric } : {};
+    const previewSvgPath = path.join(outputDir, `${baseName}_preview.svg`);
+    const previewPngPath = path.join(outputDir, `${baseName}_preview.png`);
+    await fs.writeFile(previewSvgPath, renderStitchPreviewSVG(stitchPlan, previewOptions));
+    await fs.writeFile(previewPngPath, await renderStitchPreviewPNG(stitchPlan, previewOptions));
+    
     // Получаем размеры файлов
-    const embroideryStats = await fs.stat(embroideryOutputPath);
     const imageStats = await fs.stat(imageOutputPath);
     const schemeStats = await fs.stat(schemeOutputPath);
+    const previewSvgStats = await fs.stat(previewSvgPath);
+    const previewPngStats = await fs.stat(previewPngPath);
 
     // Формируем список файлов с корректными URL (файлы в подпапке embroidery)
     const files = [
+      ...embroideryFiles,
       {
-        filename: `${baseName}${formatInfo.extension}`,
-        url: `/output/embroidery/${baseName}${formatInfo.extension}`,
-        format: formatInfo.name,
-        size: embroideryStats.size,
-        type: 'embroidery'
-      },
-      {
-        filename: `${baseName}_prepared.png`,
-        url: `/output/embroidery/${baseName}_prepared.png`,
-        format: 'PNG Image',
+        filename: prepared.filename,
+        url: `/output/embroidery/${prepared.filename}`,
+        format: prepared.format,
         size: imageStats.size,
         type: 'image'
       },
@@ -444,6 +1582,20 @@ async function convertToEmbroidery(imageBuffer, filename, targetFormat = 'dst',
         format: 'Color Scheme',
         size: schemeStats.size,
         type: 'colorscheme'
+      },
+      {
+        filename: `${baseName}_preview.png`,
+        url: `/output/embroidery/${baseName}_preview.png`,
+        format: 'Stitch Preview PNG',
+        size: previewPngStats.size,
+        type: 'preview'
+      },
+      {
+        filename: `${baseName}_preview.svg`,
+        url: `/output/embroidery/${baseName}_preview.svg`,
+        format: 'Stitch Preview SVG',
+        size: previewSvgStats.size,
+        type: 'preview'
       }
     ];
 
@@ -451,13 +1603,38 @@ async function convertToEmbroidery(imageBuffer, filename, targetFormat = 'dst',
       success: true,
       format: formatInfo,
       analysis: analysis,
+      source: svgInput ? 'svg' : 'raster',
       colorPalette: colorPalette,
+      stitchPlan: {
+        stitchCount: stitchPlan.stitches.length,
+        colors: stitchPlan.colors.map(color => color.hex),
+        backgroundColor: stitchPlan.backgroundColor,
+        regions: stitchPlan.regions,
+        width: stitchPlan.width,
+        height: stitchPlan.height,
+        sequence: stitchPlan.sequence,
+        settings: stitchPlan.settings
+      },
+      report: report,
+      hooping: hooping,
       files: files,
       instructions: [
         `Создан файл ${formatInfo.name} для вышивки`,
-        `Использовано цветов: ${colorPalette.length}`,
-        `Рекомендуемый размер: ${analysis.width}x${analysis.height}мм`,
-        'Файл цветовой схемы содержит инструкции по ниткам'
+        `Использовано цветов: ${stitchPlan.colors.length}`,
+        `Количество стежков: ${report.stitchCount}`,
+        `Смен цвета: ${report.colorChanges}, обрезок: ${report.trims}`,
+        ...(stitchPlan.sequence.optimized ? [
+          `Оптимизация порядка: смен цвета ${stitchPlan.sequence.before.colorChanges} → ${stitchPlan.sequence.after.colorChanges}, ` +
+          `обрезок ${stitchPlan.sequence.before.trims} → ${stitchPlan.sequence.after.trims}`
+        ] : []),
+        `Время вышивки: ~${report.sewTime.minutes} мин при ${report.sewTime.machineSpeed} ст/мин`,
+        `Размер дизайна: ${Math.round(stitchPlan.width / 10)}x${Math.round(stitchPlan.height / 10)}мм`,
+        ...(brand ? [`Нитки ${stitchPlan.colors[0].threadColor.brand}: ${stitchPlan.colors.map(color => color.threadColor.code).join(', ')}`] : []),
+        ...(hooping ? [hooping.split
+          ? `Дизайн разбит на ${hooping.parts.length} запяливаний в пяльцах ${hooping.hoop.key} мм, первый цвет каждой части — метки совмещения`
+          : `Дизайн помещается в пяльцы ${hooping.hoop.key} мм`] : []),
+        'Файл цветовой схемы содержит инструкции по ниткам',
+        'Превью показывает стежки так, как их вышьет машина'
       ]
     };
     
@@ -490,5 +1667,13 @@ module.exports = {
   getSupportedFormats,
   analyzeImageForEmbroidery,
   extractColorPalette,
+  createDSTFile,
+  readDSTFile,
+  createEXPFile,
+  createVP3File,
+  createPESFile,
+  loadVectorizerSVG,
+  prepareSVGForEmbroidery,
+  getHoopPresets,
   EMBROIDERY_FORMATS
 };
\ No newline at end of file
@@ -0,0 +1,1172 @@
+/**
+ * Оцифровщик вышивки: превращает квантованное изображение или векторные фигуры в план стежков
+ * Строит заливку татами и гладь (сатин) по цветовым областям, обводки — гладью вдоль линии,
+ * добавляет подложку, закрепки, переходы и обрезки нити
+ *
+ * Координаты стежков — в десятых долях миллиметра (единицы DST),
+ * начало координат — центр дизайна, ось Y направлена вниз
+ */
+
+const sharp = require('sharp');
+const { getPaletteSequence, planColorSequence, sewRegionsByDistance, estimateThreadEvents } = require('./embroidery-sequencer');
+const { normalizeRings, groupShapes, pointInRing } = require('../path-boolean.cjs');
+
+/**
+ * Команды плана стежков
+ */
+const STITCH_COMMANDS = {
+  STITCH: 'stitch',
+  JUMP: 'jump',
+  TRIM: 'trim',
+  COLOR_CHANGE: 'color_change',
+  END: 'end'
+};
+
+/**
+ * Плотность заливки по словесному описанию (мм между рядами)
+ */
+const DENSITY_PRESETS = {
+  low: 0.5,
+  medium: 0.4,
+  high: 0.3
+};
+
+/**
+ * Параметры оцифровки по умолчанию (все длины — в миллиметрах)
+ */
+const DEFAULT_DIGITIZE_OPTIONS = {
+  pixelSize: 1,           // размер пикселя подготовленного изображения
+  density: 0.4,           // расстояние между рядами заливки
+  angle: 45,              // угол заливки татами, градусы
+  stitchLength: 3.5,      // максимальная длина стежка татами
+  satinMaxWidth: 4,       // области уже этого значения шьются гладью
+  underlay: true,         // подложка под заливку и гладь
+  underlaySpacing: 2,     // расстояние между рядами подложки
+  underlayInset: 0.5,     // отступ подложки от края области
+  minRegionArea: 3,       // мм², более мелкие области не вышиваются
+  colorMergeDistance: 56, // близкие цвета палитры (RGB) шьются одной нитью
+  trimDistance: 3,        // переходы длиннее этого значения — с обрезкой нити
+  skipBackground: true,   // не вышивать цвет фона (ткани)
+  optimizeSequence: true  // объединять одинаковые нитки, светлые цвета раньше, области по близости
+};
+
+const MAX_STITCH_LENGTH = 120;   // 12 мм — предел длины стежка для машин
+const RUN_CONNECT_LENGTH = 20;   // 2 мм — короткие переходы прошиваются
+const TIE_STITCH_LENGTH = 4;     // 0.4 мм — длина стежка закрепки
+const SCAN_STEP = 0.5;           // шаг сканирования рядов, пиксели
+const SPAN_GAP = 1.5;            // разрывы ряда короче этого (пиксели) не прерывают отрезок
+const RUNNING_MAX_WIDTH = 1;     // мм, обводки тоньше шьются бегущим стежком, а не гладью
+const JOIN_SEGMENTS = 16;        // сторон многоугольника скругления в изломах широкой обводки
+
+/**
+ * Приводит параметры оцифровки к числовому виду
+ */
+function normalizeDigitizeOptions(options = {}) {
+  const settings = { ...DEFAULT_DIGITIZE_OPTIONS };
+
+  for (const key of Object.keys(DEFAULT_DIGITIZE_OPTIONS)) {
+    if (options[key] !== undefined && options[key] !== null && options[key] !== '') {
+      settings[key] = options[key];
+    }
+  }
+
+  // Плотность может прийти словом (low/medium/high) или через stitchDensity
+  const densityValue = options.density !== undefined ? options.density : options.stitchDensity;
+  if (typeof densityValue === 'string' && DENSITY_PRESETS[densityValue]) {
+    settings.density = DENSITY_PRESETS[densityValue];
+  } else if (densityValue !== undefined && !isNaN(parseFloat(densityValue))) {
+    settings.density = parseFloat(densityValue);
+  }
+
+  for (const key of Object.keys(settings)) {
+    if (typeof DEFAULT_DIGITIZE_OPTIONS[key] === 'number') {
+      const value = parseFloat(settings[key]);
+      settings[key] = isNaN(value) ? DEFAULT_DIGITIZE_OPTIONS[key] : value;
+    } else if (typeof DEFAULT_DIGITIZE_OPTIONS[key] === 'boolean') {
+      settings[key] = settings[key] !== false && settings[key] !== 'false';
+    }
+  }
+
+  settings.density = Math.min(Math.max(settings.density, 0.2), 2);
+  settings.stitchLength = Math.min(Math.max(settings.stitchLength, 1), 7);
+  settings.satinDensity = options.satinDensity ? parseFloat(options.satinDensity) : settings.density;
+
+  return settings;
+}
+
+/**
+ * Строит карту индексов палитры для каждого пикселя (-1 — не вышивается)
+ */
+function buildLabelMap(data, info, colorPalette) {
+  const { width, height, channels } = info;
+  const labels = new Int16Array(width * height);
+  const cache = new Map();
+
+  colorPalette.forEach((color, index) => {
+    cache.set(`${color.rgb.r},${color.rgb.g},${color.rgb.b}`, index);
+  });
+
+  for (let i = 0, p = 0; p < width * height; i += channels, p++) {
+    if (channels === 4 && data[i + 3] < 128) {
+      labels[p] = -1;
+      continue;
+    }
+
+    const key = `${data[i]},${data[i + 1]},${data[i + 2]}`;
+    let label = cache.get(key);
+
+    if (label === undefined) {
+      // Цвет вне палитры — берем ближайший
+      let minDistance = Infinity;
+      label = -1;
+      colorPalette.forEach((color, index) => {
+        const distance = Math.pow(data[i] - color.rgb.r, 2) +
+          Math.pow(data[i + 1] - color.rgb.g, 2) +
+          Math.pow(data[i + 2] - color.rgb.b, 2);
+        if (distance < minDistance) {
+          minDistance = distance;
+          label = index;
+        }
+      });
+      cache.set(key, label);
+    }
+
+    labels[p] = label;
+  }
+
+  return labels;
+}
+
+/**
+ * Объединяет близкие цвета палитры (оттенки сглаживания краев) с более частыми
+ * Палитра отсортирована по частоте, поэтому цвет сливается с предыдущим
+ */
+function mergeSimilarColors(labels, colorPalette, maxDistance) {
+  const target = colorPalette.map((color, index) => {
+    for (let j = 0; j < index; j++) {
+      const other = colorPalette[j];
+      const distance = Math.sqrt(
+        Math.pow(color.rgb.r - other.rgb.r, 2) +
+        Math.pow(color.rgb.g - other.rgb.g, 2) +
+        Math.pow(color.rgb.b - other.rgb.b, 2)
+      );
+      if (distance <= maxDistance) return j;
+    }
+    return index;
+  });
+
+  // Цепочки слияний сводим к конечному цвету
+  for (let i = 0; i < target.length; i++) {
+    while (target[target[i]] !== target[i]) target[i] = target[target[i]];
+  }
+
+  for (let p = 0; p < labels.length; p++) {
+    if (labels[p] >= 0) labels[p] = target[labels[p]];
+  }
+}
+
+/**
+ * Определяет цвет фона по рамке изображения
+ */
+function detectBackgroundLabel(labels, width, height) {
+  const counts = new Map();
+  let total = 0;
+
+  const count = (x, y) => {
+    const label = labels[y * width + x];
+    if (label < 0) return;
+    counts.set(label, (counts.get(label) || 0) + 1);
+    total++;
+  };
+
+  for (let x = 0; x < width; x++) {
+    count(x, 0);
+    count(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    count(0, y);
+    count(width - 1, y);
+  }
+
+  let background = -1;
+  let maxCount = 0;
+  for (const [label, value] of counts) {
+    if (value > maxCount) {
+      maxCount = value;
+      background = label;
+    }
+  }
+
+  // Фоном считаем только цвет, занимающий большую часть рамки
+  return total > 0 && maxCount / total >= 0.6 ? background : -1;
+}
+
+/**
+ * Находит связные области одного цвета (4-связность)
+ */
+function findColorRegions(labels, width, height, backgroundLabel) {
+  const regionMap = new Int32Array(width * height).fill(-1);
+  const regions = [];
+  const stack = [];
+
+  for (let start = 0; start < labels.length; start++) {
+    const label = labels[start];
+    if (label < 0 || label === backgroundLabel || regionMap[start] !== -1) continue;
+
+    const region = {
+      id: regions.length,
+      colorIndex: label,
+      area: 0,
+      perimeter: 0,
+      bounds: { minX: width, minY: height, maxX: 0, maxY: 0 },
+      sums: { x: 0, y: 0, xx: 0, yy: 0, xy: 0 }
+    };
+
+    regionMap[start] = region.id;
+    stack.push(start);
+
+    while (stack.length > 0) {
+      const p = stack.pop();
+      const x = p % width;
+      const y = (p - x) / width;
+
+      region.area++;
+      region.sums.x += x;
+      region.sums.y += y;
+      region.sums.xx += x * x;
+      region.sums.yy += y * y;
+      region.sums.xy += x * y;
+      if (x < region.bounds.minX) region.bounds.minX = x;
+      if (x > region.bounds.maxX) region.bounds.maxX = x;
+      if (y < region.bounds.minY) region.bounds.minY = y;
+      if (y > region.bounds.maxY) region.bounds.maxY = y;
+
+      const neighbours = [
+        x > 0 ? p - 1 : -1,
+        x < width - 1 ? p + 1 : -1,
+        y > 0 ? p - width : -1,
+        y < height - 1 ? p + width : -1
+      ];
+
+      for (const n of neighbours) {
+        if (n < 0 || labels[n] !== label) {
+          region.perimeter++;
+        } else if (regionMap[n] === -1) {
+          regionMap[n] = region.id;
+          stack.push(n);
+        }
+      }
+    }
+
+    regions.push(region);
+  }
+
+  return { regions, regionMap };
+}
+
+/**
+ * Поглощает слишком мелкие области соседним цветом (шум, сглаживание краев)
+ * Возвращает true, если метки изменились
+ */
+function absorbSmallRegions(labels, regionMap, regions, width, minArea) {
+  const small = regions.map(region => region.area < minArea);
+  if (!small.some(Boolean)) return false;
+
+  const votes = regions.map(() => new Map());
+  const height = labels.length / width;
+
+  for (let p = 0; p < labels.length; p++) {
+    const id = regionMap[p];
+    if (id < 0 || !small[id]) continue;
+
+    const x = p % width;
+    const y = (p - x) / width;
+    const neighbours = [
+      x > 0 ? p - 1 : -1,
+      x < width - 1 ? p + 1 : -1,
+      y > 0 ? p - width : -1,
+      y < height - 1 ? p + width : -1
+    ];
+
+    for (const n of neighbours) {
+      if (n < 0 || regionMap[n] === id) continue;
+      const label = labels[n];
+      votes[id].set(label, (votes[id].get(label) || 0) + 1);
+    }
+  }
+
+  const replacement = votes.map(vote => {
+    let best = null;
+    let maxVotes = 0;
+    for (const [label, count] of vote) {
+      if (count > maxVotes) {
+        maxVotes = count;
+        best = label;
+      }
+    }
+    return best;
+  });
+
+  let changed = false;
+  for (let p = 0; p < labels.length; p++) {
+    const id = regionMap[p];
+    if (id >= 0 && small[id] && replacement[id] !== null) {
+      labels[p] = replacement[id];
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Угол главной оси области (радианы) по моментам второго порядка
+ */
+function getPrincipalAngle(region) {
+  const n = region.area;
+  const mx = region.sums.x / n;
+  const my = region.sums.y / n;
+  const cxx = region.sums.xx / n - mx * mx;
+  const cyy = region.sums.yy / n - my * my;
+  const cxy = region.sums.xy / n - mx * my;
+  return 0.5 * Math.atan2(2 * cxy, cxx - cyy);
+}
+
+/**
+ * Сканирует область параллельными рядами под заданным углом
+ * Возвращает ряды с отрезками (u — вдоль ряда, v — поперек, в пикселях)
+ */
+function scanRegionRows(region, regionMap, mapWidth, angle, spacing, inset = 0) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const { minX, minY, maxX, maxY } = region.bounds;
+  const corners = [[minX, minY], [maxX + 1, minY], [minX, maxY + 1], [maxX + 1, maxY + 1]];
+
+  let uMin = Infinity, uMax = -Infinity, vMin = Infinity, vMax = -Infinity;
+  for (const [x, y] of corners) {
+    const u = x * cos + y * sin;
+    const v = -x * sin + y * cos;
+    uMin = Math.min(uMin, u);
+    uMax = Math.max(uMax, u);
+    vMin = Math.min(vMin, v);
+    vMax = Math.max(vMax, v);
+  }
+
+  const isInside = (u, v) => {
+    const px = Math.floor(u * cos - v * sin);
+    const py = Math.floor(u * sin + v * cos);
+    return px >= minX && px <= maxX && py >= minY && py <= maxY &&
+      regionMap[py * mapWidth + px] === region.id;
+  };
+
+  const rows = [];
+  for (let v = vMin + spacing / 2; v < vMax; v += spacing) {
+    const spans = [];
+    let start = null;
+    let last = null;
+
+    for (let u = uMin; u <= uMax + SCAN_STEP; u += SCAN_STEP) {
+      if (isInside(u, v)) {
+        if (start === null) start = u;
+        last = u;
+      } else if (start !== null) {
+        addSpan(spans, start, last, inset);
+        start = null;
+      }
+    }
+    if (start !== null) addSpan(spans, start, last, inset);
+
+    rows.push({ v, spans });
+  }
+
+  return rows;
+}
+
+function addSpan(spans, start, end, inset) {
+  // Ступеньки пиксельного края дают мелкие разрывы — склеиваем их
+  const previous = spans[spans.length - 1];
+  if (previous && start - (previous.b + inset) <= SPAN_GAP) {
+    previous.b = end - inset;
+    return;
+  }
+
+  const a = start + inset;
+  const b = end - inset;
+  if (b - a >= SCAN_STEP) {
+    spans.push({ a, b });
+  }
+}
+
+/**
+ * Ряды по контурам многоугольной области: отрезки между точками пересечения ряда с ребрами
+ * Кольца ориентированы (normalizeRings), поэтому пересечения чередуют вход и выход
+ * Формат рядов — как у scanRegionRows, u и v в единицах координат колец
+ */
+function scanPolygonRows(rings, angle, spacing, inset = 0) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const edges = [];
+  let vMin = Infinity, vMax = -Infinity;
+
+  for (const ring of rings) {
+    const points = ring.map(([x, y]) => [x * cos + y * sin, -x * sin + y * cos]);
+    points.forEach((p, i) => {
+      const q = points[(i + 1) % points.length];
+      if (p[1] !== q[1]) edges.push(p[1] < q[1] ? [p, q] : [q, p]);
+      vMin = Math.min(vMin, p[1]);
+      vMax = Math.max(vMax, p[1]);
+    });
+  }
+
+  const rows = [];
+  for (let v = vMin + spacing / 2; v < vMax; v += spacing) {
+    const crossings = [];
+    for (const [p, q] of edges) {
+      if (v >= p[1] && v < q[1]) {
+        crossings.push(p[0] + ((v - p[1]) / (q[1] - p[1])) * (q[0] - p[0]));
+      }
+    }
+    crossings.sort((a, b) => a - b);
+
+    const spans = [];
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const a = crossings[i] + inset;
+      const b = crossings[i + 1] - inset;
+      if (b - a >= SCAN_STEP) spans.push({ a, b });
+    }
+    rows.push({ v, spans });
+  }
+
+  return rows;
+}
+
+/**
+ * Разбивает ряды на секции, которые можно прошить змейкой без переходов
+ */
+function buildSections(rows) {
+  const sections = [];
+  let open = [];
+
+  rows.forEach((row, rowIndex) => {
+    const nextOpen = [];
+
+    for (const span of row.spans) {
+      const section = open.find(s =>
+        s.lastRow === rowIndex - 1 && span.a <= s.last.b + SPAN_GAP && s.last.a - SPAN_GAP <= span.b
+      );
+      const entry = { v: row.v, a: span.a, b: span.b, index: rowIndex };
+
+      if (section) {
+        section.rows.push(entry);
+        section.lastRow = rowIndex;
+        section.last = span;
+        nextOpen.push(section);
+      } else {
+        const created = { rows: [entry], lastRow: rowIndex, last: span };
+        sections.push(created);
+        nextOpen.push(created);
+      }
+    }
+
+    open = nextOpen;
+  });
+
+  return sections;
+}
+
+/**
+ * Точки прокола на ряду татами со сдвигом «кирпичной кладкой»
+ */
+function getTatamiPoints(a, b, length, rowIndex) {
+  const phase = ((rowIndex % 3) * length) / 3;
+  const points = [a];
+  const minGap = length * 0.25;
+
+  for (let u = Math.ceil((a - phase) / length) * length + phase; u < b; u += length) {
+    if (u - points[points.length - 1] > minGap && b - u > minGap) {
+      points.push(u);
+    }
+  }
+
+  points.push(b);
+  return points;
+}
+
+/**
+ * Создает построитель плана стежков
+ */
+function createStitchBuilder(settings) {
+  return {
+    stitches: [],
+    position: null,
+    threadCut: true,
+    trimDistance: settings.trimDistance * 10
+  };
+}
+
+function addCommand(builder, command, x, y) {
+  builder.stitches.push({ x, y, command });
+  if (command === STITCH_COMMANDS.STITCH || command === STITCH_COMMANDS.JUMP) {
+    builder.position = { x, y };
+  }
+}
+
+/**
+ * Стежок до точки; длинные стежки делятся на равные части
+ */
+function stitchTo(builder, point) {
+  const from = builder.position;
+  if (from && from.x === point.x && from.y === point.y) return;
+
+  if (from) {
+    const distance = Math.hypot(point.x - from.x, point.y - from.y);
+    const parts = Math.ceil(distance / MAX_STITCH_LENGTH);
+    for (let i = 1; i < parts; i++) {
+      addCommand(builder, STITCH_COMMANDS.STITCH,
+        Math.round(from.x + ((point.x - from.x) * i) / parts),
+        Math.round(from.y + ((point.y - from.y) * i) / parts));
+    }
+  }
+
+  addCommand(builder, STITCH_COMMANDS.STITCH, point.x, point.y);
+}
+
+/**
+ * Закрепка: несколько коротких стежков на месте
+ */
+function addTieStitches(builder) {
+  const { x, y } = builder.position;
+  addCommand(builder, STITCH_COMMANDS.STITCH, x + TIE_STITCH_LENGTH, y);
+  addCommand(builder, STITCH_COMMANDS.STITCH, x, y);
+  addCommand(builder, STITCH_COMMANDS.STITCH, x + TIE_STITCH_LENGTH, y);
+  addCommand(builder, STITCH_COMMANDS.STITCH, x, y);
+}
+
+/**
+ * Завершает нить: закрепка и обрезка
+ */
+function cutThread(builder) {
+  if (builder.threadCut || !builder.position) return;
+  addTieStitches(builder);
+  addCommand(builder, STITCH_COMMANDS.TRIM, builder.position.x, builder.position.y);
+  builder.threadCut = true;
+}
+
+/**
+ * Переход к точке: короткий — прошивается, длинный — прыжок (с обрезкой)
+ */
+function travelTo(builder, point) {
+  const from = builder.position;
+
+  if (from && !builder.threadCut) {
+    const distance = Math.hypot(point.x - from.x, point.y - from.y);
+    if (distance <= RUN_CONNECT_LENGTH) {
+      stitchTo(builder, point);
+      return;
+    }
+    if (distance > builder.trimDistance) {
+      cutThread(builder);
+    }
+  }
+
+  addCommand(builder, STITCH_COMMANDS.JUMP, point.x, point.y);
+
+  if (builder.threadCut) {
+    addTieStitches(builder);
+    builder.threadCut = false;
+  }
+}
+
+/**
+ * Переход внутри области: если прямая целиком лежит в области, она прошивается
+ * бегущими стежками (потом закроется заливкой) — без прыжка и обрезки
+ */
+function travelWithinRegion(builder, point, region, context) {
+  const from = builder.position;
+  if (!from || builder.threadCut) {
+    travelTo(builder, point);
+    return;
+  }
+
+  const { image, settings } = context;
+  const scale = settings.pixelSize * 10;
+  const toPixel = p => ({ x: p.x / scale + image.width / 2, y: p.y / scale + image.height / 2 });
+  const a = toPixel(from);
+  const b = toPixel(point);
+  const samples = Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / SCAN_STEP);
+
+  for (let i = 0; i <= samples; i++) {
+    const t = samples === 0 ? 0 : i / samples;
+    if (!context.contains(region, a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t)) {
+      travelTo(builder, point);
+      return;
+    }
+  }
+
+  const length = settings.stitchLength * 10;
+  const parts = Math.max(1, Math.ceil(Math.hypot(point.x - from.x, point.y - from.y) / length));
+  for (let i = 1; i <= parts; i++) {
+    stitchTo(builder, {
+      x: Math.round(from.x + ((point.x - from.x) * i) / parts),
+      y: Math.round(from.y + ((point.y - from.y) * i) / parts)
+    });
+  }
+}
+
+/**
+ * Геометрия рядов: перевод (u, v) в единицы вышивки
+ */
+function createRowGeometry(angle, image, settings) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const scale = settings.pixelSize * 10;
+
+  return {
+    toUnits(u, v) {
+      const x = u * cos - v * sin;
+      const y = u * sin + v * cos;
+      return {
+        x: Math.round((x - image.width / 2) * scale),
+        y: Math.round((y - image.height / 2) * scale)
+      };
+    }
+  };
+}
+
+/**
+ * Прошивает секцию змейкой; split — делить ряды на стежки татами
+ * Секция начинается с того края, который ближе к текущей позиции иглы
+ * travel — переход к началу секции (по умолчанию travelTo)
+ */
+function sewSection(builder, section, geometry, stitchLengthPx, split, travel = point => travelTo(builder, point)) {
+  let rows = section.rows;
+  let flip = false;
+
+  if (builder.position) {
+    // Из четырех углов секции выбираем ближайший к игле
+    const { x, y } = builder.position;
+    const lastRow = rows[rows.length - 1];
+    const candidates = [
+      { reverse: false, flip: false, point: geometry.toUnits(rows[0].a, rows[0].v) },
+      { reverse: false, flip: true, point: geometry.toUnits(rows[0].b, rows[0].v) },
+      { reverse: true, flip: false, point: geometry.toUnits(lastRow.a, lastRow.v) },
+      { reverse: true, flip: true, point: geometry.toUnits(lastRow.b, lastRow.v) }
+    ];
+    const best = candidates.reduce((a, b) =>
+      Math.hypot(b.point.x - x, b.point.y - y) < Math.hypot(a.point.x - x, a.point.y - y) ? b : a
+    );
+    if (best.reverse) rows = [...rows].reverse();
+    flip = best.flip;
+  }
+
+  rows.forEach((row, k) => {
+    const points = split
+      ? getTatamiPoints(row.a, row.b, stitchLengthPx, row.index)
+      : [row.a, row.b];
+
+    if ((k % 2 === 1) !== flip) points.reverse();
+
+    points.forEach((u, i) => {
+      const point = geometry.toUnits(u, row.v);
+      if (k === 0 && i === 0) {
+        travel(point);
+      } else {
+        stitchTo(builder, point);
+      }
+    });
+  });
+}
+
+/**
+ * Заливка татами с подложкой поперек основного направления
+ */
+function digitizeFillRegion(builder, region, context) {
+  const { image, settings } = context;
+  const angle = (settings.angle * Math.PI) / 180;
+  const px = value => value / settings.pixelSize;
+
+  if (settings.underlay) {
+    const underlayAngle = angle + Math.PI / 2;
+    const rows = context.scanRows(region, underlayAngle, px(settings.underlaySpacing), px(settings.underlayInset));
+    const geometry = createRowGeometry(underlayAngle, image, settings);
+    for (const section of buildSections(rows)) {
+      sewSection(builder, section, geometry, px(settings.stitchLength), true);
+    }
+  }
+
+  // Переход от подложки к заливке идет под будущей заливкой
+  const rows = context.scanRows(region, angle, px(settings.density));
+  const geometry = createRowGeometry(angle, image, settings);
+  const travel = point => travelWithinRegion(builder, point, region, context);
+  for (const section of buildSections(rows)) {
+    sewSection(builder, section, geometry, px(settings.stitchLength), true, travel);
+  }
+}
+
+/**
+ * Гладь: стежки поперек главной оси области, подложка — по центру
+ */
+function digitizeSatinRegion(builder, region, context) {
+  const { image, settings } = context;
+  const angle = getPrincipalAngle(region) + Math.PI / 2;
+  const spacing = settings.satinDensity / settings.pixelSize;
+  const rows = context.scanRows(region, angle, spacing);
+  const geometry = createRowGeometry(angle, image, settings);
+
+  for (const section of buildSections(rows)) {
+    if (settings.underlay && section.rows.length > 1) {
+      // Центральная подложка: проход по серединам рядов
+      const step = Math.max(1, Math.round(settings.underlaySpacing / settings.satinDensity));
+      const walk = section.rows.filter((row, i) => i % step === 0 || i === section.rows.length - 1);
+      walk.forEach((row, i) => {
+        const point = geometry.toUnits((row.a + row.b) / 2, row.v);
+        if (i === 0) travelTo(builder, point);
+        else stitchTo(builder, point);
+      });
+    }
+
+    // Основная гладь идет обратно к началу подложки
+    sewSection(builder, section, geometry, 0, false);
+  }
+}
+
+/**
+ * Точки ломаной с шагом не длиннее length; вершины ломаной сохраняются
+ */
+function walkPath(points, length) {
+  const walk = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    const [x0, y0] = points[i - 1];
+    const [x1, y1] = points[i];
+    const parts = Math.ceil(Math.hypot(x1 - x0, y1 - y0) / length);
+    for (let k = 1; k <= parts; k++) {
+      walk.push([x0 + ((x1 - x0) * k) / parts, y0 + ((y1 - y0) * k) / parts]);
+    }
+  }
+  return walk;
+}
+
+/**
+ * Станции глади вдоль ломаной через spacing: точка и нормаль к ее отрезку
+ */
+function samplePath(points, spacing) {
+  const stations = [];
+  let offset = 0; // расстояние от начала отрезка до следующей станции
+  let normal = null;
+
+  for (let i = 1; i < points.length; i++) {
+    const [x0, y0] = points[i - 1];
+    const [x1, y1] = points[i];
+    const length = Math.hypot(x1 - x0, y1 - y0);
+    if (length === 0) continue;
+
+    normal = { x: -(y1 - y0) / length, y: (x1 - x0) / length };
+    for (; offset < length; offset += spacing) {
+      stations.push({ x: x0 + ((x1 - x0) * offset) / length, y: y0 + ((y1 - y0) * offset) / length, normal });
+    }
+    offset -= length;
+  }
+
+  if (normal) {
+    const [x, y] = points[points.length - 1];
+    stations.push({ x, y, normal });
+  }
+  return stations;
+}
+
+/**
+ * Гладь вдоль обводки: стежки поперек линии на всю ее толщину,
+ * подложка — бегущий стежок по центру, гладь идет по ней обратно
+ */
+function digitizeColumnRegion(builder, region, context) {
+  const { settings, toUnits } = context;
+  const path = region.closed ? [...region.points, region.points[0]] : region.points;
+  const half = region.width / 2;
+
+  if (settings.underlay) {
+    walkPath(path, settings.stitchLength).forEach(([x, y], i) => {
+      if (i === 0) travelTo(builder, toUnits(x, y));
+      else stitchTo(builder, toUnits(x, y));
+    });
+  }
+
+  const stations = samplePath(path, settings.satinDensity);
+  if (settings.underlay) stations.reverse();
+  stations.forEach(({ x, y, normal }, k) => {
+    const side = k % 2 === 0 ? half : -half;
+    const point = toUnits(x + normal.x * side, y + normal.y * side);
+    if (k === 0 && !settings.underlay) travelTo(builder, point);
+    else stitchTo(builder, point);
+  });
+}
+
+/**
+ * Тонкая обводка: бегущий стежок по линии
+ */
+function digitizeRunningRegion(builder, region, context) {
+  const { settings, toUnits } = context;
+  const path = region.closed ? [...region.points, region.points[0]] : region.points;
+  walkPath(path, settings.stitchLength).forEach(([x, y], i) => {
+    if (i === 0) travelTo(builder, toUnits(x, y));
+    else stitchTo(builder, toUnits(x, y));
+  });
+}
+
+const REGION_DIGITIZERS = {
+  fill: digitizeFillRegion,
+  satin: digitizeSatinRegion,
+  column: digitizeColumnRegion,
+  running: digitizeRunningRegion
+};
+
+/**
+ * Пиксели изображения → единицы вышивки (0.1 мм) с началом в центре изображения
+ */
+function createUnitConverter(image, settings) {
+  const scale = settings.pixelSize * 10;
+  return (x, y) => ({
+    x: Math.round((x - image.width / 2) * scale),
+    y: Math.round((y - image.height / 2) * scale)
+  });
+}
+
+/**
+ * Прошивает блоки цветов по порядку; byDistance — области по ближайшему соседу
+ */
+function sewColorSequence(sequence, regions, context, byDistance) {
+  const { settings, toUnits } = context;
+  const builder = createStitchBuilder(settings);
+  const colors = [];
+  const regionStats = [];
+
+  for (const { color, colorIndices } of sequence) {
+    const colorRegions = regions.filter(r => colorIndices.includes(r.colorIndex));
+    if (colorRegions.length === 0) continue;
+
+    if (colors.length > 0 && builder.position) {
+      cutThread(builder);
+      addCommand(builder, STITCH_COMMANDS.COLOR_CHANGE, builder.position.x, builder.position.y);
+    }
+    colors.push(color);
+
+    const sewRegion = region => {
+      // Тип обводки задан заранее, область шьется гладью, если она уже satinMaxWidth
+      const type = region.type ||
+        (((2 * region.area) / region.perimeter) * settings.pixelSize < settings.satinMaxWidth ? 'satin' : 'fill');
+      const before = builder.stitches.length;
+
+      REGION_DIGITIZERS[type](builder, region, context);
+
+      regionStats.push({
+        color: color.hex,
+        type,
+        area: Math.round(region.area * settings.pixelSize * settings.pixelSize),
+        stitches: builder.stitches.length - before
+      });
+      return builder.position;
+    };
+
+    if (byDistance) {
+      sewRegionsByDistance(colorRegions, builder.position, toUnits, sewRegion);
+    } else {
+      colorRegions.forEach(sewRegion);
+    }
+  }
+
+  if (builder.position) {
+    cutThread(builder);
+    addCommand(builder, STITCH_COMMANDS.END, builder.position.x, builder.position.y);
+  }
+
+  return { builder, colors, regionStats };
+}
+
+/**
+ * Считает смены цвета, обрезки и прыжки в списке стежков
+ */
+function countThreadEvents(stitches) {
+  const counts = { colorChanges: 0, trims: 0, jumps: 0, jumpLength: 0 };
+  let position = null;
+  for (const stitch of stitches) {
+    if (stitch.command === STITCH_COMMANDS.COLOR_CHANGE) counts.colorChanges++;
+    else if (stitch.command === STITCH_COMMANDS.TRIM) counts.trims++;
+    else if (stitch.command === STITCH_COMMANDS.JUMP) {
+      counts.jumps++;
+      if (position) counts.jumpLength += Math.hypot(stitch.x - position.x, stitch.y - position.y);
+    }
+    if (stitch.command === STITCH_COMMANDS.STITCH || stitch.command === STITCH_COMMANDS.JUMP) {
+      position = stitch;
+    }
+  }
+  counts.jumpLength = Math.round(counts.jumpLength) / 10; // мм
+  return counts;
+}
+
+/**
+ * Прошивает области в порядке вышивки и оценивает, что дала оптимизация порядка
+ */
+function sewPlan(colorPalette, regions, context) {
+  const { settings, toUnits } = context;
+  const usedColors = new Set(regions.map(r => r.colorIndex));
+
+  const paletteSequence = getPaletteSequence(colorPalette);
+  const plannedSequence = settings.optimizeSequence
+    ? planColorSequence(colorPalette, usedColors)
+    : paletteSequence;
+  const { builder, colors, regionStats } = sewColorSequence(plannedSequence, regions, context, settings.optimizeSequence);
+
+  // Порядок палитры — база для сравнения; оба порядка оцениваются по переходам между областями,
+  // без повторной оцифровки. Точные числа готового плана — actual
+  const travel = { connectLength: RUN_CONNECT_LENGTH, trimDistance: settings.trimDistance * 10 };
+  const sequence = {
+    optimized: settings.optimizeSequence,
+    before: estimateThreadEvents(paletteSequence, regions, toUnits, travel, false),
+    after: estimateThreadEvents(plannedSequence, regions, toUnits, travel, settings.optimizeSequence),
+    actual: countThreadEvents(builder.stitches)
+  };
+
+  return { builder, colors, regionStats, sequence };
+}
+
+/**
+ * Оцифровывает подготовленное изображение по палитре
+ *
+ * @param {Buffer} imageBuffer - квантованное изображение (prepareImageForEmbroidery)
+ * @param {Array} colorPalette - палитра из extractColorPalette
+ * @param {Object} options - параметры оцифровки (см. DEFAULT_DIGITIZE_OPTIONS)
+ * @returns {Promise<Object>} план стежков: stitches, colors, width, height, bounds
+ */
+async function digitizeImage(imageBuffer, colorPalette, options = {}) {
+  const settings = normalizeDigitizeOptions(options);
+
+  const { data, info } = await sharp(imageBuffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const image = { width: info.width, height: info.height };
+  const labels = buildLabelMap(data, info, colorPalette);
+  if (settings.colorMergeDistance > 0) {
+    mergeSimilarColors(labels, colorPalette, settings.colorMergeDistance);
+  }
+  const backgroundLabel = settings.skipBackground
+    ? detectBackgroundLabel(labels, image.width, image.height)
+    : -1;
+
+  const minArea = settings.minRegionArea / (settings.pixelSize * settings.pixelSize);
+  let { regions, regionMap } = findColorRegions(labels, image.width, image.height, backgroundLabel);
+  if (absorbSmallRegions(labels, regionMap, regions, image.width, minArea)) {
+    ({ regions, regionMap } = findColorRegions(labels, image.width, image.height, backgroundLabel));
+  }
+  const context = {
+    image,
+    settings,
+    toUnits: createUnitConverter(image, settings),
+    scanRows: (region, angle, spacing, inset) => scanRegionRows(region, regionMap, image.width, angle, spacing, inset),
+    contains: (region, x, y) => {
+      const px = Math.floor(x);
+      const py = Math.floor(y);
+      return px >= 0 && py >= 0 && px < image.width && py < image.height &&
+        regionMap[py * image.width + px] === region.id;
+    }
+  };
+  const sewable = regions.filter(r => r.area >= minArea);
+  const { builder, colors, regionStats, sequence } = sewPlan(colorPalette, sewable, context);
+
+  return {
+    stitches: builder.stitches,
+    colors,
+    regions: regionStats,
+    backgroundColor: backgroundLabel >= 0 ? colorPalette[backgroundLabel].hex : null,
+    width: Math.round(image.width * settings.pixelSize * 10),
+    height: Math.round(image.height * settings.pixelSize * 10),
+    bounds: getStitchBounds(builder.stitches),
+    sequence,
+    settings
+  };
+}
+
+/**
+ * Многоугольная область: площадь, периметр, рамка и моменты (как у findColorRegions)
+ * Интегралы по формуле Грина; дыры ориентированы обратно и вычитаются сами
+ */
+function measurePolygonRegion(rings) {
+  const region = {
+    rings,
+    area: 0,
+    perimeter: 0,
+    bounds: { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity },
+    sums: { x: 0, y: 0, xx: 0, yy: 0, xy: 0 }
+  };
+  const { sums, bounds } = region;
+
+  for (const ring of rings) {
+    for (let i = 0; i < ring.length; i++) {
+      const [x0, y0] = ring[i];
+      const [x1, y1] = ring[(i + 1) % ring.length];
+      const cross = x0 * y1 - x1 * y0;
+      region.area += cross / 2;
+      region.perimeter += Math.hypot(x1 - x0, y1 - y0);
+      sums.x += ((x0 + x1) * cross) / 6;
+      sums.y += ((y0 + y1) * cross) / 6;
+      sums.xx += ((x0 * x0 + x0 * x1 + x1 * x1) * cross) / 12;
+      sums.yy += ((y0 * y0 + y0 * y1 + y1 * y1) * cross) / 12;
+      sums.xy += ((x0 * y1 + 2 * x0 * y0 + 2 * x1 * y1 + x1 * y0) * cross) / 24;
+      bounds.minX = Math.min(bounds.minX, x0);
+      bounds.minY = Math.min(bounds.minY, y0);
+      bounds.maxX = Math.max(bounds.maxX, x0);
+      bounds.maxY = Math.max(bounds.maxY, y0);
+    }
+  }
+
+  return region;
+}
+
+/**
+ * Контур широкой обводки: прямоугольники вдоль отрезков и скругления в вершинах
+ */
+function strokeOutline(points, closed, width) {
+  const half = width / 2;
+  const path = closed ? [...points, points[0]] : points;
+  const pieces = [];
+
+  for (let i = 1; i < path.length; i++) {
+    const [x0, y0] = path[i - 1];
+    const [x1, y1] = path[i];
+    const length = Math.hypot(x1 - x0, y1 - y0);
+    if (length === 0) continue;
+    const nx = (-(y1 - y0) / length) * half;
+    const ny = ((x1 - x0) / length) * half;
+    pieces.push([[x0 + nx, y0 + ny], [x1 + nx, y1 + ny], [x1 - nx, y1 - ny], [x0 - nx, y0 - ny]]);
+  }
+  for (const [x, y] of path) {
+    pieces.push(Array.from({ length: JOIN_SEGMENTS }, (_, k) => {
+      const angle = (2 * Math.PI * k) / JOIN_SEGMENTS;
+      return [x + Math.cos(angle) * half, y + Math.sin(angle) * half];
+    }));
+  }
+
+  // Объединение по nonzero: все части в одном направлении обхода
+  return normalizeRings(pieces.map(piece => (measurePolygonRegion([piece]).area < 0 ? piece.reverse() : piece)));
+}
+
+/**
+ * Длина ломаной обводки
+ */
+function pathLength(points, closed) {
+  const path = closed ? [...points, points[0]] : points;
+  let length = 0;
+  for (let i = 1; i < path.length; i++) {
+    length += Math.hypot(path[i][0] - path[i - 1][0], path[i][1] - path[i - 1][1]);
+  }
+  return length;
+}
+
+/**
+ * Оцифровывает векторные фигуры без растеризации: границы областей — точные контуры путей,
+ * гладь или заливка выбираются по ширине каждой фигуры, обводки шьются по линии своей толщины
+ *
+ * @param {{width: number, height: number, shapes: Array}} design - размер дизайна (мм) и фигуры в мм
+ *   (начало — левый верхний угол): { type: 'fill', colorIndex, rings, background? } — заливка,
+ *   { type: 'stroke', colorIndex, points, closed, width } — обводка (ломаная и толщина)
+ * @param {Array} colorPalette - палитра с нитками, colorIndex фигур — индексы в ней
+ * @param {Object} options - параметры оцифровки (см. DEFAULT_DIGITIZE_OPTIONS), pixelSize не используется
+ * @returns {Object} план стежков в формате digitizeImage
+ */
+function digitizeShapes(design, colorPalette, options = {}) {
+  const settings = normalizeDigitizeOptions({ ...options, pixelSize: 1 });
+  const image = { width: design.width, height: design.height };
+  const background = settings.skipBackground ? design.shapes.find(shape => shape.background) : null;
+  const regions = [];
+
+  for (const shape of design.shapes) {
+    if (shape === background) continue;
+
+    let rings = shape.rings;
+    if (shape.type === 'stroke') {
+      const length = pathLength(shape.points, shape.closed);
+      if (length === 0) continue;
+      if (shape.width < settings.satinMaxWidth) {
+        regions.push({
+          type: shape.width < RUNNING_MAX_WIDTH ? 'running' : 'column',
+          colorIndex: shape.colorIndex,
+          points: shape.points,
+          closed: shape.closed,
+          width: shape.width,
+          area: length * shape.width,
+          bounds: measurePolygonRegion([shape.points]).bounds
+        });
+        continue;
+      }
+      rings = strokeOutline(shape.points, shape.closed, shape.width);
+    }
+
+    for (const { outer, holes } of groupShapes(rings)) {
+      const region = measurePolygonRegion([outer, ...holes]);
+      if (region.area >= settings.minRegionArea) {
+        regions.push({ ...region, colorIndex: shape.colorIndex });
+      }
+    }
+  }
+  regions.forEach((region, index) => { region.id = index; });
+
+  const context = {
+    image,
+    settings,
+    toUnits: createUnitConverter(image, settings),
+    scanRows: (region, angle, spacing, inset) => scanPolygonRows(region.rings, angle, spacing, inset),
+    contains: (region, x, y) => region.rings.reduce((inside, ring) => (pointInRing(x, y, ring) ? !inside : inside), false)
+  };
+  const { builder, colors, regionStats, sequence } = sewPlan(colorPalette, regions, context);
+
+  return {
+    stitches: builder.stitches,
+    colors,
+    regions: regionStats,
+    backgroundColor: background ? colorPalette[background.colorIndex].hex : null,
+    width: Math.round(image.width * 10),
+    height: Math.round(image.height * 10),
+    bounds: getStitchBounds(builder.stitches),
+    sequence,
+    settings
+  };
+}
+
+/**
+ * Границы плана стежков в единицах вышивки
+ */
+function getStitchBounds(stitches) {
+  const bounds = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  let first = true;
+
+  for (const stitch of stitches) {
+    if (stitch.command !== STITCH_COMMANDS.STITCH) continue;
+    if (first) {
+      bounds.minX = bounds.maxX = stitch.x;
+      bounds.minY = bounds.maxY = stitch.y;
+      first = false;
+      continue;
+    }
+    bounds.minX = Math.min(bounds.minX, stitch.x);
+    bounds.maxX = Math.max(bounds.maxX, stitch.x);
+    bounds.minY = Math.min(bounds.minY, stitch.y);
+    bounds.maxY = Math.max(bounds.maxY, stitch.y);
+  }
+
+  return bounds;
+}
+
+module.exports = {
+  digitizeImage,
+  digitizeShapes,
+  normalizeDigitizeOptions,
+  getStitchBounds,
+  createStitchBuilder,
+  addCommand,
+  stitchTo,
+  travelTo,
+  cutThread,
+  STITCH_COMMANDS,
+  DENSITY_PRESETS,
+  DEFAULT_DIGITIZE_OPTIONS
+};
@@ -0,0 +1,260 @@
+/**
+ * Пяльцы: пресеты рабочих полей, проверка размера дизайна
+ * и разбиение больших дизайнов на несколько запяливаний с метками совмещения
+ *
+ * Размеры пяльцев — в миллиметрах, координаты плана — в десятых долях мм
+ */
+
+const {
+  STITCH_COMMANDS,
+  getStitchBounds,
+  createStitchBuilder,
+  addCommand,
+  stitchTo,
+  travelTo,
+  cutThread
+} = require('./embroidery-digitizer');
+
+/**
+ * Пресеты пяльцев (рабочее поле вышивки, мм)
+ */
+const HOOP_PRESETS = {
+  '100x100': { width: 100, height: 100, name: 'Стандартные 100x100 мм' },
+  '130x180': { width: 130, height: 180, name: 'Средние 130x180 мм' },
+  '160x260': { width: 160, height: 260, name: 'Большие 160x260 мм' },
+  '200x200': { width: 200, height: 200, name: 'Квадратные 200x200 мм' },
+  '200x300': { width: 200, height: 300, name: 'Макси 200x300 мм' },
+  '360x200': { width: 360, height: 200, name: 'Широкие 360x200 мм' }
+};
+
+const REGISTRATION_MARK_SIZE = 50;   // 5 мм — полуразмер креста метки совмещения
+const REGISTRATION_MARK_MARGIN = 20; // 2 мм — запас от метки до края пяльцев
+
+/**
+ * Цвет нити для меток совмещения (сметочная нить, удаляется после вышивки)
+ */
+const REGISTRATION_COLOR = {
+  hex: '#ff00ff',
+  rgb: { r: 255, g: 0, b: 255 },
+  threadColor: { hex: '#FF00FF', name: 'Метки совмещения' },
+  usage: 0
+};
+
+/**
+ * Возвращает пресет пяльцев по ключу ("130x180") или null
+ */
+function getHoopPreset(key) {
+  if (!key) return null;
+  const normalized = String(key).toLowerCase().replace(/[×х*]/g, 'x').replace(/\s+/g, '');
+  return HOOP_PRESETS[normalized] ? { key: normalized, ...HOOP_PRESETS[normalized] } : null;
+}
+
+/**
+ * Список пресетов пяльцев для API
+ */
+function getHoopPresets() {
+  return Object.entries(HOOP_PRESETS).map(([key, hoop]) => ({ key, ...hoop }));
+}
+
+/**
+ * Проверяет, помещается ли дизайн в пяльцы
+ */
+function checkHoopFit(stitchPlan, hoop) {
+  const bounds = stitchPlan.bounds || getStitchBounds(stitchPlan.stitches);
+  const width = (bounds.maxX - bounds.minX) / 10;
+  const height = (bounds.maxY - bounds.minY) / 10;
+
+  return {
+    hoop,
+    designWidth: Math.round(width * 10) / 10,
+    designHeight: Math.round(height * 10) / 10,
+    fits: width <= hoop.width && height <= hoop.height,
+    fitsRotated: height <= hoop.width && width <= hoop.height
+  };
+}
+
+/**
+ * Обрезает отрезок прямоугольником (Лианг — Барски), null — если отрезок снаружи
+ */
+function clipSegment(from, to, rect) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  let t0 = 0, t1 = 1;
+
+  const checks = [
+    [-dx, from.x - rect.minX],
+    [dx, rect.maxX - from.x],
+    [-dy, from.y - rect.minY],
+    [dy, rect.maxY - from.y]
+  ];
+
+  for (const [p, q] of checks) {
+    if (p === 0) {
+      if (q < 0) return null;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) {
+      if (t > t1) return null;
+      t0 = Math.max(t0, t);
+    } else {
+      if (t < t0) return null;
+      t1 = Math.min(t1, t);
+    }
+  }
+
+  return {
+    from: { x: Math.round(from.x + dx * t0), y: Math.round(from.y + dy * t0) },
+    to: { x: Math.round(from.x + dx * t1), y: Math.round(from.y + dy * t1) }
+  };
+}
+
+/**
+ * Разбивает стежки плана на блоки по цветам
+ */
+function splitColorBlocks(stitches) {
+  const blocks = [[]];
+  for (const stitch of stitches) {
+    if (stitch.command === STITCH_COMMANDS.COLOR_CHANGE) {
+      blocks.push([]);
+    } else if (stitch.command !== STITCH_COMMANDS.END) {
+      blocks[blocks.length - 1].push(stitch);
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Пришивает крестики меток совмещения в углах участка
+ */
+function sewRegistrationMarks(builder, rect) {
+  const corners = [
+    { x: rect.minX, y: rect.minY },
+    { x: rect.maxX, y: rect.minY },
+    { x: rect.maxX, y: rect.maxY },
+    { x: rect.minX, y: rect.maxY }
+  ];
+
+  for (const corner of corners) {
+    travelTo(builder, { x: corner.x - REGISTRATION_MARK_SIZE, y: corner.y });
+    stitchTo(builder, { x: corner.x + REGISTRATION_MARK_SIZE, y: corner.y });
+    stitchTo(builder, corner);
+    stitchTo(builder, { x: corner.x, y: corner.y - REGISTRATION_MARK_SIZE });
+    stitchTo(builder, { x: corner.x, y: corner.y + REGISTRATION_MARK_SIZE });
+  }
+}
+
+/**
+ * Строит план стежков одного запяливания: метки совмещения и стежки внутри участка
+ * Координаты смещаются так, чтобы центр участка совпал с центром пяльцев
+ */
+function buildHoopingPlan(stitchPlan, rect) {
+  const builder = createStitchBuilder(stitchPlan.settings);
+  const colors = [REGISTRATION_COLOR];
+
+  sewRegistrationMarks(builder, rect);
+
+  splitColorBlocks(stitchPlan.stitches).forEach((block, index) => {
+    let position = null;
+    let started = false;
+
+    for (const stitch of block) {
+      if (stitch.command === STITCH_COMMANDS.STITCH && position) {
+        const segment = clipSegment(position, stitch, rect);
+        if (segment) {
+          if (!started) {
+            // Новый цвет: обрезка и смена нити, как при оцифровке
+            cutThread(builder);
+            addCommand(builder, STITCH_COMMANDS.COLOR_CHANGE, builder.position.x, builder.position.y);
+            colors.push(stitchPlan.colors[index]);
+            started = true;
+          }
+          const at = builder.position;
+          if (at.x !== segment.from.x || at.y !== segment.from.y) {
+            travelTo(builder, segment.from);
+          }
+          stitchTo(builder, segment.to);
+        }
+      }
+      if (stitch.command === STITCH_COMMANDS.STITCH || stitch.command === STITCH_COMMANDS.JUMP) {
+        position = stitch;
+      }
+    }
+  });
+
+  cutThread(builder);
+  addCommand(builder, STITCH_COMMANDS.END, builder.position.x, builder.position.y);
+
+  // Центр участка -> центр пяльцев
+  const centerX = Math.round((rect.minX + rect.maxX) / 2);
+  const centerY = Math.round((rect.minY + rect.maxY) / 2);
+  const stitches = builder.stitches.map(stitch => ({
+    x: stitch.x - centerX,
+    y: stitch.y - centerY,
+    command: stitch.command
+  }));
+  const bounds = getStitchBounds(stitches);
+
+  return {
+    ...stitchPlan,
+    stitches,
+    colors,
+    bounds,
+    width: bounds.maxX - bounds.minX,
+    height: bounds.maxY - bounds.minY,
+    offset: { x: centerX / 10, y: centerY / 10 }
+  };
+}
+
+/**
+ * Разбивает дизайн на запяливания, каждое помещается в пяльцы вместе с метками
+ *
+ * @param {Object} stitchPlan - план из digitizeImage
+ * @param {Object} hoop - пресет пяльцев (getHoopPreset)
+ * @returns {{columns: number, rows: number, parts: Array}} части с планами стежков
+ */
+function splitStitchPlanForHoop(stitchPlan, hoop) {
+  const bounds = stitchPlan.bounds || getStitchBounds(stitchPlan.stitches);
+  const reserve = 2 * (REGISTRATION_MARK_SIZE + REGISTRATION_MARK_MARGIN);
+  const maxTileWidth = hoop.width * 10 - reserve;
+  const maxTileHeight = hoop.height * 10 - reserve;
+
+  if (maxTileWidth <= 0 || maxTileHeight <= 0) {
+    throw new Error(`Пяльцы ${hoop.key} слишком малы для разбиения дизайна`);
+  }
+
+  const designWidth = Math.max(bounds.maxX - bounds.minX, 1);
+  const designHeight = Math.max(bounds.maxY - bounds.minY, 1);
+  const columns = Math.ceil(designWidth / maxTileWidth);
+  const rows = Math.ceil(designHeight / maxTileHeight);
+  const tileWidth = designWidth / columns;
+  const tileHeight = designHeight / rows;
+
+  const parts = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const rect = {
+        minX: Math.round(bounds.minX + column * tileWidth),
+        maxX: Math.round(bounds.minX + (column + 1) * tileWidth),
+        minY: Math.round(bounds.minY + row * tileHeight),
+        maxY: Math.round(bounds.minY + (row + 1) * tileHeight)
+      };
+      const plan = buildHoopingPlan(stitchPlan, rect);
+
+      // Участок без стежков дизайна (только метки) не запяливается
+      if (plan.colors.length > 1) {
+        parts.push({ index: parts.length + 1, column: column + 1, row: row + 1, stitchPlan: plan });
+      }
+    }
+  }
+
+  return { columns, rows, parts };
+}
+
+module.exports = {
+  HOOP_PRESETS,
+  getHoopPreset,
+  getHoopPresets,
+  checkHoopFit,
+  splitStitchPlanForHoop
+};
@@ -0,0 +1,158 @@
+/**
+ * Превью вышивки: рисует план стежков в SVG и PNG
+ * Каждый цвет — отдельный слой, стежки видны как нити (с тенью и бликом),
+ * прыжки показаны пунктиром, фон — ткань или прозрачный
+ */
+
+const sharp = require('sharp');
+const { STITCH_COMMANDS, getStitchBounds } = require('./embroidery-digitizer');
+
+/**
+ * Параметры превью по умолчанию
+ */
+const DEFAULT_PREVIEW_OPTIONS = {
+  scale: 4,            // пикселей на миллиметр
+  margin: 5,           // отступ вокруг дизайна, мм
+  threadWidth: 0.4,    // толщина нити, мм
+  showJumps: true,     // показывать прыжки пунктиром
+  fabric: true         // true — цвет фона дизайна, HEX — свой цвет, false — без ткани
+};
+
+const DEFAULT_FABRIC_COLOR = '#F4F1EA';
+const JUMP_COLOR = '#888888';
+
+/**
+ * Осветляет (amount > 0) или затемняет (amount < 0) HEX цвет
+ */
+function shadeColor(hex, amount) {
+  const channel = offset => {
+    const value = parseInt(hex.slice(offset, offset + 2), 16);
+    const shaded = amount > 0 ? value + (255 - value) * amount : value * (1 + amount);
+    return Math.round(shaded).toString(16).padStart(2, '0');
+  };
+  return `#${channel(1)}${channel(3)}${channel(5)}`;
+}
+
+/**
+ * Разбивает план на слои по цветам: строчки (непрерывные участки) и прыжки
+ */
+function buildPreviewLayers(stitchPlan) {
+  const layers = [];
+  const startLayer = () => {
+    const color = stitchPlan.colors[layers.length] || {};
+    layers.push({ hex: color.hex || '#000000', threadColor: color.threadColor || null, runs: [], jumps: [] });
+  };
+  startLayer();
+
+  let position = null;
+  let run = null;
+
+  for (const stitch of stitchPlan.stitches) {
+    const layer = layers[layers.length - 1];
+
+    switch (stitch.command) {
+      case STITCH_COMMANDS.STITCH:
+        if (!run) {
+          run = position ? [position] : [];
+          layer.runs.push(run);
+        }
+        run.push(stitch);
+        position = stitch;
+        break;
+      case STITCH_COMMANDS.JUMP:
+        if (position) layer.jumps.push([position, stitch]);
+        run = null;
+        position = stitch;
+        break;
+      case STITCH_COMMANDS.TRIM:
+        run = null;
+        break;
+      case STITCH_COMMANDS.COLOR_CHANGE:
+        run = null;
+        startLayer();
+        break;
+    }
+  }
+
+  return layers;
+}
+
+/**
+ * Рисует план стежков в SVG
+ *
+ * @param {Object} stitchPlan - план из digitizeImage (stitches, colors, bounds, backgroundColor)
+ * @param {Object} options - параметры превью (см. DEFAULT_PREVIEW_OPTIONS)
+ * @returns {string} SVG документ
+ */
+function renderStitchPreviewSVG(stitchPlan, options = {}) {
+  const settings = { ...DEFAULT_PREVIEW_OPTIONS, ...options };
+  const bounds = stitchPlan.bounds || getStitchBounds(stitchPlan.stitches);
+
+  // Координаты плана в десятых долях мм -> пиксели превью
+  const k = settings.scale / 10;
+  const margin = settings.margin * settings.scale;
+  const width = Math.ceil((bounds.maxX - bounds.minX) * k + margin * 2);
+  const height = Math.ceil((bounds.maxY - bounds.minY) * k + margin * 2);
+  const px = x => ((x - bounds.minX) * k + margin).toFixed(1);
+  const py = y => ((y - bounds.minY) * k + margin).toFixed(1);
+  const threadWidth = Math.max(settings.threadWidth * settings.scale, 0.5);
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`);
+
+  if (settings.fabric) {
+    const fabricColor = typeof settings.fabric === 'string'
+      ? settings.fabric
+      : stitchPlan.backgroundColor || DEFAULT_FABRIC_COLOR;
+    const weave = shadeColor(fabricColor, fabricColor === '#000000' ? 0.15 : -0.08);
+    parts.push('<defs>');
+    parts.push('<pattern id="fabric" width="4" height="4" patternUnits="userSpaceOnUse">');
+    parts.push(`<rect width="4" height="4" fill="${fabricColor}"/>`);
+    parts.push(`<path d="M0 1h4M1 0v4" stroke="${weave}" stroke-width="0.6" opacity="0.6"/>`);
+    parts.push('</pattern>');
+    parts.push('</defs>');
+    parts.push(`<rect id="fabric-background" width="${width}" height="${height}" fill="url(#fabric)"/>`);
+  }
+
+  buildPreviewLayers(stitchPlan).forEach((layer, index) => {
+    const threadName = layer.threadColor
+      ? [layer.threadColor.code, layer.threadColor.name].filter(Boolean).join(' ')
+      : '';
+    const path = layer.runs
+      .filter(run => run.length > 1)
+      .map(run => run.map((point, i) => `${i === 0 ? 'M' : 'L'}${px(point.x)} ${py(point.y)}`).join(''))
+      .join('');
+
+    parts.push(`<g id="color-${index + 1}" data-color="${layer.hex}" data-thread="${threadName.replace(/"/g, '&quot;')}">`);
+    if (path) {
+      // Тень, нить и блик по центру — видно направление каждого стежка
+      parts.push(`<path d="${path}" fill="none" stroke="${shadeColor(layer.hex, -0.45)}" stroke-width="${(threadWidth * 1.3).toFixed(2)}" stroke-linecap="round" stroke-linejoin="round" opacity="0.5"/>`);
+      parts.push(`<path d="${path}" fill="none" stroke="${layer.hex}" stroke-width="${threadWidth.toFixed(2)}" stroke-linecap="round" stroke-linejoin="round"/>`);
+      parts.push(`<path d="${path}" fill="none" stroke="${shadeColor(layer.hex, 0.4)}" stroke-width="${(threadWidth * 0.3).toFixed(2)}" stroke-linecap="round" stroke-linejoin="round" opacity="0.6"/>`);
+    }
+    if (settings.showJumps && layer.jumps.length > 0) {
+      const jumps = layer.jumps
+        .map(([from, to]) => `M${px(from.x)} ${py(from.y)}L${px(to.x)} ${py(to.y)}`)
+        .join('');
+      parts.push(`<path class="jumps" d="${jumps}" fill="none" stroke="${JUMP_COLOR}" stroke-width="1" stroke-dasharray="4 3"/>`);
+    }
+    parts.push('</g>');
+  });
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Рисует план стежков в PNG
+ */
+async function renderStitchPreviewPNG(stitchPlan, options = {}) {
+  const svg = renderStitchPreviewSVG(stitchPlan, options);
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+module.exports = {
+  renderStitchPreviewSVG,
+  renderStitchPreviewPNG,
+  DEFAULT_PREVIEW_OPTIONS
+};
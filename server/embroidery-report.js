@@ -0,0 +1,119 @@
+/**
+ * Отчет по плану стежков: количество стежков, смен цвета, обрезок и прыжков,
+ * расход нити по цветам и оценка времени вышивки
+ */
+
+const { STITCH_COMMANDS } = require('./embroidery-digitizer');
+
+/**
+ * Параметры машины по умолчанию
+ */
+const DEFAULT_MACHINE_OPTIONS = {
+  machineSpeed: 800,      // стежков в минуту
+  trimTime: 4,            // секунд на обрезку нити
+  colorChangeTime: 10,    // секунд на смену цвета (автоматическая)
+  threadUsageFactor: 1.2  // расход верхней нити на длину строчки (переплетение, натяжение)
+};
+
+/**
+ * Приводит параметры машины к числовому виду
+ */
+function normalizeMachineOptions(options = {}) {
+  const settings = { ...DEFAULT_MACHINE_OPTIONS };
+
+  for (const key of Object.keys(DEFAULT_MACHINE_OPTIONS)) {
+    const value = parseFloat(options[key]);
+    if (Number.isFinite(value) && value > 0) {
+      settings[key] = value;
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Строит отчет по плану стежков
+ *
+ * @param {Object} stitchPlan - план из digitizeImage (stitches, colors)
+ * @param {Object} options - параметры машины (см. DEFAULT_MACHINE_OPTIONS)
+ * @returns {Object} stitchCount, colorChanges, trims, jumps, colors[], threadLength (м), sewTime
+ */
+function createStitchReport(stitchPlan, options = {}) {
+  const settings = normalizeMachineOptions(options);
+  const planColors = stitchPlan.colors || [];
+
+  const colors = [];
+  const startColor = index => {
+    const color = planColors[index] || {};
+    colors.push({
+      index: index + 1,
+      hex: color.hex || null,
+      threadColor: color.threadColor || null,
+      stitches: 0,
+      seamLength: 0
+    });
+  };
+  startColor(0);
+
+  let stitchCount = 0, colorChanges = 0, trims = 0, jumps = 0;
+  let position = null;
+
+  for (const stitch of stitchPlan.stitches) {
+    const current = colors[colors.length - 1];
+
+    switch (stitch.command) {
+      case STITCH_COMMANDS.STITCH:
+        stitchCount++;
+        current.stitches++;
+        if (position) {
+          current.seamLength += Math.hypot(stitch.x - position.x, stitch.y - position.y);
+        }
+        position = stitch;
+        break;
+      case STITCH_COMMANDS.JUMP:
+        jumps++;
+        position = stitch;
+        break;
+      case STITCH_COMMANDS.TRIM:
+        trims++;
+        break;
+      case STITCH_COMMANDS.COLOR_CHANGE:
+        colorChanges++;
+        startColor(colors.length);
+        break;
+    }
+  }
+
+  // Длины строчек в десятых долях мм -> метры нити
+  const toMeters = length => Math.round((length / 10000) * settings.threadUsageFactor * 100) / 100;
+  const colorReport = colors.map(({ seamLength, ...color }) => ({
+    ...color,
+    threadLength: toMeters(seamLength)
+  }));
+
+  const sewingSeconds = ((stitchCount + jumps) / settings.machineSpeed) * 60;
+  const totalSeconds = Math.round(
+    sewingSeconds + trims * settings.trimTime + colorChanges * settings.colorChangeTime
+  );
+
+  return {
+    stitchCount,
+    colorChanges,
+    trims,
+    jumps,
+    colors: colorReport,
+    threadLength: Math.round(colorReport.reduce((sum, color) => sum + color.threadLength, 0) * 100) / 100,
+    sewTime: {
+      seconds: totalSeconds,
+      minutes: Math.round((totalSeconds / 60) * 10) / 10,
+      machineSpeed: settings.machineSpeed
+    },
+    settings
+  };
+}
+
+module.exports = {
+  createStitchReport,
+  normalizeMachineOptions,
+  DEFAULT_MACHINE_OPTIONS
+};
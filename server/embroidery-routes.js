@@ -4,7 +4,10 @@
 
 const express = require('express');
 const multer = require('multer');
-const { convertToEmbroidery, getSupportedFormats } = require('./embroidery-converter');
+const path = require('path');
+const { convertToEmbroidery, getSupportedFormats, getHoopPresets, loadVectorizerSVG } = require('./embroidery-converter');
+const { getThreadBrands } = require('./thread-catalogs');
+const { PriceCalculator } = require('./booomerangs-automation');
 
 const router = express.Router();
 
@@ -13,15 +16,29 @@ const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif'];
-    if (allowedTypes.includes(file.mimetype)) {
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/svg+xml'];
+    if (allowedTypes.includes(file.mimetype) || isDSTUpload(file) || isSVGUpload(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Поддерживаются только изображения JPG, PNG, GIF'));
+      cb(new Error('Поддерживаются только изображения JPG, PNG, GIF, SVG и файлы DST'));
     }
   }
 });
 
+/**
+ * Проверяет, что загружен файл вышивки DST
+ */
+function isDSTUpload(file) {
+  return path.extname(file.originalname || '').toLowerCase() === '.dst';
+}
+
+/**
+ * Проверяет, что загружен векторный файл SVG
+ */
+function isSVGUpload(file) {
+  return path.extname(file.originalname || '').toLowerCase() === '.svg';
+}
+
 /**
  * Получение списка поддерживаемых форматов
  */
@@ -31,6 +48,8 @@ router.get('/formats', (req, res) => {
     res.json({
       success: true,
       formats: formats,
+      threadBrands: getThreadBrands(),
+      hoops: getHoopPresets(),
       description: 'Поддерживаемые форматы для вышивки и шелкографии'
     });
   } catch (error) {
@@ -46,36 +65,73 @@ router.get('/formats', (req, res) => {
  */
 router.post('/convert', upload.single('image'), async (req, res) => {
   try {
-    if (!req.file) {
+    // Источник: загруженный файл (растр или SVG) или SVG из результата векторизатора
+    let source = req.file ? { buffer: req.file.buffer, filename: req.file.originalname } : null;
+    if (!source && req.body.vectorizerResultId) {
+      source = await loadVectorizerSVG(req.body.vectorizerResultId);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          error: `Результат векторизации не найден: ${req.body.vectorizerResultId}`
+        });
+      }
+    }
+    
+    if (!source) {
       return res.status(400).json({
         success: false,
         error: 'Не загружено изображение'
       });
     }
 
-    const { format = 'dst', width, height, colors } = req.body;
+    const {
+      format = 'dst', width, height, colors, density, angle, underlay,
+      brand, machineSpeed, quantity, fabric, designWidth, designHeight, hoop, split,
+      optimizeSequence
+    } = req.body;
     
     const options = {};
     if (width) options.width = parseInt(width);
     if (height) options.height = parseInt(height);
     if (colors) options.colors = parseInt(colors);
+    if (density) options.density = density; // мм между рядами или low/medium/high
+    if (angle) options.angle = parseFloat(angle);
+    if (underlay !== undefined) options.underlay = underlay !== 'false';
+    if (brand) options.brand = brand; // madeira, isacord, gunold
+    if (machineSpeed) options.machineSpeed = parseFloat(machineSpeed); // стежков в минуту
+    if (fabric !== undefined) options.fabric = fabric === 'false' ? false : fabric; // цвет ткани в превью
+    if (designWidth) options.designWidth = parseFloat(designWidth); // мм
+    if (designHeight) options.designHeight = parseFloat(designHeight); // мм
+    if (hoop) options.hoop = hoop; // 100x100, 130x180, 200x300...
+    if (split !== undefined) options.split = split === true || split === 'true';
+    if (optimizeSequence !== undefined) options.optimizeSequence = optimizeSequence !== 'false';
 
-    console.log(`Конвертация ${req.file.originalname} в формат ${format}`);
+    console.log(`Конвертация ${source.filename} в формат ${format}`);
 
     const result = await convertToEmbroidery(
-      req.file.buffer,
-      req.file.originalname,
+      source.buffer,
+      source.filename,
       format,
       options
     );
 
     if (result.success) {
+      // Стоимость по реальному количеству стежков
+      const price = quantity
+        ? new PriceCalculator().calculateEmbroidery(result.report, parseInt(quantity))
+        : undefined;
+      
       res.json({
         success: true,
         message: 'Конвертация завершена успешно',
         format: result.format,
+        source: result.source,
         analysis: result.analysis,
         colorPalette: result.colorPalette,
+        stitchPlan: result.stitchPlan,
+        report: result.report,
+        hooping: result.hooping,
+        price: price,
         files: result.files,
         instructions: result.instructions
       });
@@ -108,10 +164,52 @@ router.post('/analyze', upload.single('image'), async (req, res) => {
       });
     }
 
-    const { analyzeImageForEmbroidery, extractColorPalette } = require('./embroidery-converter');
+    const { analyzeImageForEmbroidery, extractColorPalette, readDSTFile } = require('./embroidery-converter');
+    
+    // Готовый файл DST: читаем стежки вместо анализа изображения
+    if (isDSTUpload(req.file)) {
+      let design;
+      try {
+        design = readDSTFile(req.file.buffer);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: `Не удалось прочитать DST: ${parseError.message}`
+        });
+      }
+      
+      return res.json({
+        success: true,
+        filename: req.file.originalname,
+        type: 'dst',
+        design: {
+          label: design.header.label,
+          stitchCount: design.stitchCount,
+          colorCount: design.colorCount,
+          colorChanges: design.colorChanges,
+          jumps: design.jumps,
+          trims: design.trims,
+          extents: design.bounds,
+          size: {
+            width: design.width / 10,
+            height: design.height / 10,
+            unit: 'mm'
+          }
+        }
+      });
+    }
+    
+    const brand = req.body.brand ? String(req.body.brand).toLowerCase() : null;
+    if (brand && !getThreadBrands().includes(brand)) {
+      return res.status(400).json({
+        success: false,
+        error: `Неизвестный бренд ниток: ${req.body.brand}`,
+        threadBrands: getThreadBrands()
+      });
+    }
     
     const analysis = await analyzeImageForEmbroidery(req.file.buffer);
-    const colorPalette = await extractColorPalette(req.file.buffer, 15);
+    const colorPalette = await extractColorPalette(req.file.buffer, 15, brand);
 
     res.json({
       success: true,
@@ -0,0 +1,172 @@
+/**
+ * Порядок вышивки: последовательность цветов и областей
+ * Цвета с одной и той же ниткой шьются одним блоком, светлые — раньше темных
+ * (темные контуры ложатся поверх), области внутри цвета — по ближайшему соседу
+ */
+
+const { rgbToLab } = require('./thread-catalogs');
+
+/**
+ * Ключ нитки: номер по каталогу, если он есть, иначе цвет
+ */
+function getThreadKey(color) {
+  const thread = color.threadColor;
+  if (thread && thread.code) {
+    return `${thread.brand || ''}:${thread.code}`;
+  }
+  return color.hex.toLowerCase();
+}
+
+/**
+ * Порядок палитры как есть: каждый цвет — отдельный блок
+ */
+function getPaletteSequence(colorPalette) {
+  return colorPalette.map((color, index) => ({ color, colorIndices: [index] }));
+}
+
+/**
+ * Строит порядок цветов: объединяет цвета с одинаковой ниткой
+ * и сортирует блоки от светлых к темным
+ *
+ * @param {Array} colorPalette - палитра из extractColorPalette
+ * @param {Set<number>} usedColors - индексы цветов, у которых есть области для вышивки
+ * @returns {Array<{color: Object, colorIndices: number[]}>} блоки цветов в порядке вышивки
+ */
+function planColorSequence(colorPalette, usedColors) {
+  const groups = new Map();
+
+  colorPalette.forEach((color, index) => {
+    if (!usedColors.has(index)) return;
+    const key = getThreadKey(color);
+    if (!groups.has(key)) {
+      groups.set(key, { colorIndices: [] });
+    }
+    groups.get(key).colorIndices.push(index);
+  });
+
+  const sequence = [...groups.values()].map(group => {
+    // Основной цвет блока — самый используемый из объединенных
+    const main = group.colorIndices.reduce((best, index) =>
+      (colorPalette[index].usage || 0) > (colorPalette[best].usage || 0) ? index : best
+    );
+    const color = group.colorIndices.length > 1
+      ? { ...colorPalette[main], mergedColors: group.colorIndices.map(index => colorPalette[index].hex) }
+      : colorPalette[main];
+
+    return { color, colorIndices: group.colorIndices, lightness: rgbToLab(colorPalette[main].rgb).L };
+  });
+
+  sequence.sort((a, b) => b.lightness - a.lightness);
+  return sequence.map(({ color, colorIndices }) => ({ color, colorIndices }));
+}
+
+/**
+ * Упорядочивает области жадно: каждая следующая — ближайшая к игле
+ *
+ * @param {Array} regions - области одного блока цвета
+ * @param {{x: number, y: number}|null} start - текущая позиция иглы (единицы вышивки)
+ * @param {Function} toUnits - перевод пикселя (x, y) в единицы вышивки
+ * @param {Function} sew - прошивает область и возвращает позицию иглы после нее
+ */
+function sewRegionsByDistance(regions, start, toUnits, sew) {
+  const boxes = regions.map(region => {
+    const a = toUnits(region.bounds.minX, region.bounds.minY);
+    const b = toUnits(region.bounds.maxX + 1, region.bounds.maxY + 1);
+    return { minX: a.x, minY: a.y, maxX: b.x, maxY: b.y };
+  });
+
+  const remaining = regions.map((region, index) => index);
+  let position = start;
+
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+
+    if (position) {
+      let bestDistance = Infinity;
+      remaining.forEach((regionIndex, i) => {
+        // Расстояние до рамки области (0 — игла над областью)
+        const box = boxes[regionIndex];
+        const dx = Math.max(box.minX - position.x, 0, position.x - box.maxX);
+        const dy = Math.max(box.minY - position.y, 0, position.y - box.maxY);
+        const distance = Math.hypot(dx, dy);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          bestIndex = i;
+        }
+      });
+    }
+
+    const [regionIndex] = remaining.splice(bestIndex, 1);
+    position = sew(regions[regionIndex]);
+  }
+}
+
+/**
+ * Оценивает смены цвета, обрезки и прыжки порядка вышивки без прошивки областей
+ * Игла входит в область в ближайшей точке ее рамки и выходит из центра рамки;
+ * переходы внутри областей не учитываются, поэтому оценки сравнимы только между собой
+ *
+ * @param {Array} sequence - блоки цветов (getPaletteSequence или planColorSequence)
+ * @param {Array} regions - области для вышивки: colorIndex и bounds в пикселях
+ * @param {Function} toUnits - (x, y) в пикселях → точка в единицах вышивки
+ * @param {{connectLength: number, trimDistance: number}} travel - пороги перехода, единицы вышивки
+ * @param {boolean} byDistance - области внутри цвета по ближайшему соседу
+ * @returns {{colorChanges: number, trims: number, jumps: number, jumpLength: number}} jumpLength в мм
+ */
+function estimateThreadEvents(sequence, regions, toUnits, travel, byDistance) {
+  const counts = { colorChanges: 0, trims: 0, jumps: 0, jumpLength: 0 };
+  let position = null;
+  let threadCut = true;
+
+  const visit = region => {
+    const a = toUnits(region.bounds.minX, region.bounds.minY);
+    const b = toUnits(region.bounds.maxX + 1, region.bounds.maxY + 1);
+    if (!position) {
+      counts.jumps++;
+    } else {
+      const entry = {
+        x: Math.min(Math.max(position.x, a.x), b.x),
+        y: Math.min(Math.max(position.y, a.y), b.y)
+      };
+      const distance = Math.hypot(entry.x - position.x, entry.y - position.y);
+      if (threadCut || distance > travel.connectLength) {
+        counts.jumps++;
+        counts.jumpLength += distance;
+        if (!threadCut && distance > travel.trimDistance) counts.trims++;
+      }
+    }
+    threadCut = false;
+    position = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    return position;
+  };
+
+  let blocks = 0;
+  for (const { colorIndices } of sequence) {
+    const colorRegions = regions.filter(r => colorIndices.includes(r.colorIndex));
+    if (colorRegions.length === 0) continue;
+
+    if (blocks > 0) {
+      counts.trims++;
+      counts.colorChanges++;
+      threadCut = true;
+    }
+    blocks++;
+
+    if (byDistance) {
+      sewRegionsByDistance(colorRegions, position, toUnits, visit);
+    } else {
+      colorRegions.forEach(visit);
+    }
+  }
+  if (position) counts.trims++;
+
+  counts.jumpLength = Math.round(counts.jumpLength) / 10; // мм
+  return counts;
+}
+
+module.exports = {
+  getPaletteSequence,
+  planColorSequence,
+  sewRegionsByDistance,
+  estimateThreadEvents
+};
@@ -845,6 +845,11 @@ ${previewSvg}
                   response += `\n• [Цветовая схема](${colorScheme.url}) - ${sizeKB} КБ`;
                 }
                 
+                // Превью реальных стежков из файла вышивки
+                if (embroideryResult.stitchPreviewUrl) {
+                  response += `\n\n🪡 **Превью стежков:**\n![Превью стежков](${embroideryResult.stitchPreviewUrl})`;
+                }
+                
                 // Добавляем превью вышивки на ткани
                 if (embroideryResult.previewUrl) {
                   response += `\n\n🧵 **Превью на ткани:** [Как будет выглядеть вышивка](${embroideryResult.previewUrl})`;
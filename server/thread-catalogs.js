@@ -0,0 +1,101 @@
+/**
+ * Каталоги ниток для вышивки (Madeira, Isacord, Gunold) и подбор цвета по CIEDE2000
+ * Каталоги лежат в server/thread-catalogs/<бренд>.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hexToRgb, rgbToLab, ciede2000 } = require('../color-science.cjs');
+
+const CATALOG_DIR = path.join(__dirname, 'thread-catalogs');
+
+// Кэш загруженных каталогов: бренд -> каталог с рассчитанными Lab
+const catalogCache = new Map();
+
+/**
+ * Возвращает список брендов, для которых есть файл каталога
+ */
+function getThreadBrands() {
+  try {
+    return fs.readdirSync(CATALOG_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .sort();
+  } catch (error) {
+    console.error('Ошибка чтения каталогов ниток:', error);
+    return [];
+  }
+}
+
+/**
+ * Приводит название бренда к имени файла каталога
+ */
+function normalizeBrand(brand) {
+  return String(brand || '').trim().toLowerCase();
+}
+
+/**
+ * Загружает каталог ниток бренда (с кэшированием)
+ */
+function loadThreadCatalog(brand) {
+  const key = normalizeBrand(brand);
+  if (catalogCache.has(key)) {
+    return catalogCache.get(key);
+  }
+
+  if (!getThreadBrands().includes(key)) {
+    throw new Error(`Неизвестный бренд ниток: ${brand}`);
+  }
+
+  const raw = JSON.parse(fs.readFileSync(path.join(CATALOG_DIR, `${key}.json`), 'utf8'));
+  const catalog = {
+    brand: raw.brand,
+    line: raw.line,
+    threads: raw.threads.map(thread => ({
+      ...thread,
+      lab: rgbToLab(hexToRgb(thread.hex))
+    }))
+  };
+
+  catalogCache.set(key, catalog);
+  return catalog;
+}
+
+/**
+ * Подбирает нитку бренда, ближайшую к цвету по CIEDE2000
+ *
+ * @param {{r: number, g: number, b: number}} rgb - исходный цвет
+ * @param {string} brand - бренд каталога (madeira, isacord, gunold)
+ * @returns {{brand: string, line: string, code: string, name: string, hex: string, deltaE: number}}
+ */
+function matchThreadColor(rgb, brand) {
+  const catalog = loadThreadCatalog(brand);
+  const lab = rgbToLab(rgb);
+
+  let best = null;
+  let bestDelta = Infinity;
+  for (const thread of catalog.threads) {
+    const delta = ciede2000(lab, thread.lab);
+    if (delta < bestDelta) {
+      bestDelta = delta;
+      best = thread;
+    }
+  }
+
+  return {
+    brand: catalog.brand,
+    line: catalog.line,
+    code: best.code,
+    name: best.name,
+    hex: best.hex,
+    deltaE: Math.round(bestDelta * 10) / 10
+  };
+}
+
+module.exports = {
+  getThreadBrands,
+  loadThreadCatalog,
+  matchThreadColor,
+  rgbToLab,
+  ciede2000
+};
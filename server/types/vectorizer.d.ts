@@ -45,12 +45,89 @@ export interface AnalyzeImageRequest {
   image: File | Buffer;
 }
 
-export interface ConvertImageRequest {
+// Книга образцов спот-цветов (spot-colors/<книга>.json или пользовательская)
+export interface SwatchBook {
+  book: string;
+  description?: string;
+  colors: { name: string; hex: string }[];
+}
+
+export interface SpotColorOptions {
+  spotBook?: string;                        // ID книги библиотеки, по умолчанию pantone-solid-coated
+  swatchBook?: SwatchBook | string;         // пользовательская книга (JSON в multipart)
+  spotColors?: string[] | string;           // ограничить подбор выбранными цветами книги
+  snapToSpot?: boolean | string;            // заменить цвета слоев цветами образцов
+}
+
+// Растр для градиентов: слой векторных точек на каждую краску
+export type TraceMode = 'silkscreen' | 'halftone' | 'centerline' | 'auto';
+export type HalftoneDotShape = 'round' | 'ellipse' | 'square' | 'line';
+export type HalftoneInkId = 'cyan' | 'magenta' | 'yellow' | 'black' | 'mono';
+
+export interface HalftoneOptions {
+  channels?: 'cmyk' | 'mono';
+  lpi?: number;                             // линиатура, 5–150
+  dpi?: number;                             // разрешение исходника, задает размер пленки
+  dotShape?: HalftoneDotShape;
+  minDot?: number;                          // %, меньшие точки выпадают
+  maxDot?: number;                          // %, большие ограничиваются
+  angles?: Partial<Record<HalftoneInkId, number>> | string;
+  inkColor?: string;                        // цвет краски в режиме mono
+}
+
+export interface HalftoneInk {
+  id: HalftoneInkId;
+  name: string;
+  hex: string;
+  angle: number;
+  shapeCount: number;
+}
+
+export interface HalftoneResult {
+  settings: Required<HalftoneOptions>;
+  inks: HalftoneInk[];
+  widthMm: number;
+  heightMm: number;
+  cellSize: number;                         // шаг растра в пикселях исходника
+}
+
+// Трассировка по центральной линии: штрихи — обводки с оцененной толщиной
+export interface CenterlineOptions {
+  colors?: number;                          // 1 — порог яркости, 2–6 — цвета штрихов по K-means
+  threshold?: number | 'auto';              // порог яркости 1–254, auto — Otsu
+  minLength?: number;                       // px, короче — отбрасываются отростки и шум
+  tolerance?: number;                       // px, точность аппроксимации кривыми Безье
+  strokeWidth?: number | 'auto';            // толщина обводки; auto — по карте расстояний
+  inkColor?: string;                        // цвет обводки при colors = 1
+}
+
+export interface CenterlineLayer {
+  hex: string;
+  pathCount: number;
+  strokeWidth: number;                      // медианная толщина штрихов слоя, px
+}
+
+export interface CenterlineResult {
+  settings: Required<CenterlineOptions>;
+  threshold: number | null;                 // примененный порог (null при colors > 1)
+  layers: CenterlineLayer[];
+}
+
+// Наложение слоев шелкографии: abutting — стык без перекрытия красок, overlapping — стопка с треппингом
+export type LayerMethod = 'auto' | 'abutting' | 'overlapping';
+
+export interface LayerMethodOptions {
+  layerMethod?: LayerMethod;                // auto — по типу изображения
+  trapWidth?: number;                       // px, 0–20: заход нижних слоев под верхние в overlapping
+}
+
+export interface ConvertImageRequest extends SpotColorOptions, HalftoneOptions, CenterlineOptions, LayerMethodOptions {
   image: File | Buffer;
   quality?: QualityLevel;
   format?: OutputFormat;
   optimizeFor?: OptimizationTarget;
   autoDetectType?: boolean;
+  mode?: TraceMode;
 }
 
 export interface ProfessionalVectorizeRequest {
@@ -65,8 +142,11 @@ export interface ProfessionalVectorizeRequest {
 export interface BatchVectorizeRequest {
   images: (File | Buffer)[];
   quality?: QualityLevel;
-  format?: OutputFormat;
   optimizeFor?: OptimizationTarget;
+  concurrency?: number;
+  /** true — сразу вернуть задание (CreateJobResponse), прогресс пакета через /jobs/:id/events */
+  async?: boolean;
+  onProgress?: (progress: BatchProgress) => void;
 }
 
 export interface MultiFormatRequest {
@@ -107,6 +187,31 @@ export interface VectorizationResult {
     compressionRatio: number;
     processingTime: number;
   };
+  spotColors?: SpotColorReport | null;
+  halftone?: HalftoneResult;
+  centerline?: CenterlineResult | null;
+  resultId?: string;                        // запись в каталоге результатов
+  url?: string;
+  fromCache?: boolean;                      // тот же исходник с теми же настройками уже векторизован
+  palette?: string[];
+}
+
+export interface SpotColorMatch {
+  book: string;
+  name: string;
+  hex: string;
+  deltaE: number;                           // CIEDE2000
+}
+
+export interface SpotColorReport {
+  book: string;
+  snapped: boolean;
+  layers: {
+    hex: string;                            // исходный цвет слоя
+    spot: SpotColorMatch | null;            // null — белый фон без подходящего образца
+    snapped: boolean;
+    reason?: 'white';
+  }[];
 }
 
 export interface ConvertImageResponse extends BaseApiResponse {
@@ -156,8 +261,272 @@ export interface BatchResult {
   };
 }
 
+export type BatchFileStatus = 'queued' | 'processing' | 'completed' | 'failed';
+
+export interface BatchFileProgress {
+  index: number;
+  name: string;
+  status: BatchFileStatus;
+  progress: number;
+  processingTime: number | null;
+  error: string | null;
+}
+
+export interface BatchProgress {
+  total: number;
+  completed: number;
+  failed: number;
+  processing: number;
+  queued: number;
+  percent: number;
+  elapsedTime: number;
+  files: BatchFileProgress[];
+}
+
+export interface BatchManifest {
+  batchId: string;
+  createdAt: string;
+  quality: QualityLevel;
+  summary: BatchResult['summary'];
+  files: Array<{
+    index: number;
+    originalName: string;
+    status: 'completed' | 'failed';
+    file?: string;
+    error?: string;
+    detectedType?: ContentType;
+    quality?: QualityLevel;
+    processingTime: number | null;
+  }>;
+}
+
 export interface BatchVectorizeResponse extends BaseApiResponse {
+  batchId?: string;
   result?: BatchResult;
+  progress?: BatchProgress;
+  archive?: {
+    filename: string;
+    filepath: string;
+    url: string;
+    size: number;
+  } | null;
+  manifest?: BatchManifest;
+}
+
+export type VectorizationJobStatus = 'queued' | 'processing' | 'completed' | 'failed';
+
+export interface VectorizationJobProgress {
+  step: number;
+  stepName: string;
+  stepProgress: number;
+  overallProgress: number;
+  elapsedTime: number;
+  totalSteps: number;
+  details: string;
+  estimatedTimeRemaining: number | null;
+}
+
+export interface BatchJobResult {
+  batchId: string;
+  result: BatchResult;
+  manifest: BatchManifest;
+  archive: {
+    filename: string;
+    url: string;
+    size: number;
+  };
+}
+
+export interface VectorizationJob {
+  id: string;
+  type: string;
+  status: VectorizationJobStatus;
+  /** Для заданий type: 'batch' — прогресс пакета по файлам */
+  progress: VectorizationJobProgress | BatchProgress | null;
+  meta: Record<string, unknown>;
+  createdAt: string;
+  startedAt: string | null;
+  completedAt: string | null;
+  expiresAt: string | null;
+  result: {
+    filename: string;
+    url: string;
+    fileSize: number;
+    colorCount: number;
+    contourCount: number;
+    processingTime: number;
+  } | BatchJobResult | null;
+  error: string | null;
+  queuePosition: number | null;
+}
+
+export interface CreateJobResponse extends BaseApiResponse {
+  jobId?: string;
+  job?: VectorizationJob;
+  statusUrl?: string;
+  eventsUrl?: string;
+  resultUrl?: string;
+}
+
+// Каталог результатов векторизации (output/vectorizer/results.json)
+export interface VectorizationResultRecord {
+  id: string;
+  parentId: string | null;                  // результат, из которого сделан переэкспорт
+  sourceHash: string;                       // SHA-256 исходного изображения
+  originalName: string;
+  mode: Exclude<TraceMode, 'auto'>;
+  quality: string;
+  settings: SpotColorOptions & HalftoneOptions & CenterlineOptions & LayerMethodOptions & {
+    mode: TraceMode;
+    outputFormat: OutputFormat;
+    paletteEdits?: PaletteEdit[];           // правки палитры, примененные к родительскому результату
+  };
+  palette: string[];
+  spotColors: SpotColorReport | null;
+  halftone: HalftoneResult | null;
+  centerline?: CenterlineResult | null;
+  files: {
+    format: OutputFormat;
+    filename: string;
+    url: string;
+    size: number;
+  }[];
+  createdAt: string;
+}
+
+export interface ResultListResponse extends BaseApiResponse {
+  total?: number;
+  results?: VectorizationResultRecord[];
+}
+
+export interface ReexportResultRequest extends SpotColorOptions, HalftoneOptions, CenterlineOptions, LayerMethodOptions {
+  format?: OutputFormat;
+  mode?: TraceMode;
+}
+
+export interface ReexportResultResponse extends ConvertImageResponse {
+  parentId?: string;
+}
+
+// Пресеты трассировки adobe-trace-engine (ADOBE_PRESETS и пользовательские)
+export interface AdobeTracePresetSettings {
+  name: string;
+  mode: 'color' | 'grayscale' | 'blackwhite';
+  palette: 'automatic' | 'full' | 'limited';
+  maxColors: number | 'auto';
+  threshold: number | 'auto';
+  paths: number | 'auto';
+  corners: number | 'auto';
+  noise: number | 'auto';
+  method?: 'abutting' | 'overlapping';
+  fills?: boolean;
+  strokes?: boolean;
+  base?: string;                            // базовый встроенный пресет (у пользовательских)
+}
+
+// Переопределения пользовательского пресета; пустое значение при изменении снимает переопределение
+export interface TracePresetOverrides {
+  colors?: number | string | null;          // 1–30
+  noise?: number | string | null;           // 1–100
+  corners?: number | string | null;         // 0–100
+  paths?: number | string | null;           // 0–100
+  threshold?: number | string | null;       // 1–254
+}
+
+export interface TracePreset {
+  id: string;                               // SIX_COLORS, CLUB_LOGO
+  name: string;
+  builtIn: boolean;
+  settings: AdobeTracePresetSettings;       // итоговые настройки
+  base?: string;
+  overrides?: Partial<Pick<AdobeTracePresetSettings, 'maxColors' | 'noise' | 'corners' | 'paths' | 'threshold'>>;
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+export interface CreateTracePresetRequest extends TracePresetOverrides {
+  id: string;
+  name?: string;
+  base: string;
+}
+
+export interface UpdateTracePresetRequest extends TracePresetOverrides {
+  name?: string;
+  base?: string;
+}
+
+export interface TracePresetListResponse extends BaseApiResponse {
+  total?: number;
+  presets?: TracePreset[];
+}
+
+export interface TracePresetResponse extends BaseApiResponse {
+  preset?: TracePreset;
+}
+
+export interface TraceWithPresetRequest {
+  image: File | Buffer;
+  preset?: string;                          // ID пресета, по умолчанию SIX_COLORS
+}
+
+export interface TraceCompareRequest {
+  image: File | Buffer;
+  presets: string[] | string;               // 2–6 ID: JSON-массив или через запятую
+}
+
+export interface TraceLayer {
+  id: string;                               // id группы в SVG: color-1, ...
+  hex: string;
+  pathCount: number;
+}
+
+export interface TracePresetResult {
+  presetId: string;
+  name: string;
+  success: boolean;
+  error?: string;
+  builtIn?: boolean;
+  settings?: AdobeTracePresetSettings;
+  svgContent?: string;
+  palette?: string[];                       // цвета слоев от светлого к темному
+  layers?: TraceLayer[];
+  colorsProcessed?: number;
+  width?: number;
+  height?: number;
+  fileSize?: number;
+  processingTime?: number;                  // мс
+}
+
+export interface TraceResponse extends BaseApiResponse {
+  result?: TracePresetResult;
+}
+
+export interface TraceCompareResponse extends BaseApiResponse {
+  comparison?: TracePresetResult[];
+}
+
+// Правка палитры результата silkscreen: цвета — #RRGGBB из palette результата
+export type PaletteEdit =
+  | { op: 'merge'; colors: string[]; into?: string }   // слои сливаются и трассируются заново
+  | { op: 'remove'; color: string }
+  | { op: 'replace'; color: string; with: string };    // перекраска без трассировки
+
+export interface PaletteEditRequest {
+  edits: PaletteEdit[] | string;
+}
+
+export interface PaletteEditResponse extends BaseApiResponse {
+  parentId?: string;
+  result?: {
+    resultId: string;
+    url: string;
+    svgContent: string;
+    filename: string;
+    palette: string[];
+    paletteEdits: PaletteEdit[];
+    retracedLayers: string[];
+    spotColors: SpotColorReport | null;
+  };
 }
 
 export interface MultiFormatResult {
@@ -179,6 +548,15 @@ export interface FormatsInfoResponse extends BaseApiResponse {
   contentTypes?: Record<ContentType, ContentTypeConfig>;
 }
 
+// Пул потоков для K-means, масок и трассировки (размер — VECTORIZER_WORKERS, 0 отключает пул)
+export interface WorkerPoolStats {
+  enabled: boolean;
+  size: number;
+  threads: number;
+  busy: number;
+  queued: number;
+}
+
 export interface HealthCheckResponse extends BaseApiResponse {
   status?: 'healthy' | 'unhealthy';
   module?: string;
@@ -187,6 +565,7 @@ export interface HealthCheckResponse extends BaseApiResponse {
     output: string;
     temp: string;
   };
+  workers?: WorkerPoolStats;
   capabilities?: string[];
 }
 
@@ -251,6 +630,16 @@ export interface AdvancedVectorizerModule {
     options?: Partial<MultiFormatRequest>
   ): Promise<MultiFormatResponse>;
 
+  reexportResult(
+    resultId: string,
+    overrides?: ReexportResultRequest
+  ): Promise<ConvertImageResponse>;
+
+  retracePalette(
+    resultId: string,
+    edits: PaletteEdit[] | string
+  ): Promise<ConvertImageResponse>;
+
   QUALITY_PRESETS: Record<QualityLevel, QualityPreset>;
   OUTPUT_FORMATS: Record<OutputFormat, OutputFormatConfig>;
   CONTENT_TYPES: Record<ContentType, ContentTypeConfig>;
@@ -298,10 +687,16 @@ export type VectorizerEndpoint =
   | '/batch'
   | '/previews'
   | '/multi-format'
+  | '/jobs'
+  | '/separations'
+  | '/spot-colors'
+  | '/results'
+  | '/presets'
+  | '/trace'
   | '/formats'
   | '/health';
 
-export type VectorizerApiMethod = 'GET' | 'POST';
+export type VectorizerApiMethod = 'GET' | 'POST' | 'PUT' | 'DELETE';
 
 export interface VectorizerEndpointConfig {
   endpoint: VectorizerEndpoint;
@@ -366,6 +761,48 @@ export const VECTORIZER_ENDPOINTS: Record<VectorizerEndpoint, VectorizerEndpoint
     allowsMultipleFiles: false, 
     description: 'Конвертация в несколько форматов одновременно'
   },
+  '/jobs': {
+    endpoint: '/jobs',
+    method: 'POST',
+    requiresFile: true,
+    allowsMultipleFiles: false,
+    description: 'Асинхронная векторизация: задание, статус и SSE прогресс'
+  },
+  '/separations': {
+    endpoint: '/separations',
+    method: 'POST',
+    requiresFile: false,
+    allowsMultipleFiles: false,
+    description: 'Цветоделение: ZIP с пленкой на каждую краску (SVG и PDF)'
+  },
+  '/spot-colors': {
+    endpoint: '/spot-colors',
+    method: 'GET',
+    requiresFile: false,
+    allowsMultipleFiles: false,
+    description: 'Библиотеки спот-цветов (Pantone и др.) для подбора цветов слоев'
+  },
+  '/results': {
+    endpoint: '/results',
+    method: 'GET',
+    requiresFile: false,
+    allowsMultipleFiles: false,
+    description: 'История результатов: просмотр, скачивание, удаление и переэкспорт'
+  },
+  '/presets': {
+    endpoint: '/presets',
+    method: 'GET',
+    requiresFile: false,
+    allowsMultipleFiles: false,
+    description: 'Пресеты трассировки: встроенные и сохраненные пользовательские'
+  },
+  '/trace': {
+    endpoint: '/trace',
+    method: 'POST',
+    requiresFile: true,
+    allowsMultipleFiles: false,
+    description: 'Трассировка в стиле Illustrator выбранным пресетом и сравнение пресетов (/trace/compare)'
+  },
   '/formats': {
     endpoint: '/formats',
     method: 'GET',
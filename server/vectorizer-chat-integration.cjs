@@ -70,6 +70,12 @@ async function handleVectorizerCommand(message, sessionId, res, previousImage) {
       `📊 Изображение загружено: ${imageSizeKB}KB\n🔄 Начинаю потоковую векторизацию...`
     );
     
+    // Векторизация останавливается, если клиент закрыл поток чата
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+    
     // Создаем векторизатор с настройками для шелкографии
     const vectorizer = new StreamVectorizer(imageBuffer, {
       maxColors: 5,           // Максимум для шелкографии
@@ -77,7 +83,8 @@ async function handleVectorizerCommand(message, sessionId, res, previousImage) {
       overlap: 32,            // Буферизация границ
       maxMemoryMB: 150,       // Ограничение памяти
       tolerance: 1.0,         // Точность векторизации
-      enableOptimization: true
+      enableOptimization: true,
+      signal: controller.signal
     });
     
     // ЭТАП 1: Предобработка
@@ -112,7 +119,7 @@ async function handleVectorizerCommand(message, sessionId, res, previousImage) {
     sendStreamMessage(res, 'assistant', '✅ Цветовые маски созданы');
     
     // ЭТАП 4: Векторизация
-    sendStreamMessage(res, 'assistant', '🔄 Этап 4: Векторизация контуров с Marching Squares...');
+    sendStreamMessage(res, 'assistant', '🔄 Этап 4: Векторизация контуров и сшивка tiles...');
     
     await vectorizer.runVectorization();
     
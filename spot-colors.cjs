@@ -0,0 +1,213 @@
+/**
+ * Библиотеки спот-цветов (Pantone и др.) для векторизации под шелкографию
+ * Книги образцов лежат в spot-colors/<книга>.json: {book, description, colors: [{name, hex}]}
+ * Подбор ближайшего спот-цвета по CIEDE2000
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hexToRgb, rgbToLab, ciede2000 } = require('./color-science.cjs');
+
+const SPOT_BOOK_DIR = path.join(__dirname, 'spot-colors');
+const DEFAULT_SPOT_BOOK = 'pantone-solid-coated';
+const MAX_CUSTOM_SWATCHES = 2000;
+
+// Кэш загруженных книг: ID -> книга с рассчитанными Lab
+const bookCache = new Map();
+
+/**
+ * Возвращает ID книг, для которых есть файл
+ */
+function getSpotBooks() {
+  try {
+    return fs.readdirSync(SPOT_BOOK_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .sort();
+  } catch (error) {
+    console.error('Ошибка чтения библиотек спот-цветов:', error);
+    return [];
+  }
+}
+
+/**
+ * Проверяет книгу образцов и рассчитывает Lab для каждого цвета
+ * Используется и для файлов библиотеки, и для пользовательских книг из запроса
+ *
+ * @param {Object|string} raw - книга {book, description?, colors: [{name, hex}]} или ее JSON
+ * @param {string} id - идентификатор книги
+ * @returns {{id: string, book: string, description: string, colors: Array}}
+ */
+function parseSwatchBook(raw, id = 'custom') {
+  let data = raw;
+  if (typeof raw === 'string') {
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Книга образцов не является корректным JSON: ${error.message}`);
+    }
+  }
+
+  if (!data || !Array.isArray(data.colors) || data.colors.length === 0) {
+    throw new Error('Книга образцов должна содержать непустой массив colors');
+  }
+  if (data.colors.length > MAX_CUSTOM_SWATCHES) {
+    throw new Error(`Книга образцов слишком большая (максимум ${MAX_CUSTOM_SWATCHES} цветов)`);
+  }
+
+  const colors = data.colors.map((color, index) => {
+    const name = typeof color?.name === 'string' ? color.name.trim() : '';
+    const hex = typeof color?.hex === 'string' ? color.hex.trim() : '';
+    if (!name) {
+      throw new Error(`У цвета №${index + 1} нет названия`);
+    }
+    if (!/^#[0-9a-f]{6}$/i.test(hex)) {
+      throw new Error(`Неверный HEX у цвета "${name}": ${color.hex}`);
+    }
+    return { name, hex: hex.toUpperCase(), lab: rgbToLab(hexToRgb(hex)) };
+  });
+
+  return {
+    id,
+    book: String(data.book || id),
+    description: String(data.description || ''),
+    colors
+  };
+}
+
+/**
+ * Загружает книгу спот-цветов из библиотеки (с кэшированием)
+ */
+function loadSwatchBook(bookId) {
+  const key = String(bookId || '').trim().toLowerCase();
+  if (bookCache.has(key)) {
+    return bookCache.get(key);
+  }
+
+  if (!getSpotBooks().includes(key)) {
+    throw new Error(`Неизвестная библиотека спот-цветов: ${bookId}`);
+  }
+
+  const raw = fs.readFileSync(path.join(SPOT_BOOK_DIR, `${key}.json`), 'utf8');
+  const book = parseSwatchBook(raw, key);
+  bookCache.set(key, book);
+  return book;
+}
+
+/**
+ * Краткое описание книг библиотеки для API
+ */
+function listSpotBooks() {
+  return getSpotBooks().map(id => {
+    const book = loadSwatchBook(id);
+    return { id, book: book.book, description: book.description, colorCount: book.colors.length };
+  });
+}
+
+/**
+ * Приводит название спот-цвета к виду для сравнения: "pantone 186 c" и "186 C" совпадают
+ */
+function normalizeSpotName(name) {
+  return String(name).trim().toUpperCase().replace(/\s+/g, ' ').replace(/^PANTONE /, '');
+}
+
+/**
+ * Ограничивает книгу выбранными цветами
+ *
+ * @param {Object} book - книга из parseSwatchBook/loadSwatchBook
+ * @param {Array<string>} names - названия цветов книги
+ * @returns {Array} образцы книги в порядке names
+ */
+function selectSpotColors(book, names) {
+  const byName = new Map(book.colors.map(color => [normalizeSpotName(color.name), color]));
+  const unknown = [];
+  const selected = [];
+
+  for (const name of names) {
+    const color = byName.get(normalizeSpotName(name));
+    if (!color) {
+      unknown.push(name);
+    } else if (!selected.includes(color)) {
+      selected.push(color);
+    }
+  }
+
+  if (unknown.length > 0) {
+    throw new Error(`В книге "${book.book}" нет цветов: ${unknown.join(', ')}`);
+  }
+  return selected;
+}
+
+/**
+ * Подбирает ближайший спот-цвет по CIEDE2000
+ *
+ * @param {{r: number, g: number, b: number}} rgb - исходный цвет
+ * @param {Object} book - книга из parseSwatchBook/loadSwatchBook
+ * @param {Array} swatches - образцы для подбора (по умолчанию вся книга)
+ * @returns {{book: string, name: string, hex: string, deltaE: number}}
+ */
+function matchSpotColor(rgb, book, swatches = book.colors) {
+  const lab = rgbToLab(rgb);
+
+  let best = null;
+  let bestDelta = Infinity;
+  for (const swatch of swatches) {
+    const delta = ciede2000(lab, swatch.lab);
+    if (delta < bestDelta) {
+      bestDelta = delta;
+      best = swatch;
+    }
+  }
+
+  return {
+    book: book.book,
+    name: best.name,
+    hex: best.hex,
+    deltaE: Math.round(bestDelta * 10) / 10
+  };
+}
+
+/**
+ * Разбирает параметры спот-цветов векторизатора
+ * Параметры из формы приходят строками: spotColors через запятую или JSON, swatchBook — JSON
+ *
+ * @param {{spotBook?: string, swatchBook?: Object|string, spotColors?: Array|string, snapToSpot?: boolean|string}} options
+ * @returns {{book: Object, swatches: Array, snap: boolean}|null} null, если подбор не запрошен
+ */
+function resolveSpotOptions(options = {}) {
+  const { spotBook, swatchBook, spotColors, snapToSpot } = options;
+
+  let names = spotColors;
+  if (typeof names === 'string') {
+    const trimmed = names.trim();
+    try {
+      names = trimmed.startsWith('[') ? JSON.parse(trimmed) : trimmed.split(',');
+    } catch (error) {
+      throw new Error(`Неверный список спот-цветов: ${error.message}`);
+    }
+  }
+  names = Array.isArray(names) ? names.map(name => String(name).trim()).filter(Boolean) : [];
+
+  if (!spotBook && !swatchBook && names.length === 0) {
+    return null;
+  }
+
+  const book = swatchBook ? parseSwatchBook(swatchBook) : loadSwatchBook(spotBook || DEFAULT_SPOT_BOOK);
+
+  return {
+    book,
+    swatches: names.length > 0 ? selectSpotColors(book, names) : book.colors,
+    snap: snapToSpot === true || snapToSpot === 'true'
+  };
+}
+
+module.exports = {
+  getSpotBooks,
+  listSpotBooks,
+  loadSwatchBook,
+  parseSwatchBook,
+  selectSpotColors,
+  matchSpotColor,
+  resolveSpotOptions,
+  DEFAULT_SPOT_BOOK
+};
@@ -0,0 +1,63 @@
+/**
+ * Прогресс пакета: этапы трассировки сообщают прогресс файла,
+ * процент пакета учитывает файлы в работе
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { runBatchQueue } = require('../batch-queue.cjs');
+const { silkscreenVectorize, configureWorkerPool } = require('../advanced-vectorizer.cjs');
+
+test('silkscreenVectorize сообщает прогресс по этапам', async () => {
+  const image = await sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="120" height="90">
+    <rect width="120" height="90" fill="#ffffff"/>
+    <circle cx="45" cy="45" r="30" fill="#d02020"/>
+    <rect x="80" y="20" width="25" height="50" fill="#2040c0"/>
+  </svg>`)).png().toBuffer();
+  const updates = [];
+
+  const log = console.log;
+  console.log = () => {};
+  configureWorkerPool({ size: 0 });
+  try {
+    const result = await silkscreenVectorize(image, { quality: 'standard', onProgress: update => updates.push(update) });
+    assert.ok(result.success, result.error);
+  } finally {
+    console.log = log;
+  }
+
+  const overall = updates.map(update => update.overallProgress);
+  assert.ok(overall.some(value => value > 0 && value < 100), `нет промежуточного прогресса: ${overall}`);
+  assert.equal(overall.at(-1), 100);
+  assert.deepEqual([...overall].sort((a, b) => a - b), overall, 'прогресс не убывает');
+  assert.deepEqual([...new Set(updates.map(update => update.step))], [1, 2, 3, 4, 5]);
+});
+
+test('runBatchQueue: процент пакета учитывает прогресс файлов в работе', async () => {
+  const snapshots = [];
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const running = runBatchQueue([{ name: 'a' }, { name: 'b' }], async (item, index, reportProgress) => {
+      reportProgress(50);
+      await gate;
+      return item.name;
+    }, { concurrency: 2, onProgress: snapshot => snapshots.push(snapshot) });
+
+    await new Promise(resolve => setImmediate(resolve));
+    const halfway = snapshots.at(-1);
+    assert.equal(halfway.completed, 0);
+    assert.equal(halfway.processing, 2);
+    assert.equal(halfway.percent, 50);
+
+    release();
+    const { progress } = await running;
+    assert.equal(progress.percent, 100);
+  } finally {
+    console.log = log;
+  }
+});
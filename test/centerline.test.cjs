@@ -0,0 +1,121 @@
+/**
+ * Трассировка по центральной линии: штрих дает одну обводку по оси с толщиной штриха,
+ * кольцо — замкнутую, крест — ветви от развилки, короткие штрихи отбрасываются
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const {
+  createCenterline,
+  createCenterlineSVG,
+  traceCenterlines,
+  normalizeCenterlineOptions,
+  DEFAULT_CENTERLINE_OPTIONS
+} = require('../centerline.cjs');
+
+const SETTINGS = normalizeCenterlineOptions();
+
+function createMask(width, height, inside) {
+  const mask = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      mask[y * width + x] = inside(x + 0.5, y + 0.5) ? 1 : 0;
+    }
+  }
+  return mask;
+}
+
+/**
+ * Начальная и конечная точки пути (M … C … x y)
+ */
+function endpoints(d) {
+  const numbers = d.match(/-?\d+(?:\.\d+)?/g).map(Number);
+  return [numbers.slice(0, 2), numbers.slice(-2)];
+}
+
+test('normalizeCenterlineOptions: значения из формы приводятся к числам, пустые — по умолчанию', () => {
+  assert.deepEqual(normalizeCenterlineOptions(), DEFAULT_CENTERLINE_OPTIONS);
+  assert.deepEqual(
+    normalizeCenterlineOptions({ colors: '3', threshold: '128', minLength: '', tolerance: '0.5', strokeWidth: '2.5', inkColor: '#F00', extra: 1 }),
+    { colors: 3, threshold: 128, minLength: 8, tolerance: 0.5, strokeWidth: 2.5, inkColor: '#ff0000' }
+  );
+
+  assert.throws(() => normalizeCenterlineOptions({ colors: 7 }), /colors должен быть числом от 1 до 6/);
+  assert.throws(() => normalizeCenterlineOptions({ threshold: 0 }), /threshold должен быть числом от 1 до 254/);
+  assert.throws(() => normalizeCenterlineOptions({ tolerance: 'x' }), /tolerance/);
+  assert.throws(() => normalizeCenterlineOptions({ inkColor: 'nope' }), /Некорректный цвет обводки: nope/);
+});
+
+test('traceCenterlines: полоса — одна открытая обводка по оси толщиной в полосу', () => {
+  const mask = createMask(80, 20, (x, y) => x > 10 && x < 70 && y > 7 && y < 14);
+  const paths = traceCenterlines(mask, 80, 20, SETTINGS);
+
+  assert.equal(paths.length, 1);
+  const [{ d, strokeWidth }] = paths;
+  assert.ok(!d.endsWith('Z'));
+  assert.equal(strokeWidth, 7);
+  for (const [x, y] of endpoints(d)) {
+    assert.equal(y, 10.5);
+    assert.ok(x >= 10 && x <= 70, `x ${x}`);
+  }
+  const [[x0], [x1]] = endpoints(d);
+  assert.ok(Math.abs(x1 - x0) >= 50, 'ось почти на всю длину полосы');
+
+  assert.deepEqual(traceCenterlines(mask, 80, 20, { ...SETTINGS, minLength: 60 }), [], 'обводка короче minLength');
+});
+
+test('traceCenterlines: кольцо — замкнутая обводка по средней окружности', () => {
+  const mask = createMask(60, 60, (x, y) => {
+    const r = Math.hypot(x - 30, y - 30);
+    return r >= 15 && r < 20;
+  });
+  const paths = traceCenterlines(mask, 60, 60, SETTINGS);
+
+  assert.equal(paths.length, 1);
+  assert.ok(paths[0].d.endsWith('Z'));
+  const [[x, y]] = endpoints(paths[0].d);
+  assert.ok(Math.abs(Math.hypot(x - 30, y - 30) - 17.5) <= 2, `начало (${x}, ${y})`);
+  assert.ok(Math.abs(paths[0].strokeWidth - 5) <= 1, `толщина ${paths[0].strokeWidth}`);
+});
+
+test('traceCenterlines: крест — четыре ветви от развилки, короткий штрих отбрасывается', () => {
+  const cross = createMask(80, 80, (x, y) => (x > 38 && x < 43 && y > 10 && y < 70) || (y > 38 && y < 43 && x > 10 && x < 70));
+  const paths = traceCenterlines(cross, 80, 80, SETTINGS);
+
+  assert.equal(paths.length, 4);
+  for (const { d } of paths) {
+    assert.ok(endpoints(d).some(([x, y]) => x === 40.5 && y === 40.5), `ветвь ${d} не начинается в развилке`);
+  }
+
+  const dot = createMask(40, 20, (x, y) => x > 10 && x < 15 && y > 8 && y < 12);
+  assert.deepEqual(traceCenterlines(dot, 40, 20, SETTINGS), []);
+});
+
+test('createCenterline: штрих на светлом фоне — обводка цветом краски, пустое изображение — ошибка', async () => {
+  const image = await sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="120" height="60">
+    <rect width="120" height="60" fill="#f0f0f0"/>
+    <path d="M10 30 L110 30" stroke="#202020" stroke-width="6"/>
+  </svg>`)).png().toBuffer();
+
+  const log = console.log;
+  console.log = () => {};
+  let result;
+  try {
+    result = await createCenterline(image, { inkColor: 'navy', strokeWidth: '3' });
+  } finally {
+    console.log = log;
+  }
+
+  assert.equal(result.width, 120);
+  assert.equal(result.height, 60);
+  assert.deepEqual(result.layers, [{ hex: '#000080', pathCount: 1, strokeWidth: 3 }]);
+  assert.match(result.svg, /<g id="Centerline_1_000080" data-color="#000080" data-stroke-width="3" fill="none" stroke="#000080"/);
+  const [d] = result.svg.match(/<path d="([^"]*)"/).slice(1);
+  for (const [, y] of endpoints(d)) assert.ok(Math.abs(y - 30) <= 1, `y ${y}`);
+
+  assert.throws(
+    () => createCenterlineSVG([{ hex: '#000000', mask: new Uint8Array(100) }], 10, 10, SETTINGS),
+    /не найдено штрихов/
+  );
+});
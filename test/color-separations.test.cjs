@@ -0,0 +1,80 @@
+/**
+ * Цветоделение: подложка под цветными слоями сжимается от внешнего контура рисунка и от выбивок
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSeparations } = require('../color-separations.cjs');
+const { flattenPathData, normalizeRings, groupShapes } = require('../path-boolean.cjs');
+
+const MM_TO_PT = 72 / 25.4;
+const PX_TO_PT = 0.75;
+const MARGIN = 15 * MM_TO_PT;
+const EPSILON = 0.05; // пт: округление координат пленки
+
+// Красный и синий слои стыкуются, белый круг сверху — выбивка подложки
+const ARTWORK = `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100" viewBox="0 0 200 100">
+  <path d="M10 10H90V90H10Z" fill="#d02020"/>
+  <path d="M90 10H190V90H90Z" fill="#2040c0"/>
+  <circle cx="50" cy="50" r="15" fill="#ffffff"/>
+</svg>`;
+
+/**
+ * Фигуры, которые пленка печатает (белые пути маски)
+ */
+function plateShapes(plate) {
+  const paths = [...plate.svg.matchAll(/<path d="([^"]*)" fill="#fff" fill-rule="(\w+)"\/>/g)];
+  const rings = paths.flatMap(([, d, fillRule]) => normalizeRings(flattenPathData(d), fillRule));
+  return groupShapes(normalizeRings(rings));
+}
+
+function ringBounds(ring) {
+  const xs = ring.map(point => point[0]);
+  const ys = ring.map(point => point[1]);
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+// Границы рисунка на пленке, пт
+const artworkBounds = {
+  minX: MARGIN + 10 * PX_TO_PT,
+  minY: MARGIN + 10 * PX_TO_PT,
+  maxX: MARGIN + 190 * PX_TO_PT,
+  maxY: MARGIN + 90 * PX_TO_PT
+};
+
+function separate(underbaseChoke) {
+  const result = createSeparations(ARTWORK, { underbase: true, underbaseChoke, garmentColor: '#202020' });
+  return result.plates.find(plate => plate.kind === 'underbase');
+}
+
+test('подложка без поджима совпадает с контуром рисунка', () => {
+  const shapes = plateShapes(separate(0));
+  assert.equal(shapes.length, 1);
+  const bounds = ringBounds(shapes[0].outer);
+  for (const key of Object.keys(artworkBounds)) {
+    assert.ok(Math.abs(bounds[key] - artworkBounds[key]) <= EPSILON, `${key}: ${bounds[key]} вместо ${artworkBounds[key]}`);
+  }
+});
+
+test('подложка с поджимом отступает от границ рисунка и от краев выбивки', () => {
+  const choke = 0.5 * MM_TO_PT;
+  const plate = separate(0.5);
+  assert.equal(plate.choked, true);
+
+  const shapes = plateShapes(plate);
+  assert.equal(shapes.length, 1);
+  const { outer, holes } = shapes[0];
+
+  const bounds = ringBounds(outer);
+  assert.ok(Math.abs(bounds.minX - (artworkBounds.minX + choke)) <= EPSILON, `minX ${bounds.minX}`);
+  assert.ok(Math.abs(bounds.minY - (artworkBounds.minY + choke)) <= EPSILON, `minY ${bounds.minY}`);
+  assert.ok(Math.abs(bounds.maxX - (artworkBounds.maxX - choke)) <= EPSILON, `maxX ${bounds.maxX}`);
+  assert.ok(Math.abs(bounds.maxY - (artworkBounds.maxY - choke)) <= EPSILON, `maxY ${bounds.maxY}`);
+
+  // Выбивка белого круга расширена на поджим (по габаритам — с допуском на аппроксимацию дуг)
+  assert.equal(holes.length, 1);
+  const hole = ringBounds(holes[0]);
+  const radius = 15 * PX_TO_PT + choke;
+  assert.ok(Math.abs((hole.maxX - hole.minX) / 2 - radius) <= 0.3, `радиус выбивки ${(hole.maxX - hole.minX) / 2}`);
+  assert.ok(Math.abs((hole.maxY - hole.minY) / 2 - radius) <= 0.3, `радиус выбивки ${(hole.maxY - hole.minY) / 2}`);
+});
@@ -0,0 +1,77 @@
+/**
+ * DST: план стежков → createDSTFile → readDSTFile дает тот же план
+ * Длинные перемещения делятся на записи по ±121, обрезка — серия прыжков (+2,+2)(−4,−4)(+2,+2)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDSTFile, readDSTFile } = require('../server/embroidery-converter.js');
+const { getStitchBounds, STITCH_COMMANDS } = require('../server/embroidery-digitizer.js');
+
+const { STITCH, JUMP, TRIM, COLOR_CHANGE, END } = STITCH_COMMANDS;
+
+function createPlan() {
+  const stitches = [
+    { x: 0, y: 0, command: STITCH },
+    { x: 300, y: -250, command: STITCH },   // 300 и 250 единиц — три записи
+    { x: 310, y: -240, command: STITCH },
+    { x: 310, y: -240, command: TRIM },
+    { x: -200, y: 150, command: JUMP },     // прыжок на 510 единиц — пять записей
+    { x: -190, y: 160, command: STITCH },
+    { x: -190, y: 160, command: COLOR_CHANGE },
+    { x: -190, y: 400, command: STITCH },   // 240 единиц — две записи
+    { x: 100, y: 400, command: STITCH },
+    { x: 100, y: 400, command: END }
+  ];
+  return { stitches, bounds: getStitchBounds(stitches) };
+}
+
+/**
+ * Стежки исходного плана в прочитанном: длинный стежок читается несколькими записями,
+ * промежуточные точки лежат на отрезке, последняя совпадает с исходной
+ */
+function assertStitchesMatch(original, decoded) {
+  let index = 0;
+  let prev = { x: 0, y: 0 };
+  for (const stitch of original) {
+    if (stitch.command === STITCH) {
+      for (;;) {
+        const current = decoded[index++];
+        assert.ok(current, `нет стежка (${stitch.x}, ${stitch.y})`);
+        assert.equal(current.command, STITCH);
+        assert.ok(Math.abs(current.x - prev.x) <= 121 && Math.abs(current.y - prev.y) <= 121, 'запись длиннее 121');
+        prev = current;
+        if (current.x === stitch.x && current.y === stitch.y) break;
+      }
+    } else {
+      const current = decoded[index++];
+      assert.deepEqual(current, { x: stitch.x, y: stitch.y, command: stitch.command });
+      prev = current;
+    }
+  }
+  assert.equal(index, decoded.length, 'лишние записи после конца плана');
+}
+
+test('DST: стежки, прыжки, обрезка, смена цвета и конец переживают запись и чтение', () => {
+  const plan = createPlan();
+  const decoded = readDSTFile(createDSTFile(plan, 'ROUNDTRIP'));
+
+  assertStitchesMatch(plan.stitches, decoded.stitches);
+  assert.equal(decoded.trims, 1);
+  assert.equal(decoded.colorChanges, 1);
+  assert.equal(decoded.colorCount, 2);
+  assert.deepEqual(decoded.bounds, plan.bounds);
+});
+
+test('DST: заголовок содержит число записей, цветов, габариты и конечную точку', () => {
+  const plan = createPlan();
+  const buffer = createDSTFile(plan, 'ROUNDTRIP');
+  const { header } = readDSTFile(buffer);
+
+  assert.equal(header.label, 'ROUNDTRIP');
+  assert.equal(header.stitchCount, (buffer.length - 512) / 3);
+  assert.equal(header.colorChanges, 1);
+  // Ось Y в DST направлена вверх: +Y — верхний край плана (minY), −Y — нижний (maxY)
+  assert.deepEqual(header.extents, { plusX: 310, minusX: 190, plusY: 250, minusY: 400 });
+  assert.deepEqual(header.endPoint, { x: 100, y: -400 });
+});
@@ -0,0 +1,212 @@
+/**
+ * EXP и VP3: план стежков → файл → разбор записей дает те же проколы
+ * EXP — пары смещений (ось Y вверх), команды с префиксом 0x80; VP3 — вложенные блоки,
+ * стежки по блокам цветов, прыжки сливаются со следующим стежком
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEXPFile, createVP3File } = require('../server/embroidery-converter.js');
+const { getStitchBounds, STITCH_COMMANDS } = require('../server/embroidery-digitizer.js');
+
+const { STITCH, JUMP, TRIM, COLOR_CHANGE, END } = STITCH_COMMANDS;
+
+function createPlan() {
+  const stitches = [
+    { x: 0, y: 0, command: STITCH },
+    { x: 300, y: -250, command: STITCH },   // длиннее 127 — несколько записей EXP, длинная запись VP3
+    { x: 310, y: -240, command: STITCH },
+    { x: 310, y: -240, command: TRIM },
+    { x: -200, y: 150, command: JUMP },
+    { x: -190, y: 160, command: STITCH },
+    { x: -190, y: 160, command: COLOR_CHANGE },
+    { x: -190, y: 400, command: STITCH },
+    { x: 100, y: 400, command: STITCH },
+    { x: 100, y: 400, command: END }
+  ];
+  const colors = [
+    { hex: '#d02020', rgb: { r: 208, g: 32, b: 32 }, threadColor: { name: 'Красный' } },
+    { hex: '#2040c0', rgb: { r: 32, g: 64, b: 192 }, threadColor: { name: 'Синий' } }
+  ];
+  return { stitches, colors, bounds: getStitchBounds(stitches) };
+}
+
+const int8 = byte => (byte > 127 ? byte - 256 : byte);
+
+/**
+ * Разбор EXP: {x, y, command} после каждой записи (ось Y обратно вниз)
+ */
+function readEXP(buffer) {
+  const records = [];
+  let x = 0, y = 0;
+  for (let i = 0; i < buffer.length;) {
+    if (buffer[i] === 0x80 && buffer[i + 1] === 0x04) {
+      x += int8(buffer[i + 2]);
+      y -= int8(buffer[i + 3]);
+      records.push({ x, y, command: JUMP });
+      i += 4;
+    } else if (buffer[i] === 0x80 && buffer[i + 1] === 0x80 && buffer[i + 2] === 0x07) {
+      records.push({ x, y, command: TRIM });
+      i += 4;
+    } else if (buffer[i] === 0x80 && buffer[i + 1] === 0x01) {
+      records.push({ x, y, command: COLOR_CHANGE });
+      i += 4;
+    } else {
+      x += int8(buffer[i]);
+      y -= int8(buffer[i + 1]);
+      records.push({ x, y, command: STITCH });
+      i += 2;
+    }
+  }
+  return records;
+}
+
+test('EXP: стежки, прыжки, обрезка и смена цвета переживают запись и чтение', () => {
+  const plan = createPlan();
+  const records = readEXP(createEXPFile(plan));
+
+  // Длинное перемещение — несколько записей той же команды, последняя приходит в точку плана
+  let index = 0;
+  for (const stitch of plan.stitches.filter(s => s.command !== END)) {
+    let record;
+    do {
+      record = records[index++];
+      assert.ok(record, `нет записи (${stitch.x}, ${stitch.y})`);
+      assert.equal(record.command, stitch.command);
+    } while (record.x !== stitch.x || record.y !== stitch.y);
+  }
+  assert.equal(index, records.length, 'лишние записи после конца плана');
+});
+
+test('EXP: смещение записи не выходит за ±127 и не совпадает с префиксом команды', () => {
+  const buffer = createEXPFile(createPlan());
+  for (let i = 0; i < buffer.length;) {
+    if (buffer[i] === 0x80) {
+      assert.ok([0x01, 0x04, 0x80].includes(buffer[i + 1]), `неизвестная команда 0x80 0x${buffer[i + 1].toString(16)}`);
+      i += 4;
+    } else {
+      assert.notEqual(buffer[i + 1], 0x80);
+      i += 2;
+    }
+  }
+});
+
+/**
+ * Читатель VP3 (big-endian)
+ */
+function createReader(buffer, offset = 0) {
+  return {
+    offset,
+    int8() { return buffer.readInt8(this.offset++); },
+    uint8() { return buffer[this.offset++]; },
+    int16() { const v = buffer.readInt16BE(this.offset); this.offset += 2; return v; },
+    int32() { const v = buffer.readInt32BE(this.offset); this.offset += 4; return v; },
+    bytes(n) { const v = buffer.subarray(this.offset, this.offset + n); this.offset += n; return v; },
+    string8() { return this.bytes(this.int16()).toString('utf8'); },
+    string16() { return Buffer.from(this.bytes(this.int16())).swap16().toString('utf16le'); },
+    block(tag) {
+      assert.deepEqual([...this.bytes(3)], tag, `тег блока ${tag}`);
+      const length = this.int32();
+      return { end: this.offset + length, length };
+    }
+  };
+}
+
+function readVP3(buffer) {
+  const reader = createReader(buffer);
+  const magic = reader.bytes(6).toString('latin1');
+  const producer = reader.string16();
+
+  const file = reader.block([0x00, 0x02, 0x00]);
+  assert.equal(file.end, buffer.length, 'блок файла до конца файла');
+  reader.string16();
+  const extents = { maxX: reader.int32(), minusMinY: reader.int32(), minX: reader.int32(), minusMaxY: reader.int32() };
+  const stitchCount = reader.int32();
+  const colorCount = reader.int16();
+  reader.bytes(3);
+
+  const design = reader.block([0x00, 0x03, 0x00]);
+  assert.equal(design.end, buffer.length);
+  const center = { x: reader.int32() / 100, y: -reader.int32() / 100 };
+  reader.bytes(3 + 6 * 4);
+  reader.string16();
+  reader.bytes(2 + 4 * 4 + 6);
+  reader.string16();
+  assert.equal(reader.int16(), colorCount);
+
+  const blocks = [];
+  for (let i = 0; i < colorCount; i++) {
+    const block = reader.block([0x00, 0x05, 0x00]);
+    const start = { x: reader.int32() / 100 + center.x, y: -reader.int32() / 100 + center.y };
+    reader.bytes(2);
+    const rgb = [...reader.bytes(3)];
+    reader.bytes(4);
+    const hex = reader.string8();
+    const name = reader.string8();
+    reader.string8();
+    reader.bytes(8);
+
+    const data = reader.block([0x00, 0x01, 0x00]);
+    assert.deepEqual([...reader.bytes(3)], [0x0A, 0xF6, 0x00]);
+    const stitches = [];
+    let { x, y } = start;
+    while (reader.offset < data.end) {
+      if (buffer[reader.offset] === 0x80) {
+        reader.uint8();
+        const command = reader.uint8();
+        if (command === 0x03) {
+          stitches.push({ x, y, command: TRIM });
+          continue;
+        }
+        assert.equal(command, 0x01);
+        x += reader.int16();
+        y += reader.int16();
+        assert.deepEqual([reader.uint8(), reader.uint8()], [0x80, 0x02]);
+      } else {
+        x += reader.int8();
+        y += reader.int8();
+      }
+      stitches.push({ x, y, command: STITCH });
+    }
+    reader.int8();
+    assert.equal(reader.offset, block.end, `длина блока цвета ${i + 1}`);
+    blocks.push({ rgb, hex, name, stitches });
+  }
+
+  return { magic, producer, extents, stitchCount, colorCount, blocks };
+}
+
+test('VP3: заголовок, габариты и нитки блоков цветов', () => {
+  const plan = createPlan();
+  const vp3 = readVP3(createVP3File(plan));
+
+  assert.equal(vp3.magic, '%vsm%\0');
+  assert.equal(vp3.producer, 'Produced by BOOOMERANGS');
+  assert.equal(vp3.stitchCount, plan.stitches.length);
+  assert.equal(vp3.colorCount, 2);
+  // Габариты в микрометрах, ось Y вверх
+  assert.deepEqual(vp3.extents, {
+    maxX: plan.bounds.maxX * 100,
+    minusMinY: -plan.bounds.minY * 100,
+    minX: plan.bounds.minX * 100,
+    minusMaxY: -plan.bounds.maxY * 100
+  });
+  assert.deepEqual(vp3.blocks.map(block => [block.rgb, block.hex, block.name]), [
+    [[208, 32, 32], '#D02020', 'Красный'],
+    [[32, 64, 192], '#2040C0', 'Синий']
+  ]);
+});
+
+test('VP3: стежки блоков цветов переживают запись и чтение', () => {
+  const plan = createPlan();
+  const vp3 = readVP3(createVP3File(plan));
+
+  // Блоки делятся сменой цвета; прыжок не пишется — игла приходит к следующему стежку
+  const expected = [[], []];
+  let block = 0;
+  for (const stitch of plan.stitches) {
+    if (stitch.command === COLOR_CHANGE) block++;
+    else if (stitch.command === STITCH || stitch.command === TRIM) expected[block].push(stitch);
+  }
+  assert.deepEqual(vp3.blocks.map(b => b.stitches), expected);
+});
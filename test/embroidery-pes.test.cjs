@@ -0,0 +1,144 @@
+/**
+ * PES v1: заголовок PES указывает на секцию PEC; в PEC — имя, нитки Brother,
+ * блок стежков (7 и 12 бит на ось, флаги прыжка и обрезки) и иконки по цветам
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPESFile } = require('../server/embroidery-converter.js');
+const { getStitchBounds, STITCH_COMMANDS } = require('../server/embroidery-digitizer.js');
+
+const { STITCH, JUMP, TRIM, COLOR_CHANGE, END } = STITCH_COMMANDS;
+
+const PES_HEADER_LENGTH = 22;
+const PEC_HEADER_LENGTH = 512;
+const STITCH_BLOCK_HEADER_LENGTH = 16;
+const ICON_LENGTH = (48 / 8) * 38;
+
+function createPlan(scale = 1) {
+  const stitches = [
+    { x: 0, y: 0, command: STITCH },
+    { x: 300, y: -250, command: STITCH },   // длинная форма (12 бит)
+    { x: 310, y: -240, command: STITCH },   // короткая (7 бит)
+    { x: 310, y: -240, command: TRIM },
+    { x: -200, y: 150, command: JUMP },     // прыжок с флагом обрезки
+    { x: -190, y: 160, command: STITCH },
+    { x: -190, y: 160, command: COLOR_CHANGE },
+    { x: -190, y: 400, command: STITCH },
+    { x: 100, y: 400, command: STITCH },
+    { x: 100, y: 400, command: END }
+  ].map(stitch => ({ ...stitch, x: stitch.x * scale, y: stitch.y * scale }));
+  // Цвета совпадают с нитками Brother 5 (Red) и 2 (Blue)
+  const colors = [
+    { hex: '#ed171f', rgb: { r: 237, g: 23, b: 31 } },
+    { hex: '#0a55a3', rgb: { r: 10, g: 85, b: 163 } }
+  ];
+  return { stitches, colors, bounds: getStitchBounds(stitches) };
+}
+
+function readSigned(value, bits) {
+  return value >= 1 << (bits - 1) ? value - (1 << bits) : value;
+}
+
+/**
+ * Разбор блока стежков PEC до 0xFF: {x, y, command}; обрезка — флаг 0x20 прыжка
+ */
+function readPECStitches(buffer, offset) {
+  const records = [];
+  let x = 0, y = 0;
+  let i = offset;
+
+  const readAxis = () => {
+    const b0 = buffer[i];
+    if (b0 & 0x80) {
+      const value = ((b0 << 8) | buffer[i + 1]);
+      i += 2;
+      return { delta: readSigned(value & 0x0FFF, 12), flags: (value >> 8) & 0x70 };
+    }
+    i += 1;
+    return { delta: readSigned(b0, 7), flags: 0 };
+  };
+
+  while (buffer[i] !== 0xFF) {
+    if (buffer[i] === 0xFE && buffer[i + 1] === 0xB0) {
+      records.push({ x, y, command: COLOR_CHANGE });
+      i += 3;
+      continue;
+    }
+    const dx = readAxis();
+    const dy = readAxis();
+    const flags = dx.flags | dy.flags;
+    if (flags & 0x20 && records[records.length - 1].command !== JUMP) {
+      records.push({ x, y, command: TRIM });
+    }
+    x += dx.delta;
+    y += dy.delta;
+    records.push({ x, y, command: flags & 0x30 ? JUMP : STITCH });
+  }
+
+  return { records, end: i + 1 };
+}
+
+function readPES(buffer) {
+  const pec = buffer.readInt32LE(8);
+  const colorCount = buffer[pec + 48] + 1;
+  const block = pec + PEC_HEADER_LENGTH;
+  const { records, end } = readPECStitches(buffer, block + STITCH_BLOCK_HEADER_LENGTH);
+
+  return {
+    signature: buffer.toString('ascii', 0, 8),
+    pecOffset: pec,
+    scaleToFit: buffer.readInt16LE(12),
+    hoop: buffer.readInt16LE(14),
+    objectCount: buffer.readInt16LE(16),
+    label: buffer.toString('ascii', pec, pec + 20),
+    colorIndices: [...buffer.subarray(pec + 49, pec + 49 + colorCount)],
+    blockLength: buffer.readUIntLE(block + 2, 3),
+    width: buffer.readInt16LE(block + 8),
+    height: buffer.readInt16LE(block + 10),
+    stitchEnd: end,
+    records,
+    icons: (buffer.length - end) / ICON_LENGTH
+  };
+}
+
+test('PES: заголовок указывает на секцию PEC с именем, нитками Brother и габаритами', () => {
+  const plan = createPlan();
+  const pes = readPES(createPESFile(plan, 'ROUNDTRIP'));
+
+  assert.equal(pes.signature, '#PES0001');
+  assert.equal(pes.pecOffset, PES_HEADER_LENGTH);
+  assert.equal(pes.scaleToFit, 1);
+  assert.equal(pes.hoop, 0); // 51x65 мм — пяльцы 100x100
+  assert.equal(pes.objectCount, 0);
+  assert.equal(pes.label, `LA:${'ROUNDTRI'.padEnd(16)}\r`); // метка PEC — не длиннее 8 символов
+  assert.deepEqual(pes.colorIndices, [5, 2]);
+  assert.equal(pes.width, plan.bounds.maxX - plan.bounds.minX);
+  assert.equal(pes.height, plan.bounds.maxY - plan.bounds.minY);
+
+  // Длина блока стежков включает его заголовок; после блока — общая иконка и по одной на цвет
+  assert.equal(pes.stitchEnd, PES_HEADER_LENGTH + PEC_HEADER_LENGTH + pes.blockLength);
+  assert.equal(pes.icons, 1 + plan.colors.length);
+});
+
+test('PES: большой дизайн — пяльцы 130x180', () => {
+  const pes = readPES(createPESFile(createPlan(2), 'LARGE'));
+  assert.equal(pes.hoop, 1);
+});
+
+test('PEC: стежки, прыжки, обрезка и смена цвета переживают запись и чтение', () => {
+  const plan = createPlan();
+  const { records } = readPES(createPESFile(plan, 'ROUNDTRIP'));
+
+  // Последняя запись команды приходит в точку плана; перед стежком после прыжка PEC пишет пустой стежок
+  let index = 0;
+  for (const stitch of plan.stitches.filter(s => s.command !== END)) {
+    let record;
+    do {
+      record = records[index++];
+      assert.ok(record, `нет записи (${stitch.x}, ${stitch.y})`);
+      assert.equal(record.command, stitch.command);
+    } while (record.x !== stitch.x || record.y !== stitch.y);
+  }
+  assert.equal(index, records.length, 'лишние записи после конца плана');
+});
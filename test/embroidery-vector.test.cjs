@@ -0,0 +1,81 @@
+/**
+ * Оцифровка SVG по контурам путей: стежки заливки не выходят за край фигуры
+ * и обходят вышележащую фигуру, тип стежка выбирается по ширине фигуры
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { prepareSVGForEmbroidery } = require('../server/embroidery-converter.js');
+const { digitizeShapes, STITCH_COMMANDS } = require('../server/embroidery-digitizer.js');
+
+const { STITCH, COLOR_CHANGE } = STITCH_COMMANDS;
+const TOLERANCE = 5; // 0.5 мм: закрепка и округление до единиц вышивки
+
+// Без размера дизайна единица SVG — миллиметр, начало плана — центр холста (30, 20)
+const SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="60" height="40">
+  <rect width="60" height="40" fill="#ffffff"/>
+  <rect x="5" y="5" width="30" height="30" fill="#d02020"/>
+  <circle cx="20" cy="20" r="8" fill="#2040c0"/>
+  <path d="M40 5 C50 10 50 30 40 35" fill="none" stroke="#000000" stroke-width="2"/>
+  <path d="M45 5 L55 35" fill="none" stroke="#20a040" stroke-width="0.5"/>
+  <path d="M38 38 L58 38" fill="none" stroke="#806000" stroke-width="5"/>
+</svg>`;
+
+function digitize() {
+  const design = prepareSVGForEmbroidery(Buffer.from(SVG), 'dst');
+  return digitizeShapes(design, design.colorPalette);
+}
+
+/**
+ * Точки проколов по цвету нитки
+ */
+function stitchesByColor(plan) {
+  const byColor = new Map(plan.colors.map(color => [color.hex, []]));
+  let block = 0;
+  for (const stitch of plan.stitches) {
+    if (stitch.command === COLOR_CHANGE) block++;
+    else if (stitch.command === STITCH) byColor.get(plan.colors[block].hex).push(stitch);
+  }
+  return byColor;
+}
+
+test('SVG: фон не вышивается, тип стежка — по ширине пути', () => {
+  const plan = digitize();
+  assert.equal(plan.backgroundColor, '#ffffff');
+  assert.equal(plan.width, 600);
+  assert.equal(plan.height, 400);
+
+  const types = Object.fromEntries(plan.regions.map(region => [region.color, region.type]));
+  assert.deepEqual(types, {
+    '#d02020': 'fill',
+    '#2040c0': 'fill',
+    '#000000': 'column',  // обводка 2 мм — гладь вдоль линии
+    '#20a040': 'running', // 0.5 мм — бегущий стежок
+    '#806000': 'fill'     // 5 мм — шире satinMaxWidth, заливка контура обводки
+  });
+});
+
+test('SVG: заливка держится точного края и обходит фигуру выше', () => {
+  const red = stitchesByColor(digitize()).get('#d02020');
+  assert.ok(red.length > 100);
+
+  const xs = red.map(stitch => stitch.x);
+  const ys = red.map(stitch => stitch.y);
+  // Квадрат 5..35 мм → −250..50 и −150..150 единиц
+  assert.ok(Math.abs(Math.min(...xs) + 250) <= TOLERANCE, `minX ${Math.min(...xs)}`);
+  assert.ok(Math.abs(Math.max(...xs) - 50) <= TOLERANCE, `maxX ${Math.max(...xs)}`);
+  assert.ok(Math.abs(Math.min(...ys) + 150) <= TOLERANCE, `minY ${Math.min(...ys)}`);
+  assert.ok(Math.abs(Math.max(...ys) - 150) <= TOLERANCE, `maxY ${Math.max(...ys)}`);
+
+  // Синий круг r = 8 мм с центром (20, 20) → (−100, 0)
+  const inside = red.filter(stitch => Math.hypot(stitch.x + 100, stitch.y) < 80 - TOLERANCE);
+  assert.deepEqual(inside, [], 'красные стежки под синим кругом');
+});
+
+test('SVG: гладь обводки — на всю толщину линии', () => {
+  const black = stitchesByColor(digitize()).get('#000000');
+  // Кривая от (40, 5) до (40, 35) с выпуклостью до x = 47.5 мм, толщина 2 мм
+  const xs = black.map(stitch => stitch.x);
+  assert.ok(Math.abs(Math.min(...xs) - 90) <= TOLERANCE, `minX ${Math.min(...xs)}`);
+  assert.ok(Math.abs(Math.max(...xs) - 185) <= TOLERANCE, `maxX ${Math.max(...xs)}`);
+});
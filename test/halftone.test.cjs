@@ -0,0 +1,66 @@
+/**
+ * Растрирование: отмена останавливает растрирование между красками в текущем потоке
+ * и во время этапа краски в пуле потоков
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { createHalftone, screenInk } = require('../halftone.cjs');
+const { halftoneVectorize, configureWorkerPool, getWorkerPoolStats } = require('../advanced-vectorizer.cjs');
+
+function createGradient(width, height) {
+  return sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    <defs><linearGradient id="g"><stop offset="0" stop-color="#20a0e0"/><stop offset="1" stop-color="#c02060"/></linearGradient></defs>
+    <rect width="${width}" height="${height}" fill="url(#g)"/>
+  </svg>`)).png().toBuffer();
+}
+
+test('createHalftone: отмена после первой краски останавливает растрирование', async () => {
+  const image = await createGradient(200, 150);
+  const controller = new AbortController();
+  const screened = [];
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await assert.rejects(
+      createHalftone(image, { channels: 'cmyk', signal: controller.signal }, (...args) => {
+        screened.push(args[3]);
+        controller.abort();
+        return screenInk(...args);
+      }),
+      { name: 'AbortError' }
+    );
+  } finally {
+    console.log = log;
+  }
+  assert.deepEqual(screened, [15], 'растрирована только первая краска');
+});
+
+test('halftoneVectorize: отмена во время этапа в пуле потоков останавливает поток', async () => {
+  const image = await createGradient(1200, 900);
+  const controller = new AbortController();
+
+  const log = console.log;
+  console.log = () => {};
+  configureWorkerPool({ size: 1 });
+  try {
+    const running = halftoneVectorize(image, { channels: 'cmyk', signal: controller.signal });
+    // Отмена, когда краска растрируется в потоке
+    const deadline = Date.now() + 10000;
+    while (getWorkerPoolStats().busy === 0) {
+      assert.ok(Date.now() < deadline, 'краска не передана в пул потоков');
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    controller.abort();
+
+    const result = await running;
+    assert.equal(result.success, false);
+    assert.match(result.error, /отменена/);
+    assert.equal(getWorkerPoolStats().busy, 0);
+  } finally {
+    configureWorkerPool({ size: 0 });
+    console.log = log;
+  }
+});
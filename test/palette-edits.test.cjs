@@ -0,0 +1,131 @@
+/**
+ * Правка палитры: проверка правок по палитре результата, слияние, удаление и перекраска слоев,
+ * сборка SVG в порядке наложения от темных к светлым
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizePaletteEdits,
+  parseLayerGroups,
+  applyPaletteEdits,
+  readLayerPaths,
+  renderLayerGroups
+} = require('../palette-edits.cjs');
+
+// Разметка слоев как у createLayerSVG: черный, красный со спот-цветом, светло-красный, белый
+const SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">
+  <metadata><!-- Layers: 4, Paths: 5, Format: svg --></metadata>
+  <g id="Layer_1_1a1a1a" data-layer-index="0" data-color="#1A1A1A">
+    <path d="M0 0H10V10Z" fill="#1A1A1A" fill-rule="evenodd"/>
+  </g>
+  <g id="Layer_2_e4002b" data-layer-index="1" data-color="#E4002B" data-spot-name="Fire Red" data-spot-book="Test" data-spot-hex="#E4002B" data-spot-delta-e="2.1" data-original-color="#E01030">
+    <path d="M10 10H20V20Z" fill="#E4002B"/>
+    <path d="M30 30H40V40Z" fill="#E4002B" opacity="0.5" style="mix-blend-mode: multiply"/>
+  </g>
+  <g id="Layer_3_f06070" data-layer-index="2" data-color="#F06070">
+    <path d="M50 50H60V60Z" fill="#F06070"/>
+  </g>
+  <g id="Layer_4_ffffff" data-layer-index="3" data-color="#FFFFFF">
+    <path d="M70 70H80V80Z" fill="#FFFFFF"/>
+  </g>
+</svg>`;
+
+const PALETTE = ['#1a1a1a', '#E4002B', 'f06070', '#FFFFFF'];
+
+function brightness(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return (0.299 * (value >> 16) + 0.587 * ((value >> 8) & 0xFF) + 0.114 * (value & 0xFF)) / 255;
+}
+
+test('normalizePaletteEdits: цвета к #RRGGBB, правки применяются к палитре по порядку', () => {
+  const edits = normalizePaletteEdits(JSON.stringify([
+    { op: 'replace', color: 'e4002b', with: '#c00020' },
+    { op: 'merge', colors: ['#C00020', '#f06070', '#c00020'] },
+    { op: 'remove', color: '#ffffff' }
+  ]), PALETTE);
+
+  assert.deepEqual(edits, [
+    { op: 'replace', color: '#E4002B', with: '#C00020' },
+    { op: 'merge', colors: ['#C00020', '#F06070'], into: '#C00020' },
+    { op: 'remove', color: '#FFFFFF' }
+  ]);
+});
+
+test('normalizePaletteEdits: ошибки называют правку и цвет', () => {
+  assert.throws(() => normalizePaletteEdits('[{'), /не являются корректным JSON/);
+  assert.throws(() => normalizePaletteEdits([]), /непустым массивом/);
+  assert.throws(() => normalizePaletteEdits(Array(51).fill({ op: 'remove', color: '#FFFFFF' })), /максимум 50/);
+  assert.throws(() => normalizePaletteEdits([{ op: 'recolor' }]), /Неизвестная правка палитры №1: recolor/);
+  assert.throws(() => normalizePaletteEdits([{ op: 'remove', color: 'red' }]), /Неверный цвет в поле color: red/);
+  assert.throws(() => normalizePaletteEdits([{ op: 'remove', color: '#123456' }], PALETTE), /Цвета #123456 нет в палитре/);
+  assert.throws(() => normalizePaletteEdits([{ op: 'merge', colors: '#FFFFFF' }]), /массив colors/);
+  assert.throws(() => normalizePaletteEdits([{ op: 'merge', colors: ['#FFFFFF', '#ffffff'] }]), /минимум два разных цвета/);
+  assert.throws(
+    () => normalizePaletteEdits([{ op: 'replace', color: '#E4002B', with: '#FFFFFF' }], PALETTE),
+    /#FFFFFF уже есть в палитре — чтобы объединить слои, используйте merge/
+  );
+  assert.throws(
+    () => normalizePaletteEdits([{ op: 'merge', colors: ['#E4002B', '#F06070'], into: '#FFFFFF' }], PALETTE),
+    /#FFFFFF уже есть в палитре — добавьте его в colors/
+  );
+  // Удаленный цвет недоступен следующим правкам
+  assert.throws(
+    () => normalizePaletteEdits([{ op: 'remove', color: '#FFFFFF' }, { op: 'remove', color: '#FFFFFF' }], PALETTE),
+    /Цвета #FFFFFF нет в палитре/
+  );
+});
+
+test('parseLayerGroups: цвета слоев и исходные цвета масок', () => {
+  const { layers, prefix, suffix } = parseLayerGroups(SVG);
+  assert.deepEqual(layers.map(layer => layer.color), ['#1A1A1A', '#E4002B', '#F06070', '#FFFFFF']);
+  assert.deepEqual(layers[1].sourceColors, ['#E01030'], 'спот-цвет: маска исходного цвета');
+  assert.deepEqual(layers[2].sourceColors, ['#F06070']);
+  assert.ok(prefix.includes('<!-- Layers: 4,'));
+  assert.equal(suffix, '\n</svg>');
+
+  assert.deepEqual(readLayerPaths(layers[1].body), [
+    { d: 'M10 10H20V20Z', fill: '#E4002B', fillRule: 'nonzero', opacity: 1, blendMode: undefined },
+    { d: 'M30 30H40V40Z', fill: '#E4002B', fillRule: 'nonzero', opacity: 0.5, blendMode: 'multiply' }
+  ]);
+  assert.throws(() => parseLayerGroups('<svg></svg>'), /нет слоев цветов/);
+});
+
+test('applyPaletteEdits: слияние трассируется заново, перекраска меняет только цвет', () => {
+  const { layers } = parseLayerGroups(SVG);
+  const edits = normalizePaletteEdits([
+    { op: 'merge', colors: ['#E4002B', '#F06070'], into: '#F06070' },
+    { op: 'replace', color: '#1A1A1A', with: '#202020' },
+    { op: 'remove', color: '#FFFFFF' }
+  ], PALETTE);
+  const result = applyPaletteEdits(layers, edits);
+
+  assert.deepEqual(result.layers.map(layer => layer.color), ['#202020', '#F06070']);
+  assert.deepEqual(result.retrace.map(layer => layer.color), ['#F06070']);
+  assert.deepEqual(result.retrace[0].sourceColors, ['#E01030', '#F06070']);
+
+  const recolored = result.layers[0];
+  assert.equal(recolored.retrace, false);
+  assert.ok(recolored.body.includes('fill="#202020"') && !recolored.body.includes('#1A1A1A'));
+  assert.ok(recolored.body.includes('d="M0 0H10V10Z"'), 'пути перекрашенного слоя сохраняются');
+});
+
+test('renderLayerGroups: порядок от темных к светлым, ID перенумерованы, спот-атрибуты только у нетронутых слоев', () => {
+  const document = parseLayerGroups(SVG);
+  const edits = normalizePaletteEdits([
+    { op: 'replace', color: '#FFFFFF', with: '#101010' },
+    { op: 'merge', colors: ['#1A1A1A', '#F06070'], into: '#1A1A1A' }
+  ], PALETTE);
+  const { layers } = applyPaletteEdits(document.layers, edits);
+  const svg = renderLayerGroups(document, layers, brightness);
+
+  // Перекрашенный слой помнит цвет своей маски — он нужен для повторной трассировки при слиянии
+  const tags = [...svg.matchAll(/<g [^>]*>/g)].map(([tag]) => tag);
+  assert.deepEqual(tags, [
+    '<g id="Layer_1_101010" data-layer-index="0" data-color="#101010" data-source-colors="#FFFFFF">',
+    '<g id="Layer_2_1a1a1a" data-layer-index="1" data-color="#1A1A1A" data-source-colors="#1A1A1A,#F06070">',
+    '<g id="Layer_3_e4002b" data-layer-index="2" data-color="#E4002B" data-spot-name="Fire Red" data-spot-book="Test" data-spot-hex="#E4002B" data-spot-delta-e="2.1" data-original-color="#E01030">'
+  ]);
+  assert.ok(svg.includes('<!-- Layers: 3,'));
+  assert.ok(svg.includes('<path d="M10 10H20V20Z" fill="#E4002B"/>'), 'нетронутый слой переносится как есть');
+});
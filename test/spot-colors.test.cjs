@@ -0,0 +1,99 @@
+/**
+ * Спот-цвета: CIEDE2000 по эталонным парам Sharma, Wu, Dalal (2005),
+ * подбор ближайшего образца, проверка книг и разбор параметров векторизатора
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ciede2000 } = require('../color-science.cjs');
+const {
+  parseSwatchBook,
+  loadSwatchBook,
+  selectSpotColors,
+  matchSpotColor,
+  resolveSpotOptions,
+  DEFAULT_SPOT_BOOK
+} = require('../spot-colors.cjs');
+
+const lab = (L, a, b) => ({ L, a, b });
+
+test('CIEDE2000 совпадает с эталонными парами', () => {
+  const pairs = [
+    [lab(50, 2.6772, -79.7751), lab(50, 0, -82.7485), 2.0425],
+    [lab(50, 0, 0), lab(50, -1, 2), 2.3669],
+    [lab(50, 2.5, 0), lab(73, 25, -18), 27.1492],
+    [lab(50, 2.5, 0), lab(50, 3.1736, 0.5854), 1.0000],
+    [lab(60.2574, -34.0099, 36.2677), lab(60.4626, -34.1751, 39.4387), 1.2644],
+    [lab(22.7233, 20.0904, -46.6940), lab(23.0331, 14.9730, -42.5619), 2.0373],
+    [lab(2.0776, 0.0795, -1.1350), lab(0.9033, -0.0636, -0.5514), 0.9082]
+  ];
+  for (const [first, second, expected] of pairs) {
+    assert.equal(Number(ciede2000(first, second).toFixed(4)), expected);
+    assert.equal(Number(ciede2000(second, first).toFixed(4)), expected, 'симметричность');
+  }
+  assert.equal(ciede2000(lab(50, 10, -10), lab(50, 10, -10)), 0);
+});
+
+const BOOK = {
+  book: 'Test Inks',
+  colors: [
+    { name: 'Fire Red', hex: '#e4002b' },
+    { name: 'Royal Blue', hex: '#1f3f99' },
+    { name: 'Kelly Green', hex: '#00843d' },
+    { name: 'Dark Red', hex: '#7a1f2b' }
+  ]
+};
+
+test('matchSpotColor: ближайший образец по CIEDE2000 и ограничение выбранными цветами', () => {
+  const book = parseSwatchBook(BOOK, 'test');
+
+  assert.deepEqual(matchSpotColor({ r: 228, g: 0, b: 43 }, book), { book: 'Test Inks', name: 'Fire Red', hex: '#E4002B', deltaE: 0 });
+  const near = matchSpotColor({ r: 20, g: 70, b: 160 }, book);
+  assert.equal(near.name, 'Royal Blue');
+  assert.ok(near.deltaE > 0 && near.deltaE < 10, `ΔE ${near.deltaE}`);
+
+  // Без красных образцов красный подбирается к ближайшему из оставшихся
+  const swatches = selectSpotColors(book, ['Royal Blue', 'Kelly Green']);
+  assert.notEqual(matchSpotColor({ r: 228, g: 0, b: 43 }, book, swatches).name, 'Fire Red');
+});
+
+test('parseSwatchBook: HEX в верхнем регистре, ошибки в книге называют цвет', () => {
+  const book = parseSwatchBook(JSON.stringify(BOOK), 'json');
+  assert.equal(book.id, 'json');
+  assert.equal(book.book, 'Test Inks');
+  assert.equal(book.colors[0].hex, '#E4002B');
+  assert.ok(book.colors.every(color => Number.isFinite(color.lab.L)));
+
+  assert.throws(() => parseSwatchBook('{colors:'), /не является корректным JSON/);
+  assert.throws(() => parseSwatchBook({ colors: [] }), /непустой массив colors/);
+  assert.throws(() => parseSwatchBook({ colors: [{ hex: '#ffffff' }] }), /цвета №1 нет названия/);
+  assert.throws(() => parseSwatchBook({ colors: [{ name: 'Mint', hex: '#12345' }] }), /Неверный HEX у цвета "Mint"/);
+  const huge = { colors: Array.from({ length: 2001 }, (_, i) => ({ name: `C${i}`, hex: '#000000' })) };
+  assert.throws(() => parseSwatchBook(huge), /слишком большая/);
+});
+
+test('selectSpotColors: названия без учета регистра и префикса PANTONE, неизвестные — ошибка', () => {
+  const book = loadSwatchBook(DEFAULT_SPOT_BOOK);
+  const [color] = selectSpotColors(book, ['pantone  186 c']);
+  assert.equal(color.name, 'PANTONE 186 C');
+  assert.deepEqual(selectSpotColors(book, ['186 C', 'PANTONE 186 C']), [color], 'повторы не дублируются');
+  assert.throws(() => selectSpotColors(book, ['186 C', 'Нет такого']), /нет цветов: Нет такого/);
+});
+
+test('resolveSpotOptions: списки из формы, книга по умолчанию, без подбора — null', () => {
+  assert.equal(resolveSpotOptions({}), null);
+  assert.equal(resolveSpotOptions({ spotColors: ' , ' }), null);
+
+  const fromList = resolveSpotOptions({ spotColors: '186 C, 286 C', snapToSpot: 'true' });
+  assert.equal(fromList.book.id, DEFAULT_SPOT_BOOK);
+  assert.deepEqual(fromList.swatches.map(color => color.name), ['PANTONE 186 C', 'PANTONE 286 C']);
+  assert.equal(fromList.snap, true);
+
+  const fromJson = resolveSpotOptions({ swatchBook: JSON.stringify(BOOK), spotColors: '["Dark Red"]' });
+  assert.equal(fromJson.book.book, 'Test Inks');
+  assert.deepEqual(fromJson.swatches.map(color => color.name), ['Dark Red']);
+  assert.equal(fromJson.snap, false);
+
+  assert.throws(() => resolveSpotOptions({ spotColors: '[186 C' }), /Неверный список спот-цветов/);
+  assert.throws(() => resolveSpotOptions({ spotBook: 'no-such-book' }), /Неизвестная библиотека/);
+});
@@ -0,0 +1,150 @@
+/**
+ * Сшивка tiles: контуры, собранные из tiles, совпадают с трассировкой без tiles
+ * Проверяется на случайных масках (tile-merge.cjs) и на изображении через StreamVectorizer
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { traceTileBoundaries, mergeTileChains, buildShapes } = require('../tile-merge.cjs');
+const { StreamVectorizer, configureWorkerPool } = require('../advanced-vectorizer.cjs');
+
+// Допуск сравнения: вершины фигур — в пикселях, площадь — в долях
+const POSITION_TOLERANCE = 1;
+const AREA_TOLERANCE = 0.01;
+
+/**
+ * Детерминированный генератор (mulberry32): тест повторяем
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Маска из случайных кругов и прямоугольников плюс шум: пятна на стыках tiles, дыры, касания углами
+ */
+function createRandomMask(width, height, random) {
+  const mask = new Uint8Array(width * height);
+  for (let blob = 0; blob < 12; blob++) {
+    const cx = random() * width, cy = random() * height;
+    const r = 2 + random() * 10;
+    const round = random() < 0.5;
+    const value = random() < 0.75 ? 1 : 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const inside = round
+          ? (x + 0.5 - cx) ** 2 + (y + 0.5 - cy) ** 2 <= r * r
+          : Math.abs(x + 0.5 - cx) <= r && Math.abs(y + 0.5 - cy) <= r / 2;
+        if (inside) mask[y * width + x] = value;
+      }
+    }
+  }
+  for (let i = 0; i < mask.length; i++) {
+    if (random() < 0.03) mask[i] ^= 1;
+  }
+  return mask;
+}
+
+function traceOnGrid(mask, width, height, tileSize, tolerance) {
+  const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] === 1;
+  const rings = [];
+  const chains = [];
+  for (let y0 = 0; y0 < height; y0 += tileSize) {
+    for (let x0 = 0; x0 < width; x0 += tileSize) {
+      const core = { x0, y0, x1: Math.min(width, x0 + tileSize), y1: Math.min(height, y0 + tileSize) };
+      const traced = traceTileBoundaries(inside, core, { width, height });
+      rings.push(...traced.rings);
+      chains.push(...traced.chains);
+    }
+  }
+  return buildShapes(rings.concat(mergeTileChains(chains)), tolerance);
+}
+
+function ringBounds(points) {
+  const xs = points.filter((_, i) => i % 2 === 0);
+  const ys = points.filter((_, i) => i % 2 === 1);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+/**
+ * Фигуры совпадают в пределах допуска: число фигур и дыр, площадь и габариты
+ */
+function assertShapesMatch(actual, expected, label) {
+  assert.equal(actual.length, expected.length, `${label}: число фигур`);
+  const byPosition = (a, b) => a.bounds.minY - b.bounds.minY || a.bounds.minX - b.bounds.minX || a.area - b.area;
+  const sortedActual = [...actual].sort(byPosition);
+  const sortedExpected = [...expected].sort(byPosition);
+
+  sortedExpected.forEach((shape, i) => {
+    const other = sortedActual[i];
+    assert.ok(Math.abs(other.area - shape.area) <= Math.max(1, shape.area * AREA_TOLERANCE),
+      `${label}: площадь фигуры ${i} ${other.area} вместо ${shape.area}`);
+    assert.equal(other.holes.length, shape.holes.length, `${label}: дыры фигуры ${i}`);
+    ringBounds(other.points).forEach((value, k) => {
+      assert.ok(Math.abs(value - ringBounds(shape.points)[k]) <= POSITION_TOLERANCE, `${label}: габариты фигуры ${i}`);
+    });
+  });
+}
+
+test('tile-merge: случайные маски на сетке tiles совпадают с трассировкой одним tile', () => {
+  const random = createRandom(20240611);
+  for (let sample = 0; sample < 20; sample++) {
+    const width = 24 + Math.floor(random() * 60);
+    const height = 24 + Math.floor(random() * 60);
+    const mask = createRandomMask(width, height, random);
+    const tolerance = sample % 2 === 0 ? 0 : 1.5;
+
+    const whole = traceOnGrid(mask, width, height, Math.max(width, height), tolerance);
+    for (const tileSize of [7, 16, 32]) {
+      assertShapesMatch(traceOnGrid(mask, width, height, tileSize, tolerance), whole,
+        `маска ${sample} (${width}×${height}), tile ${tileSize}`);
+    }
+  }
+});
+
+test('StreamVectorizer: tiles 256 px и один tile больше изображения дают те же фигуры', async () => {
+  configureWorkerPool({ size: 0 });
+  const width = 420, height = 300;
+  const image = await sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    <rect width="${width}" height="${height}" fill="#ffffff"/>
+    <circle cx="225" cy="150" r="90" fill="#d02020"/>
+    <circle cx="225" cy="150" r="35" fill="#ffffff"/>
+    <rect x="40" y="230" width="340" height="40" fill="#2040c0"/>
+    <rect x="240" y="20" width="150" height="70" fill="#20a040"/>
+  </svg>`)).png().toBuffer();
+
+  const log = console.log;
+  console.log = () => {};
+  const trace = async tileSize => {
+    const vectorizer = new StreamVectorizer(image, { maxColors: 4, tileSize });
+    try {
+      await vectorizer.process();
+      return vectorizer.globalContours;
+    } finally {
+      vectorizer.memoryManager.destroy();
+    }
+  };
+  let tiled, whole;
+  try {
+    tiled = await trace(256);
+    whole = await trace(1024);
+  } finally {
+    console.log = log;
+  }
+
+  assert.ok(whole.length > 0, 'без tiles нет фигур');
+  for (const color of new Set(whole.map(shape => shape.color))) {
+    assertShapesMatch(
+      tiled.filter(shape => shape.color === color),
+      whole.filter(shape => shape.color === color),
+      `цвет ${color}`
+    );
+  }
+});
@@ -0,0 +1,105 @@
+/**
+ * Пользовательские пресеты трассировки: проверка ID, базы и переопределений,
+ * изменение с сохранением незаданных полей, удаление
+ * Файл пресетов пользователя на время теста откладывается и затем восстанавливается
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  listPresets,
+  getPreset,
+  getCustomPresetSettings,
+  createPreset,
+  updatePreset,
+  deletePreset,
+  normalizePresetId
+} = require('../trace-presets.cjs');
+const { ADOBE_PRESETS } = require('../adobe-trace-engine.cjs');
+
+const PRESETS_PATH = path.join(__dirname, '..', 'output', 'vectorizer', 'trace-presets.json');
+const BACKUP_PATH = `${PRESETS_PATH}.test-backup`;
+
+test.before(() => {
+  if (fs.existsSync(PRESETS_PATH)) fs.renameSync(PRESETS_PATH, BACKUP_PATH);
+});
+
+test.after(() => {
+  fs.rmSync(PRESETS_PATH, { force: true });
+  if (fs.existsSync(BACKUP_PATH)) fs.renameSync(BACKUP_PATH, PRESETS_PATH);
+});
+
+async function quietly(action) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await action();
+  } finally {
+    console.log = log;
+  }
+}
+
+test('normalizePresetId: ID приводится к виду встроенных пресетов', () => {
+  assert.equal(normalizePresetId(' club-logo v2 '), 'CLUB_LOGO_V2');
+  for (const id of ['', 'x', '2LOGO', 'ЛОГО', 'A'.repeat(41)]) {
+    assert.throws(() => normalizePresetId(id), /ID пресета/, `ID ${JSON.stringify(id)}`);
+  }
+});
+
+test('createPreset: проверка ID, базового пресета и переопределений', async () => {
+  const builtIn = Object.keys(ADOBE_PRESETS)[0];
+
+  await assert.rejects(createPreset({ id: builtIn, base: 'AUTO' }), /встроенный пресет/);
+  await assert.rejects(createPreset({ id: 'CLUB_LOGO', base: 'NOPE' }), /Неизвестный базовый пресет: NOPE/);
+  await assert.rejects(createPreset({ id: 'CLUB_LOGO', base: 'AUTO', name: ' ' }), /Название пресета/);
+  await assert.rejects(createPreset({ id: 'CLUB_LOGO', base: 'AUTO', colors: 31 }), /colors должен быть целым числом от 1 до 30/);
+  await assert.rejects(createPreset({ id: 'CLUB_LOGO', base: 'AUTO', noise: '2.5' }), /noise должен быть целым/);
+  await assert.rejects(createPreset({ id: 'CLUB_LOGO', base: 'AUTO', threshold: 0 }), /threshold должен быть целым числом от 1 до 254/);
+  assert.equal(await getPreset('CLUB_LOGO'), null, 'неверный пресет не сохраняется');
+
+  const preset = await quietly(() => createPreset({ id: 'club-logo', base: 'auto', colors: '4', corners: 20, paths: '' }));
+  assert.equal(preset.id, 'CLUB_LOGO');
+  assert.equal(preset.name, 'CLUB_LOGO');
+  assert.equal(preset.base, 'AUTO');
+  assert.equal(preset.builtIn, false);
+  assert.deepEqual(preset.overrides, { maxColors: 4, corners: 20 });
+  assert.deepEqual(preset.settings, { ...ADOBE_PRESETS.AUTO, maxColors: 4, corners: 20, name: 'CLUB_LOGO', base: 'AUTO' });
+
+  await assert.rejects(createPreset({ id: 'CLUB_LOGO', base: 'AUTO' }), /Пресет CLUB_LOGO уже существует/);
+
+  const saved = JSON.parse(fs.readFileSync(PRESETS_PATH, 'utf8'));
+  assert.deepEqual(saved.presets.map(({ id }) => id), ['CLUB_LOGO']);
+});
+
+test('updatePreset: указанные поля заменяются, пустое значение снимает переопределение', async () => {
+  const before = await getPreset('CLUB_LOGO');
+
+  await assert.rejects(updatePreset('CLUB_LOGO', { paths: 101 }), /paths должен быть целым числом от 0 до 100/);
+  await assert.rejects(updatePreset('CLUB_LOGO', { base: 'NOPE' }), /Неизвестный базовый пресет/);
+  assert.deepEqual(await getPreset('CLUB_LOGO'), before, 'неверное изменение не применяется');
+
+  const updated = await updatePreset('club logo', { name: 'Логотип клуба', colors: null, noise: 8 });
+  assert.equal(updated.name, 'Логотип клуба');
+  assert.equal(updated.createdAt, before.createdAt);
+  assert.deepEqual(updated.overrides, { corners: 20, noise: 8 });
+  assert.equal(updated.settings.maxColors, ADOBE_PRESETS.AUTO.maxColors);
+
+  assert.deepEqual(await getCustomPresetSettings('CLUB_LOGO'), updated.settings);
+  const custom = (await listPresets()).filter(preset => !preset.builtIn);
+  assert.deepEqual(custom.map(({ id }) => id), ['CLUB_LOGO']);
+
+  assert.equal(await updatePreset('MISSING', { noise: 8 }), null);
+});
+
+test('deletePreset: удаляет пользовательский пресет, встроенные не затрагивает', async () => {
+  assert.equal(await deletePreset('AUTO'), false);
+  assert.equal(await quietly(() => deletePreset('club-logo')), true);
+  assert.equal(await deletePreset('CLUB_LOGO'), false);
+
+  assert.equal(await getPreset('CLUB_LOGO'), null);
+  assert.equal(await getCustomPresetSettings('CLUB_LOGO'), null);
+  assert.ok(await getPreset('AUTO'));
+  assert.deepEqual(JSON.parse(fs.readFileSync(PRESETS_PATH, 'utf8')).presets, []);
+});
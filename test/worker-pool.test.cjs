@@ -0,0 +1,65 @@
+/**
+ * Пул потоков: этапы в пуле дают тот же SVG, что и в текущем потоке
+ * Сравнение без метки времени создания (метаданные SVG)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const {
+  silkscreenVectorize,
+  centerlineVectorize,
+  halftoneVectorize,
+  configureWorkerPool
+} = require('../advanced-vectorizer.cjs');
+
+const TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/g;
+
+function createFixture() {
+  return sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="240" height="180">
+    <defs><linearGradient id="g"><stop offset="0" stop-color="#f0e0c0"/><stop offset="1" stop-color="#603020"/></linearGradient></defs>
+    <rect width="240" height="180" fill="#ffffff"/>
+    <rect x="10" y="120" width="220" height="50" fill="url(#g)"/>
+    <circle cx="80" cy="70" r="45" fill="#d02020"/>
+    <circle cx="80" cy="70" r="18" fill="#ffffff"/>
+    <path d="M140 20 L220 100" stroke="#2040c0" stroke-width="6"/>
+    <rect x="150" y="30" width="30" height="60" fill="#20a040"/>
+  </svg>`)).png().toBuffer();
+}
+
+/**
+ * SVG всех режимов трассировки с заданным размером пула
+ */
+async function traceAll(image, size) {
+  configureWorkerPool({ size });
+  const results = {
+    silkscreen: await silkscreenVectorize(image, { quality: 'premium' }),
+    centerline: await centerlineVectorize(image, { colors: 2 }),
+    halftone: await halftoneVectorize(image, { channels: 'cmyk', lpi: 60 })
+  };
+  for (const [mode, result] of Object.entries(results)) {
+    assert.ok(result.success, `${mode}: ${result.error}`);
+    results[mode] = result.svgContent.replace(TIMESTAMP, '');
+  }
+  return results;
+}
+
+test('пул потоков: SVG совпадает с обработкой в текущем потоке', async () => {
+  const image = await createFixture();
+
+  const log = console.log;
+  console.log = () => {};
+  let inProcess, pooled;
+  try {
+    inProcess = await traceAll(image, 0);
+    pooled = await traceAll(image, 2);
+  } finally {
+    configureWorkerPool({ size: 0 });
+    console.log = log;
+  }
+
+  for (const mode of Object.keys(inProcess)) {
+    assert.ok(inProcess[mode].includes('<path'), `${mode}: нет путей`);
+    assert.equal(pooled[mode], inProcess[mode], `${mode}: SVG из пула отличается`);
+  }
+});
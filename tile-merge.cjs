@@ -0,0 +1,335 @@
+/**
+ * Бесшовная сборка контуров из tiles для StreamVectorizer
+ * Каждый tile трассирует границы только своих пикселей (ядро tile без зоны перекрытия),
+ * соседей за краем ядра смотрит в буферизованной зоне. Границы идут по ребрам пикселей,
+ * поэтому на стыке tiles цепочки соседей совпадают точно и сшиваются по общим вершинам:
+ * объединение полигонов одного цвета дает тот же результат, что трассировка без tiles
+ */
+
+// Направления обхода: вправо, вниз, влево, вверх (ось Y вниз); заливка всегда справа
+const DX = [1, 0, -1, 0];
+const DY = [0, 1, 0, -1];
+const KEY_STRIDE = 1 << 20;
+
+function vertexKey(x, y) {
+  return y * KEY_STRIDE + x;
+}
+
+/**
+ * Следующее направление в вершине: правый поворот, прямо, левый поворот
+ * В седловой вершине (два пикселя касаются углами) правый поворот разделяет их —
+ * правило одно для tile и для сшивки, поэтому результат не зависит от сетки
+ */
+function chooseDirection(incoming, available) {
+  for (const turn of [1, 0, 3]) {
+    const direction = (incoming + turn) % 4;
+    if (available & (1 << direction)) return direction;
+  }
+  return -1;
+}
+
+/**
+ * Трассирует границы маски в ядре tile
+ *
+ * @param {Function} inside - (x, y) => принадлежит ли пиксель маске (глобальные координаты, вне изображения — false)
+ * @param {{x0: number, y0: number, x1: number, y1: number}} core - ядро tile, правая и нижняя границы не включаются
+ * @param {{width: number, height: number}} imageSize - размер всего изображения
+ * @returns {{rings: Array<number[]>, chains: Array<{points: number[], startDir: number, endDir: number}>}}
+ *   rings — замкнутые контуры внутри ядра, chains — цепочки, которые продолжаются в соседних tiles
+ */
+function traceTileBoundaries(inside, core, imageSize) {
+  const { x0, y0, x1, y1 } = core;
+  const stride = x1 - x0 + 1;
+  const outgoing = new Uint8Array(stride * (y1 - y0 + 1));
+  const local = (x, y) => (y - y0) * stride + (x - x0);
+
+  // Ребра пикселей маски, за которыми фон; направление — по часовой стрелке вокруг пикселя
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      if (!inside(x, y)) continue;
+      if (!inside(x, y - 1)) outgoing[local(x, y)] |= 1 << 0;
+      if (!inside(x + 1, y)) outgoing[local(x + 1, y)] |= 1 << 1;
+      if (!inside(x, y + 1)) outgoing[local(x + 1, y + 1)] |= 1 << 2;
+      if (!inside(x - 1, y)) outgoing[local(x, y + 1)] |= 1 << 3;
+    }
+  }
+
+  // Вершины на краю ядра, к которым могут примыкать ребра соседнего tile
+  const isSeam = (x, y) =>
+    (x === x0 && x0 > 0) || (x === x1 && x1 < imageSize.width) ||
+    (y === y0 && y0 > 0) || (y === y1 && y1 < imageSize.height);
+
+  // Обход от ребра до шва (цепочка) или до возврата в начало (контур); вершины — только в углах
+  const walk = (startX, startY, startDir, closed) => {
+    const points = [startX, startY];
+    let x = startX;
+    let y = startY;
+    let direction = startDir;
+
+    for (;;) {
+      outgoing[local(x, y)] &= ~(1 << direction);
+      x += DX[direction];
+      y += DY[direction];
+
+      if (!closed && isSeam(x, y)) {
+        points.push(x, y);
+        return { points, startDir, endDir: direction };
+      }
+
+      const available = closed && x === startX && y === startY
+        ? outgoing[local(x, y)] | (1 << startDir)
+        : outgoing[local(x, y)];
+      const next = chooseDirection(direction, available);
+
+      if (closed && x === startX && y === startY && next === startDir) {
+        // Начальная вершина лежит на прямом участке — она не нужна
+        if (direction === startDir) points.splice(0, 2);
+        return points;
+      }
+      if (next !== direction) points.push(x, y);
+      direction = next;
+    }
+  };
+
+  const chains = [];
+  const rings = [];
+
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      if (!isSeam(x, y)) continue;
+      for (let direction = 0; direction < 4; direction++) {
+        if (outgoing[local(x, y)] & (1 << direction)) {
+          chains.push(walk(x, y, direction, false));
+        }
+      }
+    }
+  }
+
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      while (outgoing[local(x, y)]) {
+        const direction = chooseDirection(0, outgoing[local(x, y)]);
+        rings.push(walk(x, y, direction, true));
+      }
+    }
+  }
+
+  return { rings, chains };
+}
+
+/**
+ * Сшивает цепочки соседних tiles в замкнутые контуры
+ * В каждой вершине шва входящая цепочка продолжается исходящей по тому же правилу поворота
+ *
+ * @param {Array<{points: number[], startDir: number, endDir: number}>} chains - цепочки всех tiles одного цвета
+ * @returns {Array<number[]>} замкнутые контуры
+ */
+function mergeTileChains(chains) {
+  const starts = new Map();
+  chains.forEach((chain, index) => {
+    const key = vertexKey(chain.points[0], chain.points[1]);
+    if (!starts.has(key)) starts.set(key, []);
+    starts.get(key).push(index);
+  });
+
+  const used = new Uint8Array(chains.length);
+  const rings = [];
+
+  for (let first = 0; first < chains.length; first++) {
+    if (used[first]) continue;
+    used[first] = 1;
+
+    const points = [...chains[first].points];
+    let current = chains[first];
+
+    for (;;) {
+      const endX = points[points.length - 2];
+      const endY = points[points.length - 1];
+      const candidates = starts.get(vertexKey(endX, endY)) || [];
+      const available = candidates.reduce((mask, index) => mask | (1 << chains[index].startDir), 0);
+      const direction = chooseDirection(current.endDir, available);
+      const nextIndex = candidates.find(index => chains[index].startDir === direction);
+
+      if (nextIndex === undefined || (used[nextIndex] && nextIndex !== first)) {
+        throw new Error(`Разрыв контура при сшивке tiles в точке ${endX},${endY}`);
+      }
+
+      const next = chains[nextIndex];
+      // Вершина стыка на прямом участке не нужна
+      const straight = next.startDir === current.endDir;
+
+      if (nextIndex === first) {
+        points.splice(-2, 2);
+        if (straight) points.splice(0, 2);
+        break;
+      }
+
+      if (straight) points.splice(-2, 2);
+      points.push(...next.points.slice(2));
+      used[nextIndex] = 1;
+      current = next;
+    }
+
+    rings.push(points);
+  }
+
+  return rings;
+}
+
+/**
+ * Контур начинается с верхней левой вершины: упрощение не зависит от того, где начался обход
+ */
+function canonicalizeRing(points) {
+  let best = 0;
+  for (let i = 2; i < points.length; i += 2) {
+    if (points[i + 1] < points[best + 1] || (points[i + 1] === points[best + 1] && points[i] < points[best])) {
+      best = i;
+    }
+  }
+  return best === 0 ? points : points.slice(best).concat(points.slice(0, best));
+}
+
+/**
+ * Ориентированная площадь: у внешних контуров положительная, у дыр — отрицательная
+ */
+function signedArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i += 2) {
+    const j = (i + 2) % points.length;
+    area += points[i] * points[j + 1] - points[j] * points[i + 1];
+  }
+  return area / 2;
+}
+
+function ringBounds(points) {
+  let minX = Infinity, minY = Infinity;
+  let maxX = -Infinity, maxY = -Infinity;
+  for (let i = 0; i < points.length; i += 2) {
+    minX = Math.min(minX, points[i]);
+    maxX = Math.max(maxX, points[i]);
+    minY = Math.min(minY, points[i + 1]);
+    maxY = Math.max(maxY, points[i + 1]);
+  }
+  return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+function pointInRing(px, py, points) {
+  let result = false;
+  for (let i = 0, j = points.length - 2; i < points.length; j = i, i += 2) {
+    const xi = points[i], yi = points[i + 1];
+    const xj = points[j], yj = points[j + 1];
+    if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) {
+      result = !result;
+    }
+  }
+  return result;
+}
+
+function segmentDistance(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq));
+  return Math.hypot(px - ax - t * dx, py - ay - t * dy);
+}
+
+function douglasPeucker(points, first, last, tolerance, keep) {
+  let maxDistance = 0;
+  let index = -1;
+  for (let i = first + 2; i < last; i += 2) {
+    const distance = segmentDistance(points[i], points[i + 1], points[first], points[first + 1], points[last], points[last + 1]);
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      index = i;
+    }
+  }
+  if (index !== -1 && maxDistance > tolerance) {
+    keep[index / 2] = 1;
+    douglasPeucker(points, first, index, tolerance, keep);
+    douglasPeucker(points, index, last, tolerance, keep);
+  }
+}
+
+/**
+ * Упрощение замкнутого контура (Douglas-Peucker от начальной и самой дальней от нее вершины)
+ */
+function simplifyRing(points, tolerance) {
+  const count = points.length / 2;
+  if (count <= 4 || tolerance <= 0) return points;
+
+  let far = 0;
+  let farDistance = -1;
+  for (let i = 2; i < points.length; i += 2) {
+    const distance = Math.hypot(points[i] - points[0], points[i + 1] - points[1]);
+    if (distance > farDistance) {
+      farDistance = distance;
+      far = i;
+    }
+  }
+
+  const closedPoints = points.concat(points[0], points[1]);
+  const keep = new Uint8Array(count + 1);
+  keep[0] = 1;
+  keep[far / 2] = 1;
+  douglasPeucker(closedPoints, 0, far, tolerance, keep);
+  douglasPeucker(closedPoints, far, points.length, tolerance, keep);
+
+  const simplified = [];
+  for (let i = 0; i < count; i++) {
+    if (keep[i]) simplified.push(points[i * 2], points[i * 2 + 1]);
+  }
+  return simplified.length >= 6 ? simplified : points;
+}
+
+/**
+ * Собирает фигуры из контуров одного цвета: дыры относятся к наименьшему внешнему контуру,
+ * который их содержит; контуры упрощаются после сборки
+ *
+ * @param {Array<number[]>} rings - замкнутые контуры (из tiles и после сшивки)
+ * @param {number} tolerance - допуск упрощения в пикселях
+ * @returns {Array<{points: number[], holes: Array<number[]>, area: number, bounds: Object}>}
+ */
+function buildShapes(rings, tolerance) {
+  const outers = [];
+  const holes = [];
+  for (const ring of rings) {
+    if (ring.length < 6) continue;
+    const points = canonicalizeRing(ring);
+    const area = signedArea(points);
+    const entry = { points, area: Math.abs(area), bounds: ringBounds(points), holes: [] };
+    (area > 0 ? outers : holes).push(entry);
+  }
+
+  // Порядок не зависит от порядка обхода tiles: по верхней левой вершине
+  const byStart = (a, b) => a.points[1] - b.points[1] || a.points[0] - b.points[0];
+  holes.sort(byStart);
+  const bySize = [...outers].sort((a, b) => a.area - b.area || byStart(a, b));
+  for (const hole of holes) {
+    // Центр пикселя заливки справа от первого ребра дыры: лежит строго внутри своей фигуры
+    const [ax, ay, bx, by] = hole.points;
+    const direction = Math.sign(bx - ax) !== 0 ? (bx > ax ? 0 : 2) : (by > ay ? 1 : 3);
+    const px = ax + DX[direction] * 0.5 - DY[direction] * 0.5;
+    const py = ay + DY[direction] * 0.5 + DX[direction] * 0.5;
+
+    const owner = bySize.find(outer =>
+      px > outer.bounds.minX && px < outer.bounds.maxX &&
+      py > outer.bounds.minY && py < outer.bounds.maxY &&
+      pointInRing(px, py, outer.points));
+    if (owner) owner.holes.push(hole);
+  }
+
+  return outers.sort(byStart).map(outer => ({
+    points: simplifyRing(outer.points, tolerance),
+    holes: outer.holes.map(hole => simplifyRing(hole.points, tolerance)),
+    area: outer.area - outer.holes.reduce((sum, hole) => sum + hole.area, 0),
+    bounds: outer.bounds
+  }));
+}
+
+module.exports = {
+  traceTileBoundaries,
+  mergeTileChains,
+  buildShapes,
+  simplifyRing,
+  signedArea
+};
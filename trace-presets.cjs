@@ -0,0 +1,264 @@
+/**
+ * Пользовательские пресеты трассировки для adobe-trace-engine
+ * Пресет наследует встроенный из ADOBE_PRESETS и переопределяет часть параметров
+ * (цвета, шум, углы, пути, порог). Хранятся в output/vectorizer/trace-presets.json
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { ADOBE_PRESETS } = require('./adobe-trace-engine.cjs');
+
+const PRESETS_DIR = path.join(__dirname, 'output', 'vectorizer');
+const PRESETS_PATH = path.join(PRESETS_DIR, 'trace-presets.json');
+const MAX_CUSTOM_PRESETS = 100;
+const PRESET_ID_PATTERN = /^[A-Z][A-Z0-9_]{1,39}$/;
+
+// Переопределяемые параметры: поле запроса -> поле пресета и допустимый диапазон
+const PRESET_FIELDS = {
+  colors: { key: 'maxColors', min: 1, max: 30 },
+  noise: { key: 'noise', min: 1, max: 100 },
+  corners: { key: 'corners', min: 0, max: 100 },
+  paths: { key: 'paths', min: 0, max: 100 },
+  threshold: { key: 'threshold', min: 1, max: 254 }
+};
+
+// Пресеты в памяти: ID -> запись; загружаются с диска при первом обращении
+let presets = null;
+let writeQueue = Promise.resolve();
+
+async function loadPresets() {
+  if (presets) return presets;
+
+  try {
+    const raw = JSON.parse(await fs.readFile(PRESETS_PATH, 'utf8'));
+    presets = new Map(raw.presets.map(preset => [preset.id, preset]));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Ошибка чтения пресетов трассировки, начинаем с пустого списка:', error.message);
+    }
+    presets = new Map();
+  }
+  return presets;
+}
+
+/**
+ * Записывает пресеты атомарно (через временный файл); записи выполняются по очереди
+ */
+function savePresets() {
+  writeQueue = writeQueue.then(async () => {
+    await fs.mkdir(PRESETS_DIR, { recursive: true });
+    const tempPath = `${PRESETS_PATH}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ version: 1, presets: [...presets.values()] }, null, 2), 'utf8');
+    await fs.rename(tempPath, PRESETS_PATH);
+  });
+  return writeQueue;
+}
+
+/**
+ * Ключ пресета в виде встроенных: club-logo -> CLUB_LOGO
+ */
+function presetKey(value) {
+  return String(value || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Приводит ID нового пресета к виду встроенных и проверяет его
+ */
+function normalizePresetId(value) {
+  const id = presetKey(value);
+  if (!PRESET_ID_PATTERN.test(id)) {
+    throw new Error('ID пресета: латинские буквы, цифры и _, от 2 до 40 символов, начиная с буквы');
+  }
+  return id;
+}
+
+/**
+ * Проверяет переопределения: пустое значение или null снимает переопределение
+ *
+ * @param {Object} input - поля colors, noise, corners, paths, threshold
+ * @param {Object} current - текущие переопределения пресета
+ * @returns {Object} переопределения в полях пресета (maxColors, noise, ...)
+ */
+function normalizeOverrides(input, current = {}) {
+  const overrides = { ...current };
+
+  for (const [field, { key, min, max }] of Object.entries(PRESET_FIELDS)) {
+    if (!(field in input)) continue;
+    const value = input[field];
+    if (value === null || value === '') {
+      delete overrides[key];
+      continue;
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`Параметр ${field} должен быть целым числом от ${min} до ${max}`);
+    }
+    overrides[key] = number;
+  }
+  return overrides;
+}
+
+/**
+ * Встроенный пресет по ID
+ */
+function requireBase(base) {
+  const id = presetKey(base);
+  if (!ADOBE_PRESETS[id]) {
+    throw new Error(`Неизвестный базовый пресет: ${base}. Доступны: ${Object.keys(ADOBE_PRESETS).join(', ')}`);
+  }
+  return id;
+}
+
+function normalizeName(name, fallback) {
+  const value = name === undefined || name === null ? fallback : String(name).trim();
+  if (!value || value.length > 60) {
+    throw new Error('Название пресета должно быть от 1 до 60 символов');
+  }
+  return value;
+}
+
+/**
+ * Итоговые настройки пользовательского пресета: базовый пресет + переопределения
+ * base сохраняется, чтобы трассировка могла учитывать тип базового пресета
+ */
+function effectiveSettings(preset) {
+  return {
+    ...ADOBE_PRESETS[preset.base],
+    ...preset.overrides,
+    name: preset.name,
+    base: preset.base
+  };
+}
+
+/**
+ * Публичное представление пресета
+ */
+function serializePreset(preset) {
+  return { ...preset, builtIn: false, settings: effectiveSettings(preset) };
+}
+
+/**
+ * Все пресеты: сначала встроенные, затем пользовательские по названию
+ *
+ * @returns {Promise<Array<{id, name, builtIn, settings, base?, overrides?}>>}
+ */
+async function listPresets() {
+  await loadPresets();
+  const builtIn = Object.entries(ADOBE_PRESETS).map(([id, settings]) => ({
+    id,
+    name: settings.name,
+    builtIn: true,
+    settings: { ...settings }
+  }));
+  const custom = [...presets.values()]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(serializePreset);
+  return [...builtIn, ...custom];
+}
+
+/**
+ * Пресет по ID (встроенный или пользовательский) или null
+ */
+async function getPreset(presetId) {
+  const id = presetKey(presetId);
+  if (ADOBE_PRESETS[id]) {
+    return { id, name: ADOBE_PRESETS[id].name, builtIn: true, settings: { ...ADOBE_PRESETS[id] } };
+  }
+  await loadPresets();
+  const preset = presets.get(id);
+  return preset ? serializePreset(preset) : null;
+}
+
+/**
+ * Настройки пользовательского пресета для adobeTrace или null
+ */
+async function getCustomPresetSettings(presetId) {
+  await loadPresets();
+  const preset = presets.get(presetKey(presetId));
+  return preset ? effectiveSettings(preset) : null;
+}
+
+/**
+ * Создает пользовательский пресет
+ *
+ * @param {Object} input - {id, name?, base, colors?, noise?, corners?, paths?, threshold?}
+ * @returns {Promise<Object>} публичный пресет
+ */
+async function createPreset(input = {}) {
+  await loadPresets();
+  const id = normalizePresetId(input.id);
+  if (ADOBE_PRESETS[id]) {
+    throw new Error(`${id} — встроенный пресет, выберите другой ID`);
+  }
+  if (presets.has(id)) {
+    throw new Error(`Пресет ${id} уже существует`);
+  }
+  if (presets.size >= MAX_CUSTOM_PRESETS) {
+    throw new Error(`Слишком много пресетов (максимум ${MAX_CUSTOM_PRESETS})`);
+  }
+
+  const now = new Date().toISOString();
+  const preset = {
+    id,
+    name: normalizeName(input.name, id),
+    base: requireBase(input.base),
+    overrides: normalizeOverrides(input),
+    createdAt: now,
+    updatedAt: now
+  };
+  presets.set(id, preset);
+  await savePresets();
+
+  console.log(`💾 Пресет трассировки ${id} сохранен (на основе ${preset.base})`);
+  return serializePreset(preset);
+}
+
+/**
+ * Изменяет пользовательский пресет: указанные поля заменяются, остальные сохраняются
+ *
+ * @returns {Promise<Object|null>} публичный пресет или null, если пресета нет
+ */
+async function updatePreset(presetId, input = {}) {
+  await loadPresets();
+  const current = presets.get(presetKey(presetId));
+  if (!current) return null;
+
+  const preset = {
+    ...current,
+    name: input.name === undefined ? current.name : normalizeName(input.name, current.id),
+    base: input.base === undefined ? current.base : requireBase(input.base),
+    overrides: normalizeOverrides(input, current.overrides),
+    updatedAt: new Date().toISOString()
+  };
+  presets.set(preset.id, preset);
+  await savePresets();
+  return serializePreset(preset);
+}
+
+/**
+ * Удаляет пользовательский пресет
+ *
+ * @returns {Promise<boolean>} false, если пресета нет
+ */
+async function deletePreset(presetId) {
+  await loadPresets();
+  const id = presetKey(presetId);
+  if (!presets.delete(id)) return false;
+
+  await savePresets();
+  console.log(`🗑️ Пресет трассировки ${id} удален`);
+  return true;
+}
+
+module.exports = {
+  listPresets,
+  getPreset,
+  getCustomPresetSettings,
+  createPreset,
+  updatePreset,
+  deletePreset,
+  normalizePresetId,
+  PRESET_FIELDS,
+  MAX_CUSTOM_PRESETS
+};
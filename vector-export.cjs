@@ -0,0 +1,833 @@
+/**
+ * Экспорт SVG векторизатора в настоящие PDF и EPS
+ * Разбирает пути SVG (path, rect, circle, ellipse, polygon, polyline) с заливками
+ * и трансформациями, переводит их в операторы PDF (m/l/c/h, rg, f) и PostScript
+ * Запись PDF/EPS работает и с готовым списком элементов (заливки, обводки, подписи)
+ */
+
+const zlib = require('zlib');
+
+const PX_TO_PT = 0.75; // 1px SVG = 1/96 дюйма, 1pt = 1/72 дюйма
+const KAPPA = 0.5522847498; // коэффициент Безье для четверти окружности
+
+const UNIT_TO_PX = { px: 1, pt: 4 / 3, pc: 16, mm: 96 / 25.4, cm: 96 / 2.54, in: 96 };
+
+// Элементы, содержимое которых не рисуется напрямую
+const NON_RENDERED = new Set(['defs', 'clipPath', 'mask', 'pattern', 'symbol', 'marker', 'linearGradient', 'radialGradient', 'title', 'desc', 'metadata', 'style']);
+
+const NAMED_COLORS = {
+  black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0],
+  blue: [0, 0, 255], yellow: [255, 255, 0], gray: [128, 128, 128], grey: [128, 128, 128],
+  orange: [255, 165, 0], purple: [128, 0, 128], navy: [0, 0, 128], silver: [192, 192, 192]
+};
+
+// ==================== РАЗБОР SVG ====================
+
+/**
+ * Разбирает атрибуты тега, включая свойства из style
+ */
+function parseAttributes(source) {
+  const attrs = {};
+  const pattern = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attrs[match[1]] = match[3] !== undefined ? match[3] : match[4];
+  }
+  if (attrs.style) {
+    for (const declaration of attrs.style.split(';')) {
+      const [name, value] = declaration.split(':').map(part => part && part.trim());
+      if (name && value) attrs[name] = value;
+    }
+  }
+  return attrs;
+}
+
+/**
+ * Раскрывает XML-сущности в значении атрибута
+ */
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&(lt|gt|quot|apos|amp);/g, (_, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[name]);
+}
+
+/**
+ * Цвет SVG -> {r, g, b}; null для none и ссылок на градиенты
+ */
+function parseColor(value) {
+  if (!value) return null;
+  const color = value.trim().toLowerCase();
+  if (color === 'none' || color === 'transparent' || color.startsWith('url(')) return null;
+
+  let match = color.match(/^#([0-9a-f]{3})$/);
+  if (match) {
+    const [r, g, b] = match[1].split('').map(c => parseInt(c + c, 16));
+    return { r, g, b };
+  }
+  match = color.match(/^#([0-9a-f]{6})$/);
+  if (match) {
+    return {
+      r: parseInt(match[1].slice(0, 2), 16),
+      g: parseInt(match[1].slice(2, 4), 16),
+      b: parseInt(match[1].slice(4, 6), 16)
+    };
+  }
+  match = color.match(/^rgba?\(([^)]+)\)$/);
+  if (match) {
+    const [r, g, b] = match[1].split(',').map(part => {
+      const v = parseFloat(part);
+      return part.trim().endsWith('%') ? Math.round(v * 2.55) : Math.round(v);
+    });
+    return { r, g, b };
+  }
+  if (NAMED_COLORS[color]) {
+    const [r, g, b] = NAMED_COLORS[color];
+    return { r, g, b };
+  }
+  return null;
+}
+
+/**
+ * Длина SVG с единицами -> пиксели
+ */
+function parseLength(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const match = String(value).trim().match(/^([-+]?[\d.]+(?:e[-+]?\d+)?)\s*(px|pt|pc|mm|cm|in)?$/i);
+  if (!match) return null;
+  return parseFloat(match[1]) * UNIT_TO_PX[(match[2] || 'px').toLowerCase()];
+}
+
+// Аффинные матрицы [a, b, c, d, e, f]
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+  ];
+}
+
+function applyMatrix(m, x, y) {
+  return { x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] };
+}
+
+/**
+ * Атрибут transform -> матрица
+ */
+function parseTransform(value) {
+  let matrix = IDENTITY;
+  if (!value) return matrix;
+
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    const args = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+    let next = IDENTITY;
+    switch (match[1]) {
+      case 'matrix':
+        next = args.slice(0, 6);
+        break;
+      case 'translate':
+        next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale':
+        next = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+        break;
+      case 'rotate': {
+        const angle = (args[0] * Math.PI) / 180;
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        next = [cos, sin, -sin, cos, 0, 0];
+        if (args.length > 2) {
+          next = multiply(multiply([1, 0, 0, 1, args[1], args[2]], next), [1, 0, 0, 1, -args[1], -args[2]]);
+        }
+        break;
+      }
+      case 'skewX':
+        next = [1, 0, Math.tan((args[0] * Math.PI) / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        next = [1, Math.tan((args[0] * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+    }
+    matrix = multiply(matrix, next);
+  }
+  return matrix;
+}
+
+/**
+ * Дуга SVG -> кубические кривые (алгоритм из приложения F.6 спецификации SVG)
+ */
+function arcToCubics(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+  if (rx === 0 || ry === 0) return [{ op: 'L', x: x2, y: y2 }];
+
+  const phi = (rotation * Math.PI) / 180;
+  const cos = Math.cos(phi), sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+  const xp = cos * dx + sin * dy;
+  const yp = -sin * dx + cos * dy;
+
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  const lambda = (xp * xp) / (rx * rx) + (yp * yp) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const sign = largeArc === sweep ? -1 : 1;
+  const numerator = rx * rx * ry * ry - rx * rx * yp * yp - ry * ry * xp * xp;
+  const coef = sign * Math.sqrt(Math.max(0, numerator / (rx * rx * yp * yp + ry * ry * xp * xp)));
+  const cxp = (coef * rx * yp) / ry;
+  const cyp = (-coef * ry * xp) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta = angle(1, 0, (xp - cxp) / rx, (yp - cyp) / ry);
+  let delta = angle((xp - cxp) / rx, (yp - cyp) / ry, (-xp - cxp) / rx, (-yp - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const segments = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+  const step = delta / segments;
+  const t = (4 / 3) * Math.tan(step / 4);
+  const point = a => ({
+    x: cx + rx * Math.cos(a) * cos - ry * Math.sin(a) * sin,
+    y: cy + rx * Math.cos(a) * sin + ry * Math.sin(a) * cos
+  });
+  const derivative = a => ({
+    x: -rx * Math.sin(a) * cos - ry * Math.cos(a) * sin,
+    y: -rx * Math.sin(a) * sin + ry * Math.cos(a) * cos
+  });
+
+  const curves = [];
+  for (let i = 0; i < segments; i++) {
+    const a1 = theta + i * step;
+    const a2 = a1 + step;
+    const p1 = point(a1), p2 = point(a2);
+    const d1 = derivative(a1), d2 = derivative(a2);
+    curves.push({
+      op: 'C',
+      x1: p1.x + t * d1.x, y1: p1.y + t * d1.y,
+      x2: p2.x - t * d2.x, y2: p2.y - t * d2.y,
+      x: i === segments - 1 ? x2 : p2.x,
+      y: i === segments - 1 ? y2 : p2.y
+    });
+  }
+  return curves;
+}
+
+/**
+ * Разбирает атрибут d в абсолютные команды M/L/C/Z
+ */
+function parsePathData(d) {
+  const ops = [];
+  let i = 0;
+
+  const skipSeparators = () => {
+    while (i < d.length && /[\s,]/.test(d[i])) i++;
+  };
+  const readNumber = () => {
+    skipSeparators();
+    const match = /^[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/.exec(d.slice(i, i + 40));
+    if (!match) return null;
+    i += match[0].length;
+    return parseFloat(match[0]);
+  };
+  const readFlag = () => {
+    skipSeparators();
+    const flag = d[i];
+    if (flag !== '0' && flag !== '1') return null;
+    i++;
+    return flag === '1';
+  };
+  const hasNumber = () => {
+    skipSeparators();
+    return i < d.length && /[-+.\d]/.test(d[i]);
+  };
+
+  let x = 0, y = 0, startX = 0, startY = 0;
+  let lastControl = null; // для S/T: { type: 'C' | 'Q', x, y }
+  let command = null;
+
+  while (i < d.length) {
+    skipSeparators();
+    if (i >= d.length) break;
+
+    if (/[a-zA-Z]/.test(d[i])) {
+      command = d[i++];
+    } else if (!command) {
+      break; // мусор в начале
+    }
+
+    const relative = command === command.toLowerCase();
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+
+    switch (command.toUpperCase()) {
+      case 'M': {
+        const nx = readNumber(), ny = readNumber();
+        if (nx === null || ny === null) return ops;
+        x = ox + nx; y = oy + ny;
+        startX = x; startY = y;
+        ops.push({ op: 'M', x, y });
+        // Последующие пары после M — это L
+        command = relative ? 'l' : 'L';
+        lastControl = null;
+        break;
+      }
+      case 'L': {
+        const nx = readNumber(), ny = readNumber();
+        if (nx === null || ny === null) return ops;
+        x = ox + nx; y = oy + ny;
+        ops.push({ op: 'L', x, y });
+        lastControl = null;
+        break;
+      }
+      case 'H': {
+        const nx = readNumber();
+        if (nx === null) return ops;
+        x = ox + nx;
+        ops.push({ op: 'L', x, y });
+        lastControl = null;
+        break;
+      }
+      case 'V': {
+        const ny = readNumber();
+        if (ny === null) return ops;
+        y = oy + ny;
+        ops.push({ op: 'L', x, y });
+        lastControl = null;
+        break;
+      }
+      case 'C': {
+        const v = [readNumber(), readNumber(), readNumber(), readNumber(), readNumber(), readNumber()];
+        if (v.includes(null)) return ops;
+        const op = { op: 'C', x1: ox + v[0], y1: oy + v[1], x2: ox + v[2], y2: oy + v[3], x: ox + v[4], y: oy + v[5] };
+        ops.push(op);
+        lastControl = { type: 'C', x: op.x2, y: op.y2 };
+        x = op.x; y = op.y;
+        break;
+      }
+      case 'S': {
+        const v = [readNumber(), readNumber(), readNumber(), readNumber()];
+        if (v.includes(null)) return ops;
+        const x1 = lastControl && lastControl.type === 'C' ? 2 * x - lastControl.x : x;
+        const y1 = lastControl && lastControl.type === 'C' ? 2 * y - lastControl.y : y;
+        const op = { op: 'C', x1, y1, x2: ox + v[0], y2: oy + v[1], x: ox + v[2], y: oy + v[3] };
+        ops.push(op);
+        lastControl = { type: 'C', x: op.x2, y: op.y2 };
+        x = op.x; y = op.y;
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        let qx, qy, nx, ny;
+        if (command.toUpperCase() === 'Q') {
+          const v = [readNumber(), readNumber(), readNumber(), readNumber()];
+          if (v.includes(null)) return ops;
+          qx = ox + v[0]; qy = oy + v[1]; nx = ox + v[2]; ny = oy + v[3];
+        } else {
+          const v = [readNumber(), readNumber()];
+          if (v.includes(null)) return ops;
+          qx = lastControl && lastControl.type === 'Q' ? 2 * x - lastControl.x : x;
+          qy = lastControl && lastControl.type === 'Q' ? 2 * y - lastControl.y : y;
+          nx = ox + v[0]; ny = oy + v[1];
+        }
+        // Квадратичная кривая -> кубическая
+        ops.push({
+          op: 'C',
+          x1: x + (2 / 3) * (qx - x), y1: y + (2 / 3) * (qy - y),
+          x2: nx + (2 / 3) * (qx - nx), y2: ny + (2 / 3) * (qy - ny),
+          x: nx, y: ny
+        });
+        lastControl = { type: 'Q', x: qx, y: qy };
+        x = nx; y = ny;
+        break;
+      }
+      case 'A': {
+        const rx = readNumber(), ry = readNumber(), rotation = readNumber();
+        const largeArc = readFlag(), sweep = readFlag();
+        const nx = readNumber(), ny = readNumber();
+        if ([rx, ry, rotation, largeArc, sweep, nx, ny].includes(null)) return ops;
+        ops.push(...arcToCubics(x, y, rx, ry, rotation, largeArc, sweep, ox + nx, oy + ny));
+        x = ox + nx; y = oy + ny;
+        lastControl = null;
+        break;
+      }
+      case 'Z':
+        ops.push({ op: 'Z' });
+        x = startX; y = startY;
+        lastControl = null;
+        break;
+      default:
+        return ops;
+    }
+
+    // Команда повторяется, пока за ней идут числа (Z чисел не принимает)
+    if (command.toUpperCase() === 'Z' || !hasNumber()) {
+      command = null;
+    }
+  }
+
+  return ops;
+}
+
+/**
+ * Эллипс в виде четырех кубических кривых
+ */
+function ellipseOps(cx, cy, rx, ry) {
+  const kx = rx * KAPPA, ky = ry * KAPPA;
+  return [
+    { op: 'M', x: cx + rx, y: cy },
+    { op: 'C', x1: cx + rx, y1: cy + ky, x2: cx + kx, y2: cy + ry, x: cx, y: cy + ry },
+    { op: 'C', x1: cx - kx, y1: cy + ry, x2: cx - rx, y2: cy + ky, x: cx - rx, y: cy },
+    { op: 'C', x1: cx - rx, y1: cy - ky, x2: cx - kx, y2: cy - ry, x: cx, y: cy - ry },
+    { op: 'C', x1: cx + kx, y1: cy - ry, x2: cx + rx, y2: cy - ky, x: cx + rx, y: cy },
+    { op: 'Z' }
+  ];
+}
+
+/**
+ * Фигура SVG -> команды пути (в координатах элемента)
+ */
+function shapeToOps(tag, attrs) {
+  const num = name => parseFloat(attrs[name]) || 0;
+
+  switch (tag) {
+    case 'path':
+      return parsePathData(attrs.d || '');
+    case 'rect': {
+      const x = num('x'), y = num('y'), w = num('width'), h = num('height');
+      if (w <= 0 || h <= 0) return [];
+      let rx = attrs.rx !== undefined ? num('rx') : num('ry');
+      let ry = attrs.ry !== undefined ? num('ry') : rx;
+      rx = Math.min(rx, w / 2);
+      ry = Math.min(ry, h / 2);
+      if (rx <= 0 || ry <= 0) {
+        return [
+          { op: 'M', x, y }, { op: 'L', x: x + w, y }, { op: 'L', x: x + w, y: y + h },
+          { op: 'L', x, y: y + h }, { op: 'Z' }
+        ];
+      }
+      const kx = rx * KAPPA, ky = ry * KAPPA;
+      return [
+        { op: 'M', x: x + rx, y },
+        { op: 'L', x: x + w - rx, y },
+        { op: 'C', x1: x + w - rx + kx, y1: y, x2: x + w, y2: y + ry - ky, x: x + w, y: y + ry },
+        { op: 'L', x: x + w, y: y + h - ry },
+        { op: 'C', x1: x + w, y1: y + h - ry + ky, x2: x + w - rx + kx, y2: y + h, x: x + w - rx, y: y + h },
+        { op: 'L', x: x + rx, y: y + h },
+        { op: 'C', x1: x + rx - kx, y1: y + h, x2: x, y2: y + h - ry + ky, x, y: y + h - ry },
+        { op: 'L', x, y: y + ry },
+        { op: 'C', x1: x, y1: y + ry - ky, x2: x + rx - kx, y2: y, x: x + rx, y },
+        { op: 'Z' }
+      ];
+    }
+    case 'circle':
+      return num('r') > 0 ? ellipseOps(num('cx'), num('cy'), num('r'), num('r')) : [];
+    case 'ellipse':
+      return num('rx') > 0 && num('ry') > 0 ? ellipseOps(num('cx'), num('cy'), num('rx'), num('ry')) : [];
+    case 'polygon':
+    case 'polyline': {
+      const values = (attrs.points || '').trim().split(/[\s,]+/).filter(Boolean).map(Number);
+      const ops = [];
+      for (let k = 0; k + 1 < values.length; k += 2) {
+        ops.push({ op: k === 0 ? 'M' : 'L', x: values[k], y: values[k + 1] });
+      }
+      if (ops.length > 0) ops.push({ op: 'Z' });
+      return ops;
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Разбирает SVG в список фигур в пунктах (ось Y вниз): заливки и обводки (stroke)
+ * Обводка идет после заливки той же фигуры — в порядке отрисовки SVG
+ *
+ * @param {string} svgContent - SVG документ
+ * @returns {{width: number, height: number, shapes: Array, skipped: number}}
+ */
+function parseSVGShapes(svgContent) {
+  const svg = svgContent.replace(/<!--[\s\S]*?-->/g, '').replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '');
+  const rootMatch = svg.match(/<svg\b([^>]*)>/i);
+  if (!rootMatch) {
+    throw new Error('Не найден корневой элемент <svg>');
+  }
+
+  // Размер страницы и отображение viewBox
+  const rootAttrs = parseAttributes(rootMatch[1]);
+  const viewBox = (rootAttrs.viewBox || '').split(/[\s,]+/).filter(Boolean).map(Number);
+  const hasViewBox = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0;
+  const widthPx = parseLength(rootAttrs.width) || (hasViewBox ? viewBox[2] : 800);
+  const heightPx = parseLength(rootAttrs.height) || (hasViewBox ? viewBox[3] : 600);
+
+  let rootMatrix = [PX_TO_PT, 0, 0, PX_TO_PT, 0, 0];
+  if (hasViewBox) {
+    const scale = Math.min(widthPx / viewBox[2], heightPx / viewBox[3]);
+    const tx = (widthPx - viewBox[2] * scale) / 2 - viewBox[0] * scale;
+    const ty = (heightPx - viewBox[3] * scale) / 2 - viewBox[1] * scale;
+    rootMatrix = multiply(rootMatrix, [scale, 0, 0, scale, tx, ty]);
+  }
+
+  const shapes = [];
+  let skipped = 0;
+  const stack = [{ tag: 'svg', fill: { r: 0, g: 0, b: 0 }, fillRule: 'nonzero', stroke: null, strokeWidth: 1, matrix: rootMatrix, hidden: false, inkName: null }];
+
+  const tagPattern = /<(\/?)([a-zA-Z][\w:-]*)([^>]*?)(\/?)>/g;
+  tagPattern.lastIndex = rootMatch.index + rootMatch[0].length;
+  let match;
+
+  while ((match = tagPattern.exec(svg)) !== null) {
+    const [, closing, tag, rawAttrs, selfClosing] = match;
+    const parent = stack[stack.length - 1];
+
+    if (closing) {
+      if (stack.length > 1) stack.pop();
+      continue;
+    }
+
+    const attrs = parseAttributes(rawAttrs);
+    const state = {
+      tag,
+      fill: attrs.fill !== undefined ? (attrs.fill === 'inherit' ? parent.fill : parseColor(attrs.fill)) : parent.fill,
+      fillRule: attrs['fill-rule'] || parent.fillRule,
+      stroke: attrs.stroke !== undefined ? (attrs.stroke === 'inherit' ? parent.stroke : parseColor(attrs.stroke)) : parent.stroke,
+      strokeWidth: attrs['stroke-width'] !== undefined ? parseLength(attrs['stroke-width']) ?? parent.strokeWidth : parent.strokeWidth,
+      matrix: attrs.transform ? multiply(parent.matrix, parseTransform(attrs.transform)) : parent.matrix,
+      hidden: parent.hidden || NON_RENDERED.has(tag) || attrs.display === 'none' || attrs.visibility === 'hidden',
+      // Название краски слоя векторизатора: спот-цвет (data-spot-name) или краска растра (data-ink-name)
+      inkName: attrs['data-spot-name'] !== undefined || attrs['data-ink-name'] !== undefined
+        ? decodeXmlEntities(attrs['data-spot-name'] ?? attrs['data-ink-name'])
+        : parent.inkName
+    };
+
+    if (!state.hidden && ['path', 'rect', 'circle', 'ellipse', 'polygon', 'polyline'].includes(tag)) {
+      // Без заливки и обводки (или градиент) — в PDF/EPS не переносится
+      if (!state.fill && attrs.fill && attrs.fill.startsWith('url(')) skipped++;
+      if (!state.stroke && attrs.stroke && attrs.stroke.startsWith('url(')) skipped++;
+
+      const ops = state.fill || state.stroke
+        ? shapeToOps(tag, attrs).map(op => {
+          if (op.op === 'Z') return op;
+          const p = applyMatrix(state.matrix, op.x, op.y);
+          if (op.op !== 'C') return { op: op.op, x: p.x, y: p.y };
+          const c1 = applyMatrix(state.matrix, op.x1, op.y1);
+          const c2 = applyMatrix(state.matrix, op.x2, op.y2);
+          return { op: 'C', x1: c1.x, y1: c1.y, x2: c2.x, y2: c2.y, x: p.x, y: p.y };
+        })
+        : [];
+
+      if (ops.length > 0 && state.fill) {
+        const shape = { color: state.fill, evenOdd: state.fillRule === 'evenodd', ops };
+        if (state.inkName) shape.inkName = state.inkName;
+        shapes.push(shape);
+      }
+      if (ops.length > 0 && state.stroke && state.strokeWidth > 0) {
+        // Толщина обводки масштабируется вместе с фигурой (среднее по осям преобразования)
+        const [a, b, c, d] = state.matrix;
+        const shape = { type: 'stroke', color: state.stroke, width: state.strokeWidth * Math.sqrt(Math.abs(a * d - b * c)), ops };
+        if (state.inkName) shape.inkName = state.inkName;
+        shapes.push(shape);
+      }
+    }
+
+    if (!selfClosing) stack.push(state);
+  }
+
+  return {
+    width: widthPx * PX_TO_PT,
+    height: heightPx * PX_TO_PT,
+    shapes,
+    skipped
+  };
+}
+
+// ==================== ЗАПИСЬ PDF / EPS ====================
+
+/**
+ * Документ для записи: { width, height (пт), items }
+ * Элементы:
+ *   { color, evenOdd, ops }                                    — заливка (type по умолчанию 'fill')
+ *   { type: 'stroke', color, width, ops, clip?: [{ops, evenOdd}] } — обводка, clip — объединение областей
+ *   { type: 'text', color, x, y, size, text }                  — подпись (Helvetica, только ASCII)
+ * Координаты в пунктах, ось Y вниз (как в SVG)
+ */
+
+/**
+ * Число без лишних нулей (3 знака после точки)
+ */
+function formatNumber(value) {
+  const rounded = Math.round(value * 1000) / 1000;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * Команды пути в синтаксисе PDF/PostScript (операторы m l c h через процедуры EPS совпадают)
+ */
+function writePathOps(ops) {
+  const lines = [];
+  for (const op of ops) {
+    switch (op.op) {
+      case 'M':
+        lines.push(`${formatNumber(op.x)} ${formatNumber(op.y)} m`);
+        break;
+      case 'L':
+        lines.push(`${formatNumber(op.x)} ${formatNumber(op.y)} l`);
+        break;
+      case 'C':
+        lines.push(`${[op.x1, op.y1, op.x2, op.y2, op.x, op.y].map(formatNumber).join(' ')} c`);
+        break;
+      case 'Z':
+        lines.push('h');
+        break;
+    }
+  }
+  return lines;
+}
+
+/**
+ * Команды пути в атрибут d для SVG
+ */
+function opsToPathData(ops) {
+  return ops.map(op => {
+    switch (op.op) {
+      case 'M':
+      case 'L':
+        return `${op.op}${formatNumber(op.x)} ${formatNumber(op.y)}`;
+      case 'C':
+        return `C${[op.x1, op.y1, op.x2, op.y2, op.x, op.y].map(formatNumber).join(' ')}`;
+      default:
+        return 'Z';
+    }
+  }).join('');
+}
+
+function formatColor(color) {
+  return [color.r, color.g, color.b].map(v => formatNumber(v / 255)).join(' ');
+}
+
+/**
+ * Экранирует строку PDF/PostScript (одинаковые правила для скобок и обратной косой)
+ */
+function escapePDFString(text) {
+  return String(text).replace(/[\\()]/g, '\\$&').replace(/[^\x20-\x7E]/g, '?');
+}
+
+/**
+ * Операторы двух диалектов: PDF и PostScript (EPS с прологом из createEPSDocument)
+ */
+const DIALECTS = {
+  pdf: {
+    fill: 'f',
+    evenOddFill: 'f*',
+    save: 'q',
+    restore: 'Q',
+    clip: evenOdd => (evenOdd ? 'W* n' : 'W n'),
+    stroke: (color, width) => [`${formatNumber(width)} w 1 j 1 J`, `${formatColor(color)} RG`],
+    strokeEnd: 'S',
+    // Матрица текста отменяет переворот оси Y, иначе буквы будут зеркальными
+    text: item => [
+      `${formatColor(item.color)} rg`,
+      `BT /F1 ${formatNumber(item.size)} Tf 1 0 0 -1 ${formatNumber(item.x)} ${formatNumber(item.y)} Tm (${escapePDFString(item.text)}) Tj ET`
+    ]
+  },
+  ps: {
+    fill: 'f',
+    evenOddFill: 'ef',
+    save: 'gsave',
+    restore: 'grestore',
+    clip: evenOdd => (evenOdd ? 'eoclip newpath' : 'clip newpath'),
+    stroke: (color, width) => [`${formatNumber(width)} setlinewidth 1 setlinejoin 1 setlinecap`, `${formatColor(color)} rg`],
+    strokeEnd: 'stroke',
+    text: item => [
+      `${formatColor(item.color)} rg`,
+      `/Helvetica findfont [${formatNumber(item.size)} 0 0 ${formatNumber(-item.size)} 0 0] makefont setfont`,
+      `${formatNumber(item.x)} ${formatNumber(item.y)} moveto (${escapePDFString(item.text)}) show`
+    ]
+  }
+};
+
+/**
+ * Тело рисования документа в выбранном диалекте
+ * Обводки и текст обернуты в save/restore, поэтому текущий цвет заливки между ними сохраняется
+ */
+function writeItems(items, dialectName) {
+  const dialect = DIALECTS[dialectName];
+  const lines = [];
+  let currentColor = null;
+
+  for (const item of items) {
+    const type = item.type || 'fill';
+
+    if (type === 'fill') {
+      const color = formatColor(item.color);
+      if (color !== currentColor) {
+        lines.push(`${color} rg`);
+        currentColor = color;
+      }
+      lines.push(...writePathOps(item.ops));
+      lines.push(item.evenOdd ? dialect.evenOddFill : dialect.fill);
+    } else if (type === 'stroke') {
+      // Обводка внутри каждой области отсечения: объединение областей без сложения направлений обхода
+      const clips = item.clip && item.clip.length > 0 ? item.clip : [null];
+      for (const clip of clips) {
+        lines.push(dialect.save);
+        if (clip) {
+          lines.push(...writePathOps(clip.ops));
+          lines.push(dialect.clip(clip.evenOdd));
+        }
+        lines.push(...dialect.stroke(item.color, item.width));
+        lines.push(...writePathOps(item.ops));
+        lines.push(dialect.strokeEnd);
+        lines.push(dialect.restore);
+      }
+    } else if (type === 'text') {
+      lines.push(dialect.save);
+      lines.push(...dialect.text(item));
+      lines.push(dialect.restore);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Записывает документ в PDF 1.4
+ *
+ * @param {{width: number, height: number, items: Array}} doc - документ в пунктах
+ * @param {{title?: string}} options
+ * @returns {Buffer}
+ */
+function createPDFDocument(doc, options = {}) {
+  const { width, height, items } = doc;
+
+  // Переворот оси Y: в PDF начало координат внизу слева
+  const content = `1 0 0 -1 0 ${formatNumber(height)} cm\n${writeItems(items, 'pdf')}\n`;
+  const stream = zlib.deflateSync(Buffer.from(content, 'latin1'));
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(width)} ${formatNumber(height)}] /Resources << /Font << /F1 6 0 R >> >> /Contents 4 0 R >>`,
+    Buffer.concat([
+      Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+      stream,
+      Buffer.from('\nendstream', 'latin1')
+    ]),
+    `<< /Title (${escapePDFString(options.title || 'Vectorized')}) /Creator (Advanced Vectorizer) /Producer (Advanced Vectorizer) >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+  ];
+
+  const parts = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+  let offset = parts[0].length;
+  const offsets = [];
+
+  objects.forEach((body, index) => {
+    const chunk = Buffer.concat([
+      Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+      Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+      Buffer.from('\nendobj\n', 'latin1')
+    ]);
+    offsets.push(offset);
+    parts.push(chunk);
+    offset += chunk.length;
+  });
+
+  // Таблица xref: записи ровно по 20 байт
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(value => `${String(value).padStart(10, '0')} 00000 n `)
+  ].join('\n');
+  const trailer = `\ntrailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${offset}\n%%EOF\n`;
+  parts.push(Buffer.from(xref + trailer, 'latin1'));
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Записывает документ в EPS (PostScript уровня 2)
+ *
+ * @param {{width: number, height: number, items: Array}} doc - документ в пунктах
+ * @param {{title?: string}} options
+ * @returns {string}
+ */
+function createEPSDocument(doc, options = {}) {
+  const { width, height, items } = doc;
+
+  return [
+    '%!PS-Adobe-3.0 EPSF-3.0',
+    '%%Creator: Advanced Vectorizer',
+    `%%Title: ${String(options.title || 'Vectorized').replace(/[^\x20-\x7E]/g, '?')}`,
+    `%%BoundingBox: 0 0 ${Math.ceil(width)} ${Math.ceil(height)}`,
+    `%%HiResBoundingBox: 0 0 ${width.toFixed(3)} ${height.toFixed(3)}`,
+    '%%LanguageLevel: 2',
+    '%%Pages: 1',
+    '%%DocumentNeededResources: font Helvetica',
+    '%%EndComments',
+    '%%BeginProlog',
+    '/m { moveto } bind def',
+    '/l { lineto } bind def',
+    '/c { curveto } bind def',
+    '/h { closepath } bind def',
+    '/rg { setrgbcolor } bind def',
+    '/f { fill } bind def',
+    '/ef { eofill } bind def',
+    '%%EndProlog',
+    '%%Page: 1 1',
+    'gsave',
+    // Переворот оси Y: в PostScript начало координат внизу слева
+    `0 ${formatNumber(height)} translate 1 -1 scale`,
+    'newpath',
+    writeItems(items, 'ps'),
+    'grestore',
+    'showpage',
+    '%%EOF',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Создает PDF 1.4 с векторными путями SVG
+ *
+ * @param {string} svgContent - SVG документ
+ * @param {{title?: string}} options
+ * @returns {Buffer}
+ */
+function createPDFFromSVG(svgContent, options = {}) {
+  const { width, height, shapes } = parseSVGShapes(svgContent);
+  return createPDFDocument({ width, height, items: shapes }, options);
+}
+
+/**
+ * Создает EPS (PostScript уровня 2) с векторными путями SVG
+ *
+ * @param {string} svgContent - SVG документ
+ * @param {{title?: string}} options
+ * @returns {string}
+ */
+function createEPSFromSVG(svgContent, options = {}) {
+  const { width, height, shapes } = parseSVGShapes(svgContent);
+  return createEPSDocument({ width, height, items: shapes }, options);
+}
+
+module.exports = {
+  parseSVGShapes,
+  parsePathData,
+  parseColor,
+  ellipseOps,
+  opsToPathData,
+  createPDFDocument,
+  createEPSDocument,
+  createPDFFromSVG,
+  createEPSFromSVG
+};
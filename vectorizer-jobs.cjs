@@ -0,0 +1,182 @@
+/**
+ * Асинхронные задания векторизации
+ * Задание получает ID сразу, выполняется в фоне с ограничением параллельности,
+ * прогресс рассылается подписчикам (SSE), результат хранится до истечения срока
+ */
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const JOB_TTL_MS = 60 * 60 * 1000;          // результат хранится час после завершения
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_ACTIVE_JOBS = 2;
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const jobs = new Map();
+const pendingJobs = [];
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+let activeJobs = 0;
+
+/**
+ * Публичное представление задания (без функции запуска и путей к файлам)
+ */
+function serializeJob(job) {
+  const { run, files, ...publicJob } = job;
+  return {
+    ...publicJob,
+    queuePosition: job.status === JOB_STATUS.QUEUED ? pendingJobs.indexOf(job) + 1 : null
+  };
+}
+
+function emitJobUpdate(job, type) {
+  jobEvents.emit(job.id, { type, job: serializeJob(job) });
+}
+
+/**
+ * Запускает задания из очереди, пока есть свободные слоты
+ */
+function processQueue() {
+  while (activeJobs < MAX_ACTIVE_JOBS && pendingJobs.length > 0) {
+    const job = pendingJobs.shift();
+    activeJobs++;
+    pendingJobs.forEach(queued => emitJobUpdate(queued, 'status'));
+    runJob(job).finally(() => {
+      activeJobs--;
+      processQueue();
+    });
+  }
+}
+
+async function runJob(job) {
+  job.status = JOB_STATUS.PROCESSING;
+  job.startedAt = new Date().toISOString();
+  emitJobUpdate(job, 'status');
+
+  const reportProgress = progress => {
+    job.progress = progress;
+    emitJobUpdate(job, 'progress');
+  };
+
+  try {
+    const { result, files = [] } = await job.run(reportProgress);
+    job.result = result;
+    job.files = files;
+    job.status = JOB_STATUS.COMPLETED;
+    console.log(`✅ Задание ${job.id} завершено`);
+  } catch (error) {
+    job.error = error.message || String(error);
+    job.status = JOB_STATUS.FAILED;
+    console.error(`❌ Задание ${job.id} завершилось с ошибкой:`, job.error);
+  }
+
+  job.completedAt = new Date().toISOString();
+  job.expiresAt = new Date(Date.now() + JOB_TTL_MS).toISOString();
+  emitJobUpdate(job, job.status);
+}
+
+/**
+ * Создает задание и ставит его в очередь
+ *
+ * @param {string} type - тип задания (например, 'vectorize')
+ * @param {Function} run - async (reportProgress) => {result, files}; files — пути для скачивания и удаления
+ * @param {Object} meta - данные для клиента (имя файла, настройки)
+ * @returns {Object} публичное представление задания
+ */
+function createJob(type, run, meta = {}) {
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    type,
+    status: JOB_STATUS.QUEUED,
+    progress: null,
+    meta,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    expiresAt: null,
+    result: null,
+    error: null,
+    run,
+    files: []
+  };
+
+  jobs.set(job.id, job);
+  pendingJobs.push(job);
+  console.log(`📋 Задание ${job.id} (${type}) поставлено в очередь`);
+  processQueue();
+
+  return serializeJob(job);
+}
+
+/**
+ * Возвращает задание по ID или null (в том числе для просроченных)
+ */
+function getJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? serializeJob(job) : null;
+}
+
+/**
+ * Путь к файлу результата завершенного задания
+ */
+function getJobFile(jobId, index = 0) {
+  const job = jobs.get(jobId);
+  if (!job || job.status !== JOB_STATUS.COMPLETED) return null;
+  return job.files[index] || null;
+}
+
+/**
+ * Подписка на обновления задания: listener({type, job})
+ * @returns {Function} отписка
+ */
+function subscribeToJob(jobId, listener) {
+  jobEvents.on(jobId, listener);
+  return () => jobEvents.off(jobId, listener);
+}
+
+function isJobFinished(job) {
+  return job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED;
+}
+
+/**
+ * Удаляет просроченные задания вместе с их файлами
+ */
+async function cleanupExpiredJobs() {
+  const now = Date.now();
+
+  for (const [jobId, job] of jobs) {
+    if (!job.expiresAt || new Date(job.expiresAt).getTime() > now) continue;
+
+    jobs.delete(jobId);
+    for (const file of job.files) {
+      try {
+        await fs.unlink(file.filepath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Ошибка удаления файла задания ${jobId}:`, error.message);
+        }
+      }
+    }
+    console.log(`🧹 Задание ${jobId} удалено по истечении срока`);
+  }
+}
+
+setInterval(cleanupExpiredJobs, CLEANUP_INTERVAL_MS).unref();
+
+module.exports = {
+  createJob,
+  getJob,
+  getJobFile,
+  subscribeToJob,
+  isJobFinished,
+  cleanupExpiredJobs,
+  JOB_STATUS,
+  JOB_TTL_MS
+};
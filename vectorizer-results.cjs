@@ -0,0 +1,249 @@
+/**
+ * Каталог результатов векторизации
+ * Индекс хранится в output/vectorizer/results.json: хэш исходника, настройки, палитра, файлы.
+ * Исходник и предобработанное изображение кэшируются по хэшу — повторная загрузка того же файла
+ * с теми же настройками отдается из каталога, а переэкспорт не повторяет предобработку
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const RESULTS_DIR = path.join(__dirname, 'output', 'vectorizer');
+const INDEX_PATH = path.join(RESULTS_DIR, 'results.json');
+const CACHE_DIR = path.join(RESULTS_DIR, 'cache');
+const MAX_RESULTS = 500; // старые результаты вытесняются вместе с файлами
+
+// Индекс в памяти: ID -> запись; загружается с диска при первом обращении
+let catalog = null;
+let writeQueue = Promise.resolve();
+
+/**
+ * SHA-256 исходного изображения
+ */
+function hashImage(imageBuffer) {
+  return crypto.createHash('sha256').update(imageBuffer).digest('hex');
+}
+
+/**
+ * Ключ настроек для поиска в кэше: порядок полей и пустые значения не влияют
+ */
+function settingsKey(settings) {
+  const normalized = Object.keys(settings)
+    .filter(key => settings[key] !== undefined && settings[key] !== null && settings[key] !== '')
+    .sort()
+    .map(key => [key, settings[key]]);
+  return JSON.stringify(normalized);
+}
+
+async function loadCatalog() {
+  if (catalog) return catalog;
+
+  try {
+    const raw = JSON.parse(await fs.readFile(INDEX_PATH, 'utf8'));
+    catalog = new Map(raw.results.map(record => [record.id, record]));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Ошибка чтения каталога результатов, начинаем с пустого:', error.message);
+    }
+    catalog = new Map();
+  }
+  return catalog;
+}
+
+/**
+ * Записывает индекс атомарно (через временный файл); записи выполняются по очереди
+ */
+function saveCatalog() {
+  writeQueue = writeQueue.then(async () => {
+    await fs.mkdir(RESULTS_DIR, { recursive: true });
+    const tempPath = `${INDEX_PATH}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ version: 1, results: [...catalog.values()] }, null, 2), 'utf8');
+    await fs.rename(tempPath, INDEX_PATH);
+  }).catch(error => {
+    console.error('Ошибка записи каталога результатов:', error.message);
+  });
+  return writeQueue;
+}
+
+async function removeFile(filepath) {
+  try {
+    await fs.unlink(filepath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Ошибка удаления ${filepath}:`, error.message);
+    }
+  }
+}
+
+function cachePath(kind, sourceHash) {
+  return path.join(CACHE_DIR, `${kind}_${sourceHash}`);
+}
+
+/**
+ * Кэширует исходник и предобработанное изображение (если еще нет)
+ */
+async function cacheImages(sourceHash, { source, preprocessed }) {
+  await fs.mkdir(CACHE_DIR, { recursive: true });
+  for (const [kind, buffer] of [['source', source], ['preprocessed', preprocessed]]) {
+    if (!buffer) continue;
+    const filepath = cachePath(kind, sourceHash);
+    try {
+      await fs.access(filepath);
+    } catch {
+      await fs.writeFile(filepath, buffer);
+    }
+  }
+}
+
+/**
+ * Читает кэшированное изображение: kind — source или preprocessed; null, если его нет
+ */
+async function readCachedImage(kind, sourceHash) {
+  try {
+    return await fs.readFile(cachePath(kind, sourceHash));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return null;
+  }
+}
+
+/**
+ * Путь к файлу результата (в индексе хранятся только имена файлов)
+ */
+function resultFilePath(file) {
+  return path.join(RESULTS_DIR, path.basename(file.filename));
+}
+
+/**
+ * Публичное представление записи (без служебного ключа настроек)
+ */
+function serializeResult(record) {
+  const { settingsKey: key, ...publicRecord } = record;
+  return publicRecord;
+}
+
+/**
+ * Удаляет запись и ее файлы; кэш исходника — если на него больше никто не ссылается
+ */
+async function removeRecord(record) {
+  catalog.delete(record.id);
+  for (const file of record.files) {
+    await removeFile(resultFilePath(file));
+  }
+
+  const sourceInUse = [...catalog.values()].some(other => other.sourceHash === record.sourceHash);
+  if (!sourceInUse) {
+    await removeFile(cachePath('source', record.sourceHash));
+    await removeFile(cachePath('preprocessed', record.sourceHash));
+  }
+}
+
+/**
+ * Добавляет результат в каталог
+ *
+ * @param {Object} record - {id, sourceHash, originalName, settings, palette, files: [{format, filename, url, size}], ...}
+ * @returns {Promise<Object>} публичная запись
+ */
+async function addResult(record) {
+  await loadCatalog();
+  const stored = {
+    ...record,
+    settingsKey: settingsKey(record.settings),
+    createdAt: new Date().toISOString()
+  };
+  catalog.set(stored.id, stored);
+
+  // Вытеснение самых старых результатов сверх лимита
+  const overflow = catalog.size - MAX_RESULTS;
+  if (overflow > 0) {
+    const oldest = [...catalog.values()]
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .slice(0, overflow);
+    for (const old of oldest) {
+      await removeRecord(old);
+    }
+  }
+
+  await saveCatalog();
+  return serializeResult(stored);
+}
+
+/**
+ * Ищет готовый результат того же исходника с теми же настройками (файлы должны существовать)
+ */
+async function findCachedResult(sourceHash, settings) {
+  await loadCatalog();
+  const key = settingsKey(settings);
+
+  for (const record of catalog.values()) {
+    if (record.sourceHash !== sourceHash || record.settingsKey !== key) continue;
+    try {
+      await Promise.all(record.files.map(file => fs.access(resultFilePath(file))));
+      return serializeResult(record);
+    } catch {
+      // файлы удалены вручную — запись устарела
+    }
+  }
+  return null;
+}
+
+/**
+ * Запись по ID или null
+ */
+async function getResult(resultId) {
+  await loadCatalog();
+  const record = catalog.get(resultId);
+  return record ? serializeResult(record) : null;
+}
+
+/**
+ * История результатов, новые первыми
+ *
+ * @param {{limit?: number, offset?: number, sourceHash?: string}} options
+ * @returns {Promise<{total: number, results: Array}>}
+ */
+async function listResults(options = {}) {
+  await loadCatalog();
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+
+  const records = [...catalog.values()]
+    .filter(record => !options.sourceHash || record.sourceHash === options.sourceHash)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    total: records.length,
+    results: records.slice(offset, offset + limit).map(serializeResult)
+  };
+}
+
+/**
+ * Удаляет результат и его файлы
+ *
+ * @returns {Promise<boolean>} false, если результата нет
+ */
+async function deleteResult(resultId) {
+  await loadCatalog();
+  const record = catalog.get(resultId);
+  if (!record) return false;
+
+  await removeRecord(record);
+  await saveCatalog();
+  console.log(`🗑️ Результат ${resultId} удален`);
+  return true;
+}
+
+module.exports = {
+  hashImage,
+  settingsKey,
+  cacheImages,
+  readCachedImage,
+  addResult,
+  findCachedResult,
+  getResult,
+  resultFilePath,
+  listResults,
+  deleteResult,
+  MAX_RESULTS
+};
@@ -0,0 +1,22 @@
+/**
+ * Поток пула векторизации: выполняет этапы из WORKER_STAGES advanced-vectorizer.cjs
+ * Те же функции, что и в основном потоке, поэтому результат не зависит от того, где выполнялся этап
+ */
+
+const { parentPort } = require('worker_threads');
+const { WORKER_STAGES } = require('./advanced-vectorizer.cjs');
+const { prepareTransfer } = require('./worker-pool.cjs');
+
+parentPort.on('message', async ({ id, stage, args }) => {
+  try {
+    const run = WORKER_STAGES[stage];
+    if (!run) {
+      throw new Error(`Неизвестный этап векторизации: ${stage}`);
+    }
+
+    const { value, transfer } = prepareTransfer(await run(...args));
+    parentPort.postMessage({ id, result: value }, transfer);
+  } catch (error) {
+    parentPort.postMessage({ id, error: { name: error.name, message: error.message } });
+  }
+});
@@ -0,0 +1,278 @@
+/**
+ * Пул потоков worker_threads для CPU-тяжелых этапов векторизации
+ * Задача — имя этапа и аргументы; буферы передаются через transfer list без копирования,
+ * отмена через AbortSignal снимает задачу из очереди или останавливает поток, который ее выполняет
+ */
+
+const { Worker } = require('worker_threads');
+
+const MAX_POOL_SIZE = 16;
+
+/**
+ * Ошибка отмены (клиент отключился или задача снята вызывающим кодом)
+ */
+function createAbortError() {
+  const error = new Error('Обработка отменена: клиент отключился');
+  error.name = 'AbortError';
+  return error;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+}
+
+/**
+ * Приводит размер пула к допустимому диапазону; 0 отключает пул
+ */
+function normalizePoolSize(value, fallback) {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 0) return fallback;
+  return Math.min(parsed, MAX_POOL_SIZE);
+}
+
+/**
+ * Подготавливает значение к передаче в другой поток: собирает ArrayBuffer типизированных массивов
+ * для transfer list. С copy = true массивы заменяются копиями, чтобы не отсоединять данные
+ * вызывающего кода (и не передавать общий пул Buffer целиком)
+ *
+ * @returns {{value: *, transfer: ArrayBuffer[]}}
+ */
+function prepareTransfer(value, { copy = false } = {}) {
+  const transfer = new Set();
+
+  // Возвращает исходный объект, если внутри нечего заменять, — результаты этапов не копируются зря
+  const visit = item => {
+    if (ArrayBuffer.isView(item)) {
+      const shared = item.byteOffset !== 0 || item.byteLength !== item.buffer.byteLength;
+      if (!copy && !shared) {
+        transfer.add(item.buffer);
+        return item;
+      }
+      const bytes = new Uint8Array(item.buffer, item.byteOffset, item.byteLength).slice();
+      transfer.add(bytes.buffer);
+      const Type = Buffer.isBuffer(item) ? Uint8Array : item.constructor;
+      return new Type(bytes.buffer, 0, item.length);
+    }
+    if (Array.isArray(item)) {
+      // Массивы чисел (координаты) клонируются как есть, обходить их незачем
+      if (typeof item[0] === 'number') return item;
+      let result = item;
+      item.forEach((nested, index) => {
+        const visited = visit(nested);
+        if (visited !== nested) {
+          if (result === item) result = item.slice();
+          result[index] = visited;
+        }
+      });
+      return result;
+    }
+    if (item && typeof item === 'object' && Object.getPrototypeOf(item) === Object.prototype) {
+      let result = item;
+      for (const [key, nested] of Object.entries(item)) {
+        const visited = visit(nested);
+        if (visited !== nested) {
+          if (result === item) result = { ...item };
+          result[key] = visited;
+        }
+      }
+      return result;
+    }
+    return item;
+  };
+
+  const prepared = visit(value);
+  return { value: prepared, transfer: [...transfer] };
+}
+
+/**
+ * Пул потоков фиксированного размера; потоки создаются по мере надобности
+ * и не удерживают процесс, пока простаивают
+ */
+class WorkerPool {
+  /**
+   * @param {string} scriptPath - скрипт потока (принимает {id, stage, args}, отвечает {id, result|error})
+   * @param {number} size - число потоков
+   */
+  constructor(scriptPath, size) {
+    this.scriptPath = scriptPath;
+    this.size = Math.max(1, size);
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.nextTaskId = 1;
+  }
+
+  /**
+   * Выполняет этап в свободном потоке
+   *
+   * @param {string} stage - имя этапа
+   * @param {Array} args - аргументы; типизированные массивы копируются и передаются без клонирования
+   * @param {AbortSignal} [signal] - отмена задачи
+   * @returns {Promise<*>} результат этапа
+   */
+  run(stage, args, signal) {
+    throwIfAborted(signal);
+
+    return new Promise((resolve, reject) => {
+      const { value, transfer } = prepareTransfer(args, { copy: true });
+      const task = { id: this.nextTaskId++, stage, args: value, transfer, resolve, reject, signal, worker: null };
+
+      if (signal) {
+        task.onAbort = () => this.cancel(task);
+        signal.addEventListener('abort', task.onAbort, { once: true });
+      }
+
+      this.queue.push(task);
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this.idle.pop() || (this.workers.length < this.size ? this.spawn() : null);
+      if (!worker) return;
+
+      const task = this.queue.shift();
+      task.worker = worker;
+      worker.task = task;
+      worker.ref();
+      worker.postMessage({ id: task.id, stage: task.stage, args: task.args }, task.transfer);
+      task.args = null;
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(this.scriptPath);
+    worker.task = null;
+
+    worker.on('message', message => {
+      const task = worker.task;
+      if (!task || message.id !== task.id) return;
+
+      this.release(worker);
+      if (message.error) {
+        const error = new Error(message.error.message);
+        error.name = message.error.name || 'Error';
+        task.reject(error);
+      } else {
+        task.resolve(message.result);
+      }
+    });
+
+    worker.on('error', error => {
+      console.error('❌ Ошибка потока векторизации:', error.message);
+      const task = worker.task;
+      worker.task = null;
+      this.remove(worker);
+      if (task) {
+        this.finish(task);
+        task.reject(error);
+      }
+    });
+
+    worker.on('exit', () => {
+      const task = worker.task;
+      worker.task = null;
+      this.remove(worker);
+      if (task) {
+        this.finish(task);
+        task.reject(task.signal && task.signal.aborted ? createAbortError() : new Error('Поток векторизации завершился аварийно'));
+      }
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  /**
+   * Возвращает поток в пул после завершения задачи
+   */
+  release(worker) {
+    this.finish(worker.task);
+    worker.task = null;
+    if (this.workers.length > this.size) {
+      this.workers = this.workers.filter(item => item !== worker);
+      worker.removeAllListeners('exit');
+      worker.terminate();
+      return;
+    }
+    worker.unref();
+    this.idle.push(worker);
+    this.dispatch();
+  }
+
+  finish(task) {
+    if (task.signal && task.onAbort) {
+      task.signal.removeEventListener('abort', task.onAbort);
+    }
+  }
+
+  remove(worker) {
+    this.workers = this.workers.filter(item => item !== worker);
+    this.idle = this.idle.filter(item => item !== worker);
+    this.dispatch();
+  }
+
+  /**
+   * Отмена: задача из очереди просто снимается, выполняющаяся — вместе с потоком
+   * (вычисление синхронное, прервать его иначе нельзя); поток пересоздается при следующей задаче
+   */
+  cancel(task) {
+    const index = this.queue.indexOf(task);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+      task.reject(createAbortError());
+      return;
+    }
+    if (task.worker && task.worker.task === task) {
+      console.log(`🛑 Этап ${task.stage} отменен, поток векторизации остановлен`);
+      task.worker.terminate();
+    }
+  }
+
+  /**
+   * Меняет размер пула; лишние простаивающие потоки останавливаются сразу, занятые — после задачи
+   */
+  resize(size) {
+    this.size = Math.max(1, size);
+    while (this.workers.length > this.size && this.idle.length > 0) {
+      const worker = this.idle.pop();
+      this.workers = this.workers.filter(item => item !== worker);
+      worker.removeAllListeners('exit');
+      worker.terminate();
+    }
+    this.dispatch();
+  }
+
+  getStats() {
+    return {
+      size: this.size,
+      threads: this.workers.length,
+      busy: this.workers.length - this.idle.length,
+      queued: this.queue.length
+    };
+  }
+
+  /**
+   * Останавливает все потоки; задачи в очереди отклоняются
+   */
+  async destroy() {
+    const queued = this.queue.splice(0);
+    queued.forEach(task => {
+      this.finish(task);
+      task.reject(new Error('Пул потоков векторизации остановлен'));
+    });
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+  }
+}
+
+module.exports = {
+  WorkerPool,
+  prepareTransfer,
+  normalizePoolSize,
+  createAbortError,
+  throwIfAborted,
+  MAX_POOL_SIZE
+};